@@ -107,14 +107,26 @@ class Smart_Page_Builder_Admin {
             return;
         }
 
+        // Shared escaping for markup rendered on the client
+        wp_enqueue_script(
+            $this->plugin_name . '-html',
+            SPB_PLUGIN_URL . 'public/js/smart-page-builder-html.js',
+            array(),
+            $this->version,
+            false
+        );
+
         wp_enqueue_script(
             $this->plugin_name,
             SPB_PLUGIN_URL . 'admin/js/smart-page-builder-admin.js',
-            array('jquery'),
+            array('jquery', 'wp-i18n', $this->plugin_name . '-html'),
             $this->version,
             false
         );
 
+        $i18n = new Smart_Page_Builder_i18n();
+        $i18n->set_script_translations($this->plugin_name);
+
         // Localize script with admin data - this ensures spb_admin is available on all plugin pages
         wp_localize_script(
             $this->plugin_name,
@@ -135,10 +147,20 @@ class Smart_Page_Builder_Admin {
             wp_enqueue_script(
                 $this->plugin_name . '-analytics',
                 SPB_PLUGIN_URL . 'admin/js/analytics-dashboard.js',
-                array($this->plugin_name, 'jquery', 'wp-api'),
+                array($this->plugin_name, $this->plugin_name . '-html', 'jquery', 'wp-api', 'wp-i18n'),
                 $this->version,
                 false
             );
+
+            $i18n->set_script_translations($this->plugin_name . '-analytics');
+
+            wp_localize_script(
+                $this->plugin_name . '-analytics',
+                'spb_analytics',
+                array(
+                    'nonce' => wp_create_nonce('spb_admin_nonce')
+                )
+            );
         }
 
         // Enqueue support documentation scripts if on support page
@@ -309,8 +331,17 @@ class Smart_Page_Builder_Admin {
         register_setting('spb_wpengine_settings', 'spb_enable_search_interception');
         register_setting('spb_wpengine_settings', 'spb_auto_approve_threshold');
         register_setting('spb_wpengine_settings', 'spb_enable_seo_urls');
+        register_setting('spb_wpengine_settings', SPB_Page_Feedback::OPTION_NAME, array('sanitize_callback' => 'rest_sanitize_boolean'));
         register_setting('spb_wpengine_settings', 'spb_min_query_length');
         register_setting('spb_wpengine_settings', 'spb_max_query_length');
+        register_setting('spb_wpengine_settings', 'spb_search_skip_after', array('sanitize_callback' => 'absint'));
+        register_setting('spb_wpengine_settings', 'spb_stream_search_results', array('sanitize_callback' => 'rest_sanitize_boolean'));
+        register_setting('spb_wpengine_settings', SPB_Search_Interception_Rules::OPTION_NAME, array(
+            'sanitize_callback' => array(new SPB_Search_Interception_Rules(), 'sanitize_rules')
+        ));
+        register_setting('spb_wpengine_settings', SPB_Experiments::OPTION_NAME, array(
+            'sanitize_callback' => array(new SPB_Experiments(), 'sanitize_experiments')
+        ));
 
         // Search generation settings (v3.1)
         if (defined('SPB_V3_SEARCH_GENERATION') && SPB_V3_SEARCH_GENERATION) {
@@ -346,6 +377,8 @@ class Smart_Page_Builder_Admin {
         add_action('wp_ajax_spb_get_recent_activity', array($this, 'ajax_get_recent_activity'));
         add_action('wp_ajax_spb_get_system_health', array($this, 'ajax_get_system_health'));
         add_action('wp_ajax_spb_get_performance_metrics', array($this, 'ajax_get_performance_metrics'));
+        add_action('wp_ajax_spb_get_web_vitals', array($this, 'ajax_get_web_vitals'));
+        add_action('wp_ajax_spb_get_conversions', array($this, 'ajax_get_conversions'));
         add_action('wp_ajax_spb_get_notifications', array($this, 'ajax_get_notifications'));
         add_action('wp_ajax_spb_dismiss_notification', array($this, 'ajax_dismiss_notification'));
         add_action('wp_ajax_spb_run_system_diagnostics', array($this, 'ajax_run_system_diagnostics'));
@@ -1314,8 +1347,11 @@ class Smart_Page_Builder_Admin {
         }
 
         try {
+            // Measured LCP from generated pages replaces the stored estimate once available
+            $page_load_time = (new SPB_Web_Vitals_Report())->get_page_load_time();
+
             $metrics = array(
-                'page_load_time' => get_option('spb_avg_page_load_time', 1.2),
+                'page_load_time' => $page_load_time !== null ? $page_load_time : get_option('spb_avg_page_load_time', 1.2),
                 'ai_generation_time' => get_option('spb_avg_ai_generation_time', 3.5),
                 'cache_hit_rate' => get_option('spb_cache_hit_rate', 78),
                 'search_response_time' => get_option('spb_avg_search_response_time', 0.8),
@@ -1340,6 +1376,42 @@ class Smart_Page_Builder_Admin {
         }
     }
 
+    /**
+     * AJAX handler for the Core Web Vitals breakdown
+     *
+     * @since    3.7.0
+     */
+    public function ajax_get_web_vitals() {
+        check_ajax_referer('spb_admin_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Insufficient permissions.', 'smart-page-builder')));
+            return;
+        }
+
+        $days = min(90, max(1, absint($_POST['days'] ?? 7)));
+
+        wp_send_json_success((new SPB_Web_Vitals_Report())->get_report($days));
+    }
+
+    /**
+     * AJAX handler for the CTA conversion breakdown
+     *
+     * @since    3.7.0
+     */
+    public function ajax_get_conversions() {
+        check_ajax_referer('spb_admin_nonce', 'nonce');
+
+        if (!current_user_can('manage_options')) {
+            wp_send_json_error(array('message' => __('Insufficient permissions.', 'smart-page-builder')));
+            return;
+        }
+
+        $days = min(90, max(1, absint($_POST['days'] ?? 7)));
+
+        wp_send_json_success((new SPB_Conversion_Report())->get_report($days));
+    }
+
     /**
      * AJAX handler for getting notifications
      *
@@ -8,6 +8,10 @@
 (function($) {
     'use strict';
 
+    var __ = wp.i18n.__;
+    var _n = wp.i18n._n;
+    var sprintf = wp.i18n.sprintf;
+
     /**
      * Analytics Dashboard Object
      */
@@ -105,7 +109,7 @@
                 data: {
                     labels: [],
                     datasets: [{
-                        label: 'Page Views',
+                        label: __('Page Views', 'smart-page-builder'),
                         data: [],
                         borderColor: '#2271b1',
                         backgroundColor: 'rgba(34, 113, 177, 0.1)',
@@ -149,7 +153,7 @@
             this.charts.conversions = new Chart(ctx, {
                 type: 'doughnut',
                 data: {
-                    labels: ['Converted', 'Not Converted'],
+                    labels: [__('Converted', 'smart-page-builder'), __('Not Converted', 'smart-page-builder')],
                     datasets: [{
                         data: [0, 0],
                         backgroundColor: ['#00a32a', '#f0f0f1'],
@@ -254,7 +258,11 @@
             this.updateMetricChange('performance', data.performance_change);
             
             // Update last updated time
-            $('.spb-last-updated').text('Last updated: ' + new Date().toLocaleTimeString());
+            $('.spb-last-updated').text(sprintf(
+                /* translators: %s: time of the last update */
+                __('Last updated: %s', 'smart-page-builder'),
+                new Date().toLocaleTimeString()
+            ));
         },
 
         /**
@@ -282,6 +290,162 @@
             }
         },
 
+        /**
+         * Load the Core Web Vitals breakdown per template and component
+         */
+        loadPerformanceBreakdown: function() {
+            var self = this;
+            var $container = $('.spb-performance-breakdown');
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'spb_get_web_vitals',
+                    nonce: spb_analytics.nonce,
+                    days: $container.data('days') || 7
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.updatePerformanceBreakdown(response.data);
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Failed to load Web Vitals:', error);
+                }
+            });
+        },
+
+        /**
+         * Update the performance card and breakdown tables
+         */
+        updatePerformanceBreakdown: function(report) {
+            var self = this;
+
+            if (report.overall.samples > 0 && report.overall.lcp !== null) {
+                $('.spb-metric-value[data-metric="performance"]').text((report.overall.lcp / 1000).toFixed(2) + 's');
+            }
+
+            $('.spb-vitals-table').each(function() {
+                var $table = $(this);
+                self.renderVitalsRows($table.find('tbody'), report[$table.data('group')], report.thresholds);
+            });
+        },
+
+        /**
+         * Render one row of vitals per template or component
+         */
+        renderVitalsRows: function($tbody, groups, thresholds) {
+            var self = this;
+            var names = Object.keys(groups || {});
+
+            $tbody.empty();
+
+            if (names.length === 0) {
+                $tbody.append($('<tr>').append($('<td colspan="7">').text(__('No Web Vitals collected yet', 'smart-page-builder'))));
+                return;
+            }
+
+            names.forEach(function(name) {
+                var summary = groups[name];
+                var $row = $('<tr>').append(
+                    $('<td>').text(name),
+                    $('<td>').text(self.formatNumber(summary.samples))
+                );
+
+                ['lcp', 'cls', 'inp', 'ttfb', 'blocking_time'].forEach(function(metric) {
+                    $row.append(self.formatVital(metric, summary[metric], thresholds[metric]));
+                });
+
+                $tbody.append($row);
+            });
+        },
+
+        /**
+         * Format a vital as a table cell rated good, needs improvement or poor
+         */
+        formatVital: function(metric, value, threshold) {
+            var $cell = $('<td>');
+
+            if (value === null || value === undefined) {
+                return $cell.text('—');
+            }
+
+            var rating = value <= threshold[0] ? 'good' : (value <= threshold[1] ? 'needs-improvement' : 'poor');
+            /* translators: %d: duration in milliseconds */
+            var text = metric === 'cls' ? value.toFixed(3) : sprintf(__('%d ms', 'smart-page-builder'), Math.round(value));
+
+            return $cell.addClass('spb-vital-' + rating).text(text);
+        },
+
+        /**
+         * Load the CTA conversion breakdown per component variant and page
+         */
+        loadConversionBreakdown: function() {
+            var self = this;
+            var $container = $('.spb-conversion-breakdown');
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'spb_get_conversions',
+                    nonce: spb_analytics.nonce,
+                    days: $container.data('days') || 7
+                },
+                success: function(response) {
+                    if (response.success) {
+                        $('.spb-conversions-table').each(function() {
+                            var $table = $(this);
+                            self.renderConversionRows($table.find('tbody'), $table.data('group'), response.data[$table.data('group')]);
+                        });
+                    }
+                },
+                error: function(xhr, status, error) {
+                    console.error('Failed to load conversions:', error);
+                }
+            });
+        },
+
+        /**
+         * Render one row of exposures, clicks and conversions per component variant or page
+         */
+        renderConversionRows: function($tbody, group, rows) {
+            var self = this;
+
+            $tbody.empty();
+
+            if (!rows || rows.length === 0) {
+                $tbody.append($('<tr>').append($('<td colspan="6">').text(__('No CTA clicks recorded yet', 'smart-page-builder'))));
+                return;
+            }
+
+            rows.forEach(function(row) {
+                var $label = $('<td>');
+
+                if (group === 'components') {
+                    $label.append($('<code>').text(row.component_id), ' ', $('<span class="spb-conversion-variant">').text(row.variant));
+                } else {
+                    /* translators: %d: generated page ID */
+                    $label.text(row.query || sprintf(__('Page #%d', 'smart-page-builder'), row.page_id));
+                }
+
+                var goals = Object.keys(row.goals || {}).map(function(goal) {
+                    return goal + ' (' + self.formatNumber(row.goals[goal]) + ')';
+                });
+
+                $tbody.append($('<tr>').append(
+                    $label,
+                    $('<td>').text(self.formatNumber(row.exposures)),
+                    $('<td>').text(self.formatNumber(row.clicks)),
+                    $('<td>').text(self.formatNumber(row.conversions)),
+                    /* translators: %s: conversion rate percentage */
+                    $('<td>').text(row.conversion_rate === null ? '—' : sprintf(__('%s%%', 'smart-page-builder'), (row.conversion_rate * 100).toFixed(1))),
+                    $('<td>').text(goals.join(', ') || '—')
+                ));
+            });
+        },
+
         /**
          * Load chart and table data
          */
@@ -355,9 +519,10 @@
                 data.rows.forEach(function(row) {
                     var $row = $('<tr>');
                     
-                    // Add cells based on row data
+                    // Add cells based on row data; only cells sent as {html: ...} are rendered as markup
                     Object.values(row).forEach(function(cellData) {
-                        var $cell = $('<td>').html(cellData);
+                        var markup = cellData && typeof cellData === 'object' && 'html' in cellData ? SPBHtml.trusted(cellData.html) : cellData;
+                        var $cell = $('<td>').html(SPBHtml.toHTML(markup));
                         $row.append($cell);
                     });
                     
@@ -367,7 +532,7 @@
                 // Update pagination
                 this.updatePagination(data.pagination);
             } else {
-                $tbody.append('<tr><td colspan="100%" style="text-align: center; padding: 40px;">No data available</td></tr>');
+                $tbody.append($('<tr>').append($('<td colspan="100%" style="text-align: center; padding: 40px;">').text(__('No data available', 'smart-page-builder'))));
             }
         },
 
@@ -380,7 +545,7 @@
             
             // Previous button
             var prevDisabled = pagination.current_page <= 1 ? 'disabled' : '';
-            $pagination.append('<button class="spb-pagination-btn" data-page="' + (pagination.current_page - 1) + '" ' + prevDisabled + '>Previous</button>');
+            $pagination.append('<button class="spb-pagination-btn" data-page="' + (pagination.current_page - 1) + '" ' + prevDisabled + '>' + SPBHtml.escape(__('Previous', 'smart-page-builder')) + '</button>');
             
             // Page numbers
             for (var i = 1; i <= pagination.total_pages; i++) {
@@ -390,10 +555,16 @@
             
             // Next button
             var nextDisabled = pagination.current_page >= pagination.total_pages ? 'disabled' : '';
-            $pagination.append('<button class="spb-pagination-btn" data-page="' + (pagination.current_page + 1) + '" ' + nextDisabled + '>Next</button>');
+            $pagination.append('<button class="spb-pagination-btn" data-page="' + (pagination.current_page + 1) + '" ' + nextDisabled + '>' + SPBHtml.escape(__('Next', 'smart-page-builder')) + '</button>');
             
             // Update pagination info
-            $('.spb-pagination-info').text('Showing ' + pagination.start + '-' + pagination.end + ' of ' + pagination.total + ' results');
+            $('.spb-pagination-info').text(sprintf(
+                /* translators: 1: first result shown, 2: last result shown, 3: total number of results */
+                _n('Showing %1$d-%2$d of %3$d result', 'Showing %1$d-%2$d of %3$d results', pagination.total, 'smart-page-builder'),
+                pagination.start,
+                pagination.end,
+                pagination.total
+            ));
         },
 
         /**
@@ -527,7 +698,7 @@
             // Add export options if not present
             if (!$('.spb-data-export').length) {
                 $('.spb-data-actions').append(
-                    '<button class="spb-data-export" data-format="csv">Export CSV</button>'
+                    $('<button class="spb-data-export" data-format="csv">').text(__('Export CSV', 'smart-page-builder'))
                 );
             }
         },
@@ -632,6 +803,14 @@
         if ($('.spb-analytics-dashboard').length) {
             SPBAnalytics.init();
         }
+
+        if ($('.spb-performance-breakdown').length) {
+            SPBAnalytics.loadPerformanceBreakdown();
+        }
+
+        if ($('.spb-conversion-breakdown').length) {
+            SPBAnalytics.loadConversionBreakdown();
+        }
     });
 
     /**
@@ -8,6 +8,9 @@
 (function($) {
     'use strict';
 
+    var __ = wp.i18n.__;
+    var sprintf = wp.i18n.sprintf;
+
     /**
      * Smart Page Builder Admin Object
      */
@@ -232,9 +235,13 @@
                 },
                 success: function(response) {
                     if (response.success) {
-                        self.showNotice('Connection successful!', 'success');
+                        self.showNotice(__('Connection successful!', 'smart-page-builder'), 'success');
                     } else {
-                        self.showNotice('Connection failed: ' + response.data, 'error');
+                        self.showNotice(sprintf(
+                            /* translators: %s: error message */
+                            __('Connection failed: %s', 'smart-page-builder'),
+                            response.data
+                        ), 'error');
                     }
                 },
                 error: function(xhr, status, error) {
@@ -263,9 +270,13 @@
                 },
                 success: function(response) {
                     if (response.success) {
-                        self.showNotice('Cache cleared successfully!', 'success');
+                        self.showNotice(__('Cache cleared successfully!', 'smart-page-builder'), 'success');
                     } else {
-                        self.showNotice('Failed to clear cache: ' + response.data, 'error');
+                        self.showNotice(sprintf(
+                            /* translators: %s: error message */
+                            __('Failed to clear cache: %s', 'smart-page-builder'),
+                            response.data
+                        ), 'error');
                     }
                 },
                 error: function(xhr, status, error) {
@@ -293,10 +304,15 @@
                 },
                 success: function(response) {
                     if (response.success) {
-                        $('#spb-validation-results').html(response.data.report);
-                        self.showNotice('Validation completed!', 'success');
+                        // The report is built and escaped on the server
+                        $('#spb-validation-results').html(SPBHtml.toHTML(SPBHtml.trusted(response.data.report)));
+                        self.showNotice(__('Validation completed!', 'smart-page-builder'), 'success');
                     } else {
-                        self.showNotice('Validation failed: ' + response.data, 'error');
+                        self.showNotice(sprintf(
+                            /* translators: %s: error message */
+                            __('Validation failed: %s', 'smart-page-builder'),
+                            response.data
+                        ), 'error');
                     }
                 },
                 error: function(xhr, status, error) {
@@ -368,7 +384,7 @@
                 },
                 success: function(response) {
                     if (response.success) {
-                        SPBAdmin.showNotice('Setting saved', 'success', 2000);
+                        SPBAdmin.showNotice(__('Setting saved', 'smart-page-builder'), 'success', 2000);
                     }
                 }
             });
@@ -430,7 +446,7 @@
                 var value = $field.val();
                 
                 if (!value || value.trim() === '') {
-                    SPBAdmin.showFieldError($field, 'This field is required');
+                    SPBAdmin.showFieldError($field, __('This field is required', 'smart-page-builder'));
                     isValid = false;
                 }
             });
@@ -441,7 +457,7 @@
                 var value = $field.val();
                 
                 if (value && !SPBAdmin.isValidEmail(value)) {
-                    SPBAdmin.showFieldError($field, 'Please enter a valid email address');
+                    SPBAdmin.showFieldError($field, __('Please enter a valid email address', 'smart-page-builder'));
                     isValid = false;
                 }
             });
@@ -452,7 +468,7 @@
                 var value = $field.val();
                 
                 if (value && !SPBAdmin.isValidUrl(value)) {
-                    SPBAdmin.showFieldError($field, 'Please enter a valid URL');
+                    SPBAdmin.showFieldError($field, __('Please enter a valid URL', 'smart-page-builder'));
                     isValid = false;
                 }
             });
@@ -465,7 +481,7 @@
          */
         showFieldError: function($field, message) {
             $field.addClass('spb-error');
-            $field.after('<div class="spb-error-message">' + message + '</div>');
+            $field.after('<div class="spb-error-message">' + SPBHtml.escape(message) + '</div>');
         },
 
         /**
@@ -503,11 +519,11 @@
                 
                 // Validate field
                 if ($field.attr('required') && !$field.val()) {
-                    SPBAdmin.showFieldError($field, 'This field is required');
+                    SPBAdmin.showFieldError($field, __('This field is required', 'smart-page-builder'));
                 } else if ($field.attr('type') === 'email' && $field.val() && !SPBAdmin.isValidEmail($field.val())) {
-                    SPBAdmin.showFieldError($field, 'Please enter a valid email address');
+                    SPBAdmin.showFieldError($field, __('Please enter a valid email address', 'smart-page-builder'));
                 } else if ($field.attr('type') === 'url' && $field.val() && !SPBAdmin.isValidUrl($field.val())) {
-                    SPBAdmin.showFieldError($field, 'Please enter a valid URL');
+                    SPBAdmin.showFieldError($field, __('Please enter a valid URL', 'smart-page-builder'));
                 }
             });
         },
@@ -534,9 +550,9 @@
             type = type || 'info';
             duration = duration || 5000;
             
-            var $notice = $('<div class="spb-notice spb-notice-' + type + '">' +
-                '<p>' + message + '</p>' +
-                '<button type="button" class="notice-dismiss"><span class="screen-reader-text">Dismiss</span></button>' +
+            var $notice = $('<div class="spb-notice spb-notice-' + SPBHtml.escape(type) + '">' +
+                '<p>' + SPBHtml.escape(message) + '</p>' +
+                '<button type="button" class="notice-dismiss"><span class="screen-reader-text">' + SPBHtml.escape(__('Dismiss', 'smart-page-builder')) + '</span></button>' +
                 '</div>');
             
             $('.spb-admin-header').after($notice);
@@ -569,12 +585,12 @@
          */
         handleAjaxSuccess: function(response, $form) {
             if (response.success) {
-                this.showNotice(response.data.message || 'Operation completed successfully', 'success');
+                this.showNotice(response.data.message || __('Operation completed successfully', 'smart-page-builder'), 'success');
                 
                 // Trigger success event
                 $(document).trigger('spb:ajax-success', [response, $form]);
             } else {
-                this.showNotice(response.data || 'Operation failed', 'error');
+                this.showNotice(response.data || __('Operation failed', 'smart-page-builder'), 'error');
             }
         },
 
@@ -582,7 +598,7 @@
          * Handle AJAX errors
          */
         handleAjaxError: function(xhr, error) {
-            var message = 'An error occurred';
+            var message = __('An error occurred', 'smart-page-builder');
             
             if (xhr.responseJSON && xhr.responseJSON.data) {
                 message = xhr.responseJSON.data;
@@ -41,6 +41,15 @@ $valid_ranges = array('24hours', '7days', '30days', '90days');
 if (!in_array($date_range, $valid_ranges)) {
     $date_range = '7days';
 }
+
+// Measured load time from the Core Web Vitals collected on generated pages
+$range_days = array('24hours' => 1, '7days' => 7, '30days' => 30, '90days' => 90);
+if (class_exists('SPB_Web_Vitals_Report')) {
+    $measured_load_time = (new SPB_Web_Vitals_Report())->get_page_load_time($range_days[$date_range]);
+    if ($measured_load_time !== null) {
+        $analytics_data['avg_load_time'] = $measured_load_time;
+    }
+}
 ?>
 
 <div class="wrap spb-analytics-interface">
@@ -99,7 +108,7 @@ if (!in_array($date_range, $valid_ranges)) {
                 <div class="spb-card-icon">⚡</div>
                 <div class="spb-card-content">
                     <h3><?php esc_html_e('Avg Load Time', 'smart-page-builder'); ?></h3>
-                    <div class="spb-metric-value"><?php echo esc_html(round($analytics_data['avg_load_time'], 2)); ?>s</div>
+                    <div class="spb-metric-value" data-metric="performance"><?php echo esc_html(round($analytics_data['avg_load_time'], 2)); ?>s</div>
                     <div class="spb-metric-change negative">-5%</div>
                 </div>
             </div>
@@ -174,6 +183,59 @@ if (!in_array($date_range, $valid_ranges)) {
         </div>
     </div>
 
+    <!-- Page Performance -->
+    <div class="spb-analytics-section spb-performance-breakdown" data-days="<?php echo esc_attr($range_days[$date_range]); ?>">
+        <h2><?php esc_html_e('Page Performance', 'smart-page-builder'); ?></h2>
+        <p class="description"><?php esc_html_e('75th percentile Core Web Vitals measured by visitors\' browsers on generated pages.', 'smart-page-builder'); ?></p>
+
+        <?php foreach (array('templates' => __('Template', 'smart-page-builder'), 'components' => __('Component', 'smart-page-builder')) as $group => $group_label): ?>
+            <table class="wp-list-table widefat fixed striped spb-vitals-table" data-group="<?php echo esc_attr($group); ?>">
+                <thead>
+                    <tr>
+                        <th><?php echo esc_html($group_label); ?></th>
+                        <th><?php esc_html_e('Page Views', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('LCP', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('CLS', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('INP', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('TTFB', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('Blocking Time', 'smart-page-builder'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td colspan="7"><?php esc_html_e('Loading...', 'smart-page-builder'); ?></td>
+                    </tr>
+                </tbody>
+            </table>
+        <?php endforeach; ?>
+    </div>
+
+    <!-- CTA Conversions -->
+    <div class="spb-analytics-section spb-conversion-breakdown" data-days="<?php echo esc_attr($range_days[$date_range]); ?>">
+        <h2><?php esc_html_e('CTA Conversions', 'smart-page-builder'); ?></h2>
+        <p class="description"><?php esc_html_e('Experiment exposures and clicks on generated hero and CTA buttons, and the goals reported through SPB.trackGoal() after them.', 'smart-page-builder'); ?></p>
+
+        <?php foreach (array('components' => __('Component / Variant', 'smart-page-builder'), 'pages' => __('Page / Search Query', 'smart-page-builder')) as $group => $group_label): ?>
+            <table class="wp-list-table widefat fixed striped spb-conversions-table" data-group="<?php echo esc_attr($group); ?>">
+                <thead>
+                    <tr>
+                        <th><?php echo esc_html($group_label); ?></th>
+                        <th><?php esc_html_e('Exposures', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('Clicks', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('Conversions', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('Conversion Rate', 'smart-page-builder'); ?></th>
+                        <th><?php esc_html_e('Goals', 'smart-page-builder'); ?></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td colspan="6"><?php esc_html_e('Loading...', 'smart-page-builder'); ?></td>
+                    </tr>
+                </tbody>
+            </table>
+        <?php endforeach; ?>
+    </div>
+
     <!-- Recent Activity -->
     <div class="spb-analytics-section">
         <h2><?php esc_html_e('Recent Activity', 'smart-page-builder'); ?></h2>
@@ -27,6 +27,10 @@ $filters = ['status' => $current_status];
 // Get approval queue data
 $queue_data = $approval_system->get_approval_queue($filters, $current_page, 50);
 $approval_stats = $approval_system->get_approval_statistics();
+
+// Visitor feedback on the live pages, a signal for re-review or regeneration
+$page_feedback = new SPB_Page_Feedback();
+$feedback_summaries = $page_feedback->get_summaries(array_column($queue_data['items'] ?? [], 'search_query'));
 ?>
 
 <div class="wrap spb-approval-queue">
@@ -129,6 +133,38 @@ $approval_stats = $approval_system->get_approval_statistics();
                                 </div>
                             </div>
 
+                            <!-- Visitor Feedback -->
+                            <?php $feedback = $feedback_summaries[$item['search_query']] ?? null; ?>
+                            <?php if ($feedback): ?>
+                                <div class="spb-card-feedback<?php echo $feedback['needs_review'] ? ' spb-needs-review' : ''; ?>">
+                                    <?php if ($feedback['needs_review']): ?>
+                                        <strong class="spb-feedback-flag"><?php esc_html_e('Needs re-review', 'smart-page-builder'); ?></strong>
+                                    <?php endif; ?>
+                                    <span class="spb-feedback-count" title="<?php esc_attr_e('Helpful / not helpful votes', 'smart-page-builder'); ?>">
+                                        👍 <?php echo esc_html($feedback['helpful']); ?> · 👎 <?php echo esc_html($feedback['not_helpful']); ?>
+                                    </span>
+                                    <?php if ($feedback['inaccuracies']): ?>
+                                        <span class="spb-feedback-count">
+                                            <?php echo esc_html(sprintf(_n('%d inaccuracy report', '%d inaccuracy reports', $feedback['inaccuracies'], 'smart-page-builder'), $feedback['inaccuracies'])); ?>
+                                        </span>
+                                    <?php endif; ?>
+                                    <?php if ($feedback['unsafe']): ?>
+                                        <span class="spb-feedback-count spb-feedback-unsafe">
+                                            <?php echo esc_html(sprintf(_n('%d unsafe flag', '%d unsafe flags', $feedback['unsafe'], 'smart-page-builder'), $feedback['unsafe'])); ?>
+                                        </span>
+                                    <?php endif; ?>
+                                    <?php foreach ($page_feedback->get_reports($item['search_query']) as $report): ?>
+                                        <blockquote class="spb-feedback-report">
+                                            <strong><?php echo $report['feedback_type'] === 'unsafe' ? esc_html__('Unsafe:', 'smart-page-builder') : esc_html__('Inaccurate:', 'smart-page-builder'); ?></strong>
+                                            <?php if ($report['selected_text'] !== ''): ?>
+                                                <q><?php echo esc_html(wp_trim_words($report['selected_text'], 20)); ?></q>
+                                            <?php endif; ?>
+                                            <?php echo esc_html(wp_trim_words($report['comment'], 25)); ?>
+                                        </blockquote>
+                                    <?php endforeach; ?>
+                                </div>
+                            <?php endif; ?>
+
                             <!-- Content Preview -->
                             <div class="spb-card-preview">
                                 <?php 
@@ -356,6 +392,40 @@ $approval_stats = $approval_system->get_approval_statistics();
     color: #666;
 }
 
+.spb-card-feedback {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 6px 12px;
+    margin: 10px 0;
+    font-size: 0.9em;
+    color: #666;
+}
+
+.spb-card-feedback.spb-needs-review {
+    padding: 8px 10px;
+    background: #fcf0f1;
+    border-left: 3px solid #d63638;
+    border-radius: 4px;
+}
+
+.spb-feedback-flag,
+.spb-feedback-unsafe {
+    color: #d63638;
+}
+
+.spb-feedback-report {
+    flex-basis: 100%;
+    margin: 0;
+    padding-left: 8px;
+    border-left: 2px solid #ddd;
+    font-style: italic;
+}
+
+.spb-feedback-report q {
+    display: block;
+    color: #333;
+}
+
 .spb-card-preview {
     margin: 15px 0;
     padding: 10px;
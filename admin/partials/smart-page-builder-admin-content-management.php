@@ -129,6 +129,9 @@ if ($table_exists) {
     $quality_scores = array_column($content_queue, 'quality_score');
     $avg_quality = !empty($quality_scores) ? round(array_sum($quality_scores) / count($quality_scores)) : 0;
 }
+
+// Visitor feedback left on the generated pages
+$feedback_summaries = (new SPB_Page_Feedback())->get_summaries(array_column($content_queue, 'search_query'));
 ?>
 
 <div class="wrap spb-content-management">
@@ -291,6 +294,15 @@ if ($table_exists) {
                     <td class="spb-col-performance">
                         <div class="spb-performance-metrics">
                             <span class="spb-views">👁️ <?php echo esc_html($content['views']); ?></span>
+                            <?php $feedback = $feedback_summaries[$content['search_query'] ?? ''] ?? null; ?>
+                            <?php if ($feedback): ?>
+                            <span class="spb-feedback-votes" title="<?php esc_attr_e('Helpful / not helpful votes', 'smart-page-builder'); ?>">👍 <?php echo esc_html($feedback['helpful']); ?> · 👎 <?php echo esc_html($feedback['not_helpful']); ?></span>
+                            <?php if ($feedback['needs_review']): ?>
+                            <span class="spb-feedback-review" title="<?php echo esc_attr(sprintf(__('%1$d inaccuracy reports, %2$d unsafe flags', 'smart-page-builder'), $feedback['inaccuracies'], $feedback['unsafe'])); ?>">
+                                ⚠️ <?php esc_html_e('Needs re-review', 'smart-page-builder'); ?>
+                            </span>
+                            <?php endif; ?>
+                            <?php endif; ?>
                         </div>
                     </td>
                     <td class="spb-col-date">
@@ -571,11 +583,18 @@ if ($table_exists) {
     gap: 5px;
 }
 
-.spb-views {
+.spb-views,
+.spb-feedback-votes {
     font-size: 0.9em;
     color: #666;
 }
 
+.spb-feedback-review {
+    font-size: 0.8em;
+    font-weight: 600;
+    color: #d63638;
+}
+
 .spb-action-buttons {
     display: flex;
     gap: 5px;
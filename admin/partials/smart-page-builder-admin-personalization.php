@@ -33,7 +33,8 @@ if (isset($_POST['spb_save_personalization']) && wp_verify_nonce($_POST['spb_per
         'interest_decay_rate' => floatval($_POST['interest_decay_rate']),
         'min_confidence_threshold' => floatval($_POST['min_confidence_threshold']),
         'max_interests_tracked' => intval($_POST['max_interests_tracked']),
-        'personalization_strength' => floatval($_POST['personalization_strength'])
+        'personalization_strength' => floatval($_POST['personalization_strength']),
+        'on_device_interests' => isset($_POST['on_device_interests']) ? 1 : 0
     );
     
     update_option('spb_personalization_settings', $settings);
@@ -46,7 +47,8 @@ $settings = get_option('spb_personalization_settings', array(
     'interest_decay_rate' => 0.1,
     'min_confidence_threshold' => 0.3,
     'max_interests_tracked' => 50,
-    'personalization_strength' => 0.7
+    'personalization_strength' => 0.7,
+    'on_device_interests' => 0
 ));
 
 // Get analytics data with safety check
@@ -103,6 +105,16 @@ if ($interest_calculator && method_exists($interest_calculator, 'get_analytics_s
                     </td>
                 </tr>
                 
+                <tr>
+                    <th scope="row">
+                        <label for="on_device_interests"><?php esc_html_e('On-device Interest Model', 'smart-page-builder'); ?></label>
+                    </th>
+                    <td>
+                        <input type="checkbox" id="on_device_interests" name="on_device_interests" value="1" <?php checked($settings['on_device_interests'] ?? 0, 1); ?> />
+                        <p class="description"><?php esc_html_e('Build and decay visitor interests in the browser from the categories and tags of the pages they read. Only top-level categories are sent for recommendations, and no behavioral profile is stored on the server.', 'smart-page-builder'); ?></p>
+                    </td>
+                </tr>
+                
                 <tr>
                     <th scope="row">
                         <label for="interest_decay_rate"><?php esc_html_e('Interest Decay Rate', 'smart-page-builder'); ?></label>
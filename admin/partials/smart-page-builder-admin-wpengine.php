@@ -20,9 +20,23 @@ $wpengine_settings = [
     'auto_approve_threshold' => get_option('spb_auto_approve_threshold', 0.8),
     'enable_seo_urls' => get_option('spb_enable_seo_urls', true),
     'min_query_length' => get_option('spb_min_query_length', 3),
-    'max_query_length' => get_option('spb_max_query_length', 200)
+    'max_query_length' => get_option('spb_max_query_length', 200),
+    'search_skip_after' => get_option('spb_search_skip_after', 8),
+    'stream_search_results' => get_option('spb_stream_search_results', false),
+    'enable_page_feedback' => SPB_Page_Feedback::is_enabled()
 ];
 
+// Search interception rules
+$interception_rules = (new SPB_Search_Interception_Rules())->get_rules();
+$rules_option = SPB_Search_Interception_Rules::OPTION_NAME;
+
+// A/B experiments, plus an empty row for adding one
+$experiments_manager = new SPB_Experiments();
+$experiments = $experiments_manager->get_experiments();
+$experiments[] = ['id' => '', 'component_id' => '', 'headline' => '', 'description' => '', 'button_text' => '', 'traffic' => 50, 'running' => true];
+$experiment_components = $experiments_manager->get_component_choices();
+$experiments_option = SPB_Experiments::OPTION_NAME;
+
 // Test connection if credentials are provided
 $connection_status = null;
 if (!empty($wpengine_settings['api_url']) && !empty($wpengine_settings['access_token']) && !empty($wpengine_settings['site_id'])) {
@@ -177,6 +191,190 @@ if (!empty($wpengine_settings['api_url']) && !empty($wpengine_settings['access_t
                                 <p class="description">Maximum number of characters allowed for search query processing.</p>
                             </td>
                         </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_search_skip_after">Offer Regular Results After</label>
+                            </th>
+                            <td>
+                                <input type="number" 
+                                       id="spb_search_skip_after" 
+                                       name="spb_search_skip_after" 
+                                       value="<?php echo esc_attr($wpengine_settings['search_skip_after']); ?>" 
+                                       min="0" 
+                                       max="60" 
+                                       class="small-text" /> seconds
+                                <p class="description">Show a "Show normal results now" link on the generation screen after this many seconds. Set to 0 to hide the link; visitors can still cancel with the Cancel button, Escape or Back.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">Stream Generated Pages</th>
+                            <td>
+                                <fieldset>
+                                    <label>
+                                        <input type="checkbox" 
+                                               name="spb_stream_search_results" 
+                                               value="1" 
+                                               <?php checked($wpengine_settings['stream_search_results']); ?> />
+                                        Show generated pages as they are written
+                                    </label>
+                                    <p class="description">Instead of a full-screen loading overlay, searchers see a results layout right away that fills in with the hero, article and call to action as each one is generated. The address bar switches to the page's permalink without a reload.</p>
+                                </fieldset>
+                            </td>
+                        </tr>
+                    </table>
+                </div>
+                
+                <!-- Search Interception Rules -->
+                <div class="spb-settings-section">
+                    <h2>Search Interception Rules</h2>
+                    <p class="description">Decide which searches trigger page generation. Searches that don't match these rules show the regular WordPress results.</p>
+                    
+                    <table class="form-table">
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_sample_rate">Sampling Percentage</label>
+                            </th>
+                            <td>
+                                <input type="number" 
+                                       id="spb_rules_sample_rate" 
+                                       name="<?php echo esc_attr($rules_option); ?>[sample_rate]" 
+                                       value="<?php echo esc_attr($interception_rules['sample_rate']); ?>" 
+                                       min="0" 
+                                       max="100" 
+                                       class="small-text" /> %
+                                <p class="description">Share of visitors whose searches are eligible for generation. Each visitor keeps the same assignment across visits.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_min_words">Minimum Word Count</label>
+                            </th>
+                            <td>
+                                <input type="number" 
+                                       id="spb_rules_min_words" 
+                                       name="<?php echo esc_attr($rules_option); ?>[min_words]" 
+                                       value="<?php echo esc_attr($interception_rules['min_words']); ?>" 
+                                       min="1" 
+                                       max="20" 
+                                       class="small-text" />
+                                <p class="description">Searches with fewer words show regular results.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_allow_patterns">Allow Patterns</label>
+                            </th>
+                            <td>
+                                <textarea id="spb_rules_allow_patterns" 
+                                          name="<?php echo esc_attr($rules_option); ?>[allow_patterns]" 
+                                          rows="4" 
+                                          class="large-text code"><?php echo esc_textarea(implode("\n", $interception_rules['allow_patterns'])); ?></textarea>
+                                <p class="description">One regular expression per line, matched case-insensitively. When set, only searches matching at least one pattern are intercepted.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_deny_patterns">Deny Patterns</label>
+                            </th>
+                            <td>
+                                <textarea id="spb_rules_deny_patterns" 
+                                          name="<?php echo esc_attr($rules_option); ?>[deny_patterns]" 
+                                          rows="6" 
+                                          class="large-text code"><?php echo esc_textarea(implode("\n", $interception_rules['deny_patterns'])); ?></textarea>
+                                <p class="description">One regular expression per line. Searches matching any pattern are never intercepted, e.g. brand names or navigational queries such as <code>^(contact|login|cart)$</code>.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_post_types">Post Types</label>
+                            </th>
+                            <td>
+                                <input type="text" 
+                                       id="spb_rules_post_types" 
+                                       name="<?php echo esc_attr($rules_option); ?>[post_types]" 
+                                       value="<?php echo esc_attr(implode(', ', $interception_rules['post_types'])); ?>" 
+                                       class="regular-text" 
+                                       placeholder="any, post, page" />
+                                <p class="description">Comma-separated post types whose search forms are intercepted, read from the form's <code>post_type</code> field. Use <code>any</code> for forms without one. Leave empty for all forms.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_form_selectors">Form Selectors</label>
+                            </th>
+                            <td>
+                                <textarea id="spb_rules_form_selectors" 
+                                          name="<?php echo esc_attr($rules_option); ?>[form_selectors]" 
+                                          rows="3" 
+                                          class="large-text code"><?php echo esc_textarea(implode("\n", $interception_rules['form_selectors'])); ?></textarea>
+                                <p class="description">One CSS selector per line. When set, only matching search forms are intercepted, e.g. <code>.site-header .search-form</code>.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_source_selectors">Additional Search Boxes</label>
+                            </th>
+                            <td>
+                                <textarea id="spb_rules_source_selectors" 
+                                          name="<?php echo esc_attr($rules_option); ?>[source_selectors]" 
+                                          rows="3" 
+                                          class="large-text code"><?php echo esc_textarea(implode("\n", $interception_rules['source_selectors'])); ?></textarea>
+                                <p class="description">One CSS selector per line for search inputs or forms that do not use <code>name="s"</code>, e.g. <code>.header-search input</code>. WordPress and WooCommerce search forms are detected automatically.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_source_events">Search Events</label>
+                            </th>
+                            <td>
+                                <input type="text" 
+                                       id="spb_rules_source_events" 
+                                       name="<?php echo esc_attr($rules_option); ?>[source_events]" 
+                                       value="<?php echo esc_attr(implode(', ', $interception_rules['source_events'])); ?>" 
+                                       class="regular-text code" 
+                                       placeholder="instant-search:submit" />
+                                <p class="description">Comma-separated DOM events dispatched on <code>document</code> by search widgets. The query is read from <code>event.detail.query</code>.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_source_url_params">Search URL Parameters</label>
+                            </th>
+                            <td>
+                                <input type="text" 
+                                       id="spb_rules_source_url_params" 
+                                       name="<?php echo esc_attr($rules_option); ?>[source_url_params]" 
+                                       value="<?php echo esc_attr(implode(', ', $interception_rules['source_url_params'])); ?>" 
+                                       class="regular-text code" 
+                                       placeholder="q, query" />
+                                <p class="description">Comma-separated query string parameters that carry a search, e.g. <code>q</code> for <code>/search?q=...</code>. Matching page loads generate a page for the query.</p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row">
+                                <label for="spb_rules_languages">Languages</label>
+                            </th>
+                            <td>
+                                <input type="text" 
+                                       id="spb_rules_languages" 
+                                       name="<?php echo esc_attr($rules_option); ?>[languages]" 
+                                       value="<?php echo esc_attr(implode(', ', $interception_rules['languages'])); ?>" 
+                                       class="regular-text" 
+                                       placeholder="en, de" />
+                                <p class="description">Comma-separated two-letter language codes. When set, only searches made on pages in these languages are intercepted.</p>
+                            </td>
+                        </tr>
                     </table>
                 </div>
                 
@@ -218,7 +416,104 @@ if (!empty($wpengine_settings['api_url']) && !empty($wpengine_settings['access_t
                                 </fieldset>
                             </td>
                         </tr>
+
+                        <tr>
+                            <th scope="row">Collect Visitor Feedback</th>
+                            <td>
+                                <fieldset>
+                                    <label>
+                                        <input type="checkbox" 
+                                               name="<?php echo esc_attr(SPB_Page_Feedback::OPTION_NAME); ?>" 
+                                               value="1" 
+                                               <?php checked($wpengine_settings['enable_page_feedback']); ?> />
+                                        Show a feedback widget on generated pages
+                                    </label>
+                                    <p class="description">Visitors can vote a page helpful or not, report an inaccuracy and flag unsafe content. Pages with reports or mostly negative votes are marked for re-review in the Approval Queue and Content Management screens.</p>
+                                </fieldset>
+                            </td>
+                        </tr>
+                    </table>
+                </div>
+                
+                <!-- Experiments -->
+                <div class="spb-settings-section">
+                    <h2>Experiments</h2>
+                    <p class="description">Test an alternative headline, description or button text against a generated hero or CTA. Each visitor keeps seeing the same variant, and Analytics → CTA Conversions compares exposures, clicks and conversions per variant. Clear an experiment's ID to delete it.</p>
+                    
+                    <table class="widefat striped spb-experiments-table">
+                        <thead>
+                            <tr>
+                                <th scope="col">Experiment ID</th>
+                                <th scope="col">Component</th>
+                                <th scope="col">Variant B</th>
+                                <th scope="col">Traffic to B</th>
+                                <th scope="col">Running</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <?php foreach ($experiments as $index => $experiment): ?>
+                                <?php $field = $experiments_option . '[' . $index . ']'; ?>
+                                <tr>
+                                    <td>
+                                        <input type="text" 
+                                               name="<?php echo esc_attr($field); ?>[id]" 
+                                               value="<?php echo esc_attr($experiment['id']); ?>" 
+                                               class="regular-text code" 
+                                               aria-label="Experiment ID" 
+                                               placeholder="cta-copy-test" />
+                                    </td>
+                                    <td>
+                                        <select name="<?php echo esc_attr($field); ?>[component_id]" aria-label="Component">
+                                            <option value="">— Select —</option>
+                                            <?php if ($experiment['component_id'] !== '' && !isset($experiment_components[$experiment['component_id']])): ?>
+                                                <option value="<?php echo esc_attr($experiment['component_id']); ?>" selected><?php echo esc_html($experiment['component_id']); ?></option>
+                                            <?php endif; ?>
+                                            <?php foreach ($experiment_components as $component_id => $label): ?>
+                                                <option value="<?php echo esc_attr($component_id); ?>" <?php selected($experiment['component_id'], $component_id); ?>><?php echo esc_html($label); ?></option>
+                                            <?php endforeach; ?>
+                                        </select>
+                                    </td>
+                                    <td>
+                                        <input type="text" 
+                                               name="<?php echo esc_attr($field); ?>[headline]" 
+                                               value="<?php echo esc_attr($experiment['headline']); ?>" 
+                                               class="regular-text" 
+                                               placeholder="Headline" 
+                                               aria-label="Variant B headline" /><br>
+                                        <input type="text" 
+                                               name="<?php echo esc_attr($field); ?>[description]" 
+                                               value="<?php echo esc_attr($experiment['description']); ?>" 
+                                               class="regular-text" 
+                                               placeholder="Description" 
+                                               aria-label="Variant B description" /><br>
+                                        <input type="text" 
+                                               name="<?php echo esc_attr($field); ?>[button_text]" 
+                                               value="<?php echo esc_attr($experiment['button_text']); ?>" 
+                                               class="regular-text" 
+                                               placeholder="Primary button text" 
+                                               aria-label="Variant B button text" />
+                                    </td>
+                                    <td>
+                                        <input type="number" 
+                                               name="<?php echo esc_attr($field); ?>[traffic]" 
+                                               value="<?php echo esc_attr($experiment['traffic']); ?>" 
+                                               min="0" 
+                                               max="100" 
+                                               class="small-text" 
+                                               aria-label="Traffic to variant B" /> %
+                                    </td>
+                                    <td>
+                                        <input type="checkbox" 
+                                               name="<?php echo esc_attr($field); ?>[running]" 
+                                               value="1" 
+                                               aria-label="Running" 
+                                               <?php checked($experiment['running']); ?> />
+                                    </td>
+                                </tr>
+                            <?php endforeach; ?>
+                        </tbody>
                     </table>
+                    <p class="description">Empty variant fields keep the generated text. Variant B replaces the hero subheadline or the CTA description, and the primary button text.</p>
                 </div>
                 
                 <?php submit_button('Save WP Engine Settings'); ?>
@@ -314,6 +609,11 @@ if (!empty($wpengine_settings['api_url']) && !empty($wpengine_settings['access_t
     margin-bottom: 20px;
 }
 
+.spb-experiments-table .regular-text {
+    width: 100%;
+    margin-bottom: 4px;
+}
+
 .spb-connection-status .notice {
     margin: 0;
 }
@@ -59,6 +59,7 @@ class Smart_Page_Builder_Activator {
         
         // Update version
         update_option('spb_version', SPB_VERSION);
+        update_option('spb_db_version', SPB_DB_VERSION);
         update_option('spb_activation_time', current_time('timestamp'));
     }
 
@@ -204,7 +205,26 @@ class Smart_Page_Builder_Activator {
             KEY reviewed_by (reviewed_by),
             KEY created_at (created_at)
         ) $charset_collate;";
-        
+
+        // Visitor feedback on generated pages (v3.7)
+        $tables[] = "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}spb_page_feedback (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            search_page_id bigint(20) unsigned DEFAULT NULL,
+            post_id bigint(20) unsigned DEFAULT NULL,
+            search_query varchar(255) NOT NULL,
+            feedback_type varchar(20) NOT NULL,
+            selected_text text DEFAULT NULL,
+            comment text DEFAULT NULL,
+            user_id bigint(20) unsigned DEFAULT NULL,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY search_page_id (search_page_id),
+            KEY post_id (post_id),
+            KEY search_query (search_query),
+            KEY feedback_type (feedback_type),
+            KEY created_at (created_at)
+        ) $charset_collate;";
+
         // Execute table creation
         require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
         foreach ($tables as $table) {
@@ -258,6 +278,22 @@ class Smart_Page_Builder_Activator {
             KEY created_at (created_at)
         ) $charset_collate;";
         
+        // Interests visitors muted, pinned, weighted or added themselves (v3.7)
+        $tables[] = "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}spb_interest_preferences (
+            id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+            user_id bigint(20) unsigned DEFAULT NULL,
+            session_id varchar(100) NOT NULL,
+            interest_category varchar(100) NOT NULL,
+            muted tinyint(1) NOT NULL DEFAULT 0,
+            pinned tinyint(1) NOT NULL DEFAULT 0,
+            added tinyint(1) NOT NULL DEFAULT 0,
+            weight decimal(5,4) DEFAULT NULL,
+            updated_at datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            UNIQUE KEY session_interest (session_id, interest_category),
+            KEY user_id (user_id)
+        ) $charset_collate;";
+        
         // Personalization rules table
         $tables[] = "CREATE TABLE IF NOT EXISTS {$wpdb->prefix}spb_personalization_rules (
             id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
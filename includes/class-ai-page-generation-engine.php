@@ -322,6 +322,17 @@ class SPB_AI_Page_Generation_Engine {
                         $personalization_context
                     );
                 }
+
+                if (isset($components[$component_type])) {
+                    /**
+                     * Fires when a page component has been generated, before the page is assembled.
+                     *
+                     * @param string $component_type Component type.
+                     * @param array  $content        Component content.
+                     * @param string $search_query   Search query the page is generated for.
+                     */
+                    do_action('spb_component_generated', $component_type, $components[$component_type]['content'], $personalization_context['search_query'] ?? '');
+                }
             }
         }
 
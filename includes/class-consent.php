@@ -0,0 +1,101 @@
+<?php
+/**
+ * Consent
+ *
+ * Server side of the visitor's consent to tracking. The front end keeps the
+ * consent state itself (see the SDK's consent module); this class registers
+ * the plugin with the WP Consent API, tells the front end which consent
+ * category to follow, and refuses tracking requests from browsers that opted
+ * out through Global Privacy Control, Do Not Track or a consent management
+ * platform.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Consent class
+ */
+class SPB_Consent {
+
+    /**
+     * WP Consent API category interest tracking falls under
+     */
+    const DEFAULT_CATEGORY = 'marketing';
+
+    /**
+     * Declare that the plugin follows the WP Consent API
+     */
+    public function init_hooks() {
+        add_filter('wp_consent_api_registered_' . SPB_PLUGIN_BASENAME, '__return_true');
+    }
+
+    /**
+     * Get the WP Consent API category tracking needs consent for
+     *
+     * @return string Category
+     */
+    public function get_category() {
+        /**
+         * Filters the WP Consent API category tracking needs consent for.
+         *
+         * @since 3.7.0
+         *
+         * @param string $category 'marketing' by default; 'statistics' or 'preferences' also fit some sites.
+         */
+        return sanitize_key(apply_filters('spb_consent_category', self::DEFAULT_CATEGORY));
+    }
+
+    /**
+     * Check whether a consent management platform asks visitors for consent
+     *
+     * @return bool
+     */
+    public function is_consent_api_active() {
+        return function_exists('wp_has_consent');
+    }
+
+    /**
+     * Check whether the current request opted out of tracking
+     *
+     * Only for requests that are never cached, such as the tracking
+     * endpoints; pages rendered for one visitor may be served to another.
+     *
+     * @return bool
+     */
+    public function request_opted_out() {
+        $opted_out = ($_SERVER['HTTP_SEC_GPC'] ?? '') === '1' || ($_SERVER['HTTP_DNT'] ?? '') === '1';
+
+        // wp_has_consent() answers for the visitor's region once a platform set a consent type
+        if (!$opted_out && $this->is_consent_api_active() && function_exists('wp_get_consent_type') && wp_get_consent_type()) {
+            $opted_out = !wp_has_consent($this->get_category());
+        }
+
+        /**
+         * Filters whether the current request opted out of tracking.
+         *
+         * @since 3.7.0
+         *
+         * @param bool $opted_out Whether tracking requests are refused.
+         */
+        return (bool) apply_filters('spb_request_opted_out', $opted_out);
+    }
+
+    /**
+     * Get the consent settings for the SDK client
+     *
+     * @param bool $required Whether tracking waits for the visitor's consent
+     * @return array
+     */
+    public function get_client_config($required) {
+        return [
+            'required' => (bool) $required,
+            'category' => $this->get_category()
+        ];
+    }
+}
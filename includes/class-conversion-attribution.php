@@ -0,0 +1,116 @@
+<?php
+/**
+ * Conversion Attribution
+ *
+ * Stable ids for generated hero and CTA components and their buttons, and the
+ * data attributes the public script reads to attribute clicks and goals back
+ * to the generated page, component and variant.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Conversion Attribution class
+ */
+class SPB_Conversion_Attribution {
+
+    /**
+     * Variant recorded for components that are not part of an experiment
+     */
+    const DEFAULT_VARIANT = 'control';
+
+    /**
+     * Button slots of each attributable component
+     */
+    private $button_slots = [
+        'hero' => ['cta_primary' => 'primary', 'cta_secondary' => 'secondary'],
+        'cta' => ['primary_button' => 'primary', 'secondary_button' => 'secondary']
+    ];
+
+    /**
+     * Build the stable id of a component generated for a search query
+     *
+     * The id only depends on the component type and the normalized query, so
+     * regenerating or re-rendering a page keeps its ids and the analytics
+     * recorded under them.
+     *
+     * @param string $component Component type, e.g. 'hero' or 'cta'
+     * @param string $search_query Search query the page was generated for
+     * @return string Component id
+     */
+    public function get_component_id($component, $search_query) {
+        $query = strtolower(trim(preg_replace('/\s+/', ' ', (string) $search_query)));
+
+        return sanitize_key($component) . '-' . substr(md5($query), 0, 10);
+    }
+
+    /**
+     * Add ids and the variant to component content that does not have them yet
+     *
+     * @param array $content Component content
+     * @param string $component Component type
+     * @param string $search_query Search query the page was generated for
+     * @return array Content with component_id, variant and a cta_id per button
+     */
+    public function stamp_component($content, $component, $search_query) {
+        if (!is_array($content) || !isset($this->button_slots[$component])) {
+            return $content;
+        }
+
+        if (empty($content['component_id'])) {
+            $content['component_id'] = $this->get_component_id($component, $search_query);
+        }
+
+        if (empty($content['variant'])) {
+            $content['variant'] = self::DEFAULT_VARIANT;
+        }
+
+        foreach ($this->button_slots[$component] as $key => $slot) {
+            if (!empty($content[$key]) && is_array($content[$key]) && empty($content[$key]['cta_id'])) {
+                $content[$key]['cta_id'] = $content['component_id'] . '-' . $slot;
+            }
+        }
+
+        return $content;
+    }
+
+    /**
+     * Render the data attributes identifying a component
+     *
+     * @param array $content Stamped component content
+     * @param string $component Component type
+     * @return string Attributes with a leading space, or an empty string without an id
+     */
+    public function get_component_attributes($content, $component) {
+        if (empty($content['component_id'])) {
+            return '';
+        }
+
+        return sprintf(
+            ' data-spb-component="%s" data-spb-component-id="%s" data-spb-variant="%s"',
+            esc_attr($component),
+            esc_attr($content['component_id']),
+            esc_attr($content['variant'] ?? self::DEFAULT_VARIANT)
+        );
+    }
+
+    /**
+     * Render the data attribute identifying a button
+     *
+     * @param array $button Stamped button data
+     * @return string Attribute with a leading space, or an empty string without an id
+     */
+    public function get_button_attributes($button) {
+        if (empty($button['cta_id'])) {
+            return '';
+        }
+
+        return ' data-spb-cta-id="' . esc_attr($button['cta_id']) . '"';
+    }
+}
@@ -0,0 +1,208 @@
+<?php
+/**
+ * Conversion Report
+ *
+ * Aggregates the experiment exposures, CTA clicks and goals recorded by the
+ * public script into exposures, clicks, conversions and conversion rates per
+ * generated page and per component variant.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Conversion Report class
+ */
+class SPB_Conversion_Report {
+
+    /**
+     * Event type of clicks on generated CTAs
+     */
+    const CLICK_EVENT = 'cta_click';
+
+    /**
+     * Event type of goals reported through SPB.trackGoal()
+     */
+    const GOAL_EVENT = 'goal';
+
+    /**
+     * Event type of a visitor seeing an experiment variant
+     */
+    const EXPOSURE_EVENT = 'experiment_exposure';
+
+    /**
+     * Maximum number of events read for one report
+     */
+    const MAX_EVENTS = 10000;
+
+    /**
+     * Get the conversion report for a period
+     *
+     * @param int $days Number of days to report on
+     * @return array Overall, per-page and per-component summaries
+     */
+    public function get_report($days = 7) {
+        $cache_key = 'spb_conversion_report_' . absint($days);
+        $report = get_transient($cache_key);
+
+        if ($report === false) {
+            $report = $this->build_report($this->get_events($days));
+            set_transient($cache_key, $report, 10 * MINUTE_IN_SECONDS);
+        }
+
+        return $report;
+    }
+
+    /**
+     * Build a report from raw events
+     *
+     * Goals only count when they carry the attribution of an earlier click on
+     * a generated CTA.
+     *
+     * @param array $events Events with 'type' and decoded 'data'
+     * @return array Report
+     */
+    public function build_report($events) {
+        $overall = $this->empty_summary();
+        $pages = [];
+        $components = [];
+
+        foreach ($events as $event) {
+            $data = $event['data'] ?? [];
+            $component_id = sanitize_key($data['component_id'] ?? '');
+
+            if ($component_id === '') {
+                continue;
+            }
+
+            $type = $event['type'] ?? '';
+            $page_key = absint($data['page_id'] ?? 0);
+            $component_key = $component_id . ':' . (sanitize_key($data['variant'] ?? '') ?: SPB_Conversion_Attribution::DEFAULT_VARIANT);
+
+            if (!isset($pages[$page_key])) {
+                $pages[$page_key] = $this->empty_summary([
+                    'page_id' => $page_key,
+                    'query' => sanitize_text_field($data['query'] ?? '')
+                ]);
+            }
+
+            if (!isset($components[$component_key])) {
+                list($id, $variant) = explode(':', $component_key);
+                $components[$component_key] = $this->empty_summary([
+                    'component' => sanitize_key($data['component'] ?? ''),
+                    'component_id' => $id,
+                    'variant' => $variant
+                ]);
+            }
+
+            $goal = $type === self::GOAL_EVENT ? (sanitize_key($data['goal'] ?? '') ?: 'goal') : null;
+
+            $this->count_event($overall, $type, $goal);
+            $this->count_event($pages[$page_key], $type, $goal);
+            $this->count_event($components[$component_key], $type, $goal);
+        }
+
+        $overall = $this->add_rate($overall);
+        $pages = array_map([$this, 'add_rate'], $pages);
+        $components = array_map([$this, 'add_rate'], $components);
+
+        uasort($pages, [$this, 'compare_conversions']);
+        uasort($components, [$this, 'compare_conversions']);
+
+        return [
+            'overall' => $overall,
+            'pages' => array_values($pages),
+            'components' => array_values($components)
+        ];
+    }
+
+    /**
+     * Create an empty summary
+     *
+     * @param array $fields Identifying fields of the summary
+     * @return array Summary
+     */
+    private function empty_summary($fields = []) {
+        return array_merge($fields, [
+            'exposures' => 0,
+            'clicks' => 0,
+            'conversions' => 0,
+            'goals' => []
+        ]);
+    }
+
+    /**
+     * Count an exposure, a click or a conversion of the given goal in a summary
+     *
+     * @param array $summary Summary to update
+     * @param string $type Event type
+     * @param string|null $goal Goal name of goal events
+     */
+    private function count_event(&$summary, $type, $goal) {
+        if ($type === self::EXPOSURE_EVENT) {
+            $summary['exposures']++;
+        } elseif ($goal === null) {
+            $summary['clicks']++;
+        } else {
+            $summary['conversions']++;
+            $summary['goals'][$goal] = ($summary['goals'][$goal] ?? 0) + 1;
+        }
+    }
+
+    /**
+     * Add the share of clicks that converted to a summary
+     *
+     * @param array $summary Summary
+     * @return array Summary with conversion_rate, null without clicks
+     */
+    private function add_rate($summary) {
+        $summary['conversion_rate'] = $summary['clicks'] ? round($summary['conversions'] / $summary['clicks'], 4) : null;
+
+        return $summary;
+    }
+
+    /**
+     * Order summaries by conversions, then clicks
+     */
+    private function compare_conversions($a, $b) {
+        return [$b['conversions'], $b['clicks']] <=> [$a['conversions'], $a['clicks']];
+    }
+
+    /**
+     * Read recent exposure, click and goal events from the analytics table
+     *
+     * @param int $days Number of days to read
+     * @return array Events with 'type' and decoded 'data'
+     */
+    private function get_events($days) {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'spb_analytics';
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT event_type, event_data FROM {$table_name}
+             WHERE event_type IN (%s, %s, %s) AND created_at >= DATE_SUB(NOW(), INTERVAL %d DAY)
+             ORDER BY created_at DESC
+             LIMIT %d",
+            self::CLICK_EVENT,
+            self::GOAL_EVENT,
+            self::EXPOSURE_EVENT,
+            max(1, absint($days)),
+            self::MAX_EVENTS
+        ), ARRAY_A);
+
+        $events = [];
+        foreach ((array) $rows as $row) {
+            $data = json_decode($row['event_data'], true);
+            if (is_array($data)) {
+                $events[] = ['type' => $row['event_type'], 'data' => $data];
+            }
+        }
+
+        return $events;
+    }
+}
@@ -383,8 +383,10 @@ class Smart_Page_Builder_Deactivator {
             $wpdb->prefix . 'spb_query_enhancements',
             $wpdb->prefix . 'spb_generated_components',
             $wpdb->prefix . 'spb_content_approvals',
+            $wpdb->prefix . 'spb_page_feedback',
             $wpdb->prefix . 'spb_user_interest_vectors',
             $wpdb->prefix . 'spb_user_signals',
+            $wpdb->prefix . 'spb_interest_preferences',
             $wpdb->prefix . 'spb_personalization_rules',
             $wpdb->prefix . 'spb_component_variants',
             $wpdb->prefix . 'spb_user_consent'
@@ -0,0 +1,238 @@
+<?php
+/**
+ * Event Collector
+ *
+ * Receives batched front-end tracking events from the shared client event queue
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Event Collector class
+ */
+class SPB_Event_Collector {
+
+    /**
+     * Maximum number of events accepted in one batch
+     */
+    const MAX_BATCH_SIZE = 50;
+
+    /**
+     * How long processed batch ids are remembered for retry de-duplication
+     */
+    const BATCH_ID_TTL = DAY_IN_SECONDS;
+
+    /**
+     * Event channels and the table each one is stored in
+     */
+    private $channels = [
+        'public' => 'spb_analytics',
+        'personalization' => 'spb_user_signals'
+    ];
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->init_hooks();
+    }
+
+    /**
+     * Initialize hooks
+     */
+    private function init_hooks() {
+        add_action('wp_ajax_spb_track_events', array($this, 'ajax_track_events'));
+        add_action('wp_ajax_nopriv_spb_track_events', array($this, 'ajax_track_events'));
+    }
+
+    /**
+     * AJAX handler for a batch of tracking events
+     *
+     * Also called through navigator.sendBeacon, whose response is never read.
+     */
+    public function ajax_track_events() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'spb_public_nonce')) {
+            wp_send_json_error(['message' => 'Security check failed'], 403);
+        }
+
+        $result = $this->receive_batch(
+            json_decode(wp_unslash($_POST['events'] ?? ''), true),
+            sanitize_key($_POST['batch_id'] ?? '')
+        );
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()], $result->get_error_data() ?: 400);
+        }
+
+        wp_send_json_success($result);
+    }
+
+    /**
+     * Store a batch of events
+     *
+     * Shared by the admin-ajax handler and the spb/v1 REST API.
+     *
+     * @param array $events Raw events from the client
+     * @param string $batch_id Id the client sends the batch under, for retries
+     * @return array|WP_Error Accepted and rejected counts, or error
+     */
+    public function receive_batch($events, $batch_id = '') {
+        if (!is_array($events)) {
+            return new WP_Error('invalid_batch', 'Invalid event batch', 400);
+        }
+
+        // The client holds events back without consent; refuse browsers that opted out regardless
+        if ((new SPB_Consent())->request_opted_out()) {
+            return new WP_Error('tracking_opted_out', 'Tracking is disabled for this visitor', 403);
+        }
+
+        // A retried batch that already reached us is acknowledged without storing it twice
+        if ($batch_id && get_transient('spb_event_batch_' . $batch_id)) {
+            return ['accepted' => 0, 'duplicate' => true];
+        }
+
+        $accepted = 0;
+        foreach (array_slice($events, 0, self::MAX_BATCH_SIZE) as $event) {
+            if ($this->store_event($event)) {
+                $accepted++;
+            }
+        }
+
+        if ($batch_id) {
+            set_transient('spb_event_batch_' . $batch_id, 1, self::BATCH_ID_TTL);
+        }
+
+        return [
+            'accepted' => $accepted,
+            'rejected' => count($events) - $accepted
+        ];
+    }
+
+    /**
+     * Validate and store a single event
+     *
+     * @param array $event Raw event from the client queue
+     * @return bool Whether the event was stored
+     */
+    private function store_event($event) {
+        global $wpdb;
+
+        if (!is_array($event) || empty($event['type']) || !isset($this->channels[$event['channel'] ?? ''])) {
+            return false;
+        }
+
+        $channel = $event['channel'];
+        $type = substr(sanitize_key($event['type']), 0, 50);
+        $data = $this->sanitize_event_data($event['data'] ?? []);
+        $session_id = substr(sanitize_text_field($event['session_id'] ?? ''), 0, 100);
+        $created_at = $this->get_event_time($event['timestamp'] ?? 0);
+
+        // Only a user adds to their own profile
+        if (!SPB_Visitor_Profile::can_access_session($session_id)) {
+            return false;
+        }
+
+        $data['url'] = esc_url_raw($event['url'] ?? '');
+
+        /**
+         * Filters an event before it is stored. Return false to drop it.
+         *
+         * @param array  $data    Sanitized event data.
+         * @param string $type    Event type.
+         * @param string $channel Event channel.
+         */
+        $data = apply_filters('spb_tracked_event_data', $data, $type, $channel);
+        if ($data === false) {
+            return false;
+        }
+
+        if ($channel === 'personalization') {
+            $result = $wpdb->insert(
+                $wpdb->prefix . $this->channels[$channel],
+                [
+                    'user_id' => get_current_user_id() ?: null,
+                    'session_id' => $session_id,
+                    'signal_type' => $type,
+                    'signal_data' => wp_json_encode($data),
+                    'created_at' => $created_at
+                ],
+                ['%d', '%s', '%s', '%s', '%s']
+            );
+        } else {
+            $result = $wpdb->insert(
+                $wpdb->prefix . $this->channels[$channel],
+                [
+                    'event_type' => $type,
+                    'event_data' => wp_json_encode($data),
+                    'user_id' => get_current_user_id() ?: null,
+                    'session_id' => $session_id,
+                    'user_agent' => sanitize_text_field($_SERVER['HTTP_USER_AGENT'] ?? ''),
+                    'created_at' => $created_at
+                ],
+                ['%s', '%s', '%d', '%s', '%s', '%s']
+            );
+        }
+
+        if ($result === false) {
+            error_log('SPB Event Collector: Failed to store event ' . $type . ': ' . $wpdb->last_error);
+            return false;
+        }
+
+        do_action('spb_event_tracked', $type, $data, $channel, $session_id);
+
+        return true;
+    }
+
+    /**
+     * Recursively sanitize event data
+     *
+     * @param mixed $data Raw event data
+     * @param int $depth Current nesting depth
+     * @return array Sanitized data
+     */
+    private function sanitize_event_data($data, $depth = 0) {
+        if (!is_array($data) || $depth > 3) {
+            return [];
+        }
+
+        $sanitized = [];
+        foreach ($data as $key => $value) {
+            $key = sanitize_key($key);
+
+            if (is_array($value)) {
+                $sanitized[$key] = $this->sanitize_event_data($value, $depth + 1);
+            } elseif (is_bool($value) || is_int($value) || is_float($value)) {
+                $sanitized[$key] = $value;
+            } else {
+                $sanitized[$key] = substr(sanitize_text_field((string) $value), 0, 500);
+            }
+        }
+
+        return $sanitized;
+    }
+
+    /**
+     * Convert the client timestamp to a MySQL date, falling back to now
+     *
+     * Events replayed from offline storage keep the time they happened.
+     *
+     * @param int $timestamp Client timestamp in milliseconds
+     * @return string MySQL datetime
+     */
+    private function get_event_time($timestamp) {
+        $seconds = (int) ($timestamp / 1000);
+
+        // Reject clock skew into the future and anything older than a week
+        if ($seconds <= 0 || $seconds > time() + 300 || $seconds < time() - WEEK_IN_SECONDS) {
+            return current_time('mysql');
+        }
+
+        return get_date_from_gmt(gmdate('Y-m-d H:i:s', $seconds));
+    }
+}
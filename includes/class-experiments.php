@@ -0,0 +1,254 @@
+<?php
+/**
+ * Experiments
+ *
+ * A/B experiments on generated hero and CTA components. Editors pair a
+ * generated component with an alternative headline, description or button
+ * text; pages render every variant and the public script shows each visitor
+ * one of them, sticky per visitor.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Experiments class
+ */
+class SPB_Experiments {
+
+    /**
+     * Option name the experiments are stored in
+     */
+    const OPTION_NAME = 'spb_experiments';
+
+    /**
+     * Id of the variant showing the generated content unchanged
+     */
+    const CONTROL_VARIANT = 'control';
+
+    /**
+     * Id of the variant showing the editor's alternative
+     */
+    const TEST_VARIANT = 'b';
+
+    /**
+     * Content fields an experiment can replace, per component
+     */
+    private $fields = [
+        'hero' => [
+            'headline' => ['headline'],
+            'description' => ['subheadline'],
+            'button_text' => ['cta_primary', 'text']
+        ],
+        'cta' => [
+            'headline' => ['headline'],
+            'description' => ['description'],
+            'button_text' => ['primary_button', 'text']
+        ]
+    ];
+
+    /**
+     * Get all stored experiments
+     *
+     * @return array Experiments
+     */
+    public function get_experiments() {
+        return (array) get_option(self::OPTION_NAME, []);
+    }
+
+    /**
+     * Get the running experiment for a component
+     *
+     * @param string $component_id Component id stamped by SPB_Conversion_Attribution
+     * @return array|null Experiment
+     */
+    public function get_experiment_for($component_id) {
+        foreach ($this->get_experiments() as $experiment) {
+            if (!empty($experiment['running']) && $component_id !== '' && $experiment['component_id'] === $component_id) {
+                return $experiment;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the running experiments in the shape expected by the public script
+     *
+     * @return array Experiments for spb_public.experiments
+     */
+    public function get_client_experiments() {
+        $experiments = [];
+
+        foreach ($this->get_experiments() as $experiment) {
+            if (empty($experiment['running'])) {
+                continue;
+            }
+
+            $experiments[] = [
+                'id' => $experiment['id'],
+                'component_id' => $experiment['component_id'],
+                'variants' => [
+                    ['id' => self::CONTROL_VARIANT, 'weight' => 100 - $experiment['traffic']],
+                    ['id' => self::TEST_VARIANT, 'weight' => $experiment['traffic']]
+                ]
+            ];
+        }
+
+        /**
+         * Filters the experiments delivered to the public script.
+         *
+         * Each experiment has an id, the component_id it runs on and its
+         * variants with a relative weight.
+         *
+         * @param array $experiments Running experiments.
+         */
+        return apply_filters('spb_client_experiments', $experiments);
+    }
+
+    /**
+     * Get the content of every variant of a component
+     *
+     * The control comes first, so it is what visitors without JavaScript see.
+     *
+     * @param array $content Component content stamped with a component_id
+     * @param string $component Component type, 'hero' or 'cta'
+     * @return array Variant contents, each with its 'variant' and 'experiment' set;
+     *               just the content itself when no experiment is running on it
+     */
+    public function get_variant_contents($content, $component) {
+        $experiment = is_array($content) ? $this->get_experiment_for($content['component_id'] ?? '') : null;
+
+        if (!$experiment || !isset($this->fields[$component])) {
+            return [$content];
+        }
+
+        $control = array_merge($content, [
+            'variant' => self::CONTROL_VARIANT,
+            'experiment' => $experiment['id']
+        ]);
+
+        $test = array_merge($control, ['variant' => self::TEST_VARIANT]);
+        foreach ($this->fields[$component] as $field => $path) {
+            if ($experiment[$field] === '') {
+                continue;
+            }
+
+            if (count($path) === 2) {
+                $test[$path[0]] = array_merge((array) ($test[$path[0]] ?? []), [$path[1] => $experiment[$field]]);
+            } else {
+                $test[$path[0]] = $experiment[$field];
+            }
+        }
+
+        // Button ids stay per slot; the variant attribute tells the variants apart
+        return [$control, $test];
+    }
+
+    /**
+     * Render the opening tag of the element wrapping a component's variants
+     *
+     * @param array $variants Variant contents from get_variant_contents()
+     * @return string HTML, or an empty string without an experiment
+     */
+    public function open_variants($variants) {
+        if (count($variants) < 2) {
+            return '';
+        }
+
+        return '<div class="spb-experiment" data-spb-experiment="' . esc_attr($variants[0]['experiment']) . '">';
+    }
+
+    /**
+     * Render the closing tag of the element wrapping a component's variants
+     *
+     * @param array $variants Variant contents from get_variant_contents()
+     * @return string HTML, or an empty string without an experiment
+     */
+    public function close_variants($variants) {
+        return count($variants) < 2 ? '' : '</div>';
+    }
+
+    /**
+     * Render the attribute hiding all but the control variant until the public script picks one
+     *
+     * @param array $content Variant content
+     * @return string Attribute with a leading space, or an empty string
+     */
+    public function get_hidden_attribute($content) {
+        return !empty($content['experiment']) && ($content['variant'] ?? '') !== self::CONTROL_VARIANT ? ' hidden' : '';
+    }
+
+    /**
+     * List the hero and CTA components of recently approved pages an experiment can run on
+     *
+     * @param int $limit Maximum number of pages
+     * @return array Labels keyed by component id
+     */
+    public function get_component_choices($limit = 50) {
+        global $wpdb;
+
+        $queries = $wpdb->get_col($wpdb->prepare(
+            "SELECT search_query FROM {$wpdb->prefix}spb_search_pages
+             WHERE approval_status = 'approved'
+             ORDER BY created_at DESC
+             LIMIT %d",
+            max(1, absint($limit))
+        ));
+
+        $attribution = new SPB_Conversion_Attribution();
+        $choices = [];
+
+        foreach ((array) $queries as $query) {
+            /* translators: %s: search query */
+            $choices[$attribution->get_component_id('hero', $query)] = sprintf(__('Hero – %s', 'smart-page-builder'), $query);
+            /* translators: %s: search query */
+            $choices[$attribution->get_component_id('cta', $query)] = sprintf(__('CTA – %s', 'smart-page-builder'), $query);
+        }
+
+        return $choices;
+    }
+
+    /**
+     * Sanitize experiments submitted from the settings screen
+     *
+     * Rows without an id or a component are dropped, so clearing a row's id
+     * deletes the experiment.
+     *
+     * @param array $input Raw rows
+     * @return array Sanitized experiments
+     */
+    public function sanitize_experiments($input) {
+        $experiments = [];
+
+        foreach ((is_array($input) ? $input : []) as $row) {
+            if (!is_array($row)) {
+                continue;
+            }
+
+            $id = sanitize_key($row['id'] ?? '');
+            $component_id = sanitize_key($row['component_id'] ?? '');
+
+            if ($id === '' || $component_id === '' || isset($experiments[$id])) {
+                continue;
+            }
+
+            $experiments[$id] = [
+                'id' => $id,
+                'component_id' => $component_id,
+                'headline' => sanitize_text_field($row['headline'] ?? ''),
+                'description' => sanitize_text_field($row['description'] ?? ''),
+                'button_text' => sanitize_text_field($row['button_text'] ?? ''),
+                'traffic' => min(100, absint($row['traffic'] ?? 50)),
+                'running' => !empty($row['running'])
+            ];
+        }
+
+        return array_values($experiments);
+    }
+}
@@ -34,6 +34,20 @@ class Smart_Page_Builder_i18n {
         );
     }
 
+    /**
+     * Load the JavaScript translations of a script
+     *
+     * Strings in the scripts are translated through wp.i18n from the JSON
+     * catalogs generated with `wp i18n make-json languages/`.
+     *
+     * @since    3.7.0
+     * @param    string    $handle    Script handle.
+     * @return   bool                 True if the translations were registered.
+     */
+    public function set_script_translations($handle) {
+        return wp_set_script_translations($handle, 'smart-page-builder', SPB_PLUGIN_DIR . 'languages');
+    }
+
     /**
      * Get available languages
      *
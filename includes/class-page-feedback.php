@@ -0,0 +1,349 @@
+<?php
+/**
+ * Page Feedback
+ *
+ * Stores visitor feedback left on generated pages - helpful / not helpful
+ * votes, inaccuracy reports and unsafe content flags - and summarizes it per
+ * search query for the approval queue and content management screens.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Page Feedback class
+ */
+class SPB_Page_Feedback {
+
+    /**
+     * Option enabling the feedback widget
+     */
+    const OPTION_NAME = 'spb_enable_page_feedback';
+
+    /**
+     * Accepted feedback types
+     */
+    const TYPES = ['helpful', 'not_helpful', 'inaccuracy', 'unsafe'];
+
+    /**
+     * Maximum length of quoted text and comments
+     */
+    const MAX_TEXT_LENGTH = 1000;
+
+    /**
+     * Reports one visitor may send per page and hour
+     */
+    const MAX_REPORTS_PER_HOUR = 5;
+
+    /**
+     * Votes needed before the not-helpful share is treated as a review signal
+     */
+    const REVIEW_MIN_VOTES = 5;
+
+    /**
+     * Not-helpful share of votes that flags a page for re-review
+     */
+    const REVIEW_NOT_HELPFUL_RATIO = 0.5;
+
+    /**
+     * Register the AJAX handlers the public widget submits to
+     */
+    public function init_hooks() {
+        add_action('wp_ajax_spb_submit_page_feedback', array($this, 'ajax_submit_feedback'));
+        add_action('wp_ajax_nopriv_spb_submit_page_feedback', array($this, 'ajax_submit_feedback'));
+    }
+
+    /**
+     * Check whether visitors may leave feedback
+     *
+     * @return bool
+     */
+    public static function is_enabled() {
+        return (bool) get_option(self::OPTION_NAME, false);
+    }
+
+    /**
+     * AJAX handler for feedback sent from the public widget
+     */
+    public function ajax_submit_feedback() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'spb_public_nonce')) {
+            wp_send_json_error(['message' => 'Security check failed'], 403);
+        }
+
+        if (!self::is_enabled()) {
+            wp_send_json_error(['message' => 'Page feedback is disabled'], 403);
+        }
+
+        $result = $this->submit_feedback(wp_unslash($_POST), $this->get_visitor_key());
+
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()], $result->get_error_data() ?: 400);
+        }
+
+        wp_send_json_success(['feedback_id' => $result]);
+    }
+
+    /**
+     * Validate and store feedback for a page
+     *
+     * @param array $data {
+     *     @type int    $page_id       Search page or post ID.
+     *     @type string $source        'search_page' or 'post'.
+     *     @type string $feedback_type One of self::TYPES.
+     *     @type string $selected_text Text the visitor selected on the page.
+     *     @type string $comment       Free-text comment.
+     * }
+     * @param string $visitor_key Key identifying the visitor for rate limiting
+     * @return int|WP_Error Feedback ID or error
+     */
+    public function submit_feedback($data, $visitor_key) {
+        global $wpdb;
+
+        $type = sanitize_key($data['feedback_type'] ?? '');
+        if (!in_array($type, self::TYPES, true)) {
+            return new WP_Error('invalid_feedback_type', 'Invalid feedback type', 400);
+        }
+
+        $page = $this->resolve_page(absint($data['page_id'] ?? 0), sanitize_key($data['source'] ?? ''));
+        if (!$page) {
+            return new WP_Error('invalid_page', 'Unknown page', 404);
+        }
+
+        $selected_text = $this->truncate(sanitize_textarea_field($data['selected_text'] ?? ''));
+        $comment = $this->truncate(sanitize_textarea_field($data['comment'] ?? ''));
+
+        if ($type === 'inaccuracy' && $selected_text === '' && $comment === '') {
+            return new WP_Error('empty_report', 'Describe the inaccuracy or select the text it is in', 400);
+        }
+
+        $limit_key = 'spb_feedback_' . md5($visitor_key . '|' . $page['source'] . '|' . $page['id'] . '|' . $this->get_feedback_group($type));
+        $count = (int) get_transient($limit_key);
+
+        if ($this->is_vote($type) ? $count > 0 : $count >= self::MAX_REPORTS_PER_HOUR) {
+            return new WP_Error('feedback_limit', 'Feedback already received for this page', 429);
+        }
+
+        $result = $wpdb->insert(
+            $wpdb->prefix . 'spb_page_feedback',
+            [
+                'search_page_id' => $page['source'] === 'search_page' ? $page['id'] : null,
+                'post_id' => $page['source'] === 'post' ? $page['id'] : null,
+                'search_query' => $page['search_query'],
+                'feedback_type' => $type,
+                'selected_text' => $selected_text,
+                'comment' => $comment,
+                'user_id' => get_current_user_id() ?: null,
+                'created_at' => current_time('mysql')
+            ],
+            ['%d', '%d', '%s', '%s', '%s', '%s', '%d', '%s']
+        );
+
+        if (!$result) {
+            return new WP_Error('feedback_not_saved', 'Feedback could not be saved', 500);
+        }
+
+        $feedback_id = (int) $wpdb->insert_id;
+        set_transient($limit_key, $count + 1, $this->is_vote($type) ? DAY_IN_SECONDS : HOUR_IN_SECONDS);
+
+        $summary = $this->get_summaries([$page['search_query']])[$page['search_query']] ?? null;
+
+        /**
+         * Fires after visitor feedback is stored.
+         *
+         * @param int        $feedback_id Feedback ID.
+         * @param string     $type        Feedback type.
+         * @param array      $page        Page the feedback is for (id, source, search_query).
+         * @param array|null $summary     Feedback summary for the page's search query.
+         */
+        do_action('spb_page_feedback_submitted', $feedback_id, $type, $page, $summary);
+
+        if ($summary && $summary['needs_review']) {
+            /**
+             * Fires when feedback marks a generated page for re-review or regeneration.
+             *
+             * @param string $search_query Search query of the page.
+             * @param array  $summary      Feedback summary.
+             * @param array  $page         Page the feedback is for.
+             */
+            do_action('spb_page_flagged_for_review', $page['search_query'], $summary, $page);
+        }
+
+        return $feedback_id;
+    }
+
+    /**
+     * Summarize feedback for a set of search queries
+     *
+     * @param array $queries Search queries
+     * @return array Summaries keyed by search query
+     */
+    public function get_summaries($queries) {
+        global $wpdb;
+
+        $queries = array_values(array_unique(array_filter(array_map('strval', (array) $queries), 'strlen')));
+        if (empty($queries)) {
+            return [];
+        }
+
+        $table_name = $wpdb->prefix . 'spb_page_feedback';
+        $placeholders = implode(', ', array_fill(0, count($queries), '%s'));
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT search_query,
+                SUM(feedback_type = 'helpful') AS helpful,
+                SUM(feedback_type = 'not_helpful') AS not_helpful,
+                SUM(feedback_type = 'inaccuracy') AS inaccuracies,
+                SUM(feedback_type = 'unsafe') AS unsafe,
+                MAX(created_at) AS last_feedback_at
+             FROM {$table_name}
+             WHERE search_query IN ({$placeholders})
+             GROUP BY search_query",
+            $queries
+        ), ARRAY_A);
+
+        $summaries = [];
+        foreach ((array) $rows as $row) {
+            $summaries[$row['search_query']] = $this->build_summary($row);
+        }
+
+        return $summaries;
+    }
+
+    /**
+     * Build a summary from aggregated counts
+     *
+     * A page needs re-review once it is flagged as unsafe, reported as
+     * inaccurate, or voted not helpful by at least half of enough visitors.
+     *
+     * @param array $counts Counts per feedback type
+     * @return array Summary
+     */
+    public function build_summary($counts) {
+        $summary = [
+            'helpful' => (int) ($counts['helpful'] ?? 0),
+            'not_helpful' => (int) ($counts['not_helpful'] ?? 0),
+            'inaccuracies' => (int) ($counts['inaccuracies'] ?? 0),
+            'unsafe' => (int) ($counts['unsafe'] ?? 0),
+            'last_feedback_at' => $counts['last_feedback_at'] ?? null
+        ];
+
+        $votes = $summary['helpful'] + $summary['not_helpful'];
+        $summary['votes'] = $votes;
+        $summary['helpful_ratio'] = $votes ? round($summary['helpful'] / $votes, 2) : null;
+
+        $summary['needs_review'] = $summary['unsafe'] > 0
+            || $summary['inaccuracies'] > 0
+            || ($votes >= self::REVIEW_MIN_VOTES && $summary['not_helpful'] / $votes >= self::REVIEW_NOT_HELPFUL_RATIO);
+
+        return $summary;
+    }
+
+    /**
+     * Get the latest inaccuracy reports and unsafe flags for a search query
+     *
+     * @param string $search_query Search query
+     * @param int $limit Maximum number of reports
+     * @return array Reports, newest first
+     */
+    public function get_reports($search_query, $limit = 3) {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'spb_page_feedback';
+
+        return (array) $wpdb->get_results($wpdb->prepare(
+            "SELECT feedback_type, selected_text, comment, created_at FROM {$table_name}
+             WHERE search_query = %s AND feedback_type IN ('inaccuracy', 'unsafe')
+             ORDER BY created_at DESC, id DESC
+             LIMIT %d",
+            $search_query,
+            max(1, absint($limit))
+        ), ARRAY_A);
+    }
+
+    /**
+     * Look up the page feedback was left on
+     *
+     * @param int $page_id Search page or post ID
+     * @param string $source 'search_page' or 'post'
+     * @return array|null Page id, source and search query
+     */
+    private function resolve_page($page_id, $source) {
+        global $wpdb;
+
+        if (!$page_id) {
+            return null;
+        }
+
+        if ($source === 'search_page') {
+            $search_query = $wpdb->get_var($wpdb->prepare(
+                "SELECT search_query FROM {$wpdb->prefix}spb_search_pages WHERE id = %d",
+                $page_id
+            ));
+        } elseif ($source === 'post' && get_post_status($page_id) === 'publish') {
+            $search_query = get_post_meta($page_id, '_spb_search_query', true) ?: get_the_title($page_id);
+        } else {
+            return null;
+        }
+
+        if ($search_query === null || $search_query === '') {
+            return null;
+        }
+
+        return [
+            'id' => $page_id,
+            'source' => $source,
+            'search_query' => $search_query
+        ];
+    }
+
+    /**
+     * Identify the visitor without storing their IP address
+     *
+     * @return string Visitor key
+     */
+    public function get_visitor_key() {
+        $user_id = get_current_user_id();
+        if ($user_id) {
+            return 'user_' . $user_id;
+        }
+
+        return 'ip_' . wp_hash(($_SERVER['REMOTE_ADDR'] ?? '') . '|' . ($_SERVER['HTTP_USER_AGENT'] ?? ''));
+    }
+
+    /**
+     * Check whether a feedback type is a vote
+     *
+     * @param string $type Feedback type
+     * @return bool
+     */
+    private function is_vote($type) {
+        return in_array($type, ['helpful', 'not_helpful'], true);
+    }
+
+    /**
+     * Group feedback types that share a rate limit
+     *
+     * Helpful and not helpful are one vote, so a visitor cannot cast both.
+     *
+     * @param string $type Feedback type
+     * @return string Group name
+     */
+    private function get_feedback_group($type) {
+        return $this->is_vote($type) ? 'vote' : $type;
+    }
+
+    /**
+     * Limit free text to the stored length
+     *
+     * @param string $text Text
+     * @return string Truncated text
+     */
+    private function truncate($text) {
+        return function_exists('mb_substr') ? mb_substr($text, 0, self::MAX_TEXT_LENGTH) : substr($text, 0, self::MAX_TEXT_LENGTH);
+    }
+}
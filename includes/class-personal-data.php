@@ -0,0 +1,597 @@
+<?php
+/**
+ * Personal Data
+ *
+ * Lets visitors take out and erase what the plugin recorded about them: the
+ * interest profile and the preferences they set, the interaction log kept in
+ * spb_user_signals and spb_analytics, and the generated pages their searches
+ * triggered.
+ *
+ * Anonymous visitors are known by their session id, so exporting or erasing
+ * its data also takes the session token the page was issued with it (see
+ * SPB_Visitor_Profile::get_session_token()); a session id read from a log or
+ * another visitor's request opens nothing. Erasing takes two requests: the
+ * first sets a short-lived token in an HttpOnly cookie, and the second
+ * erases the data when the browser sends the cookie back, so only the
+ * browser that asked can confirm. Logged-in visitors go through the
+ * WordPress personal data request instead, confirmed by email, and the
+ * plugin's exporter and eraser are registered with the WordPress privacy
+ * tools.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Personal Data class
+ */
+class SPB_Personal_Data {
+
+    /**
+     * Nonce action checked by the AJAX handlers
+     */
+    const NONCE_ACTION = 'spb_personalization_nonce';
+
+    /**
+     * How long an erasure token can be confirmed
+     */
+    const ERASURE_TTL = 15 * MINUTE_IN_SECONDS;
+
+    /**
+     * Cookie the erasure token is kept in
+     */
+    const ERASURE_COOKIE = 'spb_erasure_token';
+
+    /**
+     * Signal type recording a generated page a visitor's search triggered
+     */
+    const TRIGGERED_PAGE_SIGNAL = 'search_page_triggered';
+
+    /**
+     * Log entries the WordPress exporter sends per page
+     */
+    const EXPORT_PAGE_SIZE = 500;
+
+    /**
+     * Tables holding data recorded about a visitor, by session and by user
+     */
+    const TABLES = [
+        'spb_user_interest_vectors',
+        'spb_interest_preferences',
+        'spb_user_signals',
+        'spb_analytics',
+        'spb_user_consent'
+    ];
+
+    /**
+     * Tables holding data recorded about a signed-in visitor, by user only
+     */
+    const USER_TABLES = [
+        'spb_page_feedback'
+    ];
+
+    /**
+     * Visitor profile
+     *
+     * @var SPB_Visitor_Profile
+     */
+    private $visitor_profile;
+
+    /**
+     * Constructor
+     *
+     * @param SPB_Visitor_Profile $visitor_profile Visitor profile
+     */
+    public function __construct($visitor_profile) {
+        $this->visitor_profile = $visitor_profile;
+    }
+
+    /**
+     * Register the AJAX handlers and the WordPress privacy tools integration
+     */
+    public function init_hooks() {
+        $handlers = [
+            'spb_export_personal_data' => 'ajax_export',
+            'spb_request_data_erasure' => 'ajax_request_erasure',
+            'spb_confirm_data_erasure' => 'ajax_confirm_erasure'
+        ];
+
+        foreach ($handlers as $action => $method) {
+            add_action('wp_ajax_' . $action, array($this, $method));
+            add_action('wp_ajax_nopriv_' . $action, array($this, $method));
+        }
+
+        add_action('spb_search_page_requested', array($this, 'record_triggered_page'), 10, 3);
+        add_filter('wp_privacy_personal_data_exporters', array($this, 'register_exporter'));
+        add_filter('wp_privacy_personal_data_erasers', array($this, 'register_eraser'));
+    }
+
+    /**
+     * AJAX handler returning everything recorded about the visitor
+     */
+    public function ajax_export() {
+        $session_id = $this->get_posted_session_id();
+
+        $this->send_ajax_result($this->export($session_id, wp_unslash($_POST['session_token'] ?? '')));
+    }
+
+    /**
+     * AJAX handler starting an erasure
+     */
+    public function ajax_request_erasure() {
+        $session_id = $this->get_posted_session_id();
+
+        $this->send_ajax_result($this->request_erasure($session_id, wp_unslash($_POST['session_token'] ?? '')));
+    }
+
+    /**
+     * AJAX handler erasing the visitor's data once the token checks out
+     */
+    public function ajax_confirm_erasure() {
+        $this->send_ajax_result($this->confirm_erasure($this->get_posted_session_id()));
+    }
+
+    /**
+     * Export everything recorded under a session
+     *
+     * @param string $session_id Visitor session id
+     * @param string $session_token Token the anonymous session was issued with
+     * @return array|WP_Error session_id, exported_at, interests, inferred, preferences,
+     *                        interactions and generated_pages, or error
+     */
+    public function export($session_id, $session_token) {
+        $session_id = $this->sanitize_session_id($session_id);
+        if (!$this->is_issued_session($session_id, $session_token)) {
+            return new WP_Error('invalid_session_token', 'The session was not issued to this browser', 403);
+        }
+
+        $profile = $this->visitor_profile->get_profile($session_id);
+        if (is_wp_error($profile)) {
+            return $profile;
+        }
+
+        $interactions = $this->get_interactions('session_id', $profile['session_id']);
+
+        return [
+            'session_id' => $profile['session_id'],
+            'exported_at' => gmdate('c'),
+            'interests' => $profile['interests'],
+            'inferred' => $profile['inferred'],
+            'preferences' => $profile['preferences'],
+            'interactions' => $interactions,
+            'generated_pages' => $this->get_triggered_pages($interactions)
+        ];
+    }
+
+    /**
+     * Start erasing a visitor's data
+     *
+     * Logged-in visitors are sent the WordPress confirmation email; anonymous
+     * visitors' browsers get the token to confirm with in a cookie.
+     *
+     * @param string $session_id Visitor session id
+     * @param string $session_token Token the anonymous session was issued with
+     * @return array|WP_Error 'status' 'confirmation_sent', or 'confirm' with 'expires_in'; or error
+     */
+    public function request_erasure($session_id, $session_token) {
+        $session_id = $this->sanitize_session_id($session_id);
+        if ($session_id === '') {
+            return new WP_Error('missing_session', 'Missing session id', 400);
+        }
+
+        if (!$this->is_issued_session($session_id, $session_token)) {
+            return new WP_Error('invalid_session_token', 'The session was not issued to this browser', 403);
+        }
+
+        if (is_user_logged_in()) {
+            $request_id = wp_create_user_request(wp_get_current_user()->user_email, 'remove_personal_data');
+
+            // The email for a request still awaiting confirmation went out already
+            if (is_wp_error($request_id) && $request_id->get_error_code() === 'duplicate_request') {
+                return ['status' => 'confirmation_sent'];
+            }
+
+            if (is_wp_error($request_id)) {
+                return new WP_Error('erasure_request_failed', $request_id->get_error_message(), 500);
+            }
+
+            $sent = wp_send_user_request($request_id);
+            if (is_wp_error($sent)) {
+                return new WP_Error('erasure_request_failed', $sent->get_error_message(), 500);
+            }
+
+            return ['status' => 'confirmation_sent'];
+        }
+
+        $token = wp_generate_password(32, false);
+        set_transient($this->get_erasure_key($session_id), wp_hash($token), self::ERASURE_TTL);
+        $this->set_erasure_cookie($token, time() + self::ERASURE_TTL);
+
+        return [
+            'status' => 'confirm',
+            'expires_in' => self::ERASURE_TTL
+        ];
+    }
+
+    /**
+     * Erase a session's data with the token request_erasure() set in the
+     * browser's cookie
+     *
+     * @param string $session_id Visitor session id
+     * @return array|WP_Error 'erased' true and 'items_removed', or error
+     */
+    public function confirm_erasure($session_id) {
+        $session_id = $this->sanitize_session_id($session_id);
+        if ($session_id === '') {
+            return new WP_Error('missing_session', 'Missing session id', 400);
+        }
+
+        $key = $this->get_erasure_key($session_id);
+        $expected = get_transient($key);
+        $token = isset($_COOKIE[self::ERASURE_COOKIE]) ? wp_unslash($_COOKIE[self::ERASURE_COOKIE]) : '';
+
+        if (!$expected || !is_string($token) || !hash_equals($expected, wp_hash($token))) {
+            return new WP_Error('invalid_erasure_token', 'The erasure request expired or was not made from this browser', 403);
+        }
+
+        delete_transient($key);
+        $this->set_erasure_cookie('', time() - HOUR_IN_SECONDS);
+
+        return [
+            'erased' => true,
+            'items_removed' => $this->erase('session_id', $session_id)
+        ];
+    }
+
+    /**
+     * Record the generated page a visitor's search triggered
+     *
+     * Only for visitors whose browser sent their session id, which the SDK
+     * does once tracking is allowed.
+     *
+     * @param string $query Search query
+     * @param string $query_hash Hash the generated page is stored under
+     * @param string $session_id Visitor session id
+     */
+    public function record_triggered_page($query, $query_hash, $session_id) {
+        global $wpdb;
+
+        $session_id = $this->sanitize_session_id($session_id);
+        if ($session_id === '' || (new SPB_Consent())->request_opted_out()) {
+            return;
+        }
+
+        $wpdb->insert(
+            $wpdb->prefix . 'spb_user_signals',
+            [
+                'user_id' => get_current_user_id() ?: null,
+                'session_id' => $session_id,
+                'signal_type' => self::TRIGGERED_PAGE_SIGNAL,
+                'signal_data' => wp_json_encode(['query' => $query, 'query_hash' => $query_hash]),
+                'created_at' => current_time('mysql')
+            ],
+            ['%d', '%s', '%s', '%s', '%s']
+        );
+    }
+
+    /**
+     * Add the plugin's exporter to the WordPress privacy tools
+     *
+     * @param array $exporters Exporters
+     * @return array
+     */
+    public function register_exporter($exporters) {
+        $exporters['smart-page-builder'] = [
+            'exporter_friendly_name' => __('Smart Page Builder', 'smart-page-builder'),
+            'callback' => array($this, 'export_user_data')
+        ];
+
+        return $exporters;
+    }
+
+    /**
+     * Add the plugin's eraser to the WordPress privacy tools
+     *
+     * @param array $erasers Erasers
+     * @return array
+     */
+    public function register_eraser($erasers) {
+        $erasers['smart-page-builder'] = [
+            'eraser_friendly_name' => __('Smart Page Builder', 'smart-page-builder'),
+            'callback' => array($this, 'erase_user_data')
+        ];
+
+        return $erasers;
+    }
+
+    /**
+     * Export a user's data for the WordPress privacy tools, a page of the
+     * interaction log at a time
+     *
+     * @param string $email_address User email
+     * @param int $page Page, from 1
+     * @return array 'data' and 'done'
+     */
+    public function export_user_data($email_address, $page = 1) {
+        global $wpdb;
+
+        $user = get_user_by('email', $email_address);
+        if (!$user) {
+            return ['data' => [], 'done' => true];
+        }
+
+        $page = max(1, (int) $page);
+        $items = [];
+
+        if ($page === 1) {
+            $interests = $wpdb->get_results($wpdb->prepare(
+                "SELECT interest_category, interest_score FROM {$wpdb->prefix}spb_user_interest_vectors WHERE user_id = %d",
+                $user->ID
+            ), ARRAY_A);
+
+            foreach ((array) $interests as $interest) {
+                $items[] = [
+                    'group_id' => 'spb-interests',
+                    'group_label' => __('Inferred Interests', 'smart-page-builder'),
+                    'item_id' => 'spb-interest-' . $interest['interest_category'],
+                    'data' => [
+                        ['name' => __('Interest', 'smart-page-builder'), 'value' => $interest['interest_category']],
+                        ['name' => __('Score', 'smart-page-builder'), 'value' => $interest['interest_score']]
+                    ]
+                ];
+            }
+
+            $feedback = $wpdb->get_results($wpdb->prepare(
+                "SELECT id, search_query, feedback_type, selected_text, comment, created_at FROM {$wpdb->prefix}spb_page_feedback WHERE user_id = %d ORDER BY created_at ASC",
+                $user->ID
+            ), ARRAY_A);
+
+            foreach ((array) $feedback as $entry) {
+                $items[] = [
+                    'group_id' => 'spb-feedback',
+                    'group_label' => __('Page Feedback', 'smart-page-builder'),
+                    'item_id' => 'spb-feedback-' . $entry['id'],
+                    'data' => [
+                        ['name' => __('Feedback', 'smart-page-builder'), 'value' => $entry['feedback_type']],
+                        ['name' => __('Page', 'smart-page-builder'), 'value' => $entry['search_query']],
+                        ['name' => __('Selected Text', 'smart-page-builder'), 'value' => (string) $entry['selected_text']],
+                        ['name' => __('Comment', 'smart-page-builder'), 'value' => (string) $entry['comment']],
+                        ['name' => __('Date', 'smart-page-builder'), 'value' => $entry['created_at']]
+                    ]
+                ];
+            }
+        }
+
+        $interactions = $this->get_interactions('user_id', $user->ID, self::EXPORT_PAGE_SIZE, ($page - 1) * self::EXPORT_PAGE_SIZE);
+
+        foreach ($interactions as $index => $interaction) {
+            $items[] = [
+                'group_id' => 'spb-interactions',
+                'group_label' => __('Interaction Log', 'smart-page-builder'),
+                'item_id' => 'spb-interaction-' . (($page - 1) * self::EXPORT_PAGE_SIZE + $index),
+                'data' => [
+                    ['name' => __('Event', 'smart-page-builder'), 'value' => $interaction['type']],
+                    ['name' => __('Details', 'smart-page-builder'), 'value' => wp_json_encode($interaction['data'])],
+                    ['name' => __('Date', 'smart-page-builder'), 'value' => $interaction['created_at']]
+                ]
+            ];
+        }
+
+        return [
+            'data' => $items,
+            'done' => count($interactions) < self::EXPORT_PAGE_SIZE
+        ];
+    }
+
+    /**
+     * Erase a user's data for the WordPress privacy tools
+     *
+     * @param string $email_address User email
+     * @param int $page Page, from 1
+     * @return array Eraser response
+     */
+    public function erase_user_data($email_address, $page = 1) {
+        $user = get_user_by('email', $email_address);
+
+        return [
+            'items_removed' => $user ? $this->erase('user_id', $user->ID) : 0,
+            'items_retained' => false,
+            'messages' => [],
+            'done' => true
+        ];
+    }
+
+    /**
+     * Read the interaction log, oldest first
+     *
+     * @param string $column 'session_id' or 'user_id'
+     * @param string|int $value Session id or user id
+     * @param int $limit Most entries, 0 for all
+     * @param int $offset Entries to skip
+     * @return array Entries with channel, type, data and created_at
+     */
+    private function get_interactions($column, $value, $limit = 0, $offset = 0) {
+        global $wpdb;
+
+        $format = $column === 'user_id' ? '%d' : '%s';
+        $sql = $wpdb->prepare(
+            "SELECT 'personalization' AS channel, signal_type AS type, signal_data AS data, created_at
+             FROM {$wpdb->prefix}spb_user_signals WHERE {$column} = {$format}
+             UNION ALL
+             SELECT 'public' AS channel, event_type AS type, event_data AS data, created_at
+             FROM {$wpdb->prefix}spb_analytics WHERE {$column} = {$format}
+             ORDER BY created_at ASC",
+            $value,
+            $value
+        );
+
+        if ($limit) {
+            $sql .= $wpdb->prepare(' LIMIT %d, %d', $offset, $limit);
+        }
+
+        return array_map(function($row) {
+            $row['data'] = json_decode($row['data'], true) ?: [];
+            return $row;
+        }, (array) $wpdb->get_results($sql, ARRAY_A));
+    }
+
+    /**
+     * Find the generated pages among logged interactions
+     *
+     * @param array $interactions Interaction log
+     * @return array Pages with query, title, url and triggered_at; pages not
+     *               generated or since removed have no title or url
+     */
+    private function get_triggered_pages($interactions) {
+        global $wpdb;
+
+        $pages = [];
+
+        foreach ($interactions as $interaction) {
+            if ($interaction['type'] !== self::TRIGGERED_PAGE_SIGNAL || empty($interaction['data']['query_hash'])) {
+                continue;
+            }
+
+            $page = $wpdb->get_row($wpdb->prepare(
+                "SELECT page_title, page_slug FROM {$wpdb->prefix}spb_search_pages WHERE page_slug = %s LIMIT 1",
+                sanitize_title($interaction['data']['query_hash'])
+            ), ARRAY_A);
+
+            $pages[] = [
+                'query' => $interaction['data']['query'] ?? '',
+                'title' => $page ? $page['page_title'] : null,
+                'url' => $page ? home_url('/smart-page/' . $page['page_slug'] . '/') : null,
+                'triggered_at' => $interaction['created_at']
+            ];
+        }
+
+        return $pages;
+    }
+
+    /**
+     * Delete everything recorded under a session or user
+     *
+     * @param string $column 'session_id' or 'user_id'
+     * @param string|int $value Session id or user id
+     * @return int Rows removed
+     */
+    private function erase($column, $value) {
+        global $wpdb;
+
+        $removed = 0;
+        $tables = $column === 'user_id' ? array_merge(self::TABLES, self::USER_TABLES) : self::TABLES;
+        foreach ($tables as $table) {
+            $removed += (int) $wpdb->delete($wpdb->prefix . $table, [$column => $value], [$column === 'user_id' ? '%d' : '%s']);
+        }
+
+        /**
+         * Fires after a visitor's personal data has been erased.
+         *
+         * @param string     $column 'session_id' or 'user_id'.
+         * @param string|int $value  Session id or user id.
+         */
+        do_action('spb_personal_data_erased', $column, $value);
+
+        return $removed;
+    }
+
+    /**
+     * Set or clear the erasure token cookie
+     *
+     * Also updates $_COOKIE, so the rest of the request sees the change.
+     *
+     * @param string $token Token, '' to clear
+     * @param int $expires Expiry timestamp
+     */
+    private function set_erasure_cookie($token, $expires) {
+        if ($token === '') {
+            unset($_COOKIE[self::ERASURE_COOKIE]);
+        } else {
+            $_COOKIE[self::ERASURE_COOKIE] = $token;
+        }
+
+        if (headers_sent()) {
+            return;
+        }
+
+        setcookie(self::ERASURE_COOKIE, $token, [
+            'expires' => $expires,
+            'path' => COOKIEPATH,
+            'domain' => COOKIE_DOMAIN,
+            'secure' => is_ssl(),
+            'httponly' => true,
+            'samesite' => 'Strict'
+        ]);
+    }
+
+    /**
+     * Transient key an erasure token is kept under
+     *
+     * @param string $session_id Sanitized session id
+     * @return string
+     */
+    private function get_erasure_key($session_id) {
+        return 'spb_erasure_' . md5($session_id);
+    }
+
+    /**
+     * Check a session is the requester's own
+     *
+     * A signed-in visitor's session is only open to them already; an
+     * anonymous one takes the token the server issued it with.
+     *
+     * @param string $session_id Sanitized session id
+     * @param mixed $session_token Session token
+     * @return bool
+     */
+    private function is_issued_session($session_id, $session_token) {
+        if (strpos($session_id, SPB_Visitor_Profile::USER_SESSION_PREFIX) === 0) {
+            return true;
+        }
+
+        return $session_id !== '' && hash_equals(SPB_Visitor_Profile::get_session_token($session_id), (string) $session_token);
+    }
+
+    /**
+     * Limit a session id to what the tables hold
+     *
+     * @param mixed $session_id Raw session id
+     * @return string Session id, empty for another user's
+     */
+    private function sanitize_session_id($session_id) {
+        $session_id = substr(sanitize_text_field((string) $session_id), 0, 100);
+
+        return SPB_Visitor_Profile::can_access_session($session_id) ? $session_id : '';
+    }
+
+    /**
+     * Read the session id of an AJAX request after checking its nonce
+     *
+     * @return string Session id
+     */
+    private function get_posted_session_id() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', self::NONCE_ACTION)) {
+            wp_send_json_error(['message' => 'Security check failed'], 403);
+        }
+
+        return wp_unslash($_POST['session_id'] ?? '');
+    }
+
+    /**
+     * Send a result or error as the AJAX response
+     *
+     * @param array|WP_Error $result Result
+     */
+    private function send_ajax_result($result) {
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()], $result->get_error_data() ?: 400);
+        }
+
+        wp_send_json_success($result);
+    }
+}
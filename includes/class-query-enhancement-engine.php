@@ -28,6 +28,11 @@ class SPB_Query_Enhancement_Engine {
      */
     private $cache_manager;
     
+    /**
+     * Query normalizer shared with the public script
+     */
+    private $query_normalizer;
+    
     /**
      * Intent classification patterns
      */
@@ -62,6 +67,10 @@ class SPB_Query_Enhancement_Engine {
         if (class_exists('SPB_Cache_Manager')) {
             $this->cache_manager = new SPB_Cache_Manager();
         }
+        
+        if (class_exists('SPB_Query_Normalizer')) {
+            $this->query_normalizer = new SPB_Query_Normalizer();
+        }
     }
     
     /**
@@ -93,6 +102,9 @@ class SPB_Query_Enhancement_Engine {
         
         $enhancement_data = [
             'original_query' => $original_query,
+            'normalized_query' => $original_query,
+            'corrections' => [],
+            'search_intent' => 'informational',
             'enhanced_query' => $original_query,
             'synonyms' => [],
             'intent' => 'informational',
@@ -105,25 +117,38 @@ class SPB_Query_Enhancement_Engine {
         $start_time = microtime(true);
         
         try {
+            // Spell-correct against the site vocabulary and label the intent the
+            // same way the public script does before generation
+            $query = $original_query;
+            if ($this->query_normalizer) {
+                $analysis = $this->query_normalizer->analyze($original_query);
+                $query = $analysis['corrected'] !== '' ? $analysis['corrected'] : $original_query;
+                
+                $enhancement_data['normalized_query'] = $analysis['canonical'];
+                $enhancement_data['corrections'] = $analysis['corrections'];
+                $enhancement_data['search_intent'] = $analysis['intent'];
+                $enhancement_data['enhanced_query'] = $query;
+            }
+            
             // Detect search intent
             if ($options['detect_intent']) {
-                $enhancement_data['intent'] = $this->detect_search_intent($original_query);
+                $enhancement_data['intent'] = $this->detect_search_intent($query);
             }
             
             // Expand with synonyms
             if ($options['expand_synonyms']) {
-                $synonyms = $this->generate_synonyms($original_query, $options['max_synonyms']);
+                $synonyms = $this->generate_synonyms($query, $options['max_synonyms']);
                 $enhancement_data['synonyms'] = $synonyms;
                 
                 if (!empty($synonyms)) {
-                    $enhancement_data['enhanced_query'] = $this->build_enhanced_query($original_query, $synonyms);
+                    $enhancement_data['enhanced_query'] = $this->build_enhanced_query($query, $synonyms);
                 }
             }
             
             // Add contextual keywords
             if ($options['add_context']) {
-                $enhancement_data['context_keywords'] = $this->extract_context_keywords($original_query);
-                $enhancement_data['suggested_filters'] = $this->suggest_content_filters($original_query, $enhancement_data['intent']);
+                $enhancement_data['context_keywords'] = $this->extract_context_keywords($query);
+                $enhancement_data['suggested_filters'] = $this->suggest_content_filters($query, $enhancement_data['intent']);
             }
             
             // Calculate confidence score
@@ -370,6 +395,9 @@ class SPB_Query_Enhancement_Engine {
                     'enhanced_query' => $enhancement_data['enhanced_query'],
                     'detected_intent' => $enhancement_data['intent'],
                     'enhancement_data' => wp_json_encode([
+                        'normalized_query' => $enhancement_data['normalized_query'],
+                        'corrections' => $enhancement_data['corrections'],
+                        'search_intent' => $enhancement_data['search_intent'],
                         'synonyms' => $enhancement_data['synonyms'],
                         'context_keywords' => $enhancement_data['context_keywords'],
                         'suggested_filters' => $enhancement_data['suggested_filters'],
@@ -0,0 +1,555 @@
+<?php
+/**
+ * Query Normalizer
+ *
+ * Turns a raw search query into a canonical form before generation: spelling
+ * is corrected against the site vocabulary (post titles and term names),
+ * words are lemmatized, stop words and intent modifiers are dropped, and the
+ * query is labelled navigational, informational or commercial.
+ *
+ * The vocabulary changes with the site's content, so generated pages are
+ * stored under the query key, the same form without spelling corrections;
+ * the corrected query is only used to discover content.
+ *
+ * The public script (smart-page-builder-query.js) implements the same steps
+ * with the word lists from get_client_config(), and the lexicon from
+ * get_client_lexicon() once a visitor starts searching, so the client and the
+ * server agree on which queries are equivalent and which ones generate a page.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Query Normalizer class
+ */
+class SPB_Query_Normalizer {
+
+    /**
+     * Transient caching the site vocabulary and page titles
+     */
+    const LEXICON_TRANSIENT = 'spb_query_lexicon';
+
+    /**
+     * Maximum number of vocabulary words, most frequent first
+     */
+    const VOCABULARY_SIZE = 2000;
+
+    /**
+     * Maximum number of page titles matched as navigational destinations
+     */
+    const DESTINATION_LIMIT = 200;
+
+    /**
+     * Words ignored when comparing queries
+     */
+    const STOP_WORDS = [
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i',
+        'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'the', 'to', 'what', 'with'
+    ];
+
+    /**
+     * Lemmas and phrases signalling each intent
+     *
+     * Single-word commercial terms are modifiers: "best smart home hub" and
+     * "smart home hub" share a canonical query.
+     */
+    const INTENT_TERMS = [
+        'navigational' => [
+            'login', 'log in', 'sign in', 'signin', 'sign up', 'signup', 'account', 'my account',
+            'cart', 'checkout', 'contact', 'contact us', 'hour', 'opening hour', 'address',
+            'direction', 'location', 'phone', 'career', 'job', 'homepage'
+        ],
+        'commercial' => [
+            'best', 'top', 'buy', 'price', 'pricing', 'cheap', 'cheapest', 'affordable', 'deal',
+            'discount', 'sale', 'coupon', 'review', 'vs', 'versus', 'compare', 'comparison',
+            'shop', 'order', 'for sale'
+        ]
+    ];
+
+    /**
+     * Plurals the suffix rules get wrong, and words that only look plural
+     */
+    const IRREGULAR_LEMMAS = [
+        'children' => 'child',
+        'men' => 'man',
+        'women' => 'woman',
+        'people' => 'person',
+        'mice' => 'mouse',
+        'feet' => 'foot',
+        'teeth' => 'tooth',
+        'geese' => 'goose',
+        'does' => 'does',
+        'always' => 'always',
+        'news' => 'news',
+        'series' => 'series',
+        'species' => 'species',
+        'analytics' => 'analytics',
+        'physics' => 'physics',
+        'windows' => 'windows',
+        'ios' => 'ios',
+        'vs' => 'vs'
+    ];
+
+    /**
+     * Lexicon loaded for this request
+     *
+     * @var array|null
+     */
+    private $lexicon = null;
+
+    /**
+     * Vocabulary words and their lemmas, for membership checks
+     *
+     * @var array|null
+     */
+    private $known_words = null;
+
+    /**
+     * Flush the cached lexicon whenever content or terms change
+     */
+    public function init_hooks() {
+        add_action('save_post', array($this, 'flush_lexicon'));
+        add_action('deleted_post', array($this, 'flush_lexicon'));
+        add_action('created_term', array($this, 'flush_lexicon'));
+        add_action('edited_term', array($this, 'flush_lexicon'));
+    }
+
+    /**
+     * Drop the cached lexicon so it is rebuilt on next use
+     */
+    public function flush_lexicon() {
+        delete_transient(self::LEXICON_TRANSIENT);
+        $this->lexicon = null;
+        $this->known_words = null;
+    }
+
+    /**
+     * Analyze a search query
+     *
+     * @param string $query Raw search query
+     * @return array Analysis with the original 'query', the spell-corrected
+     *               'corrected' query, its 'lemmas', the 'canonical' query used
+     *               to detect equivalent searches, the 'key' pages are stored
+     *               under, the 'intent' label and the 'corrections' made
+     */
+    public function analyze($query) {
+        $corrections = [];
+        $words = [];
+
+        foreach ($this->tokenize($query) as $token) {
+            $corrected = $this->correct_token($token);
+
+            if ($corrected !== [$token]) {
+                $corrections[] = ['from' => $token, 'to' => implode(' ', $corrected)];
+            }
+
+            $words = array_merge($words, $corrected);
+        }
+
+        $lemmas = array_map([$this, 'lemmatize'], $words);
+        $intent = $this->detect_intent($lemmas);
+
+        $analysis = [
+            'query' => (string) $query,
+            'corrected' => implode(' ', $words),
+            'lemmas' => $lemmas,
+            'canonical' => $this->join_significant($lemmas),
+            // Independent of the vocabulary, so a query keeps its page as the site changes
+            'key' => $this->join_significant(array_map([$this, 'lemmatize'], $this->tokenize($query))),
+            'intent' => $intent,
+            'corrections' => $corrections
+        ];
+
+        /**
+         * Filters the analysis of a search query.
+         *
+         * @param array  $analysis Query analysis.
+         * @param string $query    Raw search query.
+         */
+        return apply_filters('spb_query_analysis', $analysis, $query);
+    }
+
+    /**
+     * Get the canonical form of a query
+     *
+     * @param string $query Raw search query
+     * @return string Canonical query
+     */
+    public function get_canonical_query($query) {
+        return $this->analyze($query)['canonical'];
+    }
+
+    /**
+     * Get the key generated pages for a query are stored under
+     *
+     * @param string $query Raw search query
+     * @return string Canonical query without spelling corrections
+     */
+    public function get_query_key($query) {
+        return $this->analyze($query)['key'];
+    }
+
+    /**
+     * Get the intents a page is generated for
+     *
+     * Navigational searches look for a page the site already has, so they get
+     * the regular results by default.
+     *
+     * @return array Intent labels
+     */
+    public function get_generation_intents() {
+        /**
+         * Filters the search intents that trigger page generation.
+         *
+         * @param array $intents Intent labels, 'informational' and 'commercial' by default.
+         */
+        return (array) apply_filters('spb_generation_intents', ['informational', 'commercial']);
+    }
+
+    /**
+     * Check whether a query's intent warrants generating a page
+     *
+     * @param array $analysis Analysis from analyze()
+     * @return bool
+     */
+    public function should_generate($analysis) {
+        return in_array($analysis['intent'], $this->get_generation_intents(), true);
+    }
+
+    /**
+     * Get the search page template for an intent
+     *
+     * @param string $intent Intent label
+     * @return string Template type, see templates/search-page-templates/
+     */
+    public function get_template_for_intent($intent) {
+        /**
+         * Filters the search page template used for each intent.
+         *
+         * @param array $templates Template types keyed by intent.
+         */
+        $templates = apply_filters('spb_intent_templates', [
+            'commercial' => 'commercial',
+            'informational' => 'informational',
+            'navigational' => 'informational'
+        ]);
+
+        return $templates[$intent] ?? 'informational';
+    }
+
+    /**
+     * Get the word lists the public script normalizes queries with
+     *
+     * The lexicon is too large to send with every page; see get_client_lexicon().
+     *
+     * @return array Configuration for spb_query
+     */
+    public function get_client_config() {
+        return [
+            'stop_words' => self::STOP_WORDS,
+            'intent_terms' => self::INTENT_TERMS,
+            'irregular_lemmas' => self::IRREGULAR_LEMMAS,
+            'generation_intents' => $this->get_generation_intents()
+        ];
+    }
+
+    /**
+     * Get the lexicon the public script loads when a visitor starts searching
+     *
+     * @return array 'vocabulary' and 'destinations'
+     */
+    public function get_client_lexicon() {
+        $lexicon = $this->get_lexicon();
+
+        return [
+            'vocabulary' => $lexicon['vocabulary'],
+            'destinations' => $lexicon['destinations']
+        ];
+    }
+
+    /**
+     * Split a query into lowercase words without accents or punctuation
+     *
+     * @param string $text Text
+     * @return array Words
+     */
+    public function tokenize($text) {
+        $text = remove_accents(mb_strtolower((string) $text, 'UTF-8'));
+
+        return preg_split('/[^\p{L}\p{N}]+/u', $text, -1, PREG_SPLIT_NO_EMPTY);
+    }
+
+    /**
+     * Reduce a word to its dictionary form
+     *
+     * Only plural nouns are folded; verbs and adjectives are kept as typed.
+     *
+     * @param string $word Lowercase word
+     * @return string Lemma
+     */
+    public function lemmatize($word) {
+        if (isset(self::IRREGULAR_LEMMAS[$word])) {
+            return self::IRREGULAR_LEMMAS[$word];
+        }
+
+        if (!preg_match('/^[a-z]+$/', $word)) {
+            return $word;
+        }
+
+        $length = strlen($word);
+
+        if ($length > 4 && substr($word, -3) === 'ies') {
+            return substr($word, 0, -3) . 'y';
+        }
+
+        if ($length > 4 && preg_match('/(ss|x|z|ch|sh)es$/', $word)) {
+            return substr($word, 0, -2);
+        }
+
+        if ($length > 3 && substr($word, -1) === 's' && !preg_match('/(ss|us|is)$/', $word)) {
+            return substr($word, 0, -1);
+        }
+
+        return $word;
+    }
+
+    /**
+     * Correct a word against the site vocabulary
+     *
+     * Run-together words are split when both halves are known ("smarthome"),
+     * otherwise the closest known word within one edit (two for long words)
+     * replaces it, preferring more frequent words on ties.
+     *
+     * @param string $token Lowercase word
+     * @return array The word, its correction, or the two words it splits into
+     */
+    private function correct_token($token) {
+        $length = strlen($token);
+
+        if ($length < 4 || !preg_match('/^[a-z]+$/', $token) || $this->is_known($token)) {
+            return [$token];
+        }
+
+        for ($split = 3; $length >= 6 && $split <= $length - 3; $split++) {
+            $left = substr($token, 0, $split);
+            $right = substr($token, $split);
+
+            if ($this->is_known($left) && $this->is_known($right)) {
+                return [$left, $right];
+            }
+        }
+
+        $max_distance = $length >= 8 ? 2 : 1;
+        $best = null;
+        $best_distance = $max_distance + 1;
+
+        // The vocabulary is ordered by frequency, so the first closest word wins
+        foreach ($this->get_lexicon()['vocabulary'] as $word) {
+            if (abs(strlen($word) - $length) >= $best_distance) {
+                continue;
+            }
+
+            $distance = $this->edit_distance($token, $word, $best_distance - 1);
+            if ($distance < $best_distance) {
+                $best = $word;
+                $best_distance = $distance;
+            }
+        }
+
+        return [$best !== null ? $best : $token];
+    }
+
+    /**
+     * Label a query navigational, commercial or informational
+     *
+     * @param array $lemmas Query lemmas
+     * @return string Intent
+     */
+    private function detect_intent($lemmas) {
+        $phrase = ' ' . implode(' ', $lemmas) . ' ';
+        $significant = implode(' ', array_diff($lemmas, self::STOP_WORDS));
+
+        if ($significant !== '' && in_array($significant, $this->get_lexicon()['destinations'], true)) {
+            return 'navigational';
+        }
+
+        foreach (['navigational', 'commercial'] as $intent) {
+            foreach (self::INTENT_TERMS[$intent] as $term) {
+                if (strpos($phrase, ' ' . $term . ' ') !== false) {
+                    return $intent;
+                }
+            }
+        }
+
+        return 'informational';
+    }
+
+    /**
+     * Check whether a word or its lemma is in the vocabulary
+     *
+     * @param string $word Lowercase word
+     * @return bool
+     */
+    private function is_known($word) {
+        if ($this->known_words === null) {
+            $this->known_words = [];
+            foreach ($this->get_lexicon()['vocabulary'] as $vocabulary_word) {
+                $this->known_words[$vocabulary_word] = true;
+                $this->known_words[$this->lemmatize($vocabulary_word)] = true;
+            }
+        }
+
+        return isset($this->known_words[$word]) || isset($this->known_words[$this->lemmatize($word)]);
+    }
+
+    /**
+     * Count the edits (insertions, deletions, substitutions and swaps of
+     * adjacent letters) turning one word into another
+     *
+     * @param string $a Word
+     * @param string $b Word
+     * @param int $max Distance above which counting stops early
+     * @return int Distance, or $max + 1 when it exceeds $max
+     */
+    private function edit_distance($a, $b, $max) {
+        $rows = [range(0, strlen($b))];
+
+        for ($i = 1; $i <= strlen($a); $i++) {
+            $rows[$i] = [$i];
+            $row_min = $i;
+
+            for ($j = 1; $j <= strlen($b); $j++) {
+                $cost = $a[$i - 1] === $b[$j - 1] ? 0 : 1;
+                $rows[$i][$j] = min($rows[$i - 1][$j] + 1, $rows[$i][$j - 1] + 1, $rows[$i - 1][$j - 1] + $cost);
+
+                if ($i > 1 && $j > 1 && $a[$i - 1] === $b[$j - 2] && $a[$i - 2] === $b[$j - 1]) {
+                    $rows[$i][$j] = min($rows[$i][$j], $rows[$i - 2][$j - 2] + 1);
+                }
+
+                $row_min = min($row_min, $rows[$i][$j]);
+            }
+
+            if ($row_min > $max) {
+                return $max + 1;
+            }
+        }
+
+        return min($rows[strlen($a)][strlen($b)], $max + 1);
+    }
+
+    /**
+     * Join the lemmas that tell queries apart
+     *
+     * @param array $lemmas Lemmas
+     * @return string Lemmas without stop words and intent modifiers
+     */
+    private function join_significant($lemmas) {
+        $modifiers = array_merge(self::STOP_WORDS, self::INTENT_TERMS['commercial']);
+        $significant = array_values(array_diff($lemmas, $modifiers));
+
+        // A query made only of stop words and modifiers is still a query
+        return implode(' ', $significant ? $significant : $lemmas);
+    }
+
+    /**
+     * Get the site vocabulary and the titles of its pages
+     *
+     * @return array 'vocabulary', most frequent words first, and normalized page title 'destinations'
+     */
+    private function get_lexicon() {
+        if ($this->lexicon !== null) {
+            return $this->lexicon;
+        }
+
+        $lexicon = get_transient(self::LEXICON_TRANSIENT);
+
+        if (!is_array($lexicon)) {
+            $lexicon = $this->build_lexicon();
+            set_transient(self::LEXICON_TRANSIENT, $lexicon, 12 * HOUR_IN_SECONDS);
+        }
+
+        /**
+         * Filters the vocabulary queries are spell-corrected against and the
+         * page titles matched as navigational destinations.
+         *
+         * @param array $lexicon 'vocabulary' and 'destinations'.
+         */
+        $this->lexicon = apply_filters('spb_query_lexicon', $lexicon);
+
+        return $this->lexicon;
+    }
+
+    /**
+     * Build the lexicon from published titles and used term names
+     *
+     * Only post types and taxonomies visitors can browse are read, so
+     * internal ones such as nav_menu or wp_theme never reach the browser.
+     *
+     * @return array Lexicon
+     */
+    private function build_lexicon() {
+        global $wpdb;
+
+        $post_types = array_values(array_diff(get_post_types(['public' => true]), ['attachment']));
+        $taxonomies = array_values(get_taxonomies(['public' => true]));
+        $titles = [];
+        $terms = [];
+
+        if ($post_types) {
+            $titles = $wpdb->get_results($wpdb->prepare(
+                "SELECT post_title, post_type FROM {$wpdb->posts}
+                 WHERE post_status = 'publish' AND post_type IN (" . implode(', ', array_fill(0, count($post_types), '%s')) . ")
+                 ORDER BY post_modified DESC
+                 LIMIT 2000",
+                $post_types
+            ), ARRAY_A);
+        }
+
+        if ($taxonomies) {
+            $terms = $wpdb->get_col($wpdb->prepare(
+                "SELECT t.name FROM {$wpdb->terms} t
+                 INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_id = t.term_id
+                 WHERE tt.count > 0 AND tt.taxonomy IN (" . implode(', ', array_fill(0, count($taxonomies), '%s')) . ")
+                 LIMIT 2000",
+                $taxonomies
+            ));
+        }
+
+        $counts = [];
+        $destinations = [];
+
+        foreach (array_merge(wp_list_pluck((array) $titles, 'post_title'), (array) $terms) as $text) {
+            foreach ($this->tokenize($text) as $word) {
+                if (strlen($word) >= 3 && !ctype_digit($word) && !in_array($word, self::STOP_WORDS, true)) {
+                    $counts[$word] = ($counts[$word] ?? 0) + 1;
+                }
+            }
+        }
+
+        foreach ((array) $titles as $title) {
+            if ($title['post_type'] !== 'page' || count($destinations) >= self::DESTINATION_LIMIT) {
+                continue;
+            }
+
+            $lemmas = array_map([$this, 'lemmatize'], $this->tokenize($title['post_title']));
+            $destination = implode(' ', array_diff($lemmas, self::STOP_WORDS));
+
+            if ($destination !== '') {
+                $destinations[] = $destination;
+            }
+        }
+
+        arsort($counts);
+
+        return [
+            'vocabulary' => array_map('strval', array_slice(array_keys($counts), 0, self::VOCABULARY_SIZE)),
+            'destinations' => array_values(array_unique($destinations))
+        ];
+    }
+}
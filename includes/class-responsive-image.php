@@ -0,0 +1,256 @@
+<?php
+/**
+ * Responsive Image
+ *
+ * Builds image data for generated components and renders it as lazy-loaded
+ * <picture> markup with a blurred low-quality placeholder, reserved layout
+ * space and a fallback image for sources that fail to load.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Responsive Image class
+ */
+class SPB_Responsive_Image {
+
+    /**
+     * Attachment meta key the generated placeholder is cached under
+     */
+    const PLACEHOLDER_META_KEY = '_spb_lqip';
+
+    /**
+     * Width of the low-quality placeholder in pixels
+     */
+    const PLACEHOLDER_WIDTH = 24;
+
+    /**
+     * Build image data for an attachment
+     *
+     * @param int $attachment_id Attachment ID
+     * @param string $size Registered image size
+     * @param string $alt Alternative text, defaults to the attachment's alt text
+     * @return array|null Image data, or null if the attachment is not an image
+     */
+    public function get_image_data($attachment_id, $size = 'large', $alt = '') {
+        $image = wp_get_attachment_image_src($attachment_id, $size);
+        if (!$image) {
+            return null;
+        }
+
+        $data = [
+            'id' => (int) $attachment_id,
+            'src' => $image[0],
+            'width' => (int) $image[1],
+            'height' => (int) $image[2],
+            'srcset' => wp_get_attachment_image_srcset($attachment_id, $size) ?: '',
+            'sizes' => wp_get_attachment_image_sizes($attachment_id, $size) ?: '',
+            'alt' => $alt !== '' ? $alt : (string) get_post_meta($attachment_id, '_wp_attachment_image_alt', true),
+            'placeholder' => $this->get_placeholder($attachment_id),
+            'sources' => []
+        ];
+
+        /**
+         * Filters image data for generated components.
+         *
+         * Add entries to 'sources' (type, srcset, sizes) to offer alternative
+         * formats such as WebP or AVIF through <picture>.
+         *
+         * @param array  $data          Image data.
+         * @param int    $attachment_id Attachment ID.
+         * @param string $size          Image size.
+         */
+        return apply_filters('spb_responsive_image_data', $data, $attachment_id, $size);
+    }
+
+    /**
+     * Get the blurred placeholder for an attachment as a data URI
+     *
+     * Generated once with the image editor and cached in attachment meta.
+     *
+     * @param int $attachment_id Attachment ID
+     * @return string Data URI, or an empty string if it cannot be generated
+     */
+    public function get_placeholder($attachment_id) {
+        $placeholder = get_post_meta($attachment_id, self::PLACEHOLDER_META_KEY, true);
+        if ($placeholder) {
+            return $placeholder;
+        }
+
+        $file = get_attached_file($attachment_id);
+        if (!$file || !file_exists($file)) {
+            return '';
+        }
+
+        $editor = wp_get_image_editor($file);
+        if (is_wp_error($editor)) {
+            return '';
+        }
+
+        $editor->resize(self::PLACEHOLDER_WIDTH, null);
+        $editor->set_quality(40);
+
+        $saved = $editor->save(get_temp_dir() . 'spb-lqip-' . $attachment_id . '.jpg', 'image/jpeg');
+        if (is_wp_error($saved)) {
+            return '';
+        }
+
+        $placeholder = 'data:image/jpeg;base64,' . base64_encode(file_get_contents($saved['path']));
+        wp_delete_file($saved['path']);
+
+        update_post_meta($attachment_id, self::PLACEHOLDER_META_KEY, $placeholder);
+
+        return $placeholder;
+    }
+
+    /**
+     * Get the image shown when a component image fails to load
+     *
+     * @param string $template_type Template the image is rendered in
+     * @return string Fallback image URL
+     */
+    public function get_fallback_image($template_type = '') {
+        /**
+         * Filters the fallback image for a template.
+         *
+         * @param string $url           Fallback image URL.
+         * @param string $template_type Template type.
+         */
+        return apply_filters('spb_template_fallback_image', SPB_PLUGIN_URL . 'public/images/fallback-image.svg', $template_type);
+    }
+
+    /**
+     * Render image data as <picture> markup
+     *
+     * Lazy images keep their sources in data-* attributes until the public
+     * script loads them. Eager images, such as the hero, load immediately.
+     *
+     * @param array $image Image data from get_image_data()
+     * @param array $args {
+     *     @type string $class    Extra wrapper class.
+     *     @type string $template Template type used for the fallback image.
+     *     @type bool   $eager    Load immediately instead of lazily.
+     * }
+     * @return string HTML
+     */
+    public function render($image, $args = []) {
+        if (empty($image['src'])) {
+            return '';
+        }
+
+        $args = wp_parse_args($args, [
+            'class' => '',
+            'template' => '',
+            'eager' => false
+        ]);
+
+        $lazy = !$args['eager'];
+        $prefix = $lazy ? 'data-' : '';
+        $width = absint($image['width'] ?? 0);
+        $height = absint($image['height'] ?? 0);
+
+        $style = $width && $height ? sprintf('aspect-ratio: %d / %d;', $width, $height) : '';
+        $html = '<picture class="' . esc_attr(trim('spb-responsive-image ' . $args['class'])) . '" style="' . esc_attr($style) . '">';
+
+        foreach ((array) ($image['sources'] ?? []) as $source) {
+            if (empty($source['srcset'])) {
+                continue;
+            }
+
+            $html .= '<source';
+            if (!empty($source['type'])) {
+                $html .= ' type="' . esc_attr($source['type']) . '"';
+            }
+            $html .= ' ' . $prefix . 'srcset="' . esc_attr($source['srcset']) . '"';
+            if (!empty($source['sizes'])) {
+                $html .= ' ' . $prefix . 'sizes="' . esc_attr($source['sizes']) . '"';
+            }
+            $html .= '>';
+        }
+
+        $classes = ['spb-lazy-image'];
+        if ($lazy && !empty($image['placeholder'])) {
+            $classes[] = 'spb-image-placeholder';
+        }
+
+        $attributes = [
+            'class' => $lazy ? implode(' ', $classes) : 'spb-eager-image',
+            $prefix . 'src' => $image['src'],
+            $prefix . 'srcset' => $image['srcset'] ?? '',
+            $prefix . 'sizes' => $image['sizes'] ?? '',
+            'width' => $width ?: '',
+            'height' => $height ?: '',
+            'alt' => $image['alt'] ?? '',
+            'decoding' => 'async',
+            'data-fallback' => $this->get_fallback_image($args['template'])
+        ];
+
+        if ($lazy && !empty($image['placeholder'])) {
+            $attributes['src'] = $image['placeholder'];
+        } elseif (!$lazy) {
+            $attributes['fetchpriority'] = 'high';
+        }
+
+        $html .= '<img';
+        foreach ($attributes as $name => $value) {
+            if ($value === '' && $name !== 'alt') {
+                continue;
+            }
+
+            $value = in_array($name, ['src', 'data-src', 'data-fallback'], true) && strpos($value, 'data:') !== 0 ? esc_url($value) : esc_attr($value);
+            $html .= ' ' . $name . '="' . $value . '"';
+        }
+        $html .= '>';
+
+        $html .= '</picture>';
+
+        return $html;
+    }
+
+    /**
+     * Find an image for a component in content discovery results
+     *
+     * Uses an attachment or featured image given with the result, or the
+     * featured image of the local post the result links to.
+     *
+     * @param array $discovery_results Discovery results
+     * @param string $size Registered image size
+     * @return array|null Image data
+     */
+    public function find_discovery_image($discovery_results, $size = 'large') {
+        foreach ((array) $discovery_results as $result) {
+            if (!is_array($result)) {
+                continue;
+            }
+
+            $attachment_id = absint($result['image_id'] ?? 0);
+
+            if (!$attachment_id) {
+                $post_id = absint($result['post_id'] ?? 0);
+                if (!$post_id && !empty($result['url'])) {
+                    $post_id = url_to_postid($result['url']);
+                }
+
+                $attachment_id = $post_id ? (int) get_post_thumbnail_id($post_id) : 0;
+            }
+
+            if ($attachment_id) {
+                $image = $this->get_image_data($attachment_id, $size);
+                if ($image) {
+                    if ($image['alt'] === '') {
+                        $image['alt'] = sanitize_text_field($result['title'] ?? '');
+                    }
+                    return $image;
+                }
+            }
+        }
+
+        return null;
+    }
+}
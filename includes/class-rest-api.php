@@ -0,0 +1,468 @@
+<?php
+/**
+ * REST API
+ *
+ * Public spb/v1 routes mirroring the admin-ajax actions the front-end
+ * scripts use - search page generation, event tracking, page feedback, the
+ * visitor profile and recommendations, and personal data export and
+ * erasure - for headless front ends using the
+ * SDK's REST transport. Each route calls the same service method as its
+ * admin-ajax counterpart.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * REST API class
+ */
+class SPB_Rest_API {
+
+    /**
+     * Route namespace
+     */
+    const ROUTE_NAMESPACE = 'spb/v1';
+
+    /**
+     * Search integration manager, null when search generation is disabled
+     *
+     * @var SPB_Search_Integration_Manager|null
+     */
+    private $search_manager;
+
+    /**
+     * Event collector
+     *
+     * @var SPB_Event_Collector|null
+     */
+    private $event_collector;
+
+    /**
+     * Page feedback, null when unavailable
+     *
+     * @var SPB_Page_Feedback|null
+     */
+    private $page_feedback;
+
+    /**
+     * Visitor profile, null when personalization is disabled
+     *
+     * @var SPB_Visitor_Profile|null
+     */
+    private $visitor_profile;
+
+    /**
+     * Personal data, null when personalization is disabled
+     *
+     * @var SPB_Personal_Data|null
+     */
+    private $personal_data;
+
+    /**
+     * Constructor
+     *
+     * Routes are only registered for the services passed in.
+     *
+     * @param SPB_Search_Integration_Manager|null $search_manager Search integration manager
+     * @param SPB_Event_Collector|null $event_collector Event collector
+     * @param SPB_Page_Feedback|null $page_feedback Page feedback
+     * @param SPB_Visitor_Profile|null $visitor_profile Visitor profile
+     * @param SPB_Personal_Data|null $personal_data Personal data
+     */
+    public function __construct($search_manager = null, $event_collector = null, $page_feedback = null, $visitor_profile = null, $personal_data = null) {
+        $this->search_manager = $search_manager;
+        $this->event_collector = $event_collector;
+        $this->page_feedback = $page_feedback;
+        $this->visitor_profile = $visitor_profile;
+        $this->personal_data = $personal_data;
+    }
+
+    /**
+     * Register the routes when the REST API initializes
+     */
+    public function init_hooks() {
+        add_action('rest_api_init', array($this, 'register_routes'));
+    }
+
+    /**
+     * Register the public routes
+     *
+     * Like their nopriv admin-ajax counterparts they are open to visitors.
+     */
+    public function register_routes() {
+        if ($this->search_manager) {
+            register_rest_route(self::ROUTE_NAMESPACE, '/search-pages', [
+                'methods' => 'POST',
+                'callback' => [$this, 'generate_search_page'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'query' => ['type' => 'string', 'required' => true, 'sanitize_callback' => 'sanitize_text_field'],
+                    'source' => ['type' => 'string', 'default' => '', 'sanitize_callback' => 'sanitize_text_field'],
+                    'async' => ['type' => 'boolean', 'default' => true],
+                    'session_id' => ['type' => 'string', 'default' => '']
+                ]
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/search-pages/status', [
+                'methods' => 'GET',
+                'callback' => [$this, 'get_generation_status'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'search_query' => ['type' => 'string', 'default' => '', 'sanitize_callback' => 'sanitize_text_field'],
+                    'query_hash' => ['type' => 'string', 'default' => '', 'sanitize_callback' => 'sanitize_text_field'],
+                    'stream' => ['type' => 'boolean', 'default' => false],
+                    'received' => ['type' => 'string', 'default' => '']
+                ]
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/search-pages/lexicon', [
+                'methods' => 'GET',
+                'callback' => [$this, 'get_query_lexicon'],
+                'permission_callback' => '__return_true'
+            ]);
+        }
+
+        if ($this->event_collector) {
+            register_rest_route(self::ROUTE_NAMESPACE, '/events', [
+                'methods' => 'POST',
+                'callback' => [$this, 'track_events'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'events' => ['required' => true],
+                    'batch_id' => ['type' => 'string', 'default' => '', 'sanitize_callback' => 'sanitize_key']
+                ]
+            ]);
+        }
+
+        if ($this->page_feedback) {
+            register_rest_route(self::ROUTE_NAMESPACE, '/feedback', [
+                'methods' => 'POST',
+                'callback' => [$this, 'submit_feedback'],
+                'permission_callback' => '__return_true'
+            ]);
+        }
+
+        if ($this->visitor_profile) {
+            $session_args = [
+                'session_id' => ['type' => 'string', 'required' => true]
+            ];
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/profile', [
+                [
+                    'methods' => 'GET',
+                    'callback' => [$this, 'get_profile'],
+                    'permission_callback' => '__return_true',
+                    'args' => $session_args
+                ],
+                [
+                    'methods' => 'DELETE',
+                    'callback' => [$this, 'reset_profile'],
+                    'permission_callback' => '__return_true',
+                    'args' => $session_args
+                ]
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/profile/interests', [
+                'methods' => 'POST',
+                'callback' => [$this, 'update_interest_preference'],
+                'permission_callback' => '__return_true',
+                'args' => array_merge($session_args, [
+                    'interest' => ['type' => 'string', 'required' => true]
+                ])
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/profile/merge', [
+                'methods' => 'POST',
+                'callback' => [$this, 'merge_profile'],
+                'permission_callback' => '__return_true'
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/session', [
+                [
+                    'methods' => 'POST',
+                    'callback' => [$this, 'keep_session'],
+                    'permission_callback' => '__return_true',
+                    'args' => array_merge($session_args, [
+                        'session_token' => ['type' => 'string', 'required' => true]
+                    ])
+                ],
+                [
+                    'methods' => 'DELETE',
+                    'callback' => [$this, 'forget_session'],
+                    'permission_callback' => '__return_true'
+                ]
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/recommendations', [
+                'methods' => 'GET',
+                'callback' => [$this, 'get_recommendations'],
+                'permission_callback' => '__return_true',
+                'args' => array_merge($session_args, [
+                    'page_url' => ['type' => 'string', 'default' => '', 'sanitize_callback' => 'esc_url_raw']
+                ])
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/recommendations/segments', [
+                'methods' => 'GET',
+                'callback' => [$this, 'get_segment_recommendations'],
+                'permission_callback' => '__return_true',
+                'args' => [
+                    'segments' => ['type' => 'string', 'required' => true, 'sanitize_callback' => 'sanitize_text_field'],
+                    'page_url' => ['type' => 'string', 'default' => '', 'sanitize_callback' => 'esc_url_raw']
+                ]
+            ]);
+        }
+
+        if ($this->personal_data) {
+            $session_args = [
+                'session_id' => ['type' => 'string', 'required' => true]
+            ];
+
+            $issued_session_args = array_merge($session_args, [
+                'session_token' => ['type' => 'string', 'default' => '']
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/personal-data', [
+                [
+                    'methods' => 'GET',
+                    'callback' => [$this, 'export_personal_data'],
+                    'permission_callback' => '__return_true',
+                    'args' => $issued_session_args
+                ],
+                [
+                    'methods' => 'DELETE',
+                    'callback' => [$this, 'confirm_data_erasure'],
+                    'permission_callback' => '__return_true',
+                    'args' => $session_args
+                ]
+            ]);
+
+            register_rest_route(self::ROUTE_NAMESPACE, '/personal-data/erasure', [
+                'methods' => 'POST',
+                'callback' => [$this, 'request_data_erasure'],
+                'permission_callback' => '__return_true',
+                'args' => $issued_session_args
+            ]);
+        }
+    }
+
+    /**
+     * Generate a page for a search, or queue its generation
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function generate_search_page($request) {
+        return $this->respond($this->search_manager->request_search_page(
+            $request->get_param('query'),
+            $request->get_param('source'),
+            (bool) $request->get_param('async'),
+            $request->get_param('session_id')
+        ));
+    }
+
+    /**
+     * Get the status of a search page generation
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_generation_status($request) {
+        return $this->respond($this->search_manager->get_generation_status(
+            $request->get_param('search_query'),
+            $request->get_param('query_hash'),
+            (bool) $request->get_param('stream'),
+            explode(',', (string) $request->get_param('received'))
+        ));
+    }
+
+    /**
+     * Get the lexicon searches are normalized with
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_query_lexicon($request) {
+        return $this->respond($this->search_manager->get_query_lexicon());
+    }
+
+    /**
+     * Store a batch of tracking events
+     *
+     * The batch is a JSON array, or a JSON-encoded string as sent to admin-ajax.
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function track_events($request) {
+        $events = $request->get_param('events');
+        if (is_string($events)) {
+            $events = json_decode($events, true);
+        }
+
+        return $this->respond($this->event_collector->receive_batch($events, $request->get_param('batch_id')));
+    }
+
+    /**
+     * Store feedback for a generated page
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function submit_feedback($request) {
+        if (!SPB_Page_Feedback::is_enabled()) {
+            return $this->respond(new WP_Error('feedback_disabled', 'Page feedback is disabled', 403));
+        }
+
+        $result = $this->page_feedback->submit_feedback($request->get_params(), $this->page_feedback->get_visitor_key());
+
+        return $this->respond(is_wp_error($result) ? $result : ['feedback_id' => $result]);
+    }
+
+    /**
+     * Get a visitor's interest profile
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_profile($request) {
+        return $this->respond($this->visitor_profile->get_profile($request->get_param('session_id')));
+    }
+
+    /**
+     * Clear a visitor's interest profile
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function reset_profile($request) {
+        return $this->respond($this->visitor_profile->reset_profile($request->get_param('session_id')));
+    }
+
+    /**
+     * Mute, pin, weigh or add one of a visitor's interests
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function update_interest_preference($request) {
+        return $this->respond($this->visitor_profile->update_interest_preference(
+            $request->get_param('session_id'),
+            $request->get_param('interest'),
+            $this->visitor_profile->parse_preference_changes($request->get_params())
+        ));
+    }
+
+    /**
+     * Merge the browser's anonymous session into the signed-in visitor's profile
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function merge_profile($request) {
+        return $this->respond($this->visitor_profile->merge_session_profile());
+    }
+
+    /**
+     * Keep an anonymous session issued to the browser in its session cookie
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function keep_session($request) {
+        return $this->respond($this->visitor_profile->keep_session(
+            $request->get_param('session_id'),
+            $request->get_param('session_token')
+        ));
+    }
+
+    /**
+     * Drop the anonymous session kept in the browser's session cookie
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function forget_session($request) {
+        return $this->respond($this->visitor_profile->forget_session());
+    }
+
+    /**
+     * Get recommendations for a visitor
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_recommendations($request) {
+        $recommendations = $this->visitor_profile->get_recommendations(
+            $request->get_param('session_id'),
+            $request->get_param('page_url')
+        );
+
+        return $this->respond(is_wp_error($recommendations) ? $recommendations : ['recommendations' => $recommendations]);
+    }
+
+    /**
+     * Get recommendations for the segments of an on-device interest model
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function get_segment_recommendations($request) {
+        return $this->respond(['recommendations' => $this->visitor_profile->get_segment_recommendations(
+            explode(',', $request->get_param('segments')),
+            $request->get_param('page_url')
+        )]);
+    }
+
+    /**
+     * Export everything recorded about a visitor
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function export_personal_data($request) {
+        return $this->respond($this->personal_data->export($request->get_param('session_id'), $request->get_param('session_token')));
+    }
+
+    /**
+     * Start erasing a visitor's data
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function request_data_erasure($request) {
+        return $this->respond($this->personal_data->request_erasure($request->get_param('session_id'), $request->get_param('session_token')));
+    }
+
+    /**
+     * Erase a visitor's data with the token the erasure request set in its cookie
+     *
+     * @param WP_REST_Request $request Request
+     * @return WP_REST_Response|WP_Error
+     */
+    public function confirm_data_erasure($request) {
+        return $this->respond($this->personal_data->confirm_erasure($request->get_param('session_id')));
+    }
+
+    /**
+     * Turn a service result into a REST response
+     *
+     * Services return errors with the HTTP status as their data, as the
+     * admin-ajax handlers expect; the REST server reads it from 'status'.
+     *
+     * @param array|WP_Error $result Service result
+     * @return WP_REST_Response|WP_Error
+     */
+    private function respond($result) {
+        if (is_wp_error($result) && !is_array($result->get_error_data())) {
+            $result = new WP_Error($result->get_error_code(), $result->get_error_message(), ['status' => $result->get_error_data() ?: 400]);
+        }
+
+        return rest_ensure_response($result);
+    }
+}
@@ -33,6 +33,11 @@ class SPB_Search_Integration_Manager {
      */
     private $session_manager;
     
+    /**
+     * Query normalizer instance
+     */
+    private $query_normalizer;
+    
     /**
      * Search page generation options
      */
@@ -46,6 +51,29 @@ class SPB_Search_Integration_Manager {
         'enable_seo_urls' => true
     ];
     
+    /**
+     * Generation stages reported to the client, with the progress percentage
+     * reached when each stage starts
+     */
+    private $generation_stages = [
+        'queued' => 0,
+        'analyzing' => 5,
+        'discovering' => 20,
+        'generating' => 45,
+        'finalizing' => 90,
+        'complete' => 100
+    ];
+    
+    /**
+     * Components streamed into the search results shell, in page order
+     */
+    private $stream_components = ['hero', 'article', 'cta'];
+    
+    /**
+     * Confidence score of AI-generated pages, above the base score of curated ones
+     */
+    private $ai_content_confidence = 0.85;
+    
     /**
      * Constructor
      */
@@ -60,6 +88,8 @@ class SPB_Search_Integration_Manager {
             $this->session_manager = new SPB_Session_Manager();
         }
         
+        $this->query_normalizer = new SPB_Query_Normalizer();
+        
         $this->init_hooks();
     }
     
@@ -78,9 +108,59 @@ class SPB_Search_Integration_Manager {
             return;
         }
         
-        // Fix: Accept both query_hash and search_query parameters
-        $query_hash = sanitize_text_field($_POST['query_hash'] ?? '');
-        $search_query = sanitize_text_field($_POST['search_query'] ?? '');
+        $status = $this->get_generation_status(
+            sanitize_text_field($_POST['search_query'] ?? ''),
+            sanitize_text_field($_POST['query_hash'] ?? ''),
+            !empty($_POST['stream']),
+            explode(',', $_POST['received'] ?? '')
+        );
+        
+        if (is_wp_error($status)) {
+            wp_send_json_error($status->get_error_message());
+            return;
+        }
+        
+        wp_send_json_success($status);
+    }
+    
+    /**
+     * AJAX handler returning the lexicon searches are normalized with
+     */
+    public function ajax_get_query_lexicon() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', 'spb_check_generation')) {
+            wp_send_json_error('Security check failed');
+            return;
+        }
+        
+        wp_send_json_success($this->get_query_lexicon());
+    }
+    
+    /**
+     * Get the site vocabulary and page titles the public script normalizes
+     * searches with, loaded once a visitor starts searching
+     *
+     * Shared by the admin-ajax handler and the spb/v1 REST API.
+     *
+     * @return array 'vocabulary' and 'destinations'
+     */
+    public function get_query_lexicon() {
+        return $this->query_normalizer->get_client_lexicon();
+    }
+    
+    /**
+     * Get the status of a search page generation
+     *
+     * Shared by the admin-ajax handler and the spb/v1 REST API.
+     *
+     * @param string $search_query Search query
+     * @param string $query_hash Page slug, used when the query is not known
+     * @param bool $stream Whether to include the rendered components for streaming clients
+     * @param array $received Component types the streaming client already shows
+     * @return array|WP_Error Status data or error
+     */
+    public function get_generation_status($search_query, $query_hash = '', $stream = false, $received = []) {
+        // Streaming clients get the rendered components they don't show yet
+        $received = array_values(array_filter(array_map('sanitize_key', (array) $received)));
         
         // If we have query_hash, try to find the original query
         if (!empty($query_hash) && empty($search_query)) {
@@ -99,8 +179,7 @@ class SPB_Search_Integration_Manager {
         
         if (empty($search_query)) {
             error_log('❌ SPB DEBUG: No search query provided');
-            wp_send_json_error('No search query provided');
-            return;
+            return new WP_Error('missing_query', 'No search query provided', 400);
         }
         
         // Check if page generation is complete
@@ -109,8 +188,10 @@ class SPB_Search_Integration_Manager {
         
         error_log("SPB DEBUG: Checking table: " . $table_name);
         
+        // Equivalent queries share the page generated for the first of them
         $page = $wpdb->get_row($wpdb->prepare(
-            "SELECT * FROM {$table_name} WHERE search_query = %s ORDER BY created_at DESC LIMIT 1",
+            "SELECT * FROM {$table_name} WHERE page_slug = %s OR search_query = %s ORDER BY created_at DESC LIMIT 1",
+            $this->generate_query_hash($search_query),
             $search_query
         ));
         
@@ -120,53 +201,87 @@ class SPB_Search_Integration_Manager {
         
         if ($page) {
             error_log("✅ SPB DEBUG: Found page with status: " . $page->approval_status);
-            if ($page->approval_status === 'approved') {
-                wp_send_json_success([
-                    'status' => 'completed', // Fix: Use 'completed' to match JavaScript
-                    'page_url' => home_url('/smart-page/' . $page->page_slug . '/'), // Fix: Use 'page_url' to match JavaScript
-                    'message' => 'Page generated successfully!'
-                ]);
-            } else {
-                wp_send_json_success([
+            if ($page->approval_status !== 'approved') {
+                return [
                     'status' => 'pending_approval',
                     'message' => 'Page generated and pending approval.',
                     'admin_url' => admin_url('admin.php?page=smart-page-builder-approval')
-                ]);
+                ];
             }
-        } else {
-            error_log('SPB DEBUG: No page found, still generating or failed');
             
-            // Check if generation failed
-            $generation_failed = get_transient('spb_generation_failed_' . md5($search_query));
-            if ($generation_failed) {
-                error_log('❌ SPB DEBUG: Generation marked as failed');
-                wp_send_json_success([
-                    'status' => 'error', // Fix: Use 'error' to match JavaScript
-                    'error' => $generation_failed,
-                    'message' => 'Page generation failed. Please try again.'
-                ]);
-                return;
-            }
+            $completed = [
+                'status' => 'completed', // Fix: Use 'completed' to match JavaScript
+                'page_id' => (int) $page->id,
+                'page_url' => home_url('/smart-page/' . $page->page_slug . '/'), // Fix: Use 'page_url' to match JavaScript
+                'stage' => 'complete',
+                'progress' => 100,
+                'eta' => 0,
+                'warnings' => $this->get_generation_progress($search_query)['warnings'],
+                'message' => 'Page generated successfully!'
+            ];
             
-            // Check if generation was attempted but failed
-            $generation_attempts = get_transient('spb_generation_attempt_' . md5($search_query));
-            if ($generation_attempts && $generation_attempts > 3) {
-                error_log('❌ SPB DEBUG: Too many generation attempts, likely failed');
-                wp_send_json_success([
-                    'status' => 'error', // Fix: Use 'error' to match JavaScript
-                    'error' => 'Generation attempts exceeded limit',
-                    'message' => 'Page generation failed. Please try again.'
+            // The stored page is what the permalink renders, so it completes the stream
+            if ($stream) {
+                $search_page = (array) $page;
+                $content = $this->parse_page_content_for_template($search_page);
+                $completed = array_merge($completed, $this->get_stream_payload($content, $page->search_query, $received), [
+                    'page_context' => [
+                        'page_id' => (int) $page->id,
+                        'source' => 'search_page',
+                        'search_query' => $page->search_query,
+                        'template' => $this->determine_template_type($search_page, $content),
+                        'components' => array_keys(array_filter(array_intersect_key($content, array_flip($this->stream_components))))
+                    ]
                 ]);
-                return;
             }
             
-            // Still generating
-            wp_send_json_success([
-                'status' => 'generating',
-                'message' => 'Generating your personalized page...',
-                'debug' => 'No page found in database yet'
+            return $completed;
+        }
+        
+        error_log('SPB DEBUG: No page found, still generating or failed');
+        
+        // Check if generation failed
+        $generation_failed = get_transient('spb_generation_failed_' . md5($search_query));
+        if ($generation_failed) {
+            error_log('❌ SPB DEBUG: Generation marked as failed');
+            return array_merge($this->get_generation_progress($search_query), [
+                'status' => 'error', // Fix: Use 'error' to match JavaScript
+                'error' => $generation_failed,
+                'message' => 'Page generation failed. Please try again.'
             ]);
         }
+        
+        // Check if generation was attempted but failed
+        $generation_attempts = get_transient('spb_generation_attempt_' . md5($search_query));
+        if ($generation_attempts && $generation_attempts > 3) {
+            error_log('❌ SPB DEBUG: Too many generation attempts, likely failed');
+            return [
+                'status' => 'error', // Fix: Use 'error' to match JavaScript
+                'error' => 'Generation attempts exceeded limit',
+                'message' => 'Page generation failed. Please try again.'
+            ];
+        }
+        
+        // Still generating - report the stage recorded by the background job
+        $generating = array_merge([
+            'status' => 'generating',
+            'message' => 'Generating your personalized page...',
+            'debug' => 'No page found in database yet'
+        ], $this->get_generation_progress($search_query));
+        
+        // Pages held for review are not shown before they are approved
+        if ($stream) {
+            $progress = get_transient('spb_generation_progress_' . md5($search_query));
+            $approval_status = is_array($progress) ? ($progress['approval_status'] ?? '') : '';
+            
+            if ($approval_status === 'approved') {
+                $generating = array_merge($generating, $this->get_stream_payload($progress['components'] ?? [], $search_query, $received));
+            } elseif ($approval_status === 'pending') {
+                $generating['stream'] = false;
+            }
+        }
+        
+        return $generating;
     }
     
     /**
@@ -180,6 +295,8 @@ class SPB_Search_Integration_Manager {
         // AJAX handlers
         add_action('wp_ajax_spb_check_generation_status', array($this, 'ajax_check_generation_status'));
         add_action('wp_ajax_nopriv_spb_check_generation_status', array($this, 'ajax_check_generation_status'));
+        add_action('wp_ajax_spb_get_query_lexicon', array($this, 'ajax_get_query_lexicon'));
+        add_action('wp_ajax_nopriv_spb_get_query_lexicon', array($this, 'ajax_get_query_lexicon'));
         add_action('wp_ajax_spb_generate_search_page', array($this, 'ajax_generate_search_page'));
         add_action('wp_ajax_nopriv_spb_generate_search_page', array($this, 'ajax_generate_search_page'));
         
@@ -193,6 +310,9 @@ class SPB_Search_Integration_Manager {
         
         // Background generation
         add_action('spb_generate_search_page_background', array($this, 'background_generate_search_page'));
+        
+        // Components finished by the AI page generation engine, for streaming
+        add_action('spb_component_generated', array($this, 'record_generated_component'), 10, 3);
     }
     
     /**
@@ -206,6 +326,11 @@ class SPB_Search_Integration_Manager {
             return;
         }
         
+        // Visitor asked for regular results (cancelled or skipped generation), or is outside the rollout
+        if ($this->is_generation_skipped($query)) {
+            return;
+        }
+        
         $search_query = get_search_query();
         error_log("=== SPB DEBUG: Search detected ===");
         error_log("SPB DEBUG: Search query: " . $search_query);
@@ -220,11 +345,18 @@ class SPB_Search_Integration_Manager {
         
         if ($existing_page && $existing_page['approval_status'] === 'approved') {
             error_log("SPB DEBUG: Found approved existing page, redirecting");
-            $page_url = $this->generate_search_page_url($this->generate_query_hash($search_query));
+            $page_url = $this->generate_search_page_url($existing_page['page_slug']);
             wp_redirect($page_url);
             exit;
         }
         
+        // Navigational searches look for a page the site already has
+        $analysis = $this->query_normalizer->analyze($search_query);
+        if (!$this->query_normalizer->should_generate($analysis)) {
+            error_log("SPB DEBUG: Search intent is " . $analysis['intent'] . ", skipping generation");
+            return;
+        }
+        
         error_log("SPB DEBUG: No existing approved page, triggering generation");
         // Trigger page generation with immediate response
         $this->trigger_search_page_generation($search_query, $query);
@@ -239,7 +371,7 @@ class SPB_Search_Integration_Manager {
      */
     public function handle_search_interception($posts, $query) {
         // Only process main search queries
-        if (!$query->is_main_query() || !$query->is_search()) {
+        if (!$query->is_main_query() || !$query->is_search() || $this->is_generation_skipped($query)) {
             return $posts;
         }
         
@@ -260,6 +392,28 @@ class SPB_Search_Integration_Manager {
         return $posts;
     }
     
+    /**
+     * Check whether generation is off for this search
+     *
+     * The visitor asked for regular results, or the search falls outside the
+     * interception rules' post types or sampling percentage.
+     *
+     * @param WP_Query $query WordPress query object
+     * @return bool True when regular search results should be shown
+     */
+    private function is_generation_skipped($query) {
+        if (!empty($_GET['spb_skip'])) {
+            return true;
+        }
+
+        if (class_exists('SPB_Search_Interception_Rules')) {
+            $rules = new SPB_Search_Interception_Rules();
+            return !$rules->matches_scope($query->get('post_type'));
+        }
+
+        return false;
+    }
+    
     /**
      * Add custom rewrite rules for search pages
      */
@@ -328,12 +482,24 @@ class SPB_Search_Integration_Manager {
             return false;
         }
         
+        // Apply admin-managed interception rules
+        if (class_exists('SPB_Search_Interception_Rules')) {
+            $rules = new SPB_Search_Interception_Rules();
+            if (!$rules->matches_query($query)) {
+                return false;
+            }
+        }
+        
         return true;
     }
     
     /**
      * Get existing search page for query
      *
+     * Pages are matched on the query key first, so plural, differently cased or
+     * "best ..." variants reuse the page generated for an equivalent search.
+     * Pages stored before canonical hashes are still found by their exact query.
+     *
      * @param string $query Search query
      * @return array|null Search page data or null
      */
@@ -343,8 +509,10 @@ class SPB_Search_Integration_Manager {
         $table_name = $wpdb->prefix . 'spb_search_pages';
         
         $search_page = $wpdb->get_row($wpdb->prepare(
-            "SELECT * FROM {$table_name} WHERE search_query = %s ORDER BY created_at DESC LIMIT 1",
-            $query
+            "SELECT * FROM {$table_name} WHERE page_slug = %s OR search_query = %s ORDER BY page_slug = %s DESC, created_at DESC LIMIT 1",
+            $this->generate_query_hash($query),
+            $query,
+            $this->generate_query_hash($query)
         ), ARRAY_A);
         
         return $search_page;
@@ -372,11 +540,14 @@ class SPB_Search_Integration_Manager {
     /**
      * Generate query hash for caching and URL generation
      *
+     * Equivalent queries share a hash, see SPB_Query_Normalizer::analyze().
+     * Spelling corrections are left out, as they follow the site vocabulary.
+     *
      * @param string $query Search query
      * @return string Query hash
      */
     private function generate_query_hash($query) {
-        return substr(md5(strtolower(trim($query))), 0, 16);
+        return substr(md5($this->query_normalizer->get_query_key($query)), 0, 16);
     }
     
     /**
@@ -582,21 +753,358 @@ class SPB_Search_Integration_Manager {
     public function ajax_generate_search_page() {
         check_ajax_referer('spb_generate_search_page', 'nonce');
         
-        $query = sanitize_text_field($_POST['query'] ?? '');
+        $result = $this->request_search_page(
+            sanitize_text_field($_POST['query'] ?? ''),
+            sanitize_text_field($_POST['source'] ?? ''),
+            !empty($_POST['async']),
+            sanitize_text_field(wp_unslash($_POST['session_id'] ?? ''))
+        );
         
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()]);
+        }
+        
+        wp_send_json_success($result);
+    }
+    
+    /**
+     * Generate a page for a search, or queue its generation
+     *
+     * Shared by the admin-ajax handler and the spb/v1 REST API.
+     *
+     * @param string $query Search query
+     * @param string $source Search box, widget event or URL parameter the query came from
+     * @param bool $async Queue background generation for the client to poll get_generation_status()
+     * @param string $session_id Session id of a visitor who allowed tracking, empty otherwise
+     * @return array|WP_Error Job data or generation result, or error
+     */
+    public function request_search_page($query, $source = '', $async = true, $session_id = '') {
         if (!$this->is_valid_search_query($query)) {
-            wp_send_json_error(['message' => 'Invalid search query']);
+            return new WP_Error('invalid_query', 'Invalid search query', 400);
+        }
+        
+        $analysis = $this->query_normalizer->analyze($query);
+        if (!$this->query_normalizer->should_generate($analysis)) {
+            return new WP_Error('not_generated', 'No page is generated for ' . $analysis['intent'] . ' searches', 400);
         }
         
         $user_context = $this->get_user_context();
+        $user_context['search_intent'] = $analysis['intent'];
+        $user_context['search_source'] = $source;
+        
+        if ($session_id !== '') {
+            /**
+             * Fires when a visitor who allowed tracking requests a page for a search.
+             *
+             * @since 3.7.0
+             *
+             * @param string $query      Search query.
+             * @param string $query_hash Hash the generated page is stored under.
+             * @param string $session_id Visitor session id.
+             */
+            do_action('spb_search_page_requested', $query, $this->generate_query_hash($query), $session_id);
+        }
+        
+        // Job mode: queue background generation and let the client poll for its status
+        if ($async) {
+            return $this->start_generation_job($query, $user_context);
+        }
         
         $result = $this->generate_search_page($query, $user_context);
         
-        if ($result['success']) {
-            wp_send_json_success($result);
-        } else {
-            wp_send_json_error($result);
+        if (!$result['success']) {
+            return new WP_Error('generation_failed', $result['error'] ?? 'Generation failed', 500);
         }
+        
+        return $result;
+    }
+    
+    /**
+     * Start a background generation job for the client to poll
+     *
+     * @param string $query Search query
+     * @param array $user_context User context data
+     * @return array Job data returned to the client
+     */
+    private function start_generation_job($query, $user_context) {
+        $query_hash = $this->generate_query_hash($query);
+        
+        // Serve an already approved page without queueing another generation
+        $existing_page = $this->get_existing_search_page($query);
+        if ($existing_page && $existing_page['approval_status'] === 'approved') {
+            return [
+                'status' => 'completed',
+                'page_id' => (int) $existing_page['id'],
+                'page_url' => $this->generate_search_page_url($existing_page['page_slug']),
+                'query_hash' => $query_hash,
+                'stage' => 'complete',
+                'progress' => 100,
+                'eta' => 0,
+                'warnings' => []
+            ];
+        }
+        
+        // Reset state left over from previous attempts
+        delete_transient('spb_generation_failed_' . md5($query));
+        delete_transient('spb_generation_attempt_' . md5($query));
+        delete_transient('spb_generation_progress_' . md5($query));
+        
+        $this->set_generation_stage($query, 'queued');
+        
+        $generation_data = [
+            'query' => $query,
+            'query_hash' => $query_hash,
+            'user_context' => $user_context,
+            'user_session_id' => $this->session_manager ? $this->session_manager->get_session_id() : '',
+            'generation_options' => $this->generation_options
+        ];
+        
+        wp_schedule_single_event(time(), 'spb_generate_search_page_background', [$generation_data]);
+        spawn_cron();
+        
+        return array_merge([
+            'status' => 'queued',
+            'query_hash' => $query_hash,
+            'poll_interval' => 1500
+        ], $this->get_generation_progress($query));
+    }
+    
+    /**
+     * Record the stage a generation job has reached
+     *
+     * @param string $query Search query
+     * @param string $stage Stage key from $generation_stages
+     */
+    private function set_generation_stage($query, $stage) {
+        $key = 'spb_generation_progress_' . md5($query);
+        $progress = get_transient($key);
+        
+        if (!is_array($progress)) {
+            $progress = [
+                'started_at' => microtime(true),
+                'warnings' => []
+            ];
+        }
+        
+        $progress['stage'] = $stage;
+        $progress['stage_started_at'] = microtime(true);
+        
+        set_transient($key, $progress, 300);
+    }
+    
+    /**
+     * Record a non-fatal problem so the client can explain degraded results
+     *
+     * @param string $query Search query
+     * @param string $message Warning shown to the visitor
+     */
+    private function record_generation_warning($query, $message) {
+        $key = 'spb_generation_progress_' . md5($query);
+        $progress = get_transient($key);
+        
+        if (!is_array($progress)) {
+            return;
+        }
+        
+        if (!in_array($message, $progress['warnings'], true)) {
+            $progress['warnings'][] = $message;
+            set_transient($key, $progress, 300);
+        }
+    }
+    
+    /**
+     * Get progress data for a generation job
+     *
+     * @param string $query Search query
+     * @return array Stage, progress percentage, ETA in seconds and warnings
+     */
+    private function get_generation_progress($query) {
+        $progress = get_transient('spb_generation_progress_' . md5($query));
+        
+        if (!is_array($progress)) {
+            return [
+                'stage' => 'queued',
+                'progress' => 0,
+                'eta' => null,
+                'warnings' => []
+            ];
+        }
+        
+        $stage = $progress['stage'];
+        $elapsed = microtime(true) - $progress['started_at'];
+        $expected = (float) get_option('spb_avg_ai_generation_time', 3.5);
+        
+        // Interpolate within the current stage, never reaching the next stage's percentage
+        $stage_keys = array_keys($this->generation_stages);
+        $next_index = array_search($stage, $stage_keys, true) + 1;
+        $percent = $this->generation_stages[$stage];
+        if (isset($stage_keys[$next_index])) {
+            $next_percent = $this->generation_stages[$stage_keys[$next_index]];
+            $fraction = $expected > 0 ? min(0.9, $elapsed / $expected) : 0;
+            $percent = max($percent, min($next_percent - 1, round($next_percent * $fraction)));
+        }
+        
+        return [
+            'stage' => $stage,
+            'progress' => (int) $percent,
+            'eta' => $stage === 'complete' ? 0 : (int) ceil(max(1, $expected - $elapsed)),
+            'warnings' => $progress['warnings']
+        ];
+    }
+    
+    /**
+     * Record whether a generation job's page will be published without review
+     *
+     * @param string $query Search query
+     * @param string $approval_status Status the page will be stored with, 'approved' or 'pending'
+     */
+    private function set_generation_approval($query, $approval_status) {
+        $key = 'spb_generation_progress_' . md5($query);
+        $progress = get_transient($key);
+        
+        if (!is_array($progress)) {
+            return;
+        }
+        
+        $progress['approval_status'] = $approval_status;
+        set_transient($key, $progress, 300);
+    }
+    
+    /**
+     * Get the status a page is stored with
+     *
+     * @param float $confidence_score Page confidence score (0-1)
+     * @return string 'approved' when the score reaches the auto-approve threshold, else 'pending'
+     */
+    private function get_approval_status($confidence_score) {
+        return $confidence_score >= $this->generation_options['auto_approve_threshold'] ? 'approved' : 'pending';
+    }
+    
+    /**
+     * Keep a finished component of a running generation job for streaming clients
+     *
+     * Only kept for pages that will be approved automatically; the rest wait for review.
+     *
+     * @param string $component Component type, 'hero', 'article' or 'cta'
+     * @param array $content Component content
+     * @param string $query Search query
+     */
+    public function record_generated_component($component, $content, $query) {
+        $key = 'spb_generation_progress_' . md5($query);
+        $progress = get_transient($key);
+        
+        // Only jobs started through start_generation_job() are followed by a client
+        if (!is_array($progress) || !in_array($component, $this->stream_components, true) || empty($content)) {
+            return;
+        }
+        
+        if (($progress['approval_status'] ?? '') !== 'approved') {
+            return;
+        }
+        
+        $progress['components'][$component] = $content;
+        set_transient($key, $progress, 300);
+    }
+    
+    /**
+     * Record every component of generated content for streaming clients
+     *
+     * @param array $content Component content keyed by type
+     * @param string $query Search query
+     */
+    private function record_generated_components($content, $query) {
+        foreach ($this->stream_components as $component) {
+            if (!empty($content[$component])) {
+                $this->record_generated_component($component, $content[$component], $query);
+            }
+        }
+    }
+    
+    /**
+     * Render the components a streaming client does not show yet
+     *
+     * Components are rendered with the same template partials as the final
+     * page, so replacing the URL with the permalink needs no reload.
+     *
+     * @param array $content Component content keyed by type
+     * @param string $query Search query
+     * @param array $received Component types the client already shows
+     * @return array 'template' whose partials rendered the components, the
+     *               'components' HTML keyed by type in page order and, with the
+     *               first components sent, the template 'styles'
+     */
+    private function get_stream_payload($content, $query, $received) {
+        $template_type = $this->get_partial_template_type($this->determine_template_type(['search_query' => $query], $content));
+        $content = $this->stamp_attribution($content, $query);
+        
+        $payload = [
+            'template' => $template_type,
+            'components' => []
+        ];
+        
+        foreach ($this->stream_components as $component) {
+            if (!empty($content[$component]) && !in_array($component, $received, true)) {
+                $payload['components'][$component] = $this->render_template_partial($template_type, $component, $content);
+            }
+        }
+        
+        if (empty($received) && !empty($payload['components'])) {
+            $payload['styles'] = $this->render_template_partial($template_type, 'styles', $content);
+        }
+        
+        return $payload;
+    }
+    
+    /**
+     * Get the template whose partials render a template type's components
+     *
+     * Templates without their own partials use the commercial ones, matching
+     * the fallback in load_enhanced_fallback_template().
+     *
+     * @param string $template_type Template type
+     * @return string Template type with partials
+     */
+    private function get_partial_template_type($template_type) {
+        $partials = SPB_PLUGIN_DIR . 'templates/search-page-templates/partials/';
+        
+        return file_exists($partials . "{$template_type}-hero.php") ? $template_type : 'commercial';
+    }
+    
+    /**
+     * Render one part of a search page template
+     *
+     * @param string $template_type Template type with partials
+     * @param string $part Component type or 'styles'
+     * @param array $content Component content keyed by type
+     * @return string HTML
+     */
+    private function render_template_partial($template_type, $part, $content) {
+        $partial = SPB_PLUGIN_DIR . "templates/search-page-templates/partials/{$template_type}-{$part}.php";
+        
+        $attribution = new SPB_Conversion_Attribution();
+        $experiments = new SPB_Experiments();
+        
+        ob_start();
+        include $partial;
+        return ob_get_clean();
+    }
+    
+    /**
+     * Fold a finished job's duration into the average used for ETAs
+     *
+     * @param string $query Search query
+     */
+    private function record_generation_duration($query) {
+        $progress = get_transient('spb_generation_progress_' . md5($query));
+        
+        if (!is_array($progress)) {
+            return;
+        }
+        
+        $duration = microtime(true) - $progress['started_at'];
+        $average = (float) get_option('spb_avg_ai_generation_time', 3.5);
+        
+        update_option('spb_avg_ai_generation_time', round($average * 0.8 + $duration * 0.2, 2));
     }
     
     /**
@@ -630,7 +1138,9 @@ class SPB_Search_Integration_Manager {
         
         try {
             // Discover content using WP Engine integration
-            $discovery_result = $this->integration_hub->discover_content($query, $user_context);
+            // Discover with the spell-corrected query
+            $this->set_generation_stage($query, 'discovering');
+            $discovery_result = $this->integration_hub->discover_content($this->query_normalizer->analyze($query)['corrected'], $user_context);
             
             if (empty($discovery_result['merged_results'])) {
                 return [
@@ -639,11 +1149,19 @@ class SPB_Search_Integration_Manager {
                 ];
             }
             
+            // Streaming clients can show the page before it is stored, if it needs no review
+            $this->set_generation_approval($query, $this->get_approval_status($this->calculate_page_confidence($discovery_result)));
+            $this->record_generated_components(
+                $this->convert_discovery_results_to_content($discovery_result, ['search_query' => $query]),
+                $query
+            );
+            
             // Generate page URL
             $query_hash = $this->generate_query_hash($query);
             $page_url = $this->generate_search_page_url($query_hash);
             
             // Store search page data
+            $this->set_generation_stage($query, 'finalizing');
             $search_page_id = $this->store_search_page_data($query, $query_hash, $page_url, $discovery_result, $user_context);
             
             $processing_time = round((microtime(true) - $start_time) * 1000, 2);
@@ -707,7 +1225,7 @@ class SPB_Search_Integration_Manager {
         $confidence_score = $this->calculate_page_confidence($discovery_result);
         
         // Determine approval status
-        $approval_status = $confidence_score >= $this->generation_options['auto_approve_threshold'] ? 'approved' : 'pending';
+        $approval_status = $this->get_approval_status($confidence_score);
         
         // Generate page title and content for the existing table structure
         $page_title = 'Smart Page: ' . ucfirst($query);
@@ -788,8 +1306,7 @@ class SPB_Search_Integration_Manager {
         error_log("SPB DEBUG: Fixing missing page_url for existing page");
         
         // Generate the missing page_url
-        $query_hash = $this->generate_query_hash($existing_page['search_query']);
-        $page_url = $this->generate_search_page_url($query_hash);
+        $page_url = $this->generate_search_page_url($existing_page['page_slug']);
         
         error_log("SPB DEBUG: Generated page_url: " . $page_url);
         
@@ -839,6 +1356,9 @@ class SPB_Search_Integration_Manager {
         // Parse and prepare content for template
         $content = $this->parse_page_content_for_template($search_page);
         
+        // Pages generated before attribution ids existed get the same stable ids
+        $content = $this->stamp_attribution($content, $search_page['search_query'] ?? '');
+        
         // Make content available to template
         global $spb_template_content;
         $spb_template_content = $content;
@@ -846,6 +1366,12 @@ class SPB_Search_Integration_Manager {
         // Determine template type based on content or intent
         $template_type = $this->determine_template_type($search_page, $content);
         
+        // Recorded for the page context the public script tags telemetry with
+        $spb_search_page_data['template_type'] = $template_type;
+        $spb_search_page_data['components'] = array_keys(array_filter(
+            array_intersect_key($content, array_flip(['hero', 'article', 'cta']))
+        ));
+        
         // Try to load specific template first
         $template_path = $this->locate_search_page_template($template_type);
         
@@ -860,6 +1386,25 @@ class SPB_Search_Integration_Manager {
         exit;
     }
     
+    /**
+     * Add attribution ids to the hero and CTA of page content
+     *
+     * @param array $content Parsed content
+     * @param string $query Search query the page was generated for
+     * @return array Content with stamped components
+     */
+    private function stamp_attribution($content, $query) {
+        $attribution = new SPB_Conversion_Attribution();
+        
+        foreach (['hero', 'cta'] as $component) {
+            if (!empty($content[$component])) {
+                $content[$component] = $attribution->stamp_component($content[$component], $component, $query);
+            }
+        }
+        
+        return $content;
+    }
+    
     /**
      * Parse page content for template rendering
      *
@@ -1017,28 +1562,16 @@ class SPB_Search_Integration_Manager {
     }
     
     /**
-     * Determine template type based on content and intent
+     * Determine template type based on the intent of the search query
      *
      * @param array $search_page Search page data
      * @param array $content Parsed content
      * @return string Template type
      */
     private function determine_template_type($search_page, $content) {
-        // Check if we have intent information
-        $query = strtolower($search_page['search_query'] ?? '');
+        $analysis = $this->query_normalizer->analyze($search_page['search_query'] ?? '');
         
-        // Commercial intent patterns
-        if (preg_match('/\b(buy|purchase|price|cost|deal|discount|review|best|compare)\b/', $query)) {
-            return 'commercial';
-        }
-        
-        // Educational intent patterns
-        if (preg_match('/\b(how to|tutorial|guide|learn|course|education)\b/', $query)) {
-            return 'educational';
-        }
-        
-        // Default to informational
-        return 'informational';
+        return $this->query_normalizer->get_template_for_intent($analysis['intent']);
     }
     
     /**
@@ -1180,6 +1713,8 @@ class SPB_Search_Integration_Manager {
         
         error_log("SPB DEBUG: Generation attempt #{$attempts} for query: {$query}");
         
+        $this->set_generation_stage($query, 'analyzing');
+        
         try {
             // Generate the search page with AI enhancement
             $result = $this->generate_enhanced_search_page($query, $user_context);
@@ -1192,28 +1727,53 @@ class SPB_Search_Integration_Manager {
                 // Clear generation attempts on success
                 delete_transient($attempt_key);
                 
+                $this->set_generation_stage($query, 'complete');
+                $this->record_generation_duration($query);
+                
                 // Set success flag for AJAX polling
                 set_transient('spb_generation_success_' . md5($query), $result, 300);
                 
             } else {
                 error_log('❌ SPB DEBUG: Background generation failed: ' . $result['error']);
-                
-                // If too many attempts, mark as permanently failed
-                if ($attempts >= 3) {
-                    error_log('❌ SPB DEBUG: Max attempts reached, marking as failed');
-                    set_transient('spb_generation_failed_' . md5($query), $result['error'], 300);
-                }
+                $this->handle_generation_failure($generation_data, $attempts, $result['error']);
             }
             
         } catch (Exception $e) {
             error_log('❌ SPB DEBUG: Background generation exception: ' . $e->getMessage());
-            
-            // If too many attempts, mark as permanently failed
-            if ($attempts >= 3) {
-                error_log('❌ SPB DEBUG: Max attempts reached, marking as failed');
-                set_transient('spb_generation_failed_' . md5($query), $e->getMessage(), 300);
-            }
+            $this->handle_generation_failure($generation_data, $attempts, $e->getMessage());
+        }
+    }
+    
+    /**
+     * Retry a failed background generation, or mark it failed for the poller
+     *
+     * Without a retry or the failed flag the status endpoint would report
+     * 'generating' until the client gives up.
+     *
+     * @param array $generation_data Generation data from scheduled event
+     * @param int $attempts Attempts made so far
+     * @param string $error Error message
+     */
+    private function handle_generation_failure($generation_data, $attempts, $error) {
+        $query = $generation_data['query'];
+        
+        $this->record_generation_warning($query, $error);
+        
+        if ($attempts >= 3) {
+            error_log('❌ SPB DEBUG: Max attempts reached, marking as failed');
+            set_transient('spb_generation_failed_' . md5($query), $error, 300);
+            return;
         }
+        
+        // Back off a little more with each attempt, well within the client's deadline
+        $scheduled = wp_schedule_single_event(time() + 2 * $attempts, 'spb_generate_search_page_background', [$generation_data]);
+        
+        if ($scheduled === false || is_wp_error($scheduled)) {
+            set_transient('spb_generation_failed_' . md5($query), $error, 300);
+            return;
+        }
+        
+        spawn_cron();
     }
     
     /**
@@ -1244,6 +1804,7 @@ class SPB_Search_Integration_Manager {
             
             // Fallback to basic generation if AI fails
             error_log('SPB DEBUG: AI generation failed, falling back to basic generation');
+            $this->record_generation_warning($query, 'AI content generation unavailable, using curated search results instead');
             return $this->generate_search_page($query, $user_context);
         }
     }
@@ -1268,11 +1829,13 @@ class SPB_Search_Integration_Manager {
             // Get existing content context from WP Engine if available
             $existing_content = [];
             if ($this->integration_hub) {
+                $this->set_generation_stage($query, 'discovering');
                 try {
-                    $discovery_result = $this->integration_hub->discover_content($query, $user_context);
+                    $discovery_result = $this->integration_hub->discover_content($this->query_normalizer->analyze($query)['corrected'], $user_context);
                     $existing_content = $discovery_result['merged_results'] ?? [];
                 } catch (Exception $e) {
                     error_log('SPB DEBUG: WP Engine discovery failed: ' . $e->getMessage());
+                    $this->record_generation_warning($query, 'Related site content could not be retrieved');
                 }
             }
             
@@ -1280,17 +1843,21 @@ class SPB_Search_Integration_Manager {
             $user_intent = $this->determine_user_intent($query);
             
             // Generate AI content
+            $this->set_generation_stage($query, 'generating');
+            $this->set_generation_approval($query, $this->get_approval_status($this->ai_content_confidence));
             $ai_content = $openai_provider->generate_search_page_content($query, [
                 'existing_content' => $existing_content,
                 'user_intent' => $user_intent,
                 'user_context' => $user_context
             ]);
+            $this->record_generated_components($ai_content, $query);
             
             // Generate page URL
             $query_hash = $this->generate_query_hash($query);
             $page_url = $this->generate_search_page_url($query_hash);
             
             // Store enhanced search page data
+            $this->set_generation_stage($query, 'finalizing');
             $search_page_id = $this->store_ai_enhanced_page_data($query, $query_hash, $page_url, $ai_content, $user_context);
             
             $processing_time = round((microtime(true) - $start_time) * 1000, 2);
@@ -1318,34 +1885,7 @@ class SPB_Search_Integration_Manager {
      * @return string User intent type
      */
     private function determine_user_intent($query) {
-        $query_lower = strtolower($query);
-        
-        // Informational intent patterns
-        $informational_patterns = ['how to', 'what is', 'why', 'when', 'where', 'guide', 'tutorial', 'tips'];
-        foreach ($informational_patterns as $pattern) {
-            if (strpos($query_lower, $pattern) !== false) {
-                return 'informational';
-            }
-        }
-        
-        // Commercial intent patterns
-        $commercial_patterns = ['best', 'review', 'compare', 'vs', 'price', 'cost', 'buy', 'purchase'];
-        foreach ($commercial_patterns as $pattern) {
-            if (strpos($query_lower, $pattern) !== false) {
-                return 'commercial';
-            }
-        }
-        
-        // Transactional intent patterns
-        $transactional_patterns = ['buy', 'purchase', 'order', 'shop', 'deal', 'discount', 'coupon'];
-        foreach ($transactional_patterns as $pattern) {
-            if (strpos($query_lower, $pattern) !== false) {
-                return 'transactional';
-            }
-        }
-        
-        // Default to informational
-        return 'informational';
+        return $this->query_normalizer->analyze($query)['intent'];
     }
     
     /**
@@ -1364,10 +1904,10 @@ class SPB_Search_Integration_Manager {
         $table_name = $wpdb->prefix . 'spb_search_pages';
         
         // Calculate confidence score (AI content gets higher base score)
-        $confidence_score = 0.85; // Higher base score for AI content
+        $confidence_score = $this->ai_content_confidence;
         
         // Determine approval status
-        $approval_status = $confidence_score >= $this->generation_options['auto_approve_threshold'] ? 'approved' : 'pending';
+        $approval_status = $this->get_approval_status($confidence_score);
         
         // Create structured page content
         $page_title = $ai_content['hero']['headline'] ?? ('Smart Page: ' . ucfirst($query));
@@ -0,0 +1,364 @@
+<?php
+/**
+ * Search Interception Rules
+ *
+ * Admin-managed rules deciding which searches trigger page generation.
+ * The same rules are applied server-side and delivered to the public
+ * script through spb_public.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Search Interception Rules class
+ */
+class SPB_Search_Interception_Rules {
+
+    /**
+     * Option name the rules are stored in
+     */
+    const OPTION_NAME = 'spb_search_interception_rules';
+
+    /**
+     * Cookie the visitor's sampling bucket is kept in, shared with the public script
+     */
+    const BUCKET_COOKIE = 'spb_generation_bucket';
+
+    /**
+     * Default rules, matching the behaviour before rules were configurable
+     */
+    private $defaults = [
+        'allow_patterns' => [],
+        'deny_patterns' => [
+            '^[0-9]+$',
+            '^[a-zA-Z]$',
+            'admin',
+            'login',
+            'wp-'
+        ],
+        'min_words' => 1,
+        'post_types' => [],
+        'form_selectors' => [],
+        'languages' => [],
+        'sample_rate' => 100,
+        'source_selectors' => [],
+        'source_events' => [],
+        'source_url_params' => []
+    ];
+
+    /**
+     * Search boxes recognized out of the box
+     *
+     * WooCommerce comes first so its product search is recorded as its own
+     * source rather than as a generic WordPress search form.
+     */
+    private $default_sources = [
+        [
+            'id' => 'woocommerce',
+            'type' => 'form',
+            'selector' => '.woocommerce-product-search',
+            'input' => 'input[name="s"]'
+        ],
+        [
+            'id' => 'wordpress',
+            'type' => 'form',
+            'selector' => 'form[role="search"], .search-form, #searchform, .wp-block-search',
+            'input' => 'input[type="search"], input[name="s"]'
+        ]
+    ];
+
+    /**
+     * Current rules
+     */
+    private $rules;
+
+    /**
+     * Constructor
+     */
+    public function __construct() {
+        $this->rules = wp_parse_args(get_option(self::OPTION_NAME, []), $this->defaults);
+    }
+
+    /**
+     * Get the current rules
+     *
+     * @return array Rules
+     */
+    public function get_rules() {
+        return $this->rules;
+    }
+
+    /**
+     * Get the rules in the shape expected by the public script
+     *
+     * @return array Rules for spb_public.interception_rules
+     */
+    public function get_client_rules() {
+        return array_merge($this->rules, [
+            'min_length' => (int) get_option('spb_min_query_length', 3),
+            'max_length' => (int) get_option('spb_max_query_length', 200)
+        ]);
+    }
+
+    /**
+     * Get the search sources the public script listens to
+     *
+     * Besides the default forms, admins can add selectors for other search
+     * boxes, DOM events dispatched by single-page search widgets and URL
+     * parameters such as ?q= that carry a search on page load.
+     *
+     * @return array Search source definitions for spb_public.search_sources
+     */
+    public function get_search_sources() {
+        $sources = [];
+
+        // Admin selectors are checked first so they win over the default forms
+        foreach ($this->rules['source_selectors'] as $selector) {
+            $sources[] = [
+                'id' => 'custom',
+                'type' => 'element',
+                'selector' => $selector
+            ];
+        }
+
+        $sources = array_merge($sources, $this->default_sources);
+
+        foreach ($this->rules['source_events'] as $event) {
+            $sources[] = [
+                'id' => 'event:' . $event,
+                'type' => 'event',
+                'event' => $event
+            ];
+        }
+
+        foreach ($this->rules['source_url_params'] as $param) {
+            $sources[] = [
+                'id' => 'url:' . $param,
+                'type' => 'url',
+                'param' => $param
+            ];
+        }
+
+        /**
+         * Filters the search sources that can trigger page generation.
+         *
+         * Sources are checked in order. Each has an id recorded with the
+         * search and a type: form (selector and optional input), element
+         * (selector for a field or its container), event (event name) or url
+         * (param and optional path pattern). An optional fallback - submit,
+         * search or stay - decides what happens when generation is cancelled
+         * or fails.
+         *
+         * @param array $sources Search source definitions.
+         */
+        return apply_filters('spb_search_sources', $sources);
+    }
+
+    /**
+     * Check a query against the rules that can be evaluated on the server
+     *
+     * Form scoping depends on the page searched from and is only applied by
+     * the public script; post types and sampling are checked by matches_scope().
+     *
+     * @param string $query Search query
+     * @return bool Whether the query may trigger generation
+     */
+    public function matches_query($query) {
+        $query = trim($query);
+
+        if (count(preg_split('/\s+/u', $query, -1, PREG_SPLIT_NO_EMPTY)) < $this->rules['min_words']) {
+            return false;
+        }
+
+        foreach ($this->rules['deny_patterns'] as $pattern) {
+            if (preg_match($this->to_php_regex($pattern), $query)) {
+                return false;
+            }
+        }
+
+        if (!empty($this->rules['allow_patterns'])) {
+            $allowed = false;
+            foreach ($this->rules['allow_patterns'] as $pattern) {
+                if (preg_match($this->to_php_regex($pattern), $query)) {
+                    $allowed = true;
+                    break;
+                }
+            }
+
+            if (!$allowed) {
+                return false;
+            }
+        }
+
+        if (!empty($this->rules['languages'])) {
+            $language = strtolower(substr(determine_locale(), 0, 2));
+            if (!in_array($language, $this->rules['languages'], true)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check a search's post type and the visitor's sampling bucket
+     *
+     * The bucket is read from the cookie the public script keeps it in, so
+     * both sample a visitor alike; a visitor without one is given one here.
+     *
+     * @param string|array $post_type Post type searched, empty for any
+     * @return bool Whether the search may trigger generation
+     */
+    public function matches_scope($post_type) {
+        if (!empty($this->rules['post_types'])) {
+            $post_types = array_filter((array) $post_type) ?: ['any'];
+            if (array_diff($post_types, $this->rules['post_types'])) {
+                return false;
+            }
+        }
+
+        return $this->rules['sample_rate'] >= 100 || $this->get_sample_bucket() < $this->rules['sample_rate'];
+    }
+
+    /**
+     * Get the visitor's sampling bucket, from 0 to 99
+     *
+     * @return int Bucket
+     */
+    private function get_sample_bucket() {
+        $bucket = $_COOKIE[self::BUCKET_COOKIE] ?? '';
+        if (ctype_digit((string) $bucket) && (int) $bucket < 100) {
+            return (int) $bucket;
+        }
+
+        $bucket = wp_rand(0, 99);
+        $_COOKIE[self::BUCKET_COOKIE] = (string) $bucket;
+
+        if (!headers_sent()) {
+            setcookie(self::BUCKET_COOKIE, (string) $bucket, [
+                'expires' => time() + YEAR_IN_SECONDS,
+                'path' => COOKIEPATH,
+                'domain' => COOKIE_DOMAIN,
+                'secure' => is_ssl(),
+                'samesite' => 'Lax'
+            ]);
+        }
+
+        return $bucket;
+    }
+
+    /**
+     * Sanitize rules submitted from the settings screen
+     *
+     * Textarea fields hold one entry per line; comma-separated input is accepted
+     * for post types and languages. Invalid regular expressions are dropped with
+     * a settings error.
+     *
+     * @param array $input Raw settings input
+     * @return array Sanitized rules
+     */
+    public function sanitize_rules($input) {
+        $input = is_array($input) ? $input : [];
+
+        $rules = [
+            'allow_patterns' => $this->sanitize_patterns($input['allow_patterns'] ?? ''),
+            'deny_patterns' => $this->sanitize_patterns($input['deny_patterns'] ?? ''),
+            'min_words' => max(1, absint($input['min_words'] ?? 1)),
+            'post_types' => array_map('sanitize_key', $this->split_list($input['post_types'] ?? '')),
+            'form_selectors' => array_map('sanitize_text_field', $this->split_list($input['form_selectors'] ?? '', "/\r\n|\n/")),
+            'languages' => array_map(function($language) {
+                return strtolower(substr(sanitize_key($language), 0, 2));
+            }, $this->split_list($input['languages'] ?? '')),
+            'sample_rate' => min(100, absint($input['sample_rate'] ?? 100)),
+            'source_selectors' => array_map('sanitize_text_field', $this->split_list($input['source_selectors'] ?? '', "/\r\n|\n/")),
+            'source_events' => array_values(array_filter(array_map(function($event) {
+                return preg_replace('/[^A-Za-z0-9:._-]/', '', $event);
+            }, $this->split_list($input['source_events'] ?? '')), 'strlen')),
+            'source_url_params' => array_values(array_filter(array_map('sanitize_key', $this->split_list($input['source_url_params'] ?? '')), 'strlen'))
+        ];
+
+        return $rules;
+    }
+
+    /**
+     * Sanitize a list of regular expressions
+     *
+     * @param string|array $value Patterns, one per line
+     * @return array Valid patterns
+     */
+    private function sanitize_patterns($value) {
+        $patterns = [];
+
+        foreach ($this->split_list($value, "/\r\n|\n/") as $pattern) {
+            if (!$this->is_valid_pattern($pattern)) {
+                if (function_exists('add_settings_error')) {
+                    add_settings_error(
+                        self::OPTION_NAME,
+                        'spb_invalid_pattern',
+                        sprintf(__('Ignored invalid search rule pattern: %s', 'smart-page-builder'), $pattern)
+                    );
+                }
+                continue;
+            }
+
+            $patterns[] = $pattern;
+        }
+
+        return $patterns;
+    }
+
+    /**
+     * Check a stored pattern compiles as a PHP regex
+     *
+     * preg_match() warns about an invalid pattern; the warning is left to the
+     * settings error sanitize_patterns() reports instead.
+     *
+     * @param string $pattern Stored pattern
+     * @return bool Whether the pattern is valid
+     */
+    private function is_valid_pattern($pattern) {
+        set_error_handler('__return_true');
+        $valid = preg_match($this->to_php_regex($pattern), '') !== false;
+        restore_error_handler();
+
+        return $valid && preg_last_error() === PREG_NO_ERROR;
+    }
+
+    /**
+     * Split textarea or comma-separated input into a clean list
+     *
+     * Settings input arrives unslashed by options.php.
+     *
+     * @param string|array $value Raw value
+     * @param string $separator Regex the entries are separated by
+     * @return array List of non-empty entries
+     */
+    private function split_list($value, $separator = '/[\r\n,]+/') {
+        if (is_array($value)) {
+            $items = $value;
+        } else {
+            $items = preg_split($separator, (string) $value);
+        }
+
+        return array_values(array_filter(array_map('trim', $items), 'strlen'));
+    }
+
+    /**
+     * Convert a stored JavaScript-style pattern into a PHP regex
+     *
+     * Patterns are stored without delimiters and always match case-insensitively,
+     * the same way the public script builds them with new RegExp(pattern, 'i').
+     *
+     * @param string $pattern Stored pattern
+     * @return string PHP regex
+     */
+    private function to_php_regex($pattern) {
+        return '/' . preg_replace('#(?<!\\\\)/#', '\/', $pattern) . '/iu';
+    }
+}
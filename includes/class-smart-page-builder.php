@@ -82,6 +82,19 @@ class Smart_Page_Builder {
         
         // Load public functionality
         require_once SPB_PLUGIN_DIR . 'public/class-public.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-event-collector.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-search-interception-rules.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-web-vitals-report.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-responsive-image.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-page-feedback.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-conversion-attribution.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-conversion-report.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-experiments.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-query-normalizer.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-visitor-profile.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-rest-api.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-consent.php';
+        require_once SPB_PLUGIN_DIR . 'includes/class-personal-data.php';
         
         // Load v3.0 personalization features if enabled
         if (defined('SPB_V3_PERSONALIZATION') && SPB_V3_PERSONALIZATION) {
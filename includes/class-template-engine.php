@@ -264,9 +264,16 @@ class SPB_Template_Engine {
         // Build main content container
         $html .= '<div class="spb-page-container spb-' . $template_config['type'] . '-template">';
         
-        // Add hero section if available
+        $experiments = new SPB_Experiments();
+        
+        // Add hero section if available, once per experiment variant
         if (!empty($content_data['hero'])) {
-            $html .= $this->build_hero_section($content_data['hero'], $template_config);
+            $variants = $experiments->get_variant_contents($content_data['hero'], 'hero');
+            $html .= $experiments->open_variants($variants);
+            foreach ($variants as $hero_data) {
+                $html .= $this->build_hero_section($hero_data, $template_config);
+            }
+            $html .= $experiments->close_variants($variants);
         }
         
         // Add main content area
@@ -277,9 +284,14 @@ class SPB_Template_Engine {
             $html .= $this->build_article_section($content_data['article'], $template_config);
         }
         
-        // Add CTA section if available
+        // Add CTA section if available, once per experiment variant
         if (!empty($content_data['cta'])) {
-            $html .= $this->build_cta_section($content_data['cta'], $template_config);
+            $variants = $experiments->get_variant_contents($content_data['cta'], 'cta');
+            $html .= $experiments->open_variants($variants);
+            foreach ($variants as $cta_data) {
+                $html .= $this->build_cta_section($cta_data, $template_config);
+            }
+            $html .= $experiments->close_variants($variants);
         }
         
         $html .= '</main>';
@@ -300,7 +312,11 @@ class SPB_Template_Engine {
      * @return string Hero section HTML
      */
     private function build_hero_section($hero_data, $template_config) {
-        $html = '<section class="spb-hero-section" role="banner">';
+        $attribution = new SPB_Conversion_Attribution();
+
+        $hidden = (new SPB_Experiments())->get_hidden_attribute($hero_data);
+
+        $html = '<section class="spb-hero-section" role="banner"' . $attribution->get_component_attributes($hero_data, 'hero') . $hidden . '>';
         $html .= '<div class="spb-hero-container">';
         
         // Hero content
@@ -317,12 +333,12 @@ class SPB_Template_Engine {
         // Hero CTA buttons
         if (!empty($hero_data['cta_primary'])) {
             $html .= '<div class="spb-hero-actions">';
-            $html .= '<a href="' . esc_url($hero_data['cta_primary']['url'] ?? '#') . '" class="spb-btn spb-btn-primary">';
+            $html .= '<a href="' . esc_url($hero_data['cta_primary']['url'] ?? '#') . '" class="spb-btn spb-btn-primary"' . $attribution->get_button_attributes($hero_data['cta_primary']) . '>';
             $html .= esc_html($hero_data['cta_primary']['text'] ?? 'Learn More');
             $html .= '</a>';
             
             if (!empty($hero_data['cta_secondary'])) {
-                $html .= '<a href="' . esc_url($hero_data['cta_secondary']['url'] ?? '#') . '" class="spb-btn spb-btn-secondary">';
+                $html .= '<a href="' . esc_url($hero_data['cta_secondary']['url'] ?? '#') . '" class="spb-btn spb-btn-secondary"' . $attribution->get_button_attributes($hero_data['cta_secondary']) . '>';
                 $html .= esc_html($hero_data['cta_secondary']['text'] ?? 'Get Started');
                 $html .= '</a>';
             }
@@ -331,8 +347,16 @@ class SPB_Template_Engine {
         
         $html .= '</div>'; // Close hero content
         
-        // Hero visual element
-        if (!empty($hero_data['visual_suggestion'])) {
+        // Hero visual element, loaded eagerly because it is usually the largest paint
+        if (!empty($hero_data['image']) && class_exists('SPB_Responsive_Image')) {
+            $html .= '<div class="spb-hero-visual">';
+            $html .= (new SPB_Responsive_Image())->render($hero_data['image'], [
+                'class' => 'spb-hero-image',
+                'template' => $template_config['type'],
+                'eager' => true
+            ]);
+            $html .= '</div>';
+        } elseif (!empty($hero_data['visual_suggestion'])) {
             $html .= '<div class="spb-hero-visual">';
             $html .= '<div class="spb-hero-placeholder" data-visual="' . esc_attr($hero_data['visual_suggestion']) . '">';
             $html .= '<span class="spb-visual-hint">' . esc_html($hero_data['visual_suggestion']) . '</span>';
@@ -361,6 +385,14 @@ class SPB_Template_Engine {
             $html .= '<h2 class="spb-article-title">' . esc_html($article_data['title']) . '</h2>';
         }
         
+        if (!empty($article_data['image']) && class_exists('SPB_Responsive_Image')) {
+            $html .= '<figure class="spb-article-image">';
+            $html .= (new SPB_Responsive_Image())->render($article_data['image'], [
+                'template' => $template_config['type']
+            ]);
+            $html .= '</figure>';
+        }
+        
         if (!empty($article_data['content'])) {
             $html .= '<div class="spb-article-content">';
             $html .= wp_kses_post($article_data['content']);
@@ -411,7 +443,11 @@ class SPB_Template_Engine {
      * @return string CTA section HTML
      */
     private function build_cta_section($cta_data, $template_config) {
-        $html = '<section class="spb-cta-section">';
+        $attribution = new SPB_Conversion_Attribution();
+
+        $hidden = (new SPB_Experiments())->get_hidden_attribute($cta_data);
+
+        $html = '<section class="spb-cta-section"' . $attribution->get_component_attributes($cta_data, 'cta') . $hidden . '>';
         $html .= '<div class="spb-cta-container">';
         
         if (!empty($cta_data['headline'])) {
@@ -426,13 +462,13 @@ class SPB_Template_Engine {
         $html .= '<div class="spb-cta-actions">';
         
         if (!empty($cta_data['primary_button'])) {
-            $html .= '<a href="' . esc_url($cta_data['primary_button']['url'] ?? '#') . '" class="spb-btn spb-btn-cta-primary">';
+            $html .= '<a href="' . esc_url($cta_data['primary_button']['url'] ?? '#') . '" class="spb-btn spb-btn-cta-primary"' . $attribution->get_button_attributes($cta_data['primary_button']) . '>';
             $html .= esc_html($cta_data['primary_button']['text'] ?? 'Get Started');
             $html .= '</a>';
         }
         
         if (!empty($cta_data['secondary_button'])) {
-            $html .= '<a href="' . esc_url($cta_data['secondary_button']['url'] ?? '#') . '" class="spb-btn spb-btn-cta-secondary">';
+            $html .= '<a href="' . esc_url($cta_data['secondary_button']['url'] ?? '#') . '" class="spb-btn spb-btn-cta-secondary"' . $attribution->get_button_attributes($cta_data['secondary_button']) . '>';
             $html .= esc_html($cta_data['secondary_button']['text'] ?? 'Learn More');
             $html .= '</a>';
         }
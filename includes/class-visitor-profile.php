@@ -0,0 +1,983 @@
+<?php
+/**
+ * Visitor Profile
+ *
+ * Serves a visitor's interest profile, recorded per session in
+ * spb_user_interest_vectors, and recommends posts from the taxonomy terms
+ * matching their strongest interests. Used by the personalization script and
+ * by headless front ends through the SDK.
+ *
+ * Visitors can correct the profile: muted interests are dropped, pinned ones
+ * always count, weights they set replace the inferred scores, and topics
+ * they add count like inferred ones. Those preferences are kept per session
+ * in spb_interest_preferences and applied wherever interests are read.
+ *
+ * Signed-in visitors keep one profile, under the session id user-<ID>, on
+ * every device they sign in on. The profile an anonymous session built up is
+ * merged into it after they sign in; where both scored an interest, the more
+ * recent score counts for more. Only the session kept in this browser's
+ * signed spb_session cookie is merged, so a user cannot claim another
+ * visitor's profile by its id.
+ *
+ * With the on-device interest model the profile is kept in the visitor's
+ * browser instead: pages describe their terms for it, and recommendations
+ * are made from the coarse segments - top-level categories - it reports,
+ * without a session id.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Visitor Profile class
+ */
+class SPB_Visitor_Profile {
+
+    /**
+     * Nonce action checked by the AJAX handlers
+     */
+    const NONCE_ACTION = 'spb_personalization_nonce';
+
+    /**
+     * Number of recommendations returned by default
+     */
+    const RECOMMENDATION_LIMIT = 5;
+
+    /**
+     * Lowest interest score recommendations are made for
+     */
+    const MIN_RECOMMENDATION_SCORE = 0.2;
+
+    /**
+     * Number of strongest interests recommendations are drawn from
+     */
+    const RECOMMENDATION_INTERESTS = 3;
+
+    /**
+     * Most terms a page describes to the on-device model
+     */
+    const MAX_PAGE_TERMS = 20;
+
+    /**
+     * Weight of a topic added without one
+     */
+    const DEFAULT_ADDED_WEIGHT = 0.5;
+
+    /**
+     * Prefix of the session ids signed-in visitors' profiles are kept under
+     */
+    const USER_SESSION_PREFIX = 'user-';
+
+    /**
+     * HttpOnly cookie keeping the anonymous session issued to the browser
+     */
+    const SESSION_COOKIE = 'spb_session';
+
+    /**
+     * How long the browser keeps its anonymous session
+     */
+    const SESSION_COOKIE_TTL = 30 * DAY_IN_SECONDS;
+
+    /**
+     * Register the AJAX handlers the personalization script calls
+     */
+    public function init_hooks() {
+        $handlers = [
+            'spb_get_user_profile' => 'ajax_get_profile',
+            'spb_reset_user_profile' => 'ajax_reset_profile',
+            'spb_get_recommendations' => 'ajax_get_recommendations',
+            'spb_get_segment_recommendations' => 'ajax_get_segment_recommendations',
+            'spb_update_interest_preference' => 'ajax_update_interest_preference',
+            'spb_merge_session_profile' => 'ajax_merge_profile',
+            'spb_keep_session' => 'ajax_keep_session',
+            'spb_forget_session' => 'ajax_forget_session'
+        ];
+
+        foreach ($handlers as $action => $method) {
+            add_action('wp_ajax_' . $action, array($this, $method));
+            add_action('wp_ajax_nopriv_' . $action, array($this, $method));
+        }
+    }
+
+    /**
+     * AJAX handler returning the visitor's profile
+     */
+    public function ajax_get_profile() {
+        $this->send_ajax_result($this->get_profile($this->get_posted_session_id()));
+    }
+
+    /**
+     * AJAX handler clearing the visitor's profile
+     */
+    public function ajax_reset_profile() {
+        $this->send_ajax_result($this->reset_profile($this->get_posted_session_id()));
+    }
+
+    /**
+     * AJAX handler returning recommendations for the visitor
+     */
+    public function ajax_get_recommendations() {
+        $recommendations = $this->get_recommendations(
+            $this->get_posted_session_id(),
+            esc_url_raw(wp_unslash($_POST['page_url'] ?? ''))
+        );
+
+        $this->send_ajax_result(is_wp_error($recommendations) ? $recommendations : ['recommendations' => $recommendations]);
+    }
+
+    /**
+     * AJAX handler returning recommendations for segments of the on-device model
+     */
+    public function ajax_get_segment_recommendations() {
+        $this->verify_nonce();
+
+        $this->send_ajax_result(['recommendations' => $this->get_segment_recommendations(
+            explode(',', sanitize_text_field(wp_unslash($_POST['segments'] ?? ''))),
+            esc_url_raw(wp_unslash($_POST['page_url'] ?? ''))
+        )]);
+    }
+
+    /**
+     * AJAX handler storing the visitor's preference for an interest
+     */
+    public function ajax_update_interest_preference() {
+        $session_id = $this->get_posted_session_id();
+
+        $this->send_ajax_result($this->update_interest_preference(
+            $session_id,
+            wp_unslash($_POST['interest'] ?? ''),
+            $this->parse_preference_changes(wp_unslash($_POST))
+        ));
+    }
+
+    /**
+     * AJAX handler merging an anonymous session into the signed-in visitor's profile
+     */
+    public function ajax_merge_profile() {
+        $this->verify_nonce();
+
+        $this->send_ajax_result($this->merge_session_profile());
+    }
+
+    /**
+     * AJAX handler keeping the visitor's anonymous session in the browser
+     */
+    public function ajax_keep_session() {
+        $session_id = $this->get_posted_session_id();
+
+        $this->send_ajax_result($this->keep_session($session_id, wp_unslash($_POST['session_token'] ?? '')));
+    }
+
+    /**
+     * AJAX handler dropping the anonymous session kept in the browser
+     */
+    public function ajax_forget_session() {
+        $this->verify_nonce();
+
+        $this->send_ajax_result($this->forget_session());
+    }
+
+    /**
+     * Sign an anonymous session id issued to a browser
+     *
+     * @param string $session_id Session id
+     * @return string Token proving the server issued the id
+     */
+    public static function get_session_token($session_id) {
+        return wp_hash('spb_session|' . $session_id);
+    }
+
+    /**
+     * Get the anonymous session id kept in this browser's session cookie
+     *
+     * @return string Session id, empty when there is none or its signature does not check out
+     */
+    public static function get_issued_session_id() {
+        $parts = explode('|', (string) wp_unslash($_COOKIE[self::SESSION_COOKIE] ?? ''), 2);
+        if (count($parts) !== 2 || $parts[0] === '' || strpos($parts[0], self::USER_SESSION_PREFIX) === 0) {
+            return '';
+        }
+
+        return hash_equals(self::get_session_token($parts[0]), $parts[1]) ? $parts[0] : '';
+    }
+
+    /**
+     * Keep an anonymous session in the browser's session cookie
+     *
+     * The token is the one the page was given with the session id, so only
+     * ids the server issued are kept.
+     *
+     * @param string $session_id Anonymous session id
+     * @param string $token Session token, see get_session_token()
+     * @return array|WP_Error Session kept, or error
+     */
+    public function keep_session($session_id, $token) {
+        if (is_user_logged_in()) {
+            return new WP_Error('logged_in', 'Signed-in visitors keep their profile under their account', 400);
+        }
+
+        $session_id = $this->sanitize_session_id($session_id);
+        if ($session_id === '' || strpos($session_id, self::USER_SESSION_PREFIX) === 0) {
+            return new WP_Error('invalid_session', 'Only anonymous sessions can be kept', 400);
+        }
+
+        if (!hash_equals(self::get_session_token($session_id), (string) $token)) {
+            return new WP_Error('invalid_session_token', 'The session was not issued to this browser', 403);
+        }
+
+        if ((new SPB_Consent())->request_opted_out()) {
+            return new WP_Error('opted_out', 'The visitor refused tracking', 403);
+        }
+
+        $this->set_session_cookie($session_id . '|' . $token, time() + self::SESSION_COOKIE_TTL);
+
+        return ['session_id' => $session_id, 'kept' => true];
+    }
+
+    /**
+     * Drop the anonymous session kept in the browser's session cookie
+     *
+     * @return array Session no longer kept
+     */
+    public function forget_session() {
+        $this->set_session_cookie('', time() - HOUR_IN_SECONDS);
+
+        return ['kept' => false];
+    }
+
+    /**
+     * Get the session id a user's profile is kept under
+     *
+     * @param int $user_id User id
+     * @return string Session id
+     */
+    public static function get_user_session_id($user_id) {
+        return self::USER_SESSION_PREFIX . (int) $user_id;
+    }
+
+    /**
+     * Check whether the current request may use a session id
+     *
+     * Anonymous session ids are open to whoever holds them; a user's
+     * profile only to that user.
+     *
+     * @param string $session_id Session id
+     * @return bool
+     */
+    public static function can_access_session($session_id) {
+        if (strpos((string) $session_id, self::USER_SESSION_PREFIX) !== 0) {
+            return true;
+        }
+
+        return is_user_logged_in() && $session_id === self::get_user_session_id(get_current_user_id());
+    }
+
+    /**
+     * Merge this browser's anonymous session into the signed-in visitor's profile
+     *
+     * Interests scored in both are averaged, each score weighed by how
+     * recent it is with the interest decay rate; for preferences set in both
+     * the later one wins. The session's interaction log moves to the user,
+     * and the session is left empty. Only the session in the browser's
+     * session cookie is merged, and the cookie is cleared afterwards.
+     *
+     * @return array|WP_Error The user's profile, see get_profile(), or error
+     */
+    public function merge_session_profile() {
+        if (!is_user_logged_in()) {
+            return new WP_Error('not_logged_in', 'Only signed-in visitors have a profile to merge into', 401);
+        }
+
+        $session_id = self::get_issued_session_id();
+        if ($session_id === '') {
+            return new WP_Error('no_session', 'This browser keeps no anonymous session to merge', 400);
+        }
+
+        $user_id = get_current_user_id();
+        $merged = $this->merge_profiles($session_id, $user_id);
+        if (is_wp_error($merged)) {
+            return $merged;
+        }
+
+        $this->forget_session();
+
+        /**
+         * Fires after an anonymous session's profile was merged into a user's.
+         *
+         * @param string $session_id Anonymous session id, now empty.
+         * @param int    $user_id    User id.
+         */
+        do_action('spb_visitor_profile_merged', $session_id, $user_id);
+
+        return $this->get_profile(self::get_user_session_id($user_id));
+    }
+
+    /**
+     * Move an anonymous session's interests, preferences and log to a user
+     *
+     * Runs in one transaction, locking the rows it reads, so the profile is
+     * neither left half merged nor merged twice by concurrent requests.
+     *
+     * @param string $session_id Anonymous session id
+     * @param int $user_id User id
+     * @return true|WP_Error True, or error when a query failed
+     */
+    private function merge_profiles($session_id, $user_id) {
+        global $wpdb;
+
+        $user_session_id = self::get_user_session_id($user_id);
+        $ok = true;
+
+        $wpdb->query('START TRANSACTION');
+
+        // Interests
+        $vectors_table = $wpdb->prefix . 'spb_user_interest_vectors';
+        $scores = [$session_id => [], $user_session_id => []];
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT session_id, interest_category, interest_score, last_updated FROM {$vectors_table}
+             WHERE session_id IN (%s, %s)
+             FOR UPDATE",
+            $session_id,
+            $user_session_id
+        ), ARRAY_A);
+        $ok = $ok && $wpdb->last_error === '';
+
+        foreach ((array) $rows as $row) {
+            $scores[$row['session_id']][$row['interest_category']] = [
+                'score' => (float) $row['interest_score'],
+                'updated' => strtotime($row['last_updated'] . ' UTC')
+            ];
+        }
+
+        $merged = $this->merge_interests($scores[$session_id], $scores[$user_session_id], time());
+
+        $ok = $ok && $wpdb->query($wpdb->prepare("DELETE FROM {$vectors_table} WHERE session_id IN (%s, %s)", $session_id, $user_session_id)) !== false;
+        foreach ($merged as $interest => $score) {
+            $ok = $ok && $wpdb->insert($vectors_table, [
+                'user_id' => $user_id,
+                'session_id' => $user_session_id,
+                'interest_category' => $interest,
+                'interest_score' => $score['score'],
+                'last_updated' => gmdate('Y-m-d H:i:s', $score['updated'])
+            ], ['%d', '%s', '%s', '%f', '%s']) !== false;
+        }
+
+        // Preferences; the latest set wins
+        $preferences_table = $wpdb->prefix . 'spb_interest_preferences';
+        $preferences = [];
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT interest_category, muted, pinned, added, weight, updated_at FROM {$preferences_table}
+             WHERE session_id IN (%s, %s)
+             ORDER BY updated_at ASC
+             FOR UPDATE",
+            $session_id,
+            $user_session_id
+        ), ARRAY_A);
+        $ok = $ok && $wpdb->last_error === '';
+
+        foreach ((array) $rows as $row) {
+            $preferences[$row['interest_category']] = $row;
+        }
+
+        $ok = $ok && $wpdb->query($wpdb->prepare("DELETE FROM {$preferences_table} WHERE session_id IN (%s, %s)", $session_id, $user_session_id)) !== false;
+        foreach ($preferences as $interest => $preference) {
+            $ok = $ok && $wpdb->insert($preferences_table, [
+                'user_id' => $user_id,
+                'session_id' => $user_session_id,
+                'interest_category' => $interest,
+                'muted' => (int) $preference['muted'],
+                'pinned' => (int) $preference['pinned'],
+                'added' => (int) $preference['added'],
+                'weight' => $preference['weight'],
+                'updated_at' => $preference['updated_at']
+            ], ['%d', '%s', '%s', '%d', '%d', '%d', '%f', '%s']) !== false;
+        }
+
+        // Interaction log
+        foreach (['spb_user_signals', 'spb_analytics'] as $table) {
+            $ok = $ok && $wpdb->update(
+                $wpdb->prefix . $table,
+                ['session_id' => $user_session_id, 'user_id' => $user_id],
+                ['session_id' => $session_id],
+                ['%s', '%d'],
+                ['%s']
+            ) !== false;
+        }
+
+        if (!$ok) {
+            $wpdb->query('ROLLBACK');
+
+            return new WP_Error('merge_failed', 'The profiles could not be merged', 500);
+        }
+
+        $wpdb->query('COMMIT');
+
+        return true;
+    }
+
+    /**
+     * Resolve interests scored by two profiles
+     *
+     * An interest scored by only one profile keeps its score. One scored by
+     * both gets the average of the two, each weighed by e^(-rate * age in
+     * days), so the score observed more recently counts for more.
+     *
+     * @param array $first Scores with 'score' and 'updated' (timestamp), keyed by interest
+     * @param array $second Scores like $first
+     * @param int $now Timestamp ages are measured at
+     * @return array Merged scores like $first
+     */
+    public function merge_interests($first, $second, $now) {
+        $rate = $this->get_decay_rate();
+        $merged = $first;
+
+        foreach ($second as $interest => $score) {
+            if (!isset($merged[$interest])) {
+                $merged[$interest] = $score;
+                continue;
+            }
+
+            $weights = array_map(function($entry) use ($rate, $now) {
+                return exp(-$rate * max(0, $now - $entry['updated']) / DAY_IN_SECONDS);
+            }, [$merged[$interest], $score]);
+
+            // Both too old to tell apart
+            if (array_sum($weights) <= 0) {
+                $weights = [1, 1];
+            }
+
+            $merged[$interest] = [
+                'score' => round(($merged[$interest]['score'] * $weights[0] + $score['score'] * $weights[1]) / array_sum($weights), 4),
+                'updated' => max($merged[$interest]['updated'], $score['updated'])
+            ];
+        }
+
+        return $merged;
+    }
+
+    /**
+     * Get a visitor's interest profile
+     *
+     * @param string $session_id Visitor session id
+     * @return array|WP_Error 'session_id'; 'interests', the scores from 0 to 1 keyed by interest with
+     *                        the visitor's preferences applied, pinned first and then strongest first;
+     *                        the 'inferred' scores; and the 'preferences', or error
+     */
+    public function get_profile($session_id) {
+        global $wpdb;
+
+        $session_id = $this->sanitize_session_id($session_id);
+        if ($session_id === '') {
+            return new WP_Error('missing_session', 'Missing session id', 400);
+        }
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT interest_category, interest_score FROM {$wpdb->prefix}spb_user_interest_vectors
+             WHERE session_id = %s
+             ORDER BY interest_score DESC",
+            $session_id
+        ), ARRAY_A);
+
+        $inferred = [];
+        foreach ((array) $rows as $row) {
+            $inferred[$row['interest_category']] = (float) $row['interest_score'];
+        }
+
+        $preferences = $this->get_preferences($session_id);
+
+        return [
+            'session_id' => $session_id,
+            'interests' => $this->apply_preferences($inferred, $preferences),
+            'inferred' => $inferred,
+            'preferences' => $preferences
+        ];
+    }
+
+    /**
+     * Get the preferences a visitor set for their interests
+     *
+     * @param string $session_id Sanitized session id
+     * @return array Preferences with muted, pinned, added and weight (null unless set), keyed by interest
+     */
+    public function get_preferences($session_id) {
+        global $wpdb;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT interest_category, muted, pinned, added, weight FROM {$wpdb->prefix}spb_interest_preferences
+             WHERE session_id = %s",
+            $session_id
+        ), ARRAY_A);
+
+        $preferences = [];
+        foreach ((array) $rows as $row) {
+            $preferences[$row['interest_category']] = [
+                'muted' => (bool) $row['muted'],
+                'pinned' => (bool) $row['pinned'],
+                'added' => (bool) $row['added'],
+                'weight' => $row['weight'] === null ? null : (float) $row['weight']
+            ];
+        }
+
+        return $preferences;
+    }
+
+    /**
+     * Change a visitor's preference for an interest
+     *
+     * Changes not given are kept. A preference back at its defaults is removed.
+     *
+     * @param string $session_id Visitor session id
+     * @param string $interest Interest, inferred or a topic being added
+     * @param array $changes Any of muted, pinned, added (bool) and weight (0 to 1, or null to clear it)
+     * @return array|WP_Error Updated profile, or error
+     */
+    public function update_interest_preference($session_id, $interest, $changes) {
+        global $wpdb;
+
+        $session_id = $this->sanitize_session_id($session_id);
+        if ($session_id === '') {
+            return new WP_Error('missing_session', 'Missing session id', 400);
+        }
+
+        $interest = substr(sanitize_title($interest), 0, 100);
+        if ($interest === '') {
+            return new WP_Error('invalid_interest', 'Invalid interest', 400);
+        }
+
+        if (isset($changes['weight']) && (!is_numeric($changes['weight']) || $changes['weight'] < 0 || $changes['weight'] > 1)) {
+            return new WP_Error('invalid_weight', 'Weights range from 0 to 1', 400);
+        }
+
+        $preferences = $this->get_preferences($session_id);
+        $preference = array_merge(
+            $preferences[$interest] ?? ['muted' => false, 'pinned' => false, 'added' => false, 'weight' => null],
+            array_intersect_key($changes, array_flip(['muted', 'pinned', 'added', 'weight']))
+        );
+
+        $preference = [
+            'muted' => !empty($preference['muted']),
+            'pinned' => !empty($preference['pinned']),
+            'added' => !empty($preference['added']),
+            'weight' => $preference['weight'] === null ? null : round((float) $preference['weight'], 4)
+        ];
+
+        // Added topics need a weight to count
+        if ($preference['added'] && $preference['weight'] === null) {
+            $preference['weight'] = self::DEFAULT_ADDED_WEIGHT;
+        }
+
+        $table = $wpdb->prefix . 'spb_interest_preferences';
+
+        if (!$preference['muted'] && !$preference['pinned'] && !$preference['added'] && $preference['weight'] === null) {
+            $wpdb->delete($table, ['session_id' => $session_id, 'interest_category' => $interest], ['%s', '%s']);
+        } else {
+            $row = [
+                'user_id' => get_current_user_id() ?: null,
+                'session_id' => $session_id,
+                'interest_category' => $interest,
+                'muted' => (int) $preference['muted'],
+                'pinned' => (int) $preference['pinned'],
+                'added' => (int) $preference['added'],
+                'weight' => $preference['weight']
+            ];
+
+            // A null weight is written as NULL
+            $wpdb->replace($table, $row, ['%d', '%s', '%s', '%d', '%d', '%d', '%f']);
+        }
+
+        /**
+         * Fires after a visitor changed their preference for an interest.
+         *
+         * @param string $session_id Visitor session id.
+         * @param string $interest   Interest.
+         * @param array  $preference muted, pinned, added and weight.
+         */
+        do_action('spb_interest_preference_updated', $session_id, $interest, $preference);
+
+        return $this->get_profile($session_id);
+    }
+
+    /**
+     * Apply a visitor's preferences to their inferred interests
+     *
+     * Muted interests are dropped, set weights replace inferred scores and
+     * added topics count at their weight. Pinned interests come first, then
+     * the strongest. The SDK's applyInterestPreferences() does the same on
+     * the client.
+     *
+     * @param array $inferred Inferred scores keyed by interest
+     * @param array $preferences Preferences keyed by interest
+     * @return array Scores keyed by interest
+     */
+    public function apply_preferences($inferred, $preferences) {
+        $scores = [];
+
+        foreach (array_unique(array_merge(array_keys($inferred), array_keys($preferences))) as $interest) {
+            $preference = $preferences[$interest] ?? [];
+            if (!empty($preference['muted'])) {
+                continue;
+            }
+
+            $score = isset($preference['weight']) ? $preference['weight'] : ($inferred[$interest] ?? null);
+            if ($score !== null) {
+                $scores[$interest] = (float) $score;
+            }
+        }
+
+        uksort($scores, function($a, $b) use ($scores, $preferences) {
+            return (!empty($preferences[$b]['pinned']) <=> !empty($preferences[$a]['pinned'])) ?: $scores[$b] <=> $scores[$a];
+        });
+
+        return $scores;
+    }
+
+    /**
+     * Delete a visitor's interests, the signals they were derived from and
+     * the visitor's preferences
+     *
+     * @param string $session_id Visitor session id
+     * @return array|WP_Error 'reset' true, or error
+     */
+    public function reset_profile($session_id) {
+        global $wpdb;
+
+        $session_id = $this->sanitize_session_id($session_id);
+        if ($session_id === '') {
+            return new WP_Error('missing_session', 'Missing session id', 400);
+        }
+
+        $wpdb->delete($wpdb->prefix . 'spb_user_interest_vectors', ['session_id' => $session_id], ['%s']);
+        $wpdb->delete($wpdb->prefix . 'spb_user_signals', ['session_id' => $session_id], ['%s']);
+        $wpdb->delete($wpdb->prefix . 'spb_interest_preferences', ['session_id' => $session_id], ['%s']);
+
+        /**
+         * Fires after a visitor's profile has been reset.
+         *
+         * @param string $session_id Visitor session id.
+         */
+        do_action('spb_visitor_profile_reset', $session_id);
+
+        return ['reset' => true];
+    }
+
+    /**
+     * Recommend posts filed under the visitor's strongest interests
+     *
+     * Interests are matched against category and tag slugs; each post scores
+     * the strongest interest it matches.
+     *
+     * @param string $session_id Visitor session id
+     * @param string $page_url Page the visitor is on, never recommended
+     * @param int $limit Maximum number of recommendations
+     * @return array|WP_Error Recommendations with id, title, excerpt, url and score, or error
+     */
+    public function get_recommendations($session_id, $page_url = '', $limit = self::RECOMMENDATION_LIMIT) {
+        $profile = $this->get_profile($session_id);
+        if (is_wp_error($profile)) {
+            return $profile;
+        }
+
+        // Pinned interests count however weak; they come first
+        $preferences = $profile['preferences'];
+        $interests = array_slice(array_filter($profile['interests'], function($score, $interest) use ($preferences) {
+            return $score >= self::MIN_RECOMMENDATION_SCORE || !empty($preferences[$interest]['pinned']);
+        }, ARRAY_FILTER_USE_BOTH), 0, self::RECOMMENDATION_INTERESTS, true);
+
+        return $this->recommend_posts($interests, $page_url, $limit, $profile['session_id']);
+    }
+
+    /**
+     * Recommend posts from the segments of an on-device interest model
+     *
+     * Segments are top-level category slugs, strongest first; anything else
+     * is ignored, so nothing finer-grained than a top-level category can be
+     * learned about the visitor.
+     *
+     * @param array $segments Segment ids, strongest first
+     * @param string $page_url Page the visitor is on, never recommended
+     * @param int $limit Maximum number of recommendations
+     * @return array Recommendations with id, title, excerpt, url and score
+     */
+    public function get_segment_recommendations($segments, $page_url = '', $limit = self::RECOMMENDATION_LIMIT) {
+        $segments = array_values(array_filter(array_map('sanitize_title', (array) $segments), function($slug) {
+            $term = $slug !== '' ? get_term_by('slug', $slug, 'category') : false;
+            return $term && (int) $term->parent === 0;
+        }));
+
+        $segments = array_slice(array_unique($segments), 0, self::RECOMMENDATION_INTERESTS);
+
+        // Only the order is known; rank the strongest segment highest
+        $interests = [];
+        foreach ($segments as $rank => $segment) {
+            $interests[$segment] = 1 - $rank / count($segments);
+        }
+
+        return $this->recommend_posts($interests, $page_url, $limit, '');
+    }
+
+    /**
+     * Get the terms a page describes to the on-device interest model
+     *
+     * Each category and tag carries its inverse document frequency across
+     * published posts, and categories their top-level category as segment.
+     *
+     * @param int $post_id Post id
+     * @return array Terms with slug, idf and segment
+     */
+    public function get_page_terms($post_id) {
+        $terms = wp_get_post_terms($post_id, ['category', 'post_tag']);
+        if (is_wp_error($terms) || empty($terms)) {
+            return [];
+        }
+
+        $documents = max(1, (int) wp_count_posts('post')->publish);
+        $page_terms = [];
+
+        foreach (array_slice($terms, 0, self::MAX_PAGE_TERMS) as $term) {
+            $segment = null;
+            if ($term->taxonomy === 'category') {
+                $ancestors = get_ancestors($term->term_id, 'category', 'taxonomy');
+                $segment = $ancestors ? get_term(end($ancestors), 'category')->slug : $term->slug;
+            }
+
+            $page_terms[] = [
+                'slug' => $term->slug,
+                'idf' => round(log($documents / max(1, min($documents, (int) $term->count))), 4),
+                'segment' => $segment
+            ];
+        }
+
+        return $page_terms;
+    }
+
+    /**
+     * Get the settings of the on-device interest model
+     *
+     * @return array|null Decay rate and number of interests kept, or null when the model is disabled
+     */
+    public function get_interest_model_config() {
+        $settings = $this->get_settings();
+
+        if (empty($settings['on_device_interests'])) {
+            return null;
+        }
+
+        return [
+            'decayRate' => (float) $settings['interest_decay_rate'],
+            'maxInterests' => (int) $settings['max_interests_tracked']
+        ];
+    }
+
+    /**
+     * Get the daily rate interest scores decay at
+     *
+     * @return float Rate
+     */
+    private function get_decay_rate() {
+        return max(0, (float) $this->get_settings()['interest_decay_rate']);
+    }
+
+    /**
+     * Get the personalization settings the profile follows
+     *
+     * @return array Settings
+     */
+    private function get_settings() {
+        return wp_parse_args(get_option('spb_personalization_settings', []), [
+            'interest_decay_rate' => 0.1,
+            'max_interests_tracked' => 50,
+            'on_device_interests' => 0
+        ]);
+    }
+
+    /**
+     * Recommend posts filed under the given interests
+     *
+     * @param array $interests Scores keyed by category or tag slug
+     * @param string $page_url Page the visitor is on, never recommended
+     * @param int $limit Maximum number of recommendations
+     * @param string $session_id Visitor session id, empty for on-device segments
+     * @return array Recommendations with id, title, excerpt, url and score
+     */
+    private function recommend_posts($interests, $page_url, $limit, $session_id) {
+        $recommendations = [];
+
+        if (!empty($interests)) {
+            $slugs = array_map('sanitize_title', array_keys($interests));
+            $posts = get_posts([
+                'post_type' => 'post',
+                'post_status' => 'publish',
+                'posts_per_page' => $limit * 2,
+                'post__not_in' => array_filter([url_to_postid($page_url)]),
+                'ignore_sticky_posts' => true,
+                'tax_query' => [
+                    'relation' => 'OR',
+                    ['taxonomy' => 'category', 'field' => 'slug', 'terms' => $slugs],
+                    ['taxonomy' => 'post_tag', 'field' => 'slug', 'terms' => $slugs]
+                ]
+            ]);
+
+            foreach ($posts as $post) {
+                $recommendations[] = [
+                    'id' => $post->ID,
+                    'title' => get_the_title($post),
+                    'excerpt' => wp_trim_words(get_the_excerpt($post), 20),
+                    'url' => get_permalink($post),
+                    'score' => $this->score_post($post, $interests)
+                ];
+            }
+
+            usort($recommendations, function($a, $b) {
+                return $b['score'] <=> $a['score'];
+            });
+        }
+
+        /**
+         * Filters the recommendations made to a visitor.
+         *
+         * @param array  $recommendations Recommendations with id, title, excerpt, url and score.
+         * @param array  $interests       Interests they were drawn from, scores keyed by interest.
+         * @param string $session_id      Visitor session id, empty for the segments of an on-device model.
+         */
+        return array_slice(apply_filters('spb_recommendations', $recommendations, $interests, $session_id), 0, $limit);
+    }
+
+    /**
+     * Score a post by the strongest interest among its categories, their
+     * parents and its tags
+     *
+     * @param WP_Post $post Post
+     * @param array $interests Scores keyed by interest
+     * @return float Score
+     */
+    private function score_post($post, $interests) {
+        $terms = wp_get_post_terms($post->ID, ['category', 'post_tag']);
+        $slugs = [];
+
+        foreach (is_wp_error($terms) ? [] : $terms as $term) {
+            $slugs[] = $term->slug;
+
+            if ($term->taxonomy === 'category') {
+                foreach (get_ancestors($term->term_id, 'category', 'taxonomy') as $ancestor_id) {
+                    $slugs[] = get_term($ancestor_id, 'category')->slug;
+                }
+            }
+        }
+
+        $score = 0;
+
+        foreach ($interests as $interest => $interest_score) {
+            if (in_array(sanitize_title($interest), $slugs, true)) {
+                $score = max($score, $interest_score);
+            }
+        }
+
+        return $score;
+    }
+
+    /**
+     * Limit a session id to what the profile tables store
+     *
+     * @param string $session_id Raw session id
+     * @return string Session id, empty for another user's
+     */
+    private function sanitize_session_id($session_id) {
+        $session_id = substr(sanitize_text_field((string) $session_id), 0, 100);
+
+        return self::can_access_session($session_id) ? $session_id : '';
+    }
+
+    /**
+     * Set or clear the session cookie
+     *
+     * Also updates $_COOKIE, so the rest of the request sees the change.
+     *
+     * @param string $value Session id and token, '' to clear
+     * @param int $expires Expiry timestamp
+     */
+    private function set_session_cookie($value, $expires) {
+        if ($value === '') {
+            unset($_COOKIE[self::SESSION_COOKIE]);
+        } else {
+            $_COOKIE[self::SESSION_COOKIE] = $value;
+        }
+
+        if (headers_sent()) {
+            return;
+        }
+
+        setcookie(self::SESSION_COOKIE, $value, [
+            'expires' => $expires,
+            'path' => COOKIEPATH,
+            'domain' => COOKIE_DOMAIN,
+            'secure' => is_ssl(),
+            'httponly' => true,
+            'samesite' => 'Lax'
+        ]);
+    }
+
+    /**
+     * Read the session id of an AJAX request after checking its nonce
+     *
+     * @return string Session id
+     */
+    private function get_posted_session_id() {
+        $this->verify_nonce();
+
+        return wp_unslash($_POST['session_id'] ?? '');
+    }
+
+    /**
+     * Pick preference changes out of request parameters
+     *
+     * Flags arrive as booleans or as '1', '0', 'true' and 'false'; an empty
+     * weight clears the weight set before.
+     *
+     * @param array $params Request parameters
+     * @return array Changes given
+     */
+    public function parse_preference_changes($params) {
+        $changes = [];
+
+        foreach (['muted', 'pinned', 'added'] as $flag) {
+            if (isset($params[$flag])) {
+                $changes[$flag] = filter_var($params[$flag], FILTER_VALIDATE_BOOLEAN);
+            }
+        }
+
+        if (array_key_exists('weight', $params)) {
+            $changes['weight'] = $params['weight'] === '' || $params['weight'] === null ? null : $params['weight'];
+        }
+
+        return $changes;
+    }
+
+    /**
+     * End an AJAX request whose nonce does not check out
+     */
+    private function verify_nonce() {
+        if (!wp_verify_nonce($_POST['nonce'] ?? '', self::NONCE_ACTION)) {
+            wp_send_json_error(['message' => 'Security check failed'], 403);
+        }
+    }
+
+    /**
+     * Send a result or error as the AJAX response
+     *
+     * @param array|WP_Error $result Result
+     */
+    private function send_ajax_result($result) {
+        if (is_wp_error($result)) {
+            wp_send_json_error(['message' => $result->get_error_message()], $result->get_error_data() ?: 400);
+        }
+
+        wp_send_json_success($result);
+    }
+}
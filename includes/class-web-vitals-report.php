@@ -0,0 +1,182 @@
+<?php
+/**
+ * Web Vitals Report
+ *
+ * Aggregates the Core Web Vitals reported by the public script on generated
+ * pages into overall, per-template and per-component 75th percentiles.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+// Prevent direct access
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Web Vitals Report class
+ */
+class SPB_Web_Vitals_Report {
+
+    /**
+     * Event type the public script records vitals under
+     */
+    const EVENT_TYPE = 'web_vitals';
+
+    /**
+     * Maximum number of samples read for one report
+     */
+    const MAX_SAMPLES = 5000;
+
+    /**
+     * Reported metrics with their good / poor thresholds
+     */
+    private $thresholds = [
+        'lcp' => [2500, 4000],
+        'cls' => [0.1, 0.25],
+        'inp' => [200, 500],
+        'ttfb' => [800, 1800],
+        'blocking_time' => [200, 600]
+    ];
+
+    /**
+     * Get the vitals report for a period
+     *
+     * @param int $days Number of days to report on
+     * @return array Overall, per-template and per-component summaries
+     */
+    public function get_report($days = 7) {
+        $cache_key = 'spb_web_vitals_report_' . absint($days);
+        $report = get_transient($cache_key);
+
+        if ($report === false) {
+            $report = $this->build_report($this->get_samples($days));
+            set_transient($cache_key, $report, 10 * MINUTE_IN_SECONDS);
+        }
+
+        return $report;
+    }
+
+    /**
+     * Get the average page load time in seconds, based on LCP
+     *
+     * @param int $days Number of days to report on
+     * @return float|null Load time, or null without samples
+     */
+    public function get_page_load_time($days = 7) {
+        $overall = $this->get_report($days)['overall'];
+
+        if (empty($overall['samples']) || $overall['lcp'] === null) {
+            return null;
+        }
+
+        return round($overall['lcp'] / 1000, 2);
+    }
+
+    /**
+     * Build a report from raw samples
+     *
+     * @param array $samples Decoded web_vitals event data
+     * @return array Report
+     */
+    public function build_report($samples) {
+        $templates = [];
+        $components = [];
+
+        foreach ($samples as $sample) {
+            $template = sanitize_key($sample['template'] ?? '') ?: 'unknown';
+            $templates[$template][] = $sample;
+
+            foreach ((array) ($sample['components'] ?? []) as $component) {
+                $components[sanitize_key($component)][] = $sample;
+            }
+        }
+
+        ksort($templates);
+        ksort($components);
+
+        return [
+            'overall' => $this->summarize($samples),
+            'templates' => array_map([$this, 'summarize'], $templates),
+            'components' => array_map([$this, 'summarize'], $components),
+            'thresholds' => $this->thresholds
+        ];
+    }
+
+    /**
+     * Summarize samples into 75th percentiles, the value Core Web Vitals are judged on
+     *
+     * @param array $samples Decoded web_vitals event data
+     * @return array Percentile per metric plus the sample count
+     */
+    public function summarize($samples) {
+        $summary = ['samples' => count($samples)];
+
+        foreach (array_keys($this->thresholds) as $metric) {
+            $values = [];
+            foreach ($samples as $sample) {
+                if (isset($sample[$metric]) && is_numeric($sample[$metric])) {
+                    $values[] = (float) $sample[$metric];
+                }
+            }
+
+            $summary[$metric] = $this->percentile($values, 75);
+        }
+
+        $summary['long_tasks'] = $this->percentile(array_map(function($sample) {
+            return (float) ($sample['long_tasks'] ?? 0);
+        }, $samples), 75);
+
+        return $summary;
+    }
+
+    /**
+     * Calculate a percentile using the nearest-rank method
+     *
+     * @param array $values Numeric values
+     * @param int $percentile Percentile to calculate
+     * @return float|null Percentile, or null without values
+     */
+    private function percentile($values, $percentile) {
+        if (empty($values)) {
+            return null;
+        }
+
+        sort($values);
+        $rank = (int) ceil(($percentile / 100) * count($values));
+
+        return round($values[max(0, $rank - 1)], 4);
+    }
+
+    /**
+     * Read recent vitals samples from the analytics table
+     *
+     * @param int $days Number of days to read
+     * @return array Decoded event data
+     */
+    private function get_samples($days) {
+        global $wpdb;
+
+        $table_name = $wpdb->prefix . 'spb_analytics';
+        $rows = $wpdb->get_col($wpdb->prepare(
+            "SELECT event_data FROM {$table_name}
+             WHERE event_type = %s AND created_at >= DATE_SUB(NOW(), INTERVAL %d DAY)
+             ORDER BY created_at DESC
+             LIMIT %d",
+            self::EVENT_TYPE,
+            max(1, absint($days)),
+            self::MAX_SAMPLES
+        ));
+
+        $samples = [];
+        foreach ((array) $rows as $row) {
+            $data = json_decode($row, true);
+            if (is_array($data)) {
+                $samples[] = $data;
+            }
+        }
+
+        return $samples;
+    }
+}
@@ -59,6 +59,20 @@ abstract class SPB_Abstract_Component_Generator {
      */
     protected $generation_stats = [];
 
+    /**
+     * Image size used for the component image, or null for components without one
+     *
+     * @var string|null
+     */
+    protected $image_size = null;
+
+    /**
+     * Whether clicks on the component are attributed to it through stable ids
+     *
+     * @var bool
+     */
+    protected $attributable = false;
+
     /**
      * Constructor
      *
@@ -114,6 +128,12 @@ abstract class SPB_Abstract_Component_Generator {
             // Apply personalization enhancements
             $personalized_content = $this->apply_personalization($processed_content, $personalization_context);
 
+            // Attach a responsive image from the discovered content
+            $personalized_content = $this->add_component_image($personalized_content, $discovery_results);
+
+            // Stamp the ids conversions are attributed to
+            $personalized_content = $this->add_attribution_ids($personalized_content, $personalization_context);
+
             // Calculate quality metrics
             $quality_metrics = $this->assess_component_quality($personalized_content, $generation_context);
 
@@ -149,7 +169,13 @@ abstract class SPB_Abstract_Component_Generator {
             return [
                 'success' => false,
                 'error' => $e->getMessage(),
-                'fallback_content' => $this->generate_fallback_content($personalization_context, $discovery_results),
+                'fallback_content' => $this->add_attribution_ids(
+                    $this->add_component_image(
+                        $this->generate_fallback_content($personalization_context, $discovery_results),
+                        $discovery_results
+                    ),
+                    $personalization_context
+                ),
                 'metadata' => [
                     'component_type' => $this->component_type,
                     'generation_time' => microtime(true) - $start_time,
@@ -397,6 +423,45 @@ abstract class SPB_Abstract_Component_Generator {
         return $temperature_map[$intent] ?? 0.6;
     }
 
+    /**
+     * Attach a responsive image found in the discovery results
+     *
+     * @param array $content Component content
+     * @param array $discovery_results Content discovery results
+     * @return array Content with an 'image' entry when one was found
+     */
+    protected function add_component_image($content, $discovery_results) {
+        if (!$this->image_size || !empty($content['image']) || !class_exists('SPB_Responsive_Image')) {
+            return $content;
+        }
+
+        $image = (new SPB_Responsive_Image())->find_discovery_image($discovery_results, $this->image_size);
+        if ($image) {
+            $content['image'] = $image;
+        }
+
+        return $content;
+    }
+
+    /**
+     * Stamp the component and its buttons with stable ids for conversion attribution
+     *
+     * @param array $content Component content
+     * @param array $personalization_context Personalization context
+     * @return array Content with component_id, variant and button cta_ids
+     */
+    protected function add_attribution_ids($content, $personalization_context) {
+        if (!$this->attributable || !class_exists('SPB_Conversion_Attribution')) {
+            return $content;
+        }
+
+        return (new SPB_Conversion_Attribution())->stamp_component(
+            $content,
+            $this->component_type,
+            $personalization_context['search_query'] ?? ''
+        );
+    }
+
     /**
      * Apply personalization to generated content
      *
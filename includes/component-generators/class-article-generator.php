@@ -24,6 +24,15 @@ if (!defined('ABSPATH')) {
  */
 class SPB_Article_Generator extends SPB_Abstract_Component_Generator {
 
+    /**
+     * Image size used for the component image
+     *
+     * Article images sit inside the content column.
+     *
+     * @var string
+     */
+    protected $image_size = 'large';
+
     /**
      * Get component type identifier
      *
@@ -24,6 +24,13 @@ if (!defined('ABSPATH')) {
  */
 class SPB_CTA_Generator extends SPB_Abstract_Component_Generator {
 
+    /**
+     * CTA buttons are attributed to the CTA
+     *
+     * @var bool
+     */
+    protected $attributable = true;
+
     /**
      * Get component type identifier
      *
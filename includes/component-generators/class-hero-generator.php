@@ -24,6 +24,22 @@ if (!defined('ABSPATH')) {
  */
 class SPB_Hero_Generator extends SPB_Abstract_Component_Generator {
 
+    /**
+     * Image size used for the component image
+     *
+     * Heroes span the page width, so they use the full-size image.
+     *
+     * @var string
+     */
+    protected $image_size = 'full';
+
+    /**
+     * Hero buttons are attributed to the hero
+     *
+     * @var bool
+     */
+    protected $attributable = true;
+
     /**
      * Get component type identifier
      *
@@ -90,46 +90,158 @@ class Smart_Page_Builder_Public {
             return;
         }
 
+        // Shared escaping for markup rendered on the client
+        wp_enqueue_script(
+            $this->plugin_name . '-html',
+            SPB_PLUGIN_URL . 'public/js/smart-page-builder-html.js',
+            array(),
+            $this->version,
+            false
+        );
+
+        // Query normalization shared with SPB_Query_Normalizer
+        wp_enqueue_script(
+            $this->plugin_name . '-query',
+            SPB_PLUGIN_URL . 'public/js/smart-page-builder-query.js',
+            array(),
+            $this->version,
+            false
+        );
+
+        wp_localize_script(
+            $this->plugin_name . '-query',
+            'spb_query',
+            (new SPB_Query_Normalizer())->get_client_config()
+        );
+
+        // One session id for the SDK client and the personalization script
+        $session_id = $this->get_session_id();
+        $issued_session_id = SPB_Visitor_Profile::get_issued_session_id();
+        $consent = new SPB_Consent();
+        $personalization_enabled = defined('SPB_V3_PERSONALIZATION') && SPB_V3_PERSONALIZATION;
+        $tracking_enabled = $this->is_tracking_enabled();
+        $visitor_profile = new SPB_Visitor_Profile();
+        $interest_model = $personalization_enabled ? $visitor_profile->get_interest_model_config() : null;
+
+        // SDK client shared by the scripts below; they talk to the server only through it
+        wp_enqueue_script(
+            $this->plugin_name . '-client',
+            SPB_PLUGIN_URL . 'public/js/smart-page-builder-client.js',
+            array(),
+            $this->version,
+            false
+        );
+
+        wp_localize_script(
+            $this->plugin_name . '-client',
+            'spb_client',
+            array(
+                'module_url' => add_query_arg('ver', $this->version, SPB_PLUGIN_URL . 'public/js/smart-page-builder-sdk.js'),
+                /**
+                 * Filters the transport the front-end scripts reach the server with.
+                 *
+                 * @since 3.7.0
+                 *
+                 * @param string $transport 'ajax' for admin-ajax.php or 'rest' for the spb/v1 REST API.
+                 */
+                'transport' => apply_filters('spb_client_transport', 'ajax'),
+                'ajax_url' => admin_url('admin-ajax.php'),
+                'rest_url' => rest_url(),
+                'rest_nonce' => wp_create_nonce('wp_rest'),
+                'nonces' => array(
+                    'public' => wp_create_nonce('spb_public_nonce'),
+                    'generation' => wp_create_nonce('spb_generate_search_page'),
+                    'status' => wp_create_nonce('spb_check_generation'),
+                    'personalization' => wp_create_nonce('spb_personalization_nonce')
+                ),
+                'session_id' => $session_id,
+                // Proves the anonymous session was issued here when the browser asks to keep it
+                'session_token' => is_user_logged_in() ? '' : SPB_Visitor_Profile::get_session_token($session_id),
+                'session_kept' => $issued_session_id !== '',
+                // An anonymous session kept in the browser is merged into the profile of a signed-in visitor
+                'signed_in' => is_user_logged_in(),
+                'merge_session' => is_user_logged_in() && $issued_session_id !== '',
+                // Interest tracking waits for the visitor's answer to the privacy notice
+                'consent' => $consent->get_client_config($personalization_enabled && $tracking_enabled),
+                'interest_model' => $interest_model
+            )
+        );
+
+        // Shared batching queue used by both tracking scripts
+        wp_enqueue_script(
+            $this->plugin_name . '-events',
+            SPB_PLUGIN_URL . 'public/js/smart-page-builder-events.js',
+            array($this->plugin_name . '-client'),
+            $this->version,
+            false
+        );
+
+        wp_localize_script(
+            $this->plugin_name . '-events',
+            'spb_events',
+            array(
+                'flush_interval' => 10000,
+                'batch_size' => 20
+            )
+        );
+
         wp_enqueue_script(
             $this->plugin_name,
             SPB_PLUGIN_URL . 'public/js/smart-page-builder-public.js',
-            array('jquery'),
+            array('jquery', 'wp-i18n', $this->plugin_name . '-html', $this->plugin_name . '-query', $this->plugin_name . '-client', $this->plugin_name . '-events'),
             $this->version,
             false
         );
 
+        $i18n = new Smart_Page_Builder_i18n();
+        $i18n->set_script_translations($this->plugin_name);
+
+        $interception_rules = new SPB_Search_Interception_Rules();
+
         // Localize script with public data
         wp_localize_script(
             $this->plugin_name,
             'spb_public',
             array(
-                'ajax_url' => admin_url('admin-ajax.php'),
-                'nonce' => wp_create_nonce('spb_public_nonce'),
                 'plugin_url' => SPB_PLUGIN_URL,
+                'home_url' => home_url('/'),
+                'cookie_path' => COOKIEPATH,
+                'skip_after' => absint(get_option('spb_search_skip_after', 8)),
+                'stream_results' => (bool) get_option('spb_stream_search_results', false),
+                'page_cache_ttl' => HOUR_IN_SECONDS,
                 'version' => $this->version,
-                'personalization_enabled' => defined('SPB_V3_PERSONALIZATION') && SPB_V3_PERSONALIZATION
+                'personalization_enabled' => $personalization_enabled,
+                'search_generation_enabled' => $this->is_search_generation_enabled(),
+                'interception_rules' => $interception_rules->get_client_rules(),
+                'search_sources' => $interception_rules->get_search_sources(),
+                'page_context' => $this->get_generated_page_context(),
+                'feedback_enabled' => class_exists('SPB_Page_Feedback') && SPB_Page_Feedback::is_enabled(),
+                'experiments' => (new SPB_Experiments())->get_client_experiments()
             )
         );
 
         // Enqueue personalization scripts if v3.0 features are enabled
-        if (defined('SPB_V3_PERSONALIZATION') && SPB_V3_PERSONALIZATION) {
+        if ($personalization_enabled) {
             wp_enqueue_script(
                 $this->plugin_name . '-personalization',
                 SPB_PLUGIN_URL . 'public/js/smart-page-builder-personalization.js',
-                array($this->plugin_name),
+                array($this->plugin_name, 'wp-i18n', $this->plugin_name . '-html', $this->plugin_name . '-client'),
                 $this->version,
                 false
             );
 
+            $i18n->set_script_translations($this->plugin_name . '-personalization');
+
             // Localize personalization script
             wp_localize_script(
                 $this->plugin_name . '-personalization',
                 'spb_personalization',
                 array(
-                    'ajax_url' => admin_url('admin-ajax.php'),
-                    'nonce' => wp_create_nonce('spb_personalization_nonce'),
-                    'session_id' => $this->get_session_id(),
-                    'tracking_enabled' => $this->is_tracking_enabled()
+                    'session_id' => $session_id,
+                    'tracking_enabled' => $tracking_enabled,
+                    'consent_managed' => $consent->is_consent_api_active(),
+                    // Taxonomy terms of this page for the on-device interest model
+                    'page_terms' => $interest_model && is_singular('post') ? $visitor_profile->get_page_terms(get_queried_object_id()) : array()
                 )
             );
         }
@@ -145,13 +257,53 @@ class Smart_Page_Builder_Public {
         $this->register_shortcodes();
 
         // Initialize v3.0 personalization if enabled
+        $visitor_profile = null;
         if (defined('SPB_V3_PERSONALIZATION') && SPB_V3_PERSONALIZATION) {
-            $this->init_personalization();
+            $visitor_profile = $this->init_personalization();
+        }
+
+        // Let visitors export and erase what personalization recorded
+        $personal_data = null;
+        if ($visitor_profile && class_exists('SPB_Personal_Data')) {
+            $personal_data = new SPB_Personal_Data($visitor_profile);
+            $personal_data->init_hooks();
         }
 
         // Initialize search-triggered page generation if enabled
+        $search_manager = null;
         if (defined('SPB_V3_SEARCH_GENERATION') && SPB_V3_SEARCH_GENERATION) {
-            $this->init_search_generation();
+            $search_manager = $this->init_search_generation();
+        }
+
+        // Receive batched tracking events from the client event queue
+        $event_collector = null;
+        if (class_exists('SPB_Event_Collector')) {
+            $event_collector = new SPB_Event_Collector();
+        }
+
+        // Receive visitor feedback left on generated pages
+        $page_feedback = null;
+        if (class_exists('SPB_Page_Feedback')) {
+            $page_feedback = new SPB_Page_Feedback();
+            $page_feedback->init_hooks();
+        }
+
+        // The same endpoints over REST, for headless front ends using the SDK
+        if (class_exists('SPB_Rest_API')) {
+            $rest_api = new SPB_Rest_API($search_manager, $event_collector, $page_feedback, $visitor_profile, $personal_data);
+            $rest_api->init_hooks();
+        }
+
+        // Follow the WP Consent API
+        if (class_exists('SPB_Consent')) {
+            $consent = new SPB_Consent();
+            $consent->init_hooks();
+        }
+
+        // Rebuild the spell-correction vocabulary when content changes
+        if (class_exists('SPB_Query_Normalizer')) {
+            $query_normalizer = new SPB_Query_Normalizer();
+            $query_normalizer->init_hooks();
         }
     }
 
@@ -311,6 +463,7 @@ class Smart_Page_Builder_Public {
      * Initialize personalization features
      *
      * @since    3.0.0
+     * @return   SPB_Visitor_Profile|null    Visitor profile service.
      */
     private function init_personalization() {
         // Initialize signal collection
@@ -324,19 +477,32 @@ class Smart_Page_Builder_Public {
             $session_manager = new SPB_Session_Manager();
             add_action('init', array($session_manager, 'start_session'));
         }
+
+        // Serve visitor profiles and recommendations
+        if (class_exists('SPB_Visitor_Profile')) {
+            $visitor_profile = new SPB_Visitor_Profile();
+            $visitor_profile->init_hooks();
+            return $visitor_profile;
+        }
+
+        return null;
     }
 
     /**
      * Initialize search-triggered page generation
      *
      * @since    3.1.0
+     * @return   SPB_Search_Integration_Manager|null    Search integration manager.
      */
     private function init_search_generation() {
         // Initialize search integration
         if (class_exists('SPB_Search_Integration_Manager')) {
             $search_manager = new SPB_Search_Integration_Manager();
             add_action('init', array($search_manager, 'init'));
+            return $search_manager;
         }
+
+        return null;
     }
 
     /**
@@ -415,6 +581,16 @@ class Smart_Page_Builder_Public {
      * @return   string    Session ID.
      */
     private function get_session_id() {
+        // Signed-in visitors keep one profile on every device
+        if (is_user_logged_in() && class_exists('SPB_Visitor_Profile')) {
+            return SPB_Visitor_Profile::get_user_session_id(get_current_user_id());
+        }
+
+        // The anonymous session this browser kept
+        if (class_exists('SPB_Visitor_Profile') && SPB_Visitor_Profile::get_issued_session_id() !== '') {
+            return SPB_Visitor_Profile::get_issued_session_id();
+        }
+
         if (class_exists('SPB_Session_Manager')) {
             $session_manager = new SPB_Session_Manager();
             return $session_manager->get_session_id();
@@ -423,6 +599,42 @@ class Smart_Page_Builder_Public {
         return session_id() ?: wp_generate_uuid4();
     }
 
+    /**
+     * Check if search-triggered page generation is enabled
+     *
+     * @since    3.7.0
+     * @return   bool    True if searches may be intercepted for generation.
+     */
+    private function is_search_generation_enabled() {
+        if (!defined('SPB_V3_SEARCH_GENERATION') || !SPB_V3_SEARCH_GENERATION) {
+            return false;
+        }
+
+        return (bool) get_option('spb_enable_search_interception', true);
+    }
+
+    /**
+     * Describe the generated search page being rendered, if any
+     *
+     * @since    3.7.0
+     * @return   array|null    Page id, source, search query, template and components, or null on other pages.
+     */
+    private function get_generated_page_context() {
+        global $spb_search_page_data;
+
+        if (empty($spb_search_page_data['id'])) {
+            return null;
+        }
+
+        return array(
+            'page_id' => absint($spb_search_page_data['id']),
+            'source' => 'search_page',
+            'search_query' => sanitize_text_field($spb_search_page_data['search_query'] ?? ''),
+            'template' => sanitize_key($spb_search_page_data['template_type'] ?? ''),
+            'components' => array_map('sanitize_key', $spb_search_page_data['components'] ?? array())
+        );
+    }
+
     /**
      * Check if tracking is enabled
      *
@@ -0,0 +1,69 @@
+/**
+ * Smart Page Builder Client
+ *
+ * Loads the SDK module (smart-page-builder-sdk.js) and creates the client the
+ * public, personalization and event queue scripts share, configured from
+ * spb_client. window.SPBClient is a promise of that client.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const config = window.spb_client || {};
+    const consentConfig = config.consent || {};
+
+    /**
+     * Consent signal for the WP Consent API
+     *
+     * Follows the consent management platform's answer for the plugin's
+     * consent category once it has set a consent type; an undecided visitor
+     * is left to the client's own state.
+     */
+    const wpConsentSignal = category => ({
+        read() {
+            if (typeof window.wp_has_consent !== 'function' || !window.wp_consent_type) {
+                return null;
+            }
+
+            if (window.wp_has_consent(category)) {
+                return 'granted';
+            }
+
+            const cookie = typeof window.consent_api_get_cookie === 'function' && window.consent_api
+                ? window.consent_api_get_cookie(window.consent_api.cookie_prefix + '_' + category)
+                : '';
+
+            return cookie === 'deny' ? 'denied' : null;
+        },
+
+        subscribe(listener) {
+            document.addEventListener('wp_listen_for_consent_change', listener);
+            document.addEventListener('wp_consent_type_defined', listener);
+        }
+    });
+
+    window.SPBClient = import(config.module_url).then(sdk => {
+        const transport = config.transport === 'rest'
+            ? sdk.createRestTransport({ root: config.rest_url, nonce: config.rest_nonce })
+            : sdk.createAjaxTransport({ url: config.ajax_url, nonces: config.nonces });
+
+        return sdk.createClient({
+            transport: transport,
+            sessionId: config.session_id,
+            sessionToken: config.session_token || '',
+            sessionKept: !!config.session_kept,
+            signedIn: !!config.signed_in,
+            mergeSession: !!config.merge_session,
+            requireConsent: !!consentConfig.required,
+            consentSignals: [sdk.browserPrivacySignal(), wpConsentSignal(consentConfig.category || 'marketing')],
+            interestModel: config.interest_model || null
+        });
+    });
+
+    // Callers handle failures on their own chains; don't report the rejection twice
+    window.SPBClient.catch(() => {});
+
+})(window);
@@ -0,0 +1,319 @@
+/**
+ * Smart Page Builder Event Queue
+ *
+ * Shared client-side queue for tracking events. Events are batched and
+ * flushed on an interval or when the batch is full, sent with
+ * navigator.sendBeacon when the page is hidden, and kept in IndexedDB
+ * while the visitor is offline. Batches are delivered by the SDK client.
+ *
+ * Nothing leaves the browser, or is written to IndexedDB, until the client's
+ * consent state allows tracking. Events pushed before the visitor decided are
+ * held in memory, and dropped along with anything stored once they decline.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Smart Page Builder Event Queue Class
+     */
+    class SPBEventQueue {
+        constructor(config, clientPromise) {
+            this.client = null;
+            this.flushInterval = parseInt(config.flush_interval, 10) || 10000;
+            this.batchSize = parseInt(config.batch_size, 10) || 20;
+            this.maxRetryDelay = 60000;
+            this.maxDeferredEvents = 200;
+
+            this.events = [];
+            this.consentState = null;
+            this.trackingAllowed = false;
+            this.sending = false;
+            this.retryDelay = 0;
+            this.retryTimeout = null;
+            this.dbPromise = null;
+
+            // Beacons on pagehide must go out synchronously, so keep the resolved client
+            clientPromise.then(client => {
+                this.client = client;
+                client.consent.subscribe(state => this.applyConsent(state));
+                return client.consent.get().then(state => this.applyConsent(state));
+            }).catch(() => {});
+
+            this.init();
+        }
+
+        /**
+         * Initialize the queue
+         */
+        init() {
+            this.bindEvents();
+
+            setInterval(() => {
+                if (!this.retryTimeout) {
+                    this.flush();
+                }
+            }, this.flushInterval);
+        }
+
+        /**
+         * Bind event listeners
+         */
+        bindEvents() {
+            // pagehide fires reliably on navigation, unlike beforeunload
+            window.addEventListener('pagehide', () => this.flush(true));
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.flush(true);
+                }
+            });
+
+            window.addEventListener('online', () => {
+                if (this.trackingAllowed) {
+                    this.resetRetry();
+                    this.restoreStoredEvents().then(() => this.flush());
+                }
+            });
+        }
+
+        /**
+         * Follow a change of consent
+         *
+         * @param {string} state Consent state from the SDK client
+         */
+        applyConsent(state) {
+            this.consentState = state;
+            this.trackingAllowed = this.client.consent.allows(state);
+
+            if (this.trackingAllowed) {
+                this.restoreStoredEvents().then(() => this.flush());
+            } else if (this.hasDeclined()) {
+                this.purge();
+            }
+        }
+
+        /**
+         * Whether the visitor declined or withdrew consent
+         */
+        hasDeclined() {
+            return this.consentState === 'denied' || this.consentState === 'withdrawn';
+        }
+
+        /**
+         * Drop every queued and stored event
+         */
+        purge() {
+            this.events = [];
+            this.resetRetry();
+
+            return this.withStore('readwrite', store => {
+                store.clear();
+            });
+        }
+
+        /**
+         * Add an event to the queue
+         */
+        push(channel, type, data = {}, sessionId = '') {
+            if (this.hasDeclined()) {
+                return;
+            }
+
+            // Held until the visitor decides; keep only the latest
+            if (!this.trackingAllowed && this.events.length >= this.maxDeferredEvents) {
+                this.events.shift();
+            }
+
+            this.events.push({
+                id: this.generateId(),
+                channel: channel,
+                type: type,
+                data: data,
+                session_id: sessionId,
+                url: window.location.href,
+                timestamp: Date.now()
+            });
+
+            if (this.events.length >= this.batchSize && !this.retryTimeout && this.trackingAllowed) {
+                this.flush();
+            }
+        }
+
+        /**
+         * Send queued events
+         *
+         * @param {boolean} useBeacon Send with navigator.sendBeacon because the page is going away
+         */
+        flush(useBeacon = false) {
+            // Without consent, or before the client has loaded, events wait in memory
+            if (this.events.length === 0 || (this.sending && !useBeacon) || !this.trackingAllowed) {
+                return;
+            }
+
+            const batch = this.events.splice(0, this.batchSize);
+
+            // Keep events for this or the next page view
+            if (!navigator.onLine) {
+                this.storeEvents(batch);
+                return;
+            }
+
+            if (useBeacon) {
+                this.sendBeacon(batch);
+
+                // Anything beyond the first batch still has to go out before the page is gone
+                if (this.events.length > 0) {
+                    this.flush(true);
+                }
+                return;
+            }
+
+            this.sending = true;
+
+            this.client.tracking.send(batch).then(() => {
+                this.resetRetry();
+                this.removeStoredEvents(batch);
+            }, (error) => {
+                if (error.code === 'network' && this.trackingAllowed) {
+                    this.events = batch.concat(this.events);
+                    this.storeEvents(batch);
+                    this.scheduleRetry();
+                } else {
+                    // Rejected by the server, retrying would not help
+                    this.removeStoredEvents(batch);
+                }
+            }).finally(() => {
+                this.sending = false;
+            });
+        }
+
+        /**
+         * Send a batch with navigator.sendBeacon, persisting it if the browser refuses
+         */
+        sendBeacon(batch) {
+            if (this.client.tracking.beacon(batch)) {
+                this.removeStoredEvents(batch);
+            } else {
+                this.storeEvents(batch);
+            }
+        }
+
+        /**
+         * Retry failed sends with exponential backoff
+         */
+        scheduleRetry() {
+            this.retryDelay = this.retryDelay ? Math.min(this.retryDelay * 2, this.maxRetryDelay) : 2000;
+
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = setTimeout(() => {
+                this.retryTimeout = null;
+                this.flush();
+            }, this.retryDelay);
+        }
+
+        /**
+         * Reset backoff after a successful send
+         */
+        resetRetry() {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+            this.retryDelay = 0;
+        }
+
+        /**
+         * Open the IndexedDB store used for unsent events
+         */
+        openDatabase() {
+            if (this.dbPromise) {
+                return this.dbPromise;
+            }
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB unavailable'));
+                    return;
+                }
+
+                const request = window.indexedDB.open('spb_events', 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('events', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Private browsing modes can refuse IndexedDB; fall back to memory only
+            this.dbPromise.catch(() => {});
+
+            return this.dbPromise;
+        }
+
+        /**
+         * Run a callback inside an IndexedDB transaction
+         */
+        withStore(mode, callback) {
+            return this.openDatabase().then(db => new Promise((resolve, reject) => {
+                const transaction = db.transaction('events', mode);
+                const result = callback(transaction.objectStore('events'));
+                transaction.oncomplete = () => resolve(result && result.result);
+                transaction.onerror = () => reject(transaction.error);
+            })).catch(() => undefined);
+        }
+
+        /**
+         * Persist events so they survive going offline or leaving the page
+         */
+        storeEvents(batch) {
+            return this.withStore('readwrite', store => {
+                batch.forEach(event => store.put(event));
+            });
+        }
+
+        /**
+         * Remove delivered events from persistent storage
+         */
+        removeStoredEvents(batch) {
+            return this.withStore('readwrite', store => {
+                batch.forEach(event => store.delete(event.id));
+            });
+        }
+
+        /**
+         * Re-queue events persisted by earlier page views
+         */
+        restoreStoredEvents() {
+            return this.withStore('readonly', store => store.getAll()).then(stored => {
+                if (!stored || stored.length === 0) {
+                    return;
+                }
+
+                const queuedIds = new Set(this.events.map(event => event.id));
+                stored.forEach(event => {
+                    if (!queuedIds.has(event.id)) {
+                        this.events.push(event);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Generate a unique event id
+         */
+        generateId() {
+            if (window.crypto && window.crypto.randomUUID) {
+                return window.crypto.randomUUID().replace(/-/g, '');
+            }
+
+            return Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+        }
+    }
+
+    // Expose a single queue shared by the public and personalization scripts
+    if (typeof spb_events !== 'undefined' && window.SPBClient) {
+        window.SPBEventQueue = new SPBEventQueue(spb_events, window.SPBClient);
+    }
+
+})(window);
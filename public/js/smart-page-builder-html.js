@@ -0,0 +1,130 @@
+/**
+ * Smart Page Builder HTML Templating
+ *
+ * Shared escaping for markup built on the client. Values interpolated
+ * through SPBHtml.html`...` are escaped unless they were explicitly marked
+ * as trusted with SPBHtml.trusted(), so server data, search queries and
+ * interest names can never inject markup by accident.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    /**
+     * Characters escaped in text and attribute values
+     */
+    const ENTITIES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+        '`': '&#96;'
+    };
+
+    /**
+     * URL schemes allowed in href and src attributes
+     */
+    const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+    /**
+     * Markup that is inserted without escaping
+     */
+    class TrustedHTML {
+        constructor(html) {
+            this.html = String(html);
+        }
+
+        toString() {
+            return this.html;
+        }
+    }
+
+    /**
+     * Escape a value for use in HTML text or a quoted attribute
+     *
+     * @param {*} value Value to escape; null and undefined become ''
+     * @return {string} Escaped string
+     */
+    function escape(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        return String(value).replace(/[&<>"'`]/g, character => ENTITIES[character]);
+    }
+
+    /**
+     * Mark markup as trusted
+     *
+     * Only for markup that cannot contain visitor or third-party input, such
+     * as HTML the server has already sanitized.
+     *
+     * @param {string} html Markup
+     * @return {TrustedHTML} Trusted markup
+     */
+    function trusted(html) {
+        return html instanceof TrustedHTML ? html : new TrustedHTML(html);
+    }
+
+    /**
+     * Convert a value to markup, escaping anything not explicitly trusted
+     *
+     * @param {*} value Trusted markup, an array of values or any other value
+     * @return {string} Markup
+     */
+    function toHTML(value) {
+        if (value instanceof TrustedHTML) {
+            return value.html;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(toHTML).join('');
+        }
+
+        return escape(value);
+    }
+
+    /**
+     * Template tag escaping every interpolated value
+     *
+     * Arrays are joined, so lists of nested templates can be interpolated.
+     *
+     * @return {TrustedHTML} Markup
+     */
+    function html(strings, ...values) {
+        return trusted(strings.reduce((markup, string, index) => {
+            return markup + string + (index < values.length ? toHTML(values[index]) : '');
+        }, ''));
+    }
+
+    /**
+     * Allow a URL only if it uses a safe scheme
+     *
+     * @param {string} value URL, absolute or relative to the current page
+     * @return {string} The URL, or '#' for javascript:, data: and other schemes
+     */
+    function url(value) {
+        const candidate = String(value === null || value === undefined ? '' : value).trim();
+
+        try {
+            const parsed = new URL(candidate, window.location.href);
+            return SAFE_PROTOCOLS.includes(parsed.protocol) ? candidate : '#';
+        } catch (e) {
+            return '#';
+        }
+    }
+
+    window.SPBHtml = {
+        escape: escape,
+        html: html,
+        trusted: trusted,
+        toHTML: toHTML,
+        url: url,
+        isTrusted: value => value instanceof TrustedHTML
+    };
+
+})(window);
@@ -8,6 +8,61 @@
 (function($) {
     'use strict';
 
+    const { __, sprintf } = wp.i18n;
+
+    /**
+     * Format a 0-1 score as a localized percentage
+     */
+    const formatPercentage = score => {
+        /* translators: %d: percentage */
+        return sprintf(__('%d%%', 'smart-page-builder'), Math.round(score * 100));
+    };
+
+    /**
+     * Observable store for the visitor's profile
+     *
+     * Holds the interests the personalization UI renders - inferred, the
+     * visitor's preferences for them, and the two combined - and the
+     * recommendations.
+     * Changes replace the parts they touch, so subscribers can tell what
+     * changed by identity.
+     */
+    class ProfileStore {
+        constructor() {
+            this.state = { interests: {}, inferred: {}, preferences: {}, recommendations: [] };
+            this.listeners = new Set();
+        }
+
+        /**
+         * Get the current state
+         */
+        getState() {
+            return this.state;
+        }
+
+        /**
+         * Merge changes into the state and notify subscribers
+         *
+         * @param {Object} changes interests and/or recommendations
+         */
+        setState(changes) {
+            const previous = this.state;
+            this.state = Object.assign({}, previous, changes);
+            this.listeners.forEach(listener => listener(this.state, previous));
+        }
+
+        /**
+         * Listen for changes
+         *
+         * @param {Function} listener Called with the new and the previous state
+         * @return {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            this.listeners.add(listener);
+            return () => this.listeners.delete(listener);
+        }
+    }
+
     /**
      * Smart Page Builder Personalization Class
      */
@@ -15,49 +70,75 @@
         constructor() {
             this.sessionId = spb_personalization.session_id;
             this.trackingEnabled = spb_personalization.tracking_enabled;
-            this.userInterests = {};
-            this.recommendations = [];
+            this.consentManaged = !!spb_personalization.consent_managed;
+            this.pageTerms = spb_personalization.page_terms || [];
+            this.interestModel = null;
+            this.profileLoaded = Promise.resolve();
+            this.domReady = false;
+            this.store = new ProfileStore();
+            this.store.subscribe((state, previous) => this.render(state, previous));
+            this.collecting = false;
+            this.timeTrackingInterval = null;
             this.init();
         }
 
         /**
          * Initialize personalization functionality
+         *
+         * Nothing is tracked or loaded until the visitor's consent allows it.
          */
         init() {
             if (!this.trackingEnabled) {
                 return;
             }
 
-            this.bindEvents();
+            this.bindControls();
             this.initPersonalizationUI();
-            this.loadUserProfile();
-            
-            // Initialize when DOM is ready
-            $(document).ready(() => {
-                this.onDOMReady();
-            });
+
+            window.SPBClient.then(client => {
+                // Set when interests are kept on the device instead of the server
+                this.interestModel = client.interests;
+
+                // The profile is keyed on the client's session, which can change under the page
+                return client.session.ready.then(sessionId => {
+                    this.sessionId = sessionId;
+                    client.session.subscribe(next => this.applySession(next));
+                    client.consent.subscribe(state => this.applyConsent(state));
+                    return client.consent.get();
+                });
+            }).then(state => this.applyConsent(state), () => {});
         }
 
         /**
-         * Bind event listeners
+         * Bind the personalization and privacy controls
          */
-        bindEvents() {
+        bindControls() {
+            $(document).on('click', '.spb-personalization-toggle', this.togglePersonalizationPanel.bind(this));
+            $(document).on('click', '.spb-privacy-button', this.handlePrivacyAction.bind(this));
+
+            // Interest editor
+            $(document).on('click', '.spb-interest-mute, .spb-interest-pin', this.handleInterestToggle.bind(this));
+            $(document).on('input', '.spb-interest-weight', this.handleInterestWeightInput.bind(this));
+            $(document).on('change', '.spb-interest-weight', this.handleInterestWeightChange.bind(this));
+            $(document).on('submit', '.spb-interest-add', this.handleInterestAdd.bind(this));
+        }
+
+        /**
+         * Bind the trackers, namespaced so declining can unbind them
+         */
+        bindTrackers() {
             // Content interaction tracking
-            $(document).on('click', '.spb-personalized-content', this.trackContentInteraction.bind(this));
-            $(document).on('mouseenter', '.spb-interest-based', this.trackContentHover.bind(this));
+            $(document).on('click.spbTracking', '.spb-personalized-content', this.trackContentInteraction.bind(this));
+            $(document).on('mouseenter.spbTracking', '.spb-interest-based', this.trackContentHover.bind(this));
             
             // Recommendation interactions
-            $(document).on('click', '.spb-recommendation-item', this.trackRecommendationClick.bind(this));
+            $(document).on('click.spbTracking', '.spb-recommendation-item', this.trackRecommendationClick.bind(this));
             
             // Interest tag interactions
-            $(document).on('click', '.spb-interest-tag', this.handleInterestTagClick.bind(this));
-            
-            // Personalization controls
-            $(document).on('click', '.spb-personalization-toggle', this.togglePersonalizationPanel.bind(this));
-            $(document).on('click', '.spb-privacy-button', this.handlePrivacyAction.bind(this));
+            $(document).on('click.spbTracking', '.spb-interest-tag', this.handleInterestTagClick.bind(this));
             
             // Page visibility changes
-            $(document).on('visibilitychange', this.handleVisibilityChange.bind(this));
+            $(document).on('visibilitychange.spbTracking', this.handleVisibilityChange.bind(this));
             
             // Time-based tracking
             this.startTimeTracking();
@@ -69,40 +150,191 @@
         initPersonalizationUI() {
             this.createPersonalizationToggle();
             this.createPersonalizationPanel();
-            this.showPrivacyNoticeIfNeeded();
+        }
+
+        /**
+         * Follow the visitor's consent state
+         *
+         * @param {string} state 'unknown', 'granted', 'denied' or 'withdrawn'
+         */
+        applyConsent(state) {
+            switch (state) {
+                case 'granted':
+                    $('.spb-privacy-notice').fadeOut();
+                    $('.spb-personalization-toggle').show();
+                    $('.spb-personalization-controls').removeClass('spb-tracking-disabled');
+                    $('.spb-disable-tracking').text(__('Disable Tracking', 'smart-page-builder'));
+                    this.startCollection();
+                    break;
+
+                case 'unknown':
+                    // A consent management platform asks through the WP Consent API instead
+                    if (!this.consentManaged) {
+                        this.showPrivacyNotice();
+                    }
+                    break;
+
+                default:
+                    $('.spb-privacy-notice').fadeOut();
+                    this.stopCollection();
+                    this.disableTracking();
+
+                    if (this.interestModel) {
+                        this.interestModel.clear();
+                    }
+
+                    // Nothing learned about the visitor stays on screen
+                    this.store.setState({ interests: {}, inferred: {}, preferences: {}, recommendations: [] });
+            }
+        }
+
+        /**
+         * Start tracking and personalizing once consent is granted
+         */
+        startCollection() {
+            if (this.collecting) {
+                return;
+            }
+
+            this.collecting = true;
+            this.bindTrackers();
+            this.loadUserProfile();
+
+            // Initialize when DOM is ready
+            $(document).ready(() => {
+                this.onDOMReady();
+            });
+        }
+
+        /**
+         * Stop every tracker after the visitor declined or withdrew consent
+         */
+        stopCollection() {
+            this.collecting = false;
+
+            $(document).off('.spbTracking');
+            $(window).off('.spbTracking');
+            clearInterval(this.timeTrackingInterval);
+        }
+
+        /**
+         * Follow the client to another session, or another session merged
+         * into this one, without reloading the page
+         *
+         * @param {string} sessionId Session id
+         */
+        applySession(sessionId) {
+            this.sessionId = sessionId;
+
+            if (this.collecting) {
+                this.loadUserProfile(false);
+                this.loadRecommendations();
+            }
         }
 
         /**
          * Handle DOM ready
          */
         onDOMReady() {
-            this.personalizeContent();
+            this.domReady = true;
+            this.render(this.store.getState(), {});
             this.loadRecommendations();
-            this.initInterestVisualization();
             this.trackPageEngagement();
         }
 
         /**
          * Load user profile and interests
+         *
+         * @param {boolean} observe Let the on-device model learn from this page view first
          */
-        loadUserProfile() {
-            $.ajax({
-                url: spb_personalization.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'spb_get_user_profile',
-                    session_id: this.sessionId,
-                    nonce: spb_personalization.nonce
-                },
-                success: (response) => {
-                    if (response.success) {
-                        this.userInterests = response.data.interests || {};
-                        this.updateInterestVisualization();
-                    }
-                }
+        loadUserProfile(observe = true) {
+            const profile = window.SPBClient.then(client => client.profile.get());
+
+            // The on-device model learns from this page view before answering; the server only keeps preferences
+            const inferred = this.interestModel && (observe ? this.interestModel.observe(this.pageTerms) : this.interestModel.interests());
+            const loaded = this.interestModel
+                ? Promise.all([inferred, profile.catch(() => ({}))])
+                    .then(([inferred, serverProfile]) => ({ inferred: inferred, preferences: serverProfile.preferences || {} }))
+                : profile.then(serverProfile => ({ inferred: serverProfile.inferred || {}, preferences: serverProfile.preferences || {} }));
+
+            this.profileLoaded = Promise.all([window.SPBClient, loaded]).then(([client, data]) => {
+                this.client = client;
+                this.setProfile(data.inferred, data.preferences);
+            }, () => {});
+        }
+
+        /**
+         * Put inferred interests and the visitor's preferences in the store
+         *
+         * @param {Object} inferred    Inferred scores keyed by interest
+         * @param {Object} preferences Preferences keyed by interest
+         */
+        setProfile(inferred, preferences) {
+            this.store.setState({
+                inferred: inferred,
+                preferences: preferences,
+                interests: this.client.profile.applyPreferences(inferred, preferences)
             });
         }
 
+        /**
+         * Change the visitor's preference for an interest
+         *
+         * The change shows right away and is then stored; recommendations are
+         * reloaded once the server has it, and a failed change is undone.
+         *
+         * @param {string} interest Interest
+         * @param {Object} changes  Any of muted, pinned, added and weight
+         * @return {Promise}
+         */
+        updateInterest(interest, changes) {
+            if (!this.collecting || !this.client) {
+                return Promise.resolve();
+            }
+
+            const { inferred, preferences } = this.store.getState();
+            const updated = Object.assign({}, preferences, {
+                [interest]: Object.assign({ muted: false, pinned: false, added: false, weight: null }, preferences[interest], changes)
+            });
+
+            this.setProfile(inferred, updated);
+
+            return this.client.profile.updateInterest(interest, changes).then(profile => {
+                const current = this.store.getState();
+                this.setProfile(this.interestModel ? current.inferred : profile.inferred, profile.preferences);
+                this.loadRecommendations();
+            }, () => {
+                this.setProfile(inferred, preferences);
+            });
+        }
+
+        /**
+         * Re-render whatever depends on the parts of the profile that changed
+         *
+         * @param {Object} state    Store state
+         * @param {Object} previous State before the change
+         */
+        render(state, previous) {
+            // Elements rendered before the DOM is ready would be lost
+            if (!this.domReady) {
+                return;
+            }
+
+            if (state.interests !== previous.interests) {
+                this.personalizeContent();
+                this.renderInterestMeters(state.interests);
+                this.renderInterestTags(state.interests);
+            }
+
+            if (state.inferred !== previous.inferred || state.preferences !== previous.preferences) {
+                this.renderInterestEditor(state);
+            }
+
+            if (state.recommendations !== previous.recommendations) {
+                this.displayRecommendations(state.recommendations);
+            }
+        }
+
         /**
          * Personalize content on the page
          */
@@ -118,6 +350,9 @@
 
         /**
          * Personalize individual element
+         *
+         * Runs again on every profile change, so earlier relevance classes,
+         * indicators and visibility are reset first.
          */
         personalizeElement($element) {
             const interests = $element.data('interests');
@@ -125,14 +360,18 @@
 
             if (!interests) return;
 
-            const interestArray = interests.split(',').map(i => i.trim());
+            const userInterests = this.store.getState().interests;
+            const interestArray = String(interests).split(',').map(i => i.trim());
             let maxRelevance = 0;
 
             interestArray.forEach(interest => {
-                const userInterest = this.userInterests[interest] || 0;
+                const userInterest = userInterests[interest] || 0;
                 maxRelevance = Math.max(maxRelevance, userInterest);
             });
 
+            $element.removeClass('spb-high-relevance spb-medium-relevance spb-low-relevance');
+            this.removePersonalizationIndicator($element);
+
             // Apply relevance styling
             if (maxRelevance >= 0.8) {
                 $element.addClass('spb-high-relevance');
@@ -146,9 +385,7 @@
             }
 
             // Hide content if below minimum confidence
-            if (maxRelevance < minConfidence) {
-                $element.hide();
-            }
+            $element.toggle(maxRelevance >= minConfidence);
         }
 
         /**
@@ -160,7 +397,10 @@
 
             if (!interest) return;
 
-            const userInterest = this.userInterests[interest] || 0;
+            const userInterest = this.store.getState().interests[interest] || 0;
+
+            $element.removeClass('spb-matched');
+            this.removePersonalizationIndicator($element);
 
             if (userInterest >= threshold) {
                 $element.addClass('spb-matched');
@@ -172,38 +412,47 @@
          * Add personalization indicator
          */
         addPersonalizationIndicator($element, type, score) {
-            const percentage = Math.round(score * 100);
-            const indicator = $(`<div class="spb-personalization-indicator spb-${type}-match">${percentage}%</div>`);
+            const indicator = $(SPBHtml.toHTML(SPBHtml.html`<div class="spb-personalization-indicator spb-${type}-match">${formatPercentage(score)}</div>`));
             $element.css('position', 'relative').append(indicator);
         }
 
+        /**
+         * Remove the indicator an earlier render added
+         */
+        removePersonalizationIndicator($element) {
+            $element.children('.spb-personalization-indicator').remove();
+        }
+
         /**
          * Load personalized recommendations
          */
         loadRecommendations() {
-            $.ajax({
-                url: spb_personalization.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'spb_get_recommendations',
-                    session_id: this.sessionId,
-                    page_url: window.location.href,
-                    nonce: spb_personalization.nonce
-                },
-                success: (response) => {
-                    if (response.success && response.data.recommendations) {
-                        this.recommendations = response.data.recommendations;
-                        this.displayRecommendations();
-                    }
+            // Only the on-device model's coarse segments leave the browser
+            const segments = this.interestModel
+                ? this.profileLoaded.then(() => this.interestModel.segments(3, this.store.getState().preferences))
+                : Promise.resolve(null);
+
+            Promise.all([window.SPBClient, segments]).then(([client, segmentIds]) => {
+                if (segmentIds && segmentIds.length === 0) {
+                    return [];
                 }
-            });
+
+                return client.recommendations.get({ pageUrl: window.location.href, segments: segmentIds });
+            }).then(recommendations => {
+                this.store.setState({ recommendations: recommendations });
+            }, () => {});
         }
 
         /**
          * Display recommendations
+         *
+         * @param {Object[]} recommendations Recommendations; none removes the block
          */
-        displayRecommendations() {
-            if (this.recommendations.length === 0) return;
+        displayRecommendations(recommendations) {
+            if (recommendations.length === 0) {
+                $('.spb-recommendations').remove();
+                return;
+            }
 
             const $recommendationsContainer = $('.spb-recommendations');
             if ($recommendationsContainer.length === 0) {
@@ -211,24 +460,23 @@
             }
 
             const $container = $('.spb-recommendations');
-            let html = '<div class="spb-recommendations-header">';
-            html += '<div class="spb-recommendations-icon"></div>';
-            html += '<h3 class="spb-recommendations-title">Recommended for You</h3>';
-            html += '</div>';
-
-            this.recommendations.forEach(rec => {
-                html += `
-                    <a href="${rec.url}" class="spb-recommendation-item" data-rec-id="${rec.id}">
+            const html = SPBHtml.html`
+                <div class="spb-recommendations-header">
+                    <div class="spb-recommendations-icon"></div>
+                    <h3 class="spb-recommendations-title">${__('Recommended for You', 'smart-page-builder')}</h3>
+                </div>
+                ${recommendations.map(rec => SPBHtml.html`
+                    <a href="${SPBHtml.url(rec.url)}" class="spb-recommendation-item" data-rec-id="${rec.id}">
                         <div class="spb-recommendation-content">
                             <div class="spb-recommendation-title">${rec.title}</div>
                             <div class="spb-recommendation-excerpt">${rec.excerpt}</div>
                         </div>
-                        <div class="spb-recommendation-score">${Math.round(rec.score * 100)}%</div>
+                        <div class="spb-recommendation-score">${formatPercentage(rec.score)}</div>
                     </a>
-                `;
-            });
+                `)}
+            `;
 
-            $container.html(html);
+            $container.html(SPBHtml.toHTML(html));
         }
 
         /**
@@ -248,58 +496,77 @@
         }
 
         /**
-         * Initialize interest visualization
+         * Render interest meters in the personalization panel
+         *
+         * Meters are keyed by interest, so a re-render updates the ones shown
+         * and adds or removes the rest.
+         *
+         * @param {Object} interests Scores keyed by interest
          */
-        initInterestVisualization() {
-            this.createInterestMeters();
-            this.createInterestTags();
-        }
+        renderInterestMeters(interests) {
+            // Only show interests above 10%
+            const shown = Object.entries(interests).filter(([, score]) => score > 0.1);
+            let $container = $('.spb-interest-visualization');
 
-        /**
-         * Create interest meters
-         */
-        createInterestMeters() {
-            if (Object.keys(this.userInterests).length === 0) return;
+            if (shown.length === 0) {
+                $container.remove();
+                return;
+            }
 
-            const $container = $('<div class="spb-interest-visualization"></div>');
-            
-            Object.entries(this.userInterests).forEach(([interest, score]) => {
-                if (score > 0.1) { // Only show interests above 10%
-                    const $meter = $(`
-                        <div class="spb-interest-meter">
+            if ($container.length === 0) {
+                $container = $('<div class="spb-interest-visualization"></div>');
+                $('.spb-personalization-controls').append($container);
+            }
+
+            const keep = new Set(shown.map(([interest]) => interest));
+            $container.children('.spb-interest-meter').each((index, meter) => {
+                if (!keep.has(meter.getAttribute('data-interest'))) {
+                    $(meter).remove();
+                }
+            });
+
+            shown.forEach(([interest, score]) => {
+                let $meter = $container.children('.spb-interest-meter').filter((index, meter) => meter.getAttribute('data-interest') === interest);
+
+                if ($meter.length === 0) {
+                    $meter = $(SPBHtml.toHTML(SPBHtml.html`
+                        <div class="spb-interest-meter" data-interest="${interest}">
                             <div class="spb-interest-meter-label">${this.formatInterestName(interest)}</div>
                             <div class="spb-interest-meter-bar">
-                                <div class="spb-interest-meter-fill" style="width: ${score * 100}%"></div>
+                                <div class="spb-interest-meter-fill"></div>
                             </div>
                         </div>
-                    `);
-                    $container.append($meter);
+                    `));
                 }
-            });
 
-            // Add to personalization panel
-            $('.spb-personalization-controls').append($container);
+                // Strongest first
+                $container.append($meter);
+                $meter.find('.spb-interest-meter-fill').css('width', (score * 100) + '%');
+            });
         }
 
         /**
-         * Create interest tags
+         * Render the visitor's top interests as tags near the page title
+         *
+         * @param {Object} interests Scores keyed by interest, pinned first and then strongest first
          */
-        createInterestTags() {
-            const topInterests = Object.entries(this.userInterests)
-                .sort(([,a], [,b]) => b - a)
+        renderInterestTags(interests) {
+            const topInterests = Object.entries(interests)
                 .slice(0, 5)
                 .filter(([,score]) => score > 0.2);
 
+            $('.spb-interest-tags').remove();
+
             if (topInterests.length === 0) return;
 
             const $tagsContainer = $('<div class="spb-interest-tags"></div>');
             
-            topInterests.forEach(([interest, score]) => {
-                const $tag = $(`
+            topInterests.forEach(([interest]) => {
+                const $tag = $(SPBHtml.toHTML(SPBHtml.html`
                     <span class="spb-interest-tag spb-active" data-interest="${interest}">
                         ${this.formatInterestName(interest)}
                     </span>
-                `);
+                `));
                 $tagsContainer.append($tag);
             });
 
@@ -312,26 +579,117 @@
         }
 
         /**
-         * Update interest visualization
+         * Render every interest, inferred or added, with controls to mute,
+         * pin and weigh it
+         *
+         * @param {Object} state Store state
          */
-        updateInterestVisualization() {
-            $('.spb-interest-meter-fill').each(function() {
-                const $fill = $(this);
-                const interest = $fill.closest('.spb-interest-meter').find('.spb-interest-meter-label').text().toLowerCase();
-                const score = this.userInterests[interest] || 0;
-                $fill.css('width', (score * 100) + '%');
+        renderInterestEditor(state) {
+            const $list = $('.spb-interest-editor-list');
+            const interests = Object.keys(state.interests);
+
+            // Muted interests are left out of the combined scores; list them last
+            Object.keys(state.inferred).concat(Object.keys(state.preferences)).forEach(interest => {
+                if (!interests.includes(interest) && state.preferences[interest] && state.preferences[interest].muted) {
+                    interests.push(interest);
+                }
             });
+
+            // Keep keyboard focus on the control that was used
+            const focused = $(document.activeElement).closest('.spb-interest-editor-item');
+            const focusedInterest = focused.attr('data-interest');
+            const focusedControl = focusedInterest ? ['spb-interest-weight', 'spb-interest-pin', 'spb-interest-mute'].find(name => $(document.activeElement).hasClass(name)) : null;
+
+            $list.html(SPBHtml.toHTML(SPBHtml.html`${interests.map(interest => {
+                const preference = state.preferences[interest] || {};
+                const name = this.formatInterestName(interest);
+                const score = interest in state.interests ? state.interests[interest] : (state.inferred[interest] || 0);
+                const percentage = Math.round(score * 100);
+
+                return SPBHtml.html`
+                    <li class="spb-interest-editor-item${preference.muted ? ' spb-muted' : ''}${preference.pinned ? ' spb-pinned' : ''}" data-interest="${interest}">
+                        <span class="spb-interest-editor-name">${name}${preference.added ? SPBHtml.html` <span class="spb-interest-added">${__('added', 'smart-page-builder')}</span>` : ''}</span>
+                        <input type="range" class="spb-interest-weight" min="0" max="100" value="${percentage}"
+                            aria-label="${sprintf(/* translators: %s: interest name */ __('Weight of %s', 'smart-page-builder'), name)}"${preference.muted ? SPBHtml.trusted(' disabled') : ''}>
+                        <output class="spb-interest-weight-value">${formatPercentage(score)}</output>
+                        <button type="button" class="spb-interest-pin" aria-pressed="${preference.pinned ? 'true' : 'false'}">
+                            ${preference.pinned ? __('Unpin', 'smart-page-builder') : __('Pin', 'smart-page-builder')}
+                        </button>
+                        <button type="button" class="spb-interest-mute" aria-pressed="${preference.muted ? 'true' : 'false'}">
+                            ${preference.muted ? __('Unmute', 'smart-page-builder') : __('Mute', 'smart-page-builder')}
+                        </button>
+                    </li>
+                `;
+            })}`));
+
+            $('.spb-interest-editor-empty').toggle(interests.length === 0);
+
+            if (focusedControl) {
+                $list.children().filter((index, item) => item.getAttribute('data-interest') === focusedInterest).find('.' + focusedControl).trigger('focus');
+            }
+        }
+
+        /**
+         * Mute or pin an interest from the editor
+         */
+        handleInterestToggle(event) {
+            const $button = $(event.currentTarget);
+            const interest = $button.closest('.spb-interest-editor-item').attr('data-interest');
+            const flag = $button.hasClass('spb-interest-mute') ? 'muted' : 'pinned';
+
+            this.updateInterest(interest, { [flag]: $button.attr('aria-pressed') !== 'true' });
+        }
+
+        /**
+         * Show the weight while the slider moves
+         */
+        handleInterestWeightInput(event) {
+            const $slider = $(event.currentTarget);
+            $slider.siblings('.spb-interest-weight-value').text(formatPercentage($slider.val() / 100));
+        }
+
+        /**
+         * Store the weight once the slider is released
+         */
+        handleInterestWeightChange(event) {
+            const $slider = $(event.currentTarget);
+            const interest = $slider.closest('.spb-interest-editor-item').attr('data-interest');
+
+            this.updateInterest(interest, { weight: $slider.val() / 100 });
+        }
+
+        /**
+         * Add a topic the visitor is interested in
+         */
+        handleInterestAdd(event) {
+            event.preventDefault();
+
+            const $input = $(event.currentTarget).find('.spb-interest-add-topic');
+            const topic = $input.val().trim();
+
+            if (!topic || !this.collecting || !this.client) {
+                return;
+            }
+
+            // The server turns the topic into an interest slug, so wait for it
+            this.client.profile.updateInterest(topic, { added: true }).then(profile => {
+                const current = this.store.getState();
+                $input.val('');
+                this.setProfile(this.interestModel ? current.inferred : profile.inferred, profile.preferences);
+                this.loadRecommendations();
+            }, () => {});
         }
 
         /**
          * Create personalization toggle button
          */
         createPersonalizationToggle() {
-            const $toggle = $(`
-                <button class="spb-personalization-toggle" title="Personalization Settings">
+            const label = __('Personalization Settings', 'smart-page-builder');
+            const $toggle = $(SPBHtml.toHTML(SPBHtml.html`
+                <button class="spb-personalization-toggle" title="${label}" aria-label="${label}">
                     ⚙️
                 </button>
-            `);
+            `));
             $('body').append($toggle);
         }
 
@@ -339,16 +697,37 @@
          * Create personalization panel
          */
         createPersonalizationPanel() {
-            const $panel = $(`
+            const $panel = $(SPBHtml.toHTML(SPBHtml.html`
                 <div class="spb-personalization-controls">
-                    <h3>Personalization Settings</h3>
-                    <p>Your content is personalized based on your interests and behavior.</p>
+                    <h3>${__('Personalization Settings', 'smart-page-builder')}</h3>
+                    <p>${__('Your content is personalized based on your interests and behavior.', 'smart-page-builder')}</p>
+                    <div class="spb-interest-editor">
+                        <h4>${__('Your Interests', 'smart-page-builder')}</h4>
+                        <p class="spb-interest-editor-empty">${__('No interests yet. They appear as you read, or add your own below.', 'smart-page-builder')}</p>
+                        <ul class="spb-interest-editor-list"></ul>
+                        <form class="spb-interest-add">
+                            <label for="spb-interest-add-topic">${__('Add a topic', 'smart-page-builder')}</label>
+                            <input type="text" id="spb-interest-add-topic" class="spb-interest-add-topic" maxlength="100">
+                            <button type="submit" class="spb-privacy-button">${__('Add', 'smart-page-builder')}</button>
+                        </form>
+                    </div>
                     <div class="spb-personalization-actions">
-                        <button class="spb-privacy-button spb-reset-profile">Reset Profile</button>
-                        <button class="spb-privacy-button spb-disable-tracking">Disable Tracking</button>
+                        <button class="spb-privacy-button spb-reset-profile">${__('Reset Profile', 'smart-page-builder')}</button>
+                        <button class="spb-privacy-button spb-disable-tracking">${__('Disable Tracking', 'smart-page-builder')}</button>
+                    </div>
+                    <div class="spb-personal-data">
+                        <h4>${__('Your Data', 'smart-page-builder')}</h4>
+                        <button class="spb-privacy-button spb-export-data">${__('Download My Data', 'smart-page-builder')}</button>
+                        <button class="spb-privacy-button spb-erase-data">${__('Erase My Data', 'smart-page-builder')}</button>
+                        <div class="spb-erase-confirm" hidden>
+                            <p>${__('This erases your interests, preferences, activity and the pages your searches generated. It cannot be undone.', 'smart-page-builder')}</p>
+                            <button class="spb-privacy-button spb-erase-confirm-button">${__('Erase Everything', 'smart-page-builder')}</button>
+                            <button class="spb-privacy-button spb-erase-cancel">${__('Cancel', 'smart-page-builder')}</button>
+                        </div>
+                        <p class="spb-personal-data-status" role="status" aria-live="polite"></p>
                     </div>
                 </div>
-            `);
+            `));
             $('body').append($panel);
         }
 
@@ -360,30 +739,24 @@
             $('.spb-personalization-toggle').toggleClass('spb-active');
         }
 
-        /**
-         * Show privacy notice if needed
-         */
-        showPrivacyNoticeIfNeeded() {
-            const hasConsent = localStorage.getItem('spb_privacy_consent');
-            if (!hasConsent) {
-                this.showPrivacyNotice();
-            }
-        }
-
         /**
          * Show privacy notice
          */
         showPrivacyNotice() {
-            const $notice = $(`
+            if ($('.spb-privacy-notice').length) {
+                return;
+            }
+
+            const $notice = $(SPBHtml.toHTML(SPBHtml.html`
                 <div class="spb-privacy-notice">
-                    <div class="spb-privacy-notice-title">Personalized Experience</div>
-                    <p>We use cookies and tracking to personalize your content experience. This helps us show you more relevant content.</p>
+                    <div class="spb-privacy-notice-title">${__('Personalized Experience', 'smart-page-builder')}</div>
+                    <p>${__('We use cookies and tracking to personalize your content experience. This helps us show you more relevant content.', 'smart-page-builder')}</p>
                     <div class="spb-privacy-controls">
-                        <button class="spb-privacy-button spb-accept">Accept</button>
-                        <button class="spb-privacy-button spb-decline">Decline</button>
+                        <button class="spb-privacy-button spb-accept">${__('Accept', 'smart-page-builder')}</button>
+                        <button class="spb-privacy-button spb-decline">${__('Decline', 'smart-page-builder')}</button>
                     </div>
                 </div>
-            `);
+            `));
 
             $('body').prepend($notice);
         }
@@ -396,30 +769,111 @@
             const action = $button.hasClass('spb-accept') ? 'accept' : 
                           $button.hasClass('spb-decline') ? 'decline' :
                           $button.hasClass('spb-reset-profile') ? 'reset' :
-                          $button.hasClass('spb-disable-tracking') ? 'disable' : '';
+                          $button.hasClass('spb-disable-tracking') ? ($button.closest('.spb-tracking-disabled').length ? 'accept' : 'disable') :
+                          $button.hasClass('spb-export-data') ? 'export' :
+                          $button.hasClass('spb-erase-data') ? 'erase' :
+                          $button.hasClass('spb-erase-confirm-button') ? 'confirm-erase' :
+                          $button.hasClass('spb-erase-cancel') ? 'cancel-erase' : '';
 
+            // The consent subscription starts or stops collection
             switch (action) {
                 case 'accept':
-                    localStorage.setItem('spb_privacy_consent', 'true');
-                    $('.spb-privacy-notice').fadeOut();
+                    window.SPBClient.then(client => client.consent.grant());
                     break;
                     
                 case 'decline':
-                    localStorage.setItem('spb_privacy_consent', 'false');
-                    $('.spb-privacy-notice').fadeOut();
-                    this.disableTracking();
+                case 'disable':
+                    window.SPBClient.then(client => client.consent.decline());
                     break;
                     
                 case 'reset':
                     this.resetUserProfile();
                     break;
-                    
-                case 'disable':
-                    this.disableTracking();
+
+                case 'export':
+                    this.exportPersonalData();
+                    break;
+
+                case 'erase':
+                    $('.spb-erase-confirm').prop('hidden', false).find('.spb-erase-cancel').trigger('focus');
+                    break;
+
+                case 'confirm-erase':
+                    $('.spb-erase-confirm').prop('hidden', true);
+                    this.erasePersonalData();
+                    break;
+
+                case 'cancel-erase':
+                    $('.spb-erase-confirm').prop('hidden', true);
+                    $('.spb-erase-data').trigger('focus');
                     break;
             }
         }
 
+        /**
+         * Download everything recorded about the visitor as JSON
+         */
+        exportPersonalData() {
+            const $status = $('.spb-personal-data-status');
+            $status.text(__('Preparing your data…', 'smart-page-builder'));
+
+            window.SPBClient.then(client => client.profile.export()).then(data => {
+                // Interests kept on the device are part of the profile too
+                const local = this.interestModel ? this.interestModel.interests() : Promise.resolve(null);
+
+                return local.then(interests => {
+                    if (interests) {
+                        data.on_device_interests = interests;
+                    }
+
+                    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+                    const link = document.createElement('a');
+                    link.href = url;
+                    link.download = 'smart-page-builder-data.json';
+                    document.body.appendChild(link);
+                    link.click();
+                    link.remove();
+                    setTimeout(() => URL.revokeObjectURL(url), 0);
+
+                    $status.text(__('Your data has been downloaded.', 'smart-page-builder'));
+                });
+            }).catch(() => {
+                $status.text(__('Your data could not be exported. Please try again.', 'smart-page-builder'));
+            });
+        }
+
+        /**
+         * Erase everything recorded about the visitor
+         *
+         * Anonymous visitors confirm with the token the erasure request
+         * leaves in a cookie; logged-in visitors confirm by email.
+         */
+        erasePersonalData() {
+            const $status = $('.spb-personal-data-status');
+            $status.text(__('Erasing your data…', 'smart-page-builder'));
+
+            window.SPBClient.then(client => client.profile.requestErasure().then(request => {
+                if (request.status === 'confirmation_sent') {
+                    $status.text(__('We emailed you a link to confirm. Your data is erased once you follow it.', 'smart-page-builder'));
+                    return;
+                }
+
+                return client.profile.confirmErasure().then(() => {
+                    // Nothing queued or kept on the device may bring the data back
+                    if (window.SPBEventQueue) {
+                        window.SPBEventQueue.purge();
+                    }
+
+                    return this.interestModel ? this.interestModel.clear() : null;
+                }).then(() => {
+                    this.store.setState({ interests: {}, inferred: {}, preferences: {}, recommendations: [] });
+                    $status.text(__('Your data has been erased.', 'smart-page-builder'));
+                });
+            })).catch(() => {
+                $status.text(__('Your data could not be erased. Please try again.', 'smart-page-builder'));
+            });
+        }
+
         /**
          * Track content interaction
          */
@@ -456,7 +910,7 @@
         trackRecommendationClick(event) {
             const $item = $(event.currentTarget);
             const recId = $item.data('rec-id');
-            const recommendation = this.recommendations.find(r => r.id === recId);
+            const recommendation = this.store.getState().recommendations.find(r => r.id === recId);
 
             if (recommendation) {
                 this.sendInteractionData('recommendation_click', {
@@ -473,14 +927,22 @@
          */
         handleInterestTagClick(event) {
             const $tag = $(event.currentTarget);
-            const interest = $tag.data('interest');
-            
-            $tag.toggleClass('spb-active');
+            const interest = $tag.attr('data-interest');
             
             this.sendInteractionData('interest_tag_click', {
                 interest: interest,
                 active: $tag.hasClass('spb-active')
             });
+
+            // Open the interest in the editor, where it can be muted, pinned or weighed
+            if (!$('.spb-personalization-controls').hasClass('spb-visible')) {
+                this.togglePersonalizationPanel();
+            }
+
+            $('.spb-interest-editor-item')
+                .filter((index, item) => item.getAttribute('data-interest') === interest)
+                .find('.spb-interest-weight')
+                .trigger('focus');
         }
 
         /**
@@ -491,12 +953,12 @@
             this.lastActivityTime = Date.now();
             
             // Track activity
-            $(document).on('mousemove keypress scroll click', () => {
+            $(document).on('mousemove.spbTracking keypress.spbTracking scroll.spbTracking click.spbTracking', () => {
                 this.lastActivityTime = Date.now();
             });
             
             // Send time data periodically
-            setInterval(() => {
+            this.timeTrackingInterval = setInterval(() => {
                 this.sendTimeData();
             }, 30000); // Every 30 seconds
         }
@@ -533,76 +995,75 @@
         trackPageEngagement() {
             // Track scroll depth
             let maxScrollDepth = 0;
-            $(window).on('scroll', () => {
+            $(window).on('scroll.spbTracking', () => {
                 const scrollDepth = $(window).scrollTop() / ($(document).height() - $(window).height());
                 if (scrollDepth > maxScrollDepth) {
                     maxScrollDepth = scrollDepth;
                 }
             });
 
-            // Send engagement data when leaving page
-            $(window).on('beforeunload', () => {
+            // Send engagement data when leaving page; pagehide also fires on mobile and bfcache navigations
+            $(window).on('pagehide.spbTracking', () => {
                 this.sendInteractionData('page_engagement', {
                     max_scroll_depth: maxScrollDepth,
                     time_on_page: Date.now() - this.pageStartTime,
                     interactions: this.interactionCount || 0
                 });
+
+                // Engagement beyond the view: up to a minute of reading and the whole page scrolled
+                if (this.interestModel) {
+                    const readingTime = Math.min((Date.now() - this.pageStartTime) / 60000, 1);
+                    this.interestModel.observe(this.pageTerms, readingTime + maxScrollDepth);
+                }
+
+                if (window.SPBEventQueue) {
+                    window.SPBEventQueue.flush(true);
+                }
             });
         }
 
         /**
          * Reset user profile
+         *
+         * The cleared profile re-renders through the store, in place.
          */
         resetUserProfile() {
-            $.ajax({
-                url: spb_personalization.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'spb_reset_user_profile',
-                    session_id: this.sessionId,
-                    nonce: spb_personalization.nonce
-                },
-                success: (response) => {
-                    if (response.success) {
-                        this.userInterests = {};
-                        this.updateInterestVisualization();
-                        location.reload();
-                    }
-                }
-            });
+            const cleared = this.interestModel ? this.interestModel.clear() : Promise.resolve();
+
+            cleared.then(() => window.SPBClient).then(client => client.profile.reset()).then(() => {
+                this.store.setState({ interests: {}, inferred: {}, preferences: {}, recommendations: [] });
+            }, () => {});
         }
 
         /**
-         * Disable tracking
+         * Show that tracking is disabled
+         *
+         * The client keeps the decision across visits. The panel stays
+         * available to export or erase data and to turn tracking back on.
          */
         disableTracking() {
-            this.trackingEnabled = false;
-            localStorage.setItem('spb_tracking_disabled', 'true');
-            $('.spb-personalization-controls').removeClass('spb-visible');
-            $('.spb-personalization-toggle').hide();
+            $('.spb-personalization-toggle').show();
+            $('.spb-personalization-controls').addClass('spb-tracking-disabled');
+            $('.spb-disable-tracking').text(__('Enable Tracking', 'smart-page-builder'));
         }
 
         /**
          * Send interaction data
          */
         sendInteractionData(type, data) {
-            if (!this.trackingEnabled) return;
+            if (!this.trackingEnabled || !this.collecting) return;
 
             this.interactionCount = (this.interactionCount || 0) + 1;
 
-            $.ajax({
-                url: spb_personalization.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'spb_track_personalization_interaction',
-                    session_id: this.sessionId,
-                    interaction_type: type,
-                    interaction_data: data,
-                    timestamp: Date.now(),
-                    nonce: spb_personalization.nonce
-                },
-                timeout: 5000
-            });
+            // The on-device model keeps behavior in the browser
+            if (this.interestModel) {
+                return;
+            }
+
+            // Batched and delivered by the shared event queue
+            if (window.SPBEventQueue) {
+                window.SPBEventQueue.push('personalization', type, data, this.sessionId);
+            }
         }
 
         /**
@@ -631,8 +1092,9 @@
          * Format interest name for display
          */
         formatInterestName(interest) {
+            // \b\w would split words at accented letters such as "é"
             return interest.replace(/[_-]/g, ' ')
-                          .replace(/\b\w/g, l => l.toUpperCase());
+                          .replace(/(^|\s)\S/gu, l => l.toLocaleUpperCase());
         }
     }
 
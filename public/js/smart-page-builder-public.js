@@ -8,11 +8,62 @@
 (function($) {
     'use strict';
 
+    const { __, _n, sprintf } = wp.i18n;
+
+    /**
+     * Elements that fade in when scrolled into view
+     */
+    const ANIMATED_SELECTOR = '.spb-component, .spb-generated-hero, .spb-generated-article, .spb-generated-cta';
+
+    /**
+     * Images loaded when they approach the viewport
+     */
+    const LAZY_IMAGE_SELECTOR = '.spb-component img[data-src], .spb-component img[data-srcset], img.spb-lazy-image';
+
+    /**
+     * Generated components the feedback widget is offered for
+     */
+    const GENERATED_SELECTOR = '.spb-generated-hero, .spb-generated-article, .spb-generated-cta';
+
+    /**
+     * Query field read from search forms whose source does not name one
+     */
+    const SEARCH_INPUT_SELECTOR = 'input[type="search"], input[name="s"]';
+
+    /**
+     * Fields a search can be typed into
+     */
+    const TEXT_FIELD_SELECTOR = 'input, textarea';
+
+    /**
+     * How long a CTA click is credited with goals reached afterwards
+     */
+    const ATTRIBUTION_WINDOW = 30 * 24 * 60 * 60 * 1000;
+
+    /**
+     * Variants of a generated component under an A/B experiment
+     */
+    const EXPERIMENT_VARIANT_SELECTOR = '[data-spb-experiment] > [data-spb-variant]';
+
     /**
      * Smart Page Builder Public Class
      */
     class SmartPageBuilderPublic {
         constructor() {
+            this.reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+            this.observers = {};
+            this.visibleHeroes = new Set();
+            this.layout = null;
+            this.scrollFrame = null;
+            this.registeredComponents = [];
+            this.hooks = { before: {}, after: {} };
+            this.vitals = null;
+            this.feedbackSelection = '';
+            this.searchSources = [];
+            this.lastUrlSearch = null;
+            this.exposedExperiments = new Set();
+            this.trackingAllowed = false;
+            this.generationBucket = null;
             this.init();
         }
 
@@ -20,9 +71,23 @@
          * Initialize the public functionality
          */
         init() {
+            // Keep experiments out of sight until a variant is picked, so visitors never see the swap
+            if ((spb_public.experiments || []).length) {
+                document.documentElement.classList.add('spb-experiments-pending');
+                setTimeout(() => document.documentElement.classList.remove('spb-experiments-pending'), 3000);
+            }
+
             this.bindEvents();
-            this.initComponents();
+            (spb_public.search_sources || []).forEach(source => this.registerSearchSource(source));
             this.initSearchGeneration();
+            this.initPerformanceTelemetry();
+
+            // Trackers keeping state in the browser follow the visitor's consent, as the event queue does
+            window.SPBClient.then(client => {
+                const follow = state => this.applyConsent(client.consent.allows(state), state);
+                client.consent.subscribe(follow);
+                return client.consent.get().then(follow);
+            }).catch(() => {});
             
             // Initialize when DOM is ready
             $(document).ready(() => {
@@ -36,25 +101,361 @@
         bindEvents() {
             // Component interactions
             $(document).on('click', '.spb-component-button a', this.handleButtonClick.bind(this));
-            $(document).on('click', '.spb-cta-button', this.handleCTAClick.bind(this));
+            $(document).on('click', '.spb-cta-button, [data-spb-cta-id]', this.handleCTAClick.bind(this));
+            
+            // Search detection, delegated so search boxes inserted later are covered too.
+            // Enter is caught in the capture phase, before the widget's own handlers.
+            $(document).on('submit', 'form', this.handleSearchSubmit.bind(this));
+            document.addEventListener('keydown', this.handleSearchKeydown.bind(this), true);
+            $(document).on('focusin', TEXT_FIELD_SELECTOR, (event) => {
+                if (spb_public.search_generation_enabled && this.matchSearchField(event.target)) {
+                    this.loadQueryLexicon();
+                }
+            });
+            $(window).on('popstate', this.checkUrlSearchSources.bind(this));
             
-            // Search form handling
-            $(document).on('submit', 'form[role="search"]', this.handleSearchSubmit.bind(this));
-            $(document).on('submit', '.search-form', this.handleSearchSubmit.bind(this));
-            $(document).on('submit', '#searchform', this.handleSearchSubmit.bind(this));
+            // Search generation cancellation
+            $(document).on('click', '.spb-loading-cancel', () => this.cancelSearchGeneration('cancel_button'));
+            $(document).on('click', '.spb-loading-skip', (event) => {
+                event.preventDefault();
+                this.cancelSearchGeneration('skip_link');
+            });
+            $(document).on('keydown', this.handleGenerationKeydown.bind(this));
+            $(window).on('popstate', this.handleGenerationPopState.bind(this));
             
             // Window events
-            $(window).on('scroll', this.handleScroll.bind(this));
+            window.addEventListener('scroll', this.handleScroll.bind(this), { passive: true });
             $(window).on('resize', this.handleResize.bind(this));
+
+            // Cached measurements go stale whenever components are recalculated
+            $(document).on('spb:recalculate', (event) => {
+                this.invalidateLayout();
+                this.recalculateRegisteredComponents(event.target);
+            });
+
+            // Reveal everything at once if the visitor turns on reduced motion mid-visit
+            if (this.reducedMotionQuery && this.reducedMotionQuery.addEventListener) {
+                this.reducedMotionQuery.addEventListener('change', () => {
+                    if (this.prefersReducedMotion()) {
+                        $(ANIMATED_SELECTOR).addClass('spb-animate-in');
+                    }
+                });
+            }
         }
 
         /**
          * Initialize components
          */
-        initComponents() {
-            this.initLazyLoading();
-            this.initAnimations();
-            this.initAccessibility();
+        initComponents(root = document) {
+            this.initExperiments(root);
+            this.initImageFallbacks(root);
+            this.initLazyLoading(root);
+            this.initAnimations(root);
+            this.initAccessibility(root);
+            this.initRegisteredComponents(root);
+        }
+
+        /**
+         * Register a component type provided by a theme or another plugin
+         *
+         * Callbacks receive the element and the window.SPB API. init runs once per
+         * matching element, including elements added after load; destroy runs when
+         * the element leaves the page; recalculate runs on spb:recalculate.
+         *
+         * @param {string} selector Elements the component applies to
+         * @param {Object} definition { init, destroy, recalculate } callbacks
+         * @return {Function} Unregisters the component, destroying its instances
+         */
+        registerComponent(selector, definition = {}) {
+            const component = {
+                selector: selector,
+                init: definition.init,
+                destroy: definition.destroy,
+                recalculate: definition.recalculate,
+                elements: new Set()
+            };
+
+            this.registeredComponents.push(component);
+
+            // Elements already on the page are initialized once the DOM is ready
+            $(() => {
+                if (this.registeredComponents.includes(component)) {
+                    this.initRegisteredComponents(document, [component]);
+                }
+            });
+
+            return () => {
+                component.elements.forEach(element => this.callComponent(component, 'destroy', element));
+                component.elements.clear();
+                this.registeredComponents = this.registeredComponents.filter(registered => registered !== component);
+            };
+        }
+
+        /**
+         * Initialize registered components within a root
+         */
+        initRegisteredComponents(root, components = this.registeredComponents) {
+            components.forEach(component => {
+                this.findWithin(root, component.selector).each((index, element) => {
+                    if (!component.elements.has(element)) {
+                        component.elements.add(element);
+                        this.callComponent(component, 'init', element);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Destroy registered component instances within a removed root
+         */
+        destroyRegisteredComponents(root) {
+            this.registeredComponents.forEach(component => {
+                component.elements.forEach(element => {
+                    if (root === element || root.contains(element)) {
+                        component.elements.delete(element);
+                        this.callComponent(component, 'destroy', element);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Recalculate registered component instances within the event target
+         */
+        recalculateRegisteredComponents(target) {
+            this.registeredComponents.forEach(component => {
+                component.elements.forEach(element => {
+                    if (target === document || target === element || target.contains(element)) {
+                        this.callComponent(component, 'recalculate', element);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Run a component callback without letting its errors break the page
+         */
+        callComponent(component, callback, element) {
+            if (typeof component[callback] !== 'function') {
+                return;
+            }
+
+            try {
+                component[callback].call(element, element, window.SPB);
+            } catch (error) {
+                console.error(`SPB: ${callback} failed for component "${component.selector}"`, error);
+            }
+        }
+
+        /**
+         * Add a hook that runs before or after an extension point
+         *
+         * Hooks receive a mutable context object. A before hook returning false
+         * cancels the action.
+         *
+         * @param {string} stage 'before' or 'after'
+         * @param {string} name Extension point, 'track' or 'interceptSearch'
+         * @param {Function} callback Hook callback
+         * @return {Function} Removes the hook
+         */
+        addHook(stage, name, callback) {
+            const hooks = this.hooks[stage];
+            hooks[name] = (hooks[name] || []).concat(callback);
+
+            return () => {
+                hooks[name] = hooks[name].filter(hook => hook !== callback);
+            };
+        }
+
+        /**
+         * Run the hooks registered for an extension point
+         *
+         * @return {boolean} False if a before hook cancelled the action
+         */
+        runHooks(stage, name, context) {
+            const hooks = this.hooks[stage][name] || [];
+
+            for (const hook of hooks) {
+                let result;
+                try {
+                    result = hook(context);
+                } catch (error) {
+                    console.error(`SPB: ${stage} ${name} hook failed`, error);
+                    continue;
+                }
+
+                if (stage === 'before' && result === false) {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+        /**
+         * Register a search box, widget event or URL parameter that triggers generation
+         *
+         * Sources are checked in registration order and their id is recorded
+         * with the search. Types:
+         *  - form: forms matching selector; the query is read from input
+         *  - element: a field matching selector, or a field inside a matching container
+         *  - event: a DOM event dispatched on document with the query in event.detail.query
+         *  - url: a query string param, optionally only on paths matching pattern
+         *
+         * fallback decides what happens when generation is cancelled or fails:
+         * submit the form, search navigates to the regular WordPress results and
+         * stay leaves the page as it is. Events and URLs default to stay.
+         *
+         * @param {Object} definition { id, type, selector, input, event, param, pattern, fallback }
+         * @return {Function} Unregisters the source
+         */
+        registerSearchSource(definition = {}) {
+            const source = Object.assign({ id: 'custom', type: 'element' }, definition);
+
+            if (source.type === 'event' && source.event) {
+                source.listener = (event) => {
+                    const detail = event.detail;
+                    const query = typeof detail === 'string' ? detail : (detail && detail.query);
+                    if (query) {
+                        this.interceptSearch(query, source, $(), event);
+                    }
+                };
+                document.addEventListener(source.event, source.listener);
+            }
+
+            this.searchSources.push(source);
+
+            // The current URL is checked once the page is ready
+            if (source.type === 'url') {
+                $(() => this.checkUrlSearchSources());
+            }
+
+            return () => {
+                if (source.listener) {
+                    document.removeEventListener(source.event, source.listener);
+                }
+                this.searchSources = this.searchSources.filter(registered => registered !== source);
+            };
+        }
+
+        /**
+         * Find the search source a submitted form belongs to
+         *
+         * @param {Element} form Submitted form
+         * @return {Object|null} { source, $input } or null for forms that are not searches
+         */
+        matchSearchForm(form) {
+            const $form = $(form);
+
+            for (const source of this.searchSources) {
+                let $input = $();
+
+                try {
+                    if (source.type === 'form' && $form.is(source.selector)) {
+                        $input = $form.find(source.input || SEARCH_INPUT_SELECTOR);
+                    } else if (source.type === 'element' && source.selector) {
+                        const $matched = $form.find(source.selector);
+                        $input = $matched.filter(TEXT_FIELD_SELECTOR).add($matched.find(TEXT_FIELD_SELECTOR));
+                    }
+                } catch (error) {
+                    // An invalid selector matches nothing
+                    continue;
+                }
+
+                if ($input.length) {
+                    return { source: source, $input: $input.first() };
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * Find the search source a field belongs to
+         *
+         * @param {Element} field Input or textarea
+         * @return {Object|null} Search source
+         */
+        matchSearchField(field) {
+            const $field = $(field);
+
+            return this.searchSources.find(source => {
+                try {
+                    if (source.type === 'form') {
+                        return field.form && $(field.form).is(source.selector) && $field.is(source.input || SEARCH_INPUT_SELECTOR);
+                    }
+
+                    return source.type === 'element' && !!source.selector && $field.closest(source.selector).length > 0;
+                } catch (error) {
+                    return false;
+                }
+            }) || null;
+        }
+
+        /**
+         * Build the public extension API exposed as window.SPB
+         */
+        createPublicAPI() {
+            return {
+                version: spb_public.version,
+                registerComponent: this.registerComponent.bind(this),
+                registerSearchSource: this.registerSearchSource.bind(this),
+                before: (name, callback) => this.addHook('before', name, callback),
+                after: (name, callback) => this.addHook('after', name, callback),
+
+                // Event bus on top of the spb:* jQuery events, e.g. SPB.on('recalculate', handler)
+                on: (name, handler) => $(document).on(`spb:${name}`, handler),
+                off: (name, handler) => $(document).off(`spb:${name}`, handler),
+                emit: (name, ...args) => $(document).trigger(`spb:${name}`, args),
+
+                recalculate: this.recalculateComponents.bind(this),
+                track: this.trackInteraction.bind(this),
+                trackGoal: this.trackGoal.bind(this)
+            };
+        }
+
+        /**
+         * Find elements matching a selector within a root, including the root itself
+         */
+        findWithin(root, selector) {
+            const $root = $(root);
+            return $root.filter(selector).add($root.find(selector));
+        }
+
+        /**
+         * Initialize components added to the page after load
+         */
+        observeDynamicComponents() {
+            if (!('MutationObserver' in window)) {
+                return;
+            }
+
+            const observer = new MutationObserver((mutations) => {
+                let changed = false;
+
+                mutations.forEach(mutation => {
+                    mutation.addedNodes.forEach(node => {
+                        if (node.nodeType === 1) {
+                            this.initComponents(node);
+                            changed = true;
+                        }
+                    });
+
+                    mutation.removedNodes.forEach(node => {
+                        if (node.nodeType === 1) {
+                            this.releaseElements(node);
+                            this.destroyRegisteredComponents(node);
+                            changed = true;
+                        }
+                    });
+                });
+
+                if (changed) {
+                    this.invalidateLayout();
+                }
+            });
+
+            observer.observe(document.body, { childList: true, subtree: true });
         }
 
         /**
@@ -62,7 +463,7 @@
          */
         initSearchGeneration() {
             // Check if search generation is enabled
-            if (!spb_public.personalization_enabled) {
+            if (!spb_public.search_generation_enabled) {
                 return;
             }
 
@@ -75,7 +476,11 @@
          */
         onDOMReady() {
             // Initialize any components that need DOM to be ready
+            this.initComponents();
+            document.documentElement.classList.remove('spb-experiments-pending');
             this.initProgressiveEnhancement();
+            this.observeDynamicComponents();
+            this.initFeedbackWidget();
             this.trackPageView();
         }
 
@@ -102,11 +507,17 @@
          */
         handleCTAClick(event) {
             const $cta = $(event.currentTarget);
-            const ctaData = {
+            const attribution = this.getAttribution($cta);
+            const ctaData = Object.assign({
                 text: $cta.text().trim(),
                 href: $cta.attr('href'),
-                context: $cta.closest('.spb-generated-cta, .spb-generated-hero').length > 0 ? 'generated' : 'manual'
-            };
+                context: (attribution.component_id || $cta.closest('.spb-generated-cta, .spb-generated-hero').length > 0) ? 'generated' : 'manual'
+            }, attribution);
+
+            // Goals reached later are credited to the last generated CTA clicked
+            if (attribution.component_id) {
+                this.storeAttribution(attribution);
+            }
 
             // Track CTA interaction
             this.trackInteraction('cta_click', ctaData);
@@ -116,200 +527,1128 @@
         }
 
         /**
-         * Handle search form submission
+         * Collect the page, component, variant and search query a CTA or component belongs to
+         *
+         * Ids are stamped by the hero and CTA generators as data-spb-* attributes.
          */
-        handleSearchSubmit(event) {
-            const $form = $(event.currentTarget);
-            const $searchInput = $form.find('input[type="search"], input[name="s"]').first();
-            const query = $searchInput.val().trim();
+        getAttribution($element) {
+            const $component = $element.closest('[data-spb-component-id]');
+            const page = this.getPageContext() || {};
+
+            return {
+                cta_id: $element.attr('data-spb-cta-id') || '',
+                component: $component.attr('data-spb-component') || '',
+                component_id: $component.attr('data-spb-component-id') || '',
+                variant: $component.attr('data-spb-variant') || '',
+                experiment: $component.closest('[data-spb-experiment]').attr('data-spb-experiment') || '',
+                page_id: page.page_id || 0,
+                page_source: page.source || '',
+                template: page.template || '',
+                query: page.search_query || ''
+            };
+        }
 
-            // Check if search generation is enabled and query meets criteria
-            if (this.shouldInterceptSearch(query)) {
-                event.preventDefault();
-                this.handleSearchGeneration(query, $form);
-                return false;
-            }
+        /**
+         * Show each visitor one variant of every experiment on the page
+         *
+         * Variants the visitor was not assigned are removed, so only the shown
+         * variant's clicks and exposure are recorded.
+         */
+        initExperiments(root = document) {
+            const experiments = spb_public.experiments || [];
 
-            // Track regular search
-            this.trackInteraction('search_submit', { query: query });
+            this.findWithin(root, '[data-spb-experiment]').not('.spb-experiment-ready').each((index, wrapper) => {
+                const experiment = experiments.find(candidate => candidate.id === wrapper.getAttribute('data-spb-experiment'));
+                const variant = experiment ? this.getAssignedVariant(experiment) : 'control';
+                const $variants = $(wrapper).children('[data-spb-variant]');
+
+                let $shown = $variants.filter((i, element) => element.getAttribute('data-spb-variant') === variant);
+                if (!$shown.length) {
+                    $shown = $variants.first();
+                }
+
+                $variants.not($shown).remove();
+                $shown.prop('hidden', false);
+                $(wrapper).addClass('spb-experiment-ready');
+
+                // Paused experiments show the control without recording exposures
+                if (experiment && $shown.length) {
+                    const observer = this.getObserver('exposure');
+                    if (observer) {
+                        observer.observe($shown[0]);
+                    } else {
+                        this.trackExposure($shown[0]);
+                    }
+                }
+            });
         }
 
         /**
-         * Check if search should be intercepted for generation
+         * Get the variant a visitor is bucketed into, assigning one by weight on first sight
+         *
+         * Assignments are stored so the visitor sees the same variant on every visit.
          */
-        shouldInterceptSearch(query) {
-            // Check if personalization is enabled
-            if (!spb_public.personalization_enabled) {
-                return false;
+        getAssignedVariant(experiment) {
+            const variants = experiment.variants || [];
+            let assignments = {};
+
+            try {
+                assignments = JSON.parse(localStorage.getItem('spb_experiments')) || {};
+            } catch (e) {
+                // Storage unavailable or corrupt; assign afresh
             }
 
-            // Check query length
-            if (query.length < 3 || query.length > 200) {
-                return false;
+            if (variants.some(variant => variant.id === assignments[experiment.id])) {
+                return assignments[experiment.id];
             }
 
-            // Check for excluded patterns
-            const excludedPatterns = [
-                /^[0-9]+$/,  // Only numbers
-                /^[a-zA-Z]$/,  // Single letter
-                /admin/i,
-                /login/i,
-                /wp-/i
-            ];
+            const total = variants.reduce((sum, variant) => sum + Math.max(0, variant.weight), 0);
+            let roll = Math.random() * total;
+            const picked = variants.find(variant => (roll -= Math.max(0, variant.weight)) < 0) || variants[0];
 
-            for (let pattern of excludedPatterns) {
-                if (pattern.test(query)) {
-                    return false;
-                }
+            assignments[experiment.id] = picked ? picked.id : 'control';
+
+            try {
+                localStorage.setItem('spb_experiments', JSON.stringify(assignments));
+            } catch (e) {
+                // Storage unavailable; the visitor may be bucketed again next time
             }
 
-            return true;
+            return assignments[experiment.id];
         }
 
         /**
-         * Handle search-triggered page generation
+         * Record that a visitor has seen an experiment variant, once per page view
          */
-        handleSearchGeneration(query, $form) {
-            // Show loading state
-            this.showSearchLoading($form, query);
+        trackExposure(element) {
+            const attribution = this.getAttribution($(element));
 
-            // Track search generation attempt
-            this.trackInteraction('search_generation_start', { query: query });
-
-            // Make AJAX request for page generation
-            $.ajax({
-                url: spb_public.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'spb_generate_search_page',
-                    query: query,
-                    nonce: spb_public.nonce
-                },
-                timeout: 30000,
-                success: (response) => {
-                    this.handleSearchGenerationSuccess(response, query);
-                },
-                error: (xhr, status, error) => {
-                    this.handleSearchGenerationError(error, query, $form);
+            if (!attribution.experiment || this.exposedExperiments.has(attribution.experiment)) {
+                return;
+            }
+
+            this.exposedExperiments.add(attribution.experiment);
+
+            delete attribution.cta_id;
+            this.trackInteraction('experiment_exposure', attribution);
+        }
+
+        /**
+         * Follow the visitor's consent
+         *
+         * @param {boolean} allowed Whether tracking is allowed
+         * @param {string}  state   Consent state
+         */
+        applyConsent(allowed, state) {
+            this.trackingAllowed = allowed;
+
+            if (state === 'denied' || state === 'withdrawn') {
+                try {
+                    localStorage.removeItem('spb_attribution');
+                } catch (e) {
+                    // Storage unavailable; nothing was kept
                 }
-            });
+            }
         }
 
         /**
-         * Show search loading state
+         * Remember the CTA click goals are attributed to
          */
-        showSearchLoading($form, query) {
-            const loadingHTML = `
-                <div class="spb-search-loading" id="spb-search-loading">
-                    <div class="spb-loading">
-                        <div class="spb-loading-spinner"></div>
-                        <div class="spb-loading-text">Generating personalized content for "${query}"...</div>
-                        <div class="spb-loading-progress">
-                            <div class="spb-loading-progress-bar" style="width: 0%"></div>
-                        </div>
-                        <div class="spb-loading-steps">
-                            <div class="spb-loading-step spb-active">Analyzing your query...</div>
-                            <div class="spb-loading-step">Discovering relevant content...</div>
-                            <div class="spb-loading-step">Generating personalized page...</div>
-                            <div class="spb-loading-step">Finalizing content...</div>
-                        </div>
-                    </div>
-                </div>
-            `;
+        storeAttribution(attribution) {
+            if (!this.trackingAllowed) {
+                return;
+            }
 
-            // Insert loading screen
-            $('body').append(loadingHTML);
-            
-            // Animate progress
-            this.animateSearchProgress();
+            try {
+                localStorage.setItem('spb_attribution', JSON.stringify(Object.assign({ clicked_at: Date.now() }, attribution)));
+            } catch (e) {
+                // Storage unavailable; goals are recorded without attribution
+            }
         }
 
         /**
-         * Animate search progress
+         * Read the CTA click goals are attributed to, if it is recent enough
          */
-        animateSearchProgress() {
-            const $progressBar = $('.spb-loading-progress-bar');
-            const $steps = $('.spb-loading-step');
-            let currentStep = 0;
-            let progress = 0;
+        readAttribution() {
+            try {
+                const attribution = JSON.parse(localStorage.getItem('spb_attribution'));
+                return attribution && Date.now() - attribution.clicked_at < ATTRIBUTION_WINDOW ? attribution : null;
+            } catch (e) {
+                return null;
+            }
+        }
 
-            const progressInterval = setInterval(() => {
-                progress += Math.random() * 15 + 5; // Random progress between 5-20%
-                
-                if (progress > 100) {
-                    progress = 100;
-                    clearInterval(progressInterval);
-                }
+        /**
+         * Record a conversion, such as a signup, for the last generated CTA clicked
+         *
+         * Exposed as SPB.trackGoal('signup', { value: 49 }) for sites to call
+         * wherever the conversion happens, including on other pages.
+         *
+         * @param {string} goal Goal name
+         * @param {Object} data Extra data such as a value
+         */
+        trackGoal(goal, data = {}) {
+            const attribution = this.readAttribution();
 
-                $progressBar.css('width', progress + '%');
+            this.trackInteraction('goal', Object.assign({}, data, attribution, {
+                goal: String(goal),
+                attributed: !!attribution
+            }));
+        }
 
-                // Update steps
-                const stepProgress = Math.floor((progress / 100) * $steps.length);
-                if (stepProgress > currentStep && stepProgress < $steps.length) {
-                    $steps.eq(currentStep).removeClass('spb-active').addClass('spb-completed');
-                    $steps.eq(stepProgress).addClass('spb-active');
-                    currentStep = stepProgress;
-                }
-            }, 800);
+        /**
+         * Handle search form submission
+         */
+        handleSearchSubmit(event) {
+            const match = this.matchSearchForm(event.currentTarget);
+            if (!match) {
+                return;
+            }
+
+            return this.interceptSearch(match.$input.val(), match.source, $(event.currentTarget), event);
         }
 
         /**
-         * Handle successful search generation
+         * Handle Enter in search fields that are not part of a form
          */
-        handleSearchGenerationSuccess(response, query) {
-            if (response.success && response.data.redirect_url) {
-                // Track success
-                this.trackInteraction('search_generation_success', { 
-                    query: query,
-                    page_id: response.data.page_id 
-                });
+        handleSearchKeydown(event) {
+            if (event.key !== 'Enter' || event.isComposing || !$(event.target).is(TEXT_FIELD_SELECTOR) || event.target.form) {
+                return;
+            }
 
-                // Redirect to generated page
-                window.location.href = response.data.redirect_url;
-            } else {
-                this.handleSearchGenerationError(response.data.message || 'Generation failed', query);
+            const source = this.matchSearchField(event.target);
+            if (source && this.interceptSearch($(event.target).val(), source, $(), event) === false) {
+                event.stopPropagation();
             }
         }
 
         /**
-         * Handle search generation error
+         * Intercept searches carried in the URL, e.g. ?q= on a search results route
+         *
+         * Pages reached through Back or Forward and explicit fallbacks (spb_skip) are left alone.
          */
-        handleSearchGenerationError(error, query, $form = null) {
-            // Remove loading screen
-            $('#spb-search-loading').remove();
+        checkUrlSearchSources() {
+            const params = new URLSearchParams(window.location.search);
+            const navigation = window.performance && performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
 
-            // Track error
-            this.trackInteraction('search_generation_error', { 
-                query: query,
-                error: error 
-            });
+            if (params.has('spb_skip') || (navigation && navigation.type === 'back_forward')) {
+                return;
+            }
 
-            // Show error message
-            this.showErrorMessage('Unable to generate personalized content. Showing regular search results.');
+            for (const source of this.searchSources) {
+                if (source.type !== 'url' || !source.param) {
+                    continue;
+                }
 
-            // Fallback to regular search
-            if ($form) {
-                $form.off('submit').submit();
-            } else {
-                window.location.href = `/?s=${encodeURIComponent(query)}`;
+                try {
+                    if (source.pattern && !new RegExp(source.pattern).test(window.location.pathname)) {
+                        continue;
+                    }
+                } catch (error) {
+                    continue;
+                }
+
+                const query = (params.get(source.param) || '').trim();
+                if (query && query !== this.lastUrlSearch) {
+                    this.lastUrlSearch = query;
+                    this.interceptSearch(query, source);
+                    return;
+                }
             }
         }
 
         /**
-         * Show error message
+         * Decide whether a detected search generates a page, and start generation if so
+         *
+         * @param {string} query Search query
+         * @param {Object} source Search source the query came from
+         * @param {jQuery} $form Submitted form, empty for fields, events and URLs
+         * @param {Event} event Event to cancel when the search is intercepted
+         * @return {boolean|undefined} False if the search was intercepted
          */
-        showErrorMessage(message) {
-            const $errorDiv = $('<div class="spb-error-message">')
-                .text(message)
-                .css({
-                    position: 'fixed',
-                    top: '20px',
-                    right: '20px',
-                    background: '#dc3545',
-                    color: 'white',
-                    padding: '15px 20px',
-                    borderRadius: '8px',
-                    zIndex: 10000,
+        interceptSearch(query, source, $form = $(), event = null) {
+            query = String(query || '').trim();
+
+            // A generation is already running, e.g. the form was submitted twice
+            if (this.activeGeneration || this.awaitingLexicon) {
+                if (event) {
+                    event.preventDefault();
+                }
+                return false;
+            }
+
+            // Navigational searches are told apart with the lexicon, so a search before it loaded waits for it
+            if (spb_public.search_generation_enabled && !SPBQuery.hasLexicon()) {
+                if (event) {
+                    event.preventDefault();
+                }
+
+                this.awaitingLexicon = true;
+                this.loadQueryLexicon().then(() => {
+                    this.awaitingLexicon = false;
+
+                    if (this.interceptSearch(query, source, $form) !== false && event) {
+                        this.showRegularResults(query, $form, source);
+                    }
+                });
+                return false;
+            }
+
+            // Spell-corrected canonical form and intent, shared with the server
+            const analysis = SPBQuery.analyze(query);
+
+            // Extensions may veto interception or record the decision
+            const interception = { query: query, form: $form[0], source: source.id, analysis: analysis, intercept: false };
+            interception.intercept = this.shouldInterceptSearch(query, $form, analysis) &&
+                this.runHooks('before', 'interceptSearch', interception);
+            this.runHooks('after', 'interceptSearch', interception);
+
+            // Check if search generation is enabled and query meets criteria
+            if (interception.intercept) {
+                if (event) {
+                    event.preventDefault();
+                }
+
+                // Reuse a page generated earlier for an equivalent query
+                const cachedPage = this.getCachedPage(query);
+                if (cachedPage) {
+                    this.trackInteraction('search_generation_cache_hit', {
+                        query: query,
+                        canonical_query: analysis.canonical,
+                        source: source.id,
+                        page_id: cachedPage.page_id
+                    });
+                    window.location.href = cachedPage.redirect_url;
+                    return false;
+                }
+
+                this.handleSearchGeneration(query, $form, source);
+                return false;
+            }
+
+            // The form goes on to the regular results; spb_skip keeps the server from intercepting them
+            if (event && $form.length && spb_public.search_generation_enabled) {
+                this.markRegularSearch($form);
+            }
+
+            // Track regular search
+            this.trackInteraction('search_submit', { query: query, intent: analysis.intent, source: source.id });
+        }
+
+        /**
+         * Load the vocabulary and page titles searches are normalized with
+         *
+         * Fetched once, when a visitor first focuses a search field or searches;
+         * if it can't be loaded, searches are normalized without it.
+         *
+         * @return {Promise} Resolves once SPBQuery has the lexicon
+         */
+        loadQueryLexicon() {
+            if (!this.queryLexicon) {
+                this.queryLexicon = window.SPBClient
+                    .then(client => client.search.lexicon())
+                    .then(lexicon => SPBQuery.setLexicon(lexicon), () => SPBQuery.setLexicon(null));
+            }
+
+            return this.queryLexicon;
+        }
+
+        /**
+         * Check if search should be intercepted for generation
+         *
+         * Applies the interception rules managed in the admin (spb_public.interception_rules),
+         * then lets the query intent decide: navigational searches get the regular results.
+         */
+        shouldInterceptSearch(query, $form, analysis = SPBQuery.analyze(query)) {
+            if (!spb_public.search_generation_enabled) {
+                return false;
+            }
+
+            if (!SPBQuery.shouldGenerate(analysis)) {
+                return false;
+            }
+
+            const rules = spb_public.interception_rules || {};
+
+            // Check query length
+            if (query.length < (rules.min_length || 3) || query.length > (rules.max_length || 200)) {
+                return false;
+            }
+
+            // Check word count
+            if (query.split(/\s+/).filter(Boolean).length < (rules.min_words || 1)) {
+                return false;
+            }
+
+            // Excluded patterns win over allowed ones
+            if (this.compilePatterns(rules.deny_patterns).some(pattern => pattern.test(query))) {
+                return false;
+            }
+
+            const allowPatterns = this.compilePatterns(rules.allow_patterns);
+            if (allowPatterns.length && !allowPatterns.some(pattern => pattern.test(query))) {
+                return false;
+            }
+
+            // Form scoping, searches from widget events and URLs have no form
+            if ($form.length && rules.form_selectors && rules.form_selectors.length) {
+                try {
+                    if (!$form.is(rules.form_selectors.join(','))) {
+                        return false;
+                    }
+                } catch (error) {
+                    // An invalid selector matches nothing
+                    return false;
+                }
+            }
+
+            if (rules.post_types && rules.post_types.length) {
+                const postType = $form.find('input[name="post_type"]').val() || 'any';
+                if (rules.post_types.indexOf(postType) === -1) {
+                    return false;
+                }
+            }
+
+            // Page language
+            if (rules.languages && rules.languages.length) {
+                const language = (document.documentElement.lang || '').slice(0, 2).toLowerCase();
+                if (rules.languages.indexOf(language) === -1) {
+                    return false;
+                }
+            }
+
+            return this.isInGenerationSample(rules.sample_rate);
+        }
+
+        /**
+         * Build case-insensitive regular expressions from rule patterns, skipping invalid ones
+         */
+        compilePatterns(patterns) {
+            return (patterns || []).reduce((compiled, pattern) => {
+                try {
+                    compiled.push(new RegExp(pattern, 'i'));
+                } catch (error) {
+                    // Ignore patterns this browser cannot parse
+                }
+                return compiled;
+            }, []);
+        }
+
+        /**
+         * Check whether this visitor falls inside the generation sampling percentage
+         *
+         * The bucket is kept in a cookie so a visitor gets the same experience on
+         * every search, and the server samples regular search submissions alike.
+         */
+        isInGenerationSample(sampleRate = 100) {
+            if (sampleRate >= 100) {
+                return true;
+            }
+
+            if (this.generationBucket === null) {
+                this.generationBucket = this.readLegacyGenerationBucket();
+
+                try {
+                    const match = document.cookie.match(/(?:^|;\s*)spb_generation_bucket=(\d+)/);
+                    if (match) {
+                        this.generationBucket = parseInt(match[1], 10);
+                    } else {
+                        if (isNaN(this.generationBucket)) {
+                            this.generationBucket = Math.floor(Math.random() * 100);
+                        }
+                        document.cookie = `spb_generation_bucket=${this.generationBucket}; path=${spb_public.cookie_path || '/'}; max-age=31536000; SameSite=Lax`;
+                    }
+                } catch (e) {
+                    // Cookies unavailable; the bucket lasts for this page
+                }
+
+                if (isNaN(this.generationBucket)) {
+                    this.generationBucket = Math.floor(Math.random() * 100);
+                }
+            }
+
+            return this.generationBucket < sampleRate;
+        }
+
+        /**
+         * Read the sampling bucket earlier releases kept in localStorage
+         *
+         * @return {number} Bucket, NaN if there is none
+         */
+        readLegacyGenerationBucket() {
+            try {
+                return parseInt(localStorage.getItem('spb_generation_bucket'), 10);
+            } catch (e) {
+                return NaN;
+            }
+        }
+
+        /**
+         * Handle search-triggered page generation
+         */
+        handleSearchGeneration(query, $form, source) {
+            this.activeGeneration = {
+                query: query,
+                $form: $form,
+                source: source,
+                startedAt: Date.now(),
+                // Aborts the request in flight when generation ends
+                controller: new AbortController(),
+                poll: null,
+                skipTimer: null,
+                // Streaming fills a results layout in place and needs to replace the URL
+                stream: !!spb_public.stream_results && !!(window.history && window.history.replaceState),
+                received: []
+            };
+
+            // Show loading state
+            if (this.activeGeneration.stream) {
+                this.showResultsShell(query);
+            } else {
+                this.showSearchLoading($form, query);
+            }
+
+            // Let the browser Back button cancel generation instead of leaving the page
+            window.history.pushState({ spbGeneration: true }, '');
+
+            // Track search generation attempt
+            this.trackInteraction('search_generation_start', { query: query, source: source.id });
+
+            // Start a generation job, then follow its progress on the server
+            const signal = this.activeGeneration.controller.signal;
+            window.SPBClient
+                .then(client => client.search.generate(query, { source: source.id, signal: signal }))
+                .then(job => {
+                    if (job.status === 'queued') {
+                        this.updateSearchProgress(job);
+                        this.pollGenerationStatus(query, $form, job.poll_interval);
+                    } else {
+                        this.handleSearchGenerationSuccess(job, query);
+                    }
+                }, error => {
+                    if (error.name !== 'AbortError') {
+                        this.handleSearchGenerationError(error.message, query, $form);
+                    }
+                });
+        }
+
+        /**
+         * Poll the generation status endpoint until the job finishes
+         */
+        pollGenerationStatus(query, $form, interval = 1500) {
+            const generation = this.activeGeneration;
+            if (!generation) {
+                return;
+            }
+
+            if (Date.now() - generation.startedAt > 60000) {
+                this.handleSearchGenerationError('Generation timed out', query, $form);
+                return;
+            }
+
+            generation.poll = setTimeout(() => {
+                window.SPBClient.then(client => client.search.status(query, {
+                    stream: generation.stream,
+                    received: generation.received,
+                    signal: generation.controller.signal
+                })).then(status => {
+                    this.updateSearchProgress(status);
+
+                    // Pages held for review finish behind the loading overlay instead
+                    if (generation.stream && status.stream === false) {
+                        this.stopStreaming(generation);
+                        this.updateSearchProgress(status);
+                    } else if (generation.stream && status.status === 'generating') {
+                        this.insertStreamedComponents(status);
+                    }
+
+                    switch (status.status) {
+                        case 'completed':
+                            this.handleSearchGenerationSuccess(status, query);
+                            break;
+
+                        case 'pending_approval':
+                            this.handleSearchGenerationError('Generated page is pending approval', query, $form);
+                            break;
+
+                        case 'error':
+                            this.handleSearchGenerationError(status.error || status.message, query, $form);
+                            break;
+
+                        default:
+                            this.pollGenerationStatus(query, $form, interval);
+                    }
+                }, error => {
+                    if (error.name === 'AbortError') {
+                        return;
+                    }
+
+                    // Transient network failure, keep polling until the deadline, at least every 8 seconds
+                    if (error.code === 'network') {
+                        this.pollGenerationStatus(query, $form, Math.min(interval * 2, 8000));
+                    } else {
+                        this.handleSearchGenerationError(error.message || 'Status check failed', query, $form);
+                    }
+                });
+            }, interval);
+        }
+
+        /**
+         * Cancel an in-progress generation and fall through to regular results
+         *
+         * @param {string} reason What cancelled it: cancel_button, escape, back_button or skip_link
+         */
+        cancelSearchGeneration(reason) {
+            const generation = this.activeGeneration;
+            if (!generation) {
+                return;
+            }
+
+            this.endSearchGeneration();
+
+            this.trackInteraction('search_generation_cancelled', {
+                query: generation.query,
+                reason: reason,
+                elapsed: Date.now() - generation.startedAt
+            });
+
+            this.showRegularResults(generation.query, generation.$form, generation.source);
+        }
+
+        /**
+         * Stop requests and timers for the active generation and remove the overlay
+         *
+         * A results shell is removed too, unless the streamed page completed in it.
+         */
+        endSearchGeneration() {
+            const generation = this.activeGeneration;
+            if (!generation) {
+                return;
+            }
+
+            this.activeGeneration = null;
+
+            clearTimeout(generation.poll);
+            clearTimeout(generation.skipTimer);
+            generation.controller.abort();
+
+            $('#spb-search-loading').remove();
+
+            if (generation.stream && !generation.completed) {
+                this.removeResultsShell(generation);
+            }
+
+            // Return focus to where the visitor was, usually the search field
+            if (!generation.completed && generation.returnFocus && document.body.contains(generation.returnFocus)) {
+                generation.returnFocus.focus();
+            }
+        }
+
+        /**
+         * Mark a search form's submission as one for the regular results
+         *
+         * @param {jQuery} $form Search form
+         */
+        markRegularSearch($form) {
+            $form.find('input[name="spb_skip"]').remove();
+            $form.append('<input type="hidden" name="spb_skip" value="1">');
+        }
+
+        /**
+         * Fall back from generation to the search's regular results
+         *
+         * Follows the source's fallback: submit the form, show the WordPress
+         * search results, or stay on the page when a widget already shows results.
+         */
+        showRegularResults(query, $form = null, source = null) {
+            const fallback = (source && source.fallback) ||
+                (source && (source.type === 'event' || source.type === 'url') ? 'stay' : 'submit');
+
+            $(document).trigger('spb:search-fallback', [query, source ? source.id : null]);
+
+            if (fallback === 'stay') {
+                return;
+            }
+
+            // Native submit skips our submit handlers; spb_skip stops server-side interception
+            if (fallback === 'submit' && $form && $form.length) {
+                this.markRegularSearch($form);
+                $form[0].submit();
+                return;
+            }
+
+            window.location.href = `${spb_public.home_url}?s=${encodeURIComponent(query)}&spb_skip=1`;
+        }
+
+        /**
+         * Handle keyboard shortcuts while generation is running
+         */
+        handleGenerationKeydown(event) {
+            if (!this.activeGeneration) {
+                return;
+            }
+
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.cancelSearchGeneration('escape');
+            } else if (event.key === 'Tab' && !this.activeGeneration.stream) {
+                // The results shell is part of the page, only the overlay is modal
+                this.trapLoadingFocus(event);
+            }
+        }
+
+        /**
+         * Keep keyboard focus inside the loading dialog
+         */
+        trapLoadingFocus(event) {
+            const $dialog = $('#spb-search-loading');
+            const focusable = $dialog.find('button, a[href]').filter(':visible').get();
+
+            if (focusable.length === 0) {
+                event.preventDefault();
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = document.activeElement;
+
+            if (!$dialog[0].contains(active)) {
+                event.preventDefault();
+                first.focus();
+            } else if (event.shiftKey && active === first) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && active === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        }
+
+        /**
+         * Handle browser Back while generation is running
+         */
+        handleGenerationPopState() {
+            if (this.activeGeneration) {
+                this.cancelSearchGeneration('back_button');
+            } else if (this.streamedPageUrl && window.location.href !== this.streamedPageUrl) {
+                // The document still shows the streamed page, so load what the URL now points to
+                window.location.reload();
+            }
+        }
+
+        /**
+         * Show search loading state
+         */
+        showSearchLoading($form, query) {
+            const loadingHTML = SPBHtml.html`
+                <div class="spb-search-loading" id="spb-search-loading" role="dialog" aria-modal="true" aria-labelledby="spb-search-loading-title" aria-describedby="spb-search-loading-status">
+                    <div class="spb-loading">
+                        <div class="spb-loading-spinner" aria-hidden="true"></div>
+                        <div class="spb-loading-text" id="spb-search-loading-title">${sprintf(__('Generating personalized content for "%s"…', 'smart-page-builder'), query)}</div>
+                        <div class="spb-sr-only" id="spb-search-loading-status" role="status" aria-live="polite"></div>
+                        <div class="spb-loading-progress" role="progressbar" aria-label="${__('Generation progress', 'smart-page-builder')}" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+                            <div class="spb-loading-progress-bar" style="width: 0%"></div>
+                        </div>
+                        <div class="spb-loading-eta"></div>
+                        <div class="spb-loading-steps">
+                            <div class="spb-loading-step spb-active" data-stage="analyzing">${__('Analyzing your query…', 'smart-page-builder')}</div>
+                            <div class="spb-loading-step" data-stage="discovering">${__('Discovering relevant content…', 'smart-page-builder')}</div>
+                            <div class="spb-loading-step" data-stage="generating">${__('Generating personalized page…', 'smart-page-builder')}</div>
+                            <div class="spb-loading-step" data-stage="finalizing">${__('Finalizing content…', 'smart-page-builder')}</div>
+                        </div>
+                        <ul class="spb-loading-warnings"></ul>
+                        <div class="spb-loading-actions">
+                            <button type="button" class="spb-loading-cancel">${__('Cancel', 'smart-page-builder')}</button>
+                            <a href="#" class="spb-loading-skip" hidden>${__('Show normal results now', 'smart-page-builder')}</a>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            // Insert loading screen and move focus into it
+            $('body').append(SPBHtml.toHTML(loadingHTML));
+
+            if (this.activeGeneration) {
+                this.activeGeneration.returnFocus = document.activeElement;
+            }
+            $('#spb-search-loading .spb-loading-cancel').trigger('focus');
+
+            this.scheduleSkipLink();
+        }
+
+        /**
+         * Offer the escape hatch once generation has taken longer than configured
+         */
+        scheduleSkipLink() {
+            const skipAfter = parseInt(spb_public.skip_after, 10);
+            if (skipAfter > 0 && this.activeGeneration) {
+                this.activeGeneration.skipTimer = setTimeout(() => {
+                    $('#spb-search-loading, #spb-stream-shell').find('.spb-loading-skip').prop('hidden', false);
+                }, skipAfter * 1000);
+            }
+        }
+
+        /**
+         * Show the results shell a streamed page is inserted into
+         *
+         * The shell takes the place of the theme's main content, which is only
+         * hidden so cancelling can bring it back.
+         */
+        showResultsShell(query) {
+            const generation = this.activeGeneration;
+            const $container = $('main, #main, .site-main, #content').first();
+            const $parent = $container.length ? $container : $('body');
+
+            generation.$hiddenContent = $parent.children(':visible').not('script, style, #spb-search-loading');
+            generation.$hiddenContent.prop('hidden', true);
+            generation.returnFocus = document.activeElement;
+
+            const shellHTML = SPBHtml.html`
+                <div class="spb-stream-shell" id="spb-stream-shell" aria-busy="true">
+                    <div class="spb-stream-header">
+                        <p class="spb-stream-title">${sprintf(__('Generating personalized content for "%s"…', 'smart-page-builder'), query)}</p>
+                        <p class="spb-stream-progress"></p>
+                        <ul class="spb-loading-warnings"></ul>
+                        <div class="spb-loading-actions">
+                            <button type="button" class="spb-loading-cancel">${__('Cancel', 'smart-page-builder')}</button>
+                            <a href="#" class="spb-loading-skip" hidden>${__('Show normal results now', 'smart-page-builder')}</a>
+                        </div>
+                    </div>
+                    <div class="spb-sr-only" id="spb-search-loading-status" role="status" aria-live="polite"></div>
+                    <div class="spb-stream-page">
+                        <div class="spb-stream-slot spb-stream-pending" data-spb-slot="hero"><div class="spb-skeleton spb-skeleton-hero" aria-hidden="true"></div></div>
+                        <div class="spb-stream-slot spb-stream-pending" data-spb-slot="article"><div class="spb-skeleton spb-skeleton-article" aria-hidden="true"></div></div>
+                        <div class="spb-stream-slot spb-stream-pending" data-spb-slot="cta"><div class="spb-skeleton spb-skeleton-cta" aria-hidden="true"></div></div>
+                    </div>
+                </div>
+            `;
+
+            $parent.prepend(SPBHtml.toHTML(shellHTML));
+            window.scrollTo(0, $('#spb-stream-shell').offset().top);
+
+            this.scheduleSkipLink();
+        }
+
+        /**
+         * Remove the results shell and show the theme's content again
+         */
+        removeResultsShell(generation) {
+            $('#spb-stream-shell').remove();
+
+            if (generation.$hiddenContent) {
+                generation.$hiddenContent.prop('hidden', false);
+            }
+        }
+
+        /**
+         * Replace the results shell with the loading overlay
+         */
+        stopStreaming(generation) {
+            const returnFocus = generation.returnFocus;
+
+            clearTimeout(generation.skipTimer);
+            this.removeResultsShell(generation);
+            generation.stream = false;
+
+            this.showSearchLoading(generation.$form, generation.query);
+            generation.returnFocus = returnFocus;
+        }
+
+        /**
+         * Insert streamed components into their slots
+         *
+         * Slots keep the page order, whichever component finishes first.
+         *
+         * @param {Object} status Status with the 'components' HTML the shell lacks,
+         *                        the 'template' and, with the first ones, its 'styles'
+         */
+        insertStreamedComponents(status) {
+            const generation = this.activeGeneration;
+            const $shell = $('#spb-stream-shell');
+            const components = status.components || {};
+
+            if (!generation || !$shell.length || Object.keys(components).length === 0) {
+                return;
+            }
+
+            if (status.styles) {
+                $shell.append(SPBHtml.toHTML(SPBHtml.trusted(status.styles)));
+            }
+
+            $shell.find('.spb-stream-page').addClass(`spb-${status.template}-template`);
+
+            Object.keys(components).forEach(component => {
+                const $slot = $shell.find(`[data-spb-slot="${component}"]`);
+
+                if ($slot.length && !generation.received.includes(component)) {
+                    // Rendered and escaped by the page's own template partials; new nodes are initialized on insertion
+                    $slot.html(SPBHtml.toHTML(SPBHtml.trusted(components[component]))).removeClass('spb-stream-pending');
+                    generation.received.push(component);
+                }
+            });
+        }
+
+        /**
+         * Complete a streamed page in place and switch the URL to its permalink
+         */
+        finishStreamedGeneration(data, pageUrl) {
+            const generation = this.activeGeneration;
+            const $shell = $('#spb-stream-shell');
+
+            this.insertStreamedComponents(data);
+
+            // Components the generator skipped leave no placeholder behind
+            $shell.find('.spb-stream-pending').remove();
+            $shell.find('.spb-stream-header').remove();
+            $shell.attr('aria-busy', 'false');
+
+            if (data.page_context) {
+                spb_public.page_context = data.page_context;
+            }
+
+            window.history.replaceState({ spbStreamedPage: true }, '', pageUrl);
+            this.streamedPageUrl = window.location.href;
+
+            generation.completed = true;
+            this.endSearchGeneration();
+
+            this.initFeedbackWidget();
+            this.trackPageView();
+        }
+
+        /**
+         * Reflect the server-reported generation stage in the results shell
+         */
+        updateStreamProgress(status) {
+            const labels = {
+                analyzing: __('Analyzing your query…', 'smart-page-builder'),
+                discovering: __('Discovering relevant content…', 'smart-page-builder'),
+                generating: __('Generating personalized page…', 'smart-page-builder'),
+                finalizing: __('Finalizing content…', 'smart-page-builder')
+            };
+            const label = labels[status.stage] || '';
+            const $shell = $('#spb-stream-shell');
+
+            $shell.find('.spb-stream-progress').text(status.eta > 0
+                /* translators: 1: generation stage, 2: estimated number of seconds until the page is generated */
+                ? sprintf(_n('%1$s About %2$d second remaining', '%1$s About %2$d seconds remaining', status.eta, 'smart-page-builder'), label, status.eta)
+                : label);
+
+            const warnings = status.warnings || [];
+            const $warnings = $shell.find('.spb-loading-warnings').empty();
+            warnings.forEach(warning => {
+                $warnings.append($('<li>').text(warning));
+            });
+
+            this.announceSearchProgress(status.stage, label, warnings);
+        }
+
+        /**
+         * Reflect the server-reported generation stage in the loading screen
+         */
+        updateSearchProgress(status) {
+            if (this.activeGeneration && this.activeGeneration.stream) {
+                this.updateStreamProgress(status);
+                return;
+            }
+
+            const $overlay = $('#spb-search-loading');
+            const $steps = $overlay.find('.spb-loading-step');
+            const stageIndex = $steps.index($steps.filter(`[data-stage="${status.stage}"]`));
+
+            $overlay.find('.spb-loading-progress-bar').css('width', (status.progress || 0) + '%');
+            $overlay.find('.spb-loading-progress').attr('aria-valuenow', status.progress || 0);
+
+            // Stages before the current one are complete; 'complete' finishes them all
+            $steps.each((index, step) => {
+                const done = status.stage === 'complete' || (stageIndex !== -1 && index < stageIndex);
+                $(step).toggleClass('spb-completed', done)
+                    .toggleClass('spb-active', index === stageIndex);
+            });
+
+            const $eta = $overlay.find('.spb-loading-eta');
+            if (status.eta > 0) {
+                /* translators: %d: estimated number of seconds until the page is generated */
+                $eta.text(sprintf(_n('About %d second remaining', 'About %d seconds remaining', status.eta, 'smart-page-builder'), status.eta));
+            } else {
+                $eta.text('');
+            }
+
+            const warnings = status.warnings || [];
+            const $warnings = $overlay.find('.spb-loading-warnings').empty();
+            warnings.forEach(warning => {
+                $warnings.append($('<li>').text(warning));
+            });
+
+            this.announceSearchProgress(status.stage, $steps.eq(stageIndex).text(), warnings);
+        }
+
+        /**
+         * Announce stage changes and new warnings to screen readers
+         *
+         * The status is polled repeatedly, so only changes are announced.
+         */
+        announceSearchProgress(stage, stageLabel, warnings) {
+            const generation = this.activeGeneration;
+            if (!generation) {
+                return;
+            }
+
+            const messages = [];
+
+            if (stage !== generation.announcedStage) {
+                generation.announcedStage = stage;
+                if (stage === 'complete') {
+                    messages.push(__('Your page is ready.', 'smart-page-builder'));
+                } else if (stageLabel) {
+                    messages.push(stageLabel);
+                }
+            }
+
+            const announcedWarnings = generation.announcedWarnings || 0;
+            if (warnings.length > announcedWarnings) {
+                messages.push(...warnings.slice(announcedWarnings));
+                generation.announcedWarnings = warnings.length;
+            }
+
+            if (messages.length > 0) {
+                $('#spb-search-loading-status').text(messages.join(' '));
+            }
+        }
+
+        /**
+         * Handle successful search generation
+         *
+         * @param {Object} data Completed job or status
+         */
+        handleSearchGenerationSuccess(data, query) {
+            const redirectUrl = data.redirect_url || data.page_url;
+
+            if (redirectUrl) {
+                const pageId = data.page_id || data.search_page_id;
+
+                // Track success
+                this.trackInteraction('search_generation_success', { 
+                    query: query,
+                    page_id: pageId
+                });
+
+                this.cacheGeneratedPage(query, pageId, redirectUrl);
+
+                // A streamed page is already on screen; only the URL changes
+                if (this.activeGeneration && this.activeGeneration.stream && data.components) {
+                    this.finishStreamedGeneration(data, redirectUrl);
+                    return;
+                }
+
+                // Redirect to generated page, replacing the entry Back cancels generation with
+                window.location.replace(redirectUrl);
+            } else {
+                const $form = this.activeGeneration ? this.activeGeneration.$form : null;
+                this.handleSearchGenerationError(data.message || data.error || 'Generation failed', query, $form);
+            }
+        }
+
+        /**
+         * Normalize a search query so equivalent searches share a cache entry
+         *
+         * Ignores case, accents, punctuation, stop words, intent modifiers such as
+         * "best" and plurals, the same way the server matches generated pages.
+         */
+        normalizeQuery(query) {
+            return SPBQuery.key(query);
+        }
+
+        /**
+         * Read the generated page cache, dropping expired entries
+         */
+        readPageCache() {
+            let cache = {};
+            try {
+                cache = JSON.parse(localStorage.getItem('spb_generated_pages')) || {};
+            } catch (error) {
+                cache = {};
+            }
+
+            const now = Date.now();
+            Object.keys(cache).forEach(key => {
+                if (!cache[key] || cache[key].expires <= now) {
+                    delete cache[key];
+                }
+            });
+
+            return cache;
+        }
+
+        /**
+         * Get a cached generated page for a query
+         */
+        getCachedPage(query) {
+            return this.readPageCache()[this.normalizeQuery(query)] || null;
+        }
+
+        /**
+         * Remember the generated page for a query
+         */
+        cacheGeneratedPage(query, pageId, redirectUrl) {
+            const cache = this.readPageCache();
+            const ttl = (parseInt(spb_public.page_cache_ttl, 10) || 3600) * 1000;
+
+            cache[this.normalizeQuery(query)] = {
+                page_id: pageId,
+                redirect_url: redirectUrl,
+                expires: Date.now() + ttl
+            };
+
+            // Keep the most recent entries only
+            const keys = Object.keys(cache).sort((a, b) => cache[b].expires - cache[a].expires);
+            keys.slice(50).forEach(key => delete cache[key]);
+
+            try {
+                localStorage.setItem('spb_generated_pages', JSON.stringify(cache));
+            } catch (error) {
+                // Storage full or unavailable, caching is best effort
+            }
+        }
+
+        /**
+         * Handle search generation error
+         */
+        handleSearchGenerationError(error, query, $form = null) {
+            const source = this.activeGeneration ? this.activeGeneration.source : null;
+
+            // Stop polling and remove loading screen
+            this.endSearchGeneration();
+
+            // Track error
+            this.trackInteraction('search_generation_error', { 
+                query: query,
+                error: error 
+            });
+
+            // Show error message
+            this.showErrorMessage(__('Unable to generate personalized content. Showing regular search results.', 'smart-page-builder'));
+
+            // Fallback to regular search
+            this.showRegularResults(query, $form, source);
+        }
+
+        /**
+         * Show error message
+         */
+        showErrorMessage(message) {
+            const $errorDiv = $('<div class="spb-error-message">')
+                .text(message)
+                .css({
+                    position: 'fixed',
+                    top: '20px',
+                    insetInlineEnd: '20px',
+                    background: '#dc3545',
+                    color: 'white',
+                    padding: '15px 20px',
+                    borderRadius: '8px',
+                    zIndex: 10000,
                     maxWidth: '400px'
                 });
 
@@ -320,87 +1659,259 @@
                 $errorDiv.fadeOut(300, function() {
                     $(this).remove();
                 });
-            }, 5000);
+            }, 5000);
+        }
+
+        /**
+         * Handle scroll events
+         *
+         * Work is batched into one animation frame, however often the browser fires scroll.
+         */
+        handleScroll() {
+            if (this.scrollFrame) {
+                return;
+            }
+
+            this.scrollFrame = window.requestAnimationFrame(() => {
+                this.scrollFrame = null;
+
+                const scrollTop = window.pageYOffset;
+
+                // Trigger scroll-based animations
+                this.triggerScrollAnimations(scrollTop);
+
+                // Track scroll depth
+                this.trackScrollDepth(scrollTop);
+            });
+        }
+
+        /**
+         * Handle resize events
+         */
+        handleResize() {
+            // Debounce resize handling
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
+                this.handleResizeDebounced();
+            }, 250);
+        }
+
+        /**
+         * Handle debounced resize
+         */
+        handleResizeDebounced() {
+            // Recalculate component positions
+            this.recalculateComponents();
+        }
+
+        /**
+         * Get the shared IntersectionObserver for a purpose
+         *
+         * One observer per purpose serves every element on the page, including
+         * components added later. Returns null when IntersectionObserver is unavailable.
+         */
+        getObserver(purpose) {
+            if (!('IntersectionObserver' in window)) {
+                return null;
+            }
+
+            if (this.observers[purpose]) {
+                return this.observers[purpose];
+            }
+
+            const purposes = {
+                lazy: {
+                    options: { rootMargin: '200px 0px' },
+                    callback: (entry, observer) => {
+                        if (entry.isIntersecting) {
+                            this.loadImage(entry.target);
+                            observer.unobserve(entry.target);
+                        }
+                    }
+                },
+                animate: {
+                    options: { threshold: 0.1 },
+                    callback: (entry, observer) => {
+                        if (entry.isIntersecting) {
+                            $(entry.target).addClass('spb-animate-in');
+                            observer.unobserve(entry.target);
+                        }
+                    }
+                },
+                exposure: {
+                    options: { threshold: 0.5 },
+                    callback: (entry, observer) => {
+                        if (entry.isIntersecting) {
+                            this.trackExposure(entry.target);
+                            observer.unobserve(entry.target);
+                        }
+                    }
+                },
+                parallax: {
+                    options: {},
+                    callback: (entry) => {
+                        if (entry.isIntersecting) {
+                            this.visibleHeroes.add(entry.target);
+                        } else {
+                            this.visibleHeroes.delete(entry.target);
+                        }
+                    }
+                }
+            };
+
+            const config = purposes[purpose];
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => config.callback(entry, observer));
+            }, config.options);
+
+            this.observers[purpose] = observer;
+
+            return observer;
+        }
+
+        /**
+         * Stop observing elements that were removed from the page
+         */
+        releaseElements(root) {
+            const elements = this.findWithin(root, `${ANIMATED_SELECTOR}, ${LAZY_IMAGE_SELECTOR}, ${EXPERIMENT_VARIANT_SELECTOR}`).get();
+
+            elements.forEach(element => {
+                Object.values(this.observers).forEach(observer => observer.unobserve(element));
+                this.visibleHeroes.delete(element);
+            });
+        }
+
+        /**
+         * Initialize lazy loading
+         */
+        initLazyLoading(root = document) {
+            const $images = this.findWithin(root, LAZY_IMAGE_SELECTOR);
+            const observer = this.getObserver('lazy');
+
+            // Without IntersectionObserver, load everything straight away
+            if (!observer) {
+                $images.each((index, img) => this.loadImage(img));
+                return;
+            }
+
+            $images.each((index, img) => observer.observe(img));
+        }
+
+        /**
+         * Swap in a lazy image's real sources
+         *
+         * Handles plain images and <picture> elements whose <source> children
+         * carry data-srcset. The blurred placeholder is cleared once loaded.
+         */
+        loadImage(img) {
+            if (!img.dataset.src && !img.dataset.srcset) {
+                return;
+            }
+
+            img.addEventListener('load', () => {
+                img.classList.remove('spb-image-placeholder');
+
+                // The page can grow as images arrive, so cached measurements are stale afterwards
+                this.invalidateLayout();
+            }, { once: true });
+
+            const picture = img.parentNode && img.parentNode.nodeName === 'PICTURE' ? img.parentNode : null;
+            const elements = picture ? Array.from(picture.querySelectorAll('source')).concat(img) : [img];
+
+            // sizes before srcset, and src last, so the browser picks a candidate only once
+            elements.forEach(element => {
+                ['sizes', 'srcset', 'src'].forEach(attribute => {
+                    const value = element.getAttribute(`data-${attribute}`);
+                    if (value !== null) {
+                        element.setAttribute(attribute, value);
+                        element.removeAttribute(`data-${attribute}`);
+                    }
+                });
+            });
         }
 
         /**
-         * Handle scroll events
+         * Swap images that fail to load for their template fallback image
          */
-        handleScroll() {
-            const scrollTop = $(window).scrollTop();
-            
-            // Trigger scroll-based animations
-            this.triggerScrollAnimations(scrollTop);
-            
-            // Track scroll depth
-            this.trackScrollDepth(scrollTop);
-        }
+        initImageFallbacks(root = document) {
+            this.findWithin(root, 'img[data-fallback]').each((index, img) => {
+                if (img.dataset.fallbackBound) {
+                    return;
+                }
 
-        /**
-         * Handle resize events
-         */
-        handleResize() {
-            // Debounce resize handling
-            clearTimeout(this.resizeTimeout);
-            this.resizeTimeout = setTimeout(() => {
-                this.handleResizeDebounced();
-            }, 250);
+                img.dataset.fallbackBound = '1';
+                img.addEventListener('error', () => this.useFallbackImage(img));
+
+                // Eager images may already have failed before this script ran
+                if (img.complete && img.naturalWidth === 0 && img.getAttribute('src') && !img.dataset.src) {
+                    this.useFallbackImage(img);
+                }
+            });
         }
 
         /**
-         * Handle debounced resize
+         * Replace a broken image with its fallback
          */
-        handleResizeDebounced() {
-            // Recalculate component positions
-            this.recalculateComponents();
+        useFallbackImage(img) {
+            if (!img.dataset.fallback || img.classList.contains('spb-image-fallback')) {
+                return;
+            }
+
+            // <source> candidates would otherwise win over the fallback src
+            const picture = img.parentNode && img.parentNode.nodeName === 'PICTURE' ? img.parentNode : null;
+            if (picture) {
+                picture.querySelectorAll('source').forEach(source => source.remove());
+            }
+
+            img.removeAttribute('srcset');
+            img.removeAttribute('sizes');
+            img.classList.remove('spb-image-placeholder');
+            img.classList.add('spb-image-fallback');
+            img.src = img.dataset.fallback;
         }
 
         /**
-         * Initialize lazy loading
+         * Initialize animations
          */
-        initLazyLoading() {
-            // Lazy load images in components
-            $('.spb-component img[data-src]').each(function() {
-                const $img = $(this);
-                const observer = new IntersectionObserver((entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            const img = entry.target;
-                            img.src = img.dataset.src;
-                            img.removeAttribute('data-src');
-                            observer.unobserve(img);
-                        }
-                    });
-                });
-                observer.observe(this);
+        initAnimations(root = document) {
+            const $elements = this.findWithin(root, ANIMATED_SELECTOR);
+            const observer = this.getObserver('animate');
+
+            // Heroes are tracked while visible so parallax only touches those on screen
+            const parallaxObserver = this.getObserver('parallax');
+            $elements.filter('.spb-generated-hero').each((index, hero) => {
+                if (parallaxObserver) {
+                    parallaxObserver.observe(hero);
+                } else {
+                    this.visibleHeroes.add(hero);
+                }
             });
+
+            // Components are only hidden for the fade-in when something will reveal them again
+            if (!observer || this.prefersReducedMotion()) {
+                $elements.addClass('spb-animate-in');
+                return;
+            }
+
+            $('html').addClass('spb-animations-enabled');
+
+            // Fade in components on scroll
+            $elements.not('.spb-animate-in').each((index, element) => observer.observe(element));
         }
 
         /**
-         * Initialize animations
+         * Check whether the visitor asked for reduced motion
          */
-        initAnimations() {
-            // Fade in components on scroll
-            $('.spb-component, .spb-generated-hero, .spb-generated-article, .spb-generated-cta').each(function() {
-                const $element = $(this);
-                const observer = new IntersectionObserver((entries) => {
-                    entries.forEach(entry => {
-                        if (entry.isIntersecting) {
-                            $element.addClass('spb-animate-in');
-                            observer.unobserve(entry.target);
-                        }
-                    });
-                }, { threshold: 0.1 });
-                observer.observe(this);
-            });
+        prefersReducedMotion() {
+            return !!(this.reducedMotionQuery && this.reducedMotionQuery.matches);
         }
 
         /**
          * Initialize accessibility features
          */
-        initAccessibility() {
+        initAccessibility(root = document) {
             // Add ARIA labels to interactive elements
-            $('.spb-component-button a, .spb-cta-button').each(function() {
+            this.findWithin(root, '.spb-component-button a, .spb-cta-button').each(function() {
                 const $button = $(this);
                 if (!$button.attr('aria-label') && $button.text().trim()) {
                     $button.attr('aria-label', $button.text().trim());
@@ -408,7 +1919,7 @@
             });
 
             // Add keyboard navigation
-            $('.spb-component').attr('tabindex', '0');
+            this.findWithin(root, '.spb-component').attr('tabindex', '0');
         }
 
         /**
@@ -447,17 +1958,58 @@
             }, 200);
         }
 
+        /**
+         * Get cached layout measurements
+         *
+         * Measured once and reused by every scroll frame until invalidated by
+         * spb:recalculate or a DOM change, so scrolling never forces a layout.
+         */
+        getLayout() {
+            if (!this.layout) {
+                this.layout = {
+                    documentHeight: $(document).height(),
+                    windowHeight: $(window).height(),
+                    offsets: new WeakMap()
+                };
+            }
+
+            return this.layout;
+        }
+
+        /**
+         * Get an element's cached document offset
+         */
+        getCachedOffset(element) {
+            const offsets = this.getLayout().offsets;
+
+            if (!offsets.has(element)) {
+                offsets.set(element, $(element).offset().top);
+            }
+
+            return offsets.get(element);
+        }
+
+        /**
+         * Drop cached layout measurements
+         */
+        invalidateLayout() {
+            this.layout = null;
+        }
+
         /**
          * Trigger scroll animations
          */
         triggerScrollAnimations(scrollTop) {
-            // Parallax effects for hero sections
-            $('.spb-generated-hero').each(function() {
-                const $hero = $(this);
-                const offset = $hero.offset().top;
+            if (this.prefersReducedMotion() || this.visibleHeroes.size === 0) {
+                return;
+            }
+
+            // Parallax effects for hero sections currently on screen
+            this.visibleHeroes.forEach(hero => {
+                const offset = this.getCachedOffset(hero);
                 const speed = 0.5;
                 const yPos = -(scrollTop - offset) * speed;
-                $hero.css('background-position', `center ${yPos}px`);
+                hero.style.backgroundPosition = `center ${yPos}px`;
             });
         }
 
@@ -465,9 +2017,8 @@
          * Track scroll depth
          */
         trackScrollDepth(scrollTop) {
-            const documentHeight = $(document).height();
-            const windowHeight = $(window).height();
-            const scrollPercent = Math.round((scrollTop / (documentHeight - windowHeight)) * 100);
+            const layout = this.getLayout();
+            const scrollPercent = Math.round((scrollTop / (layout.documentHeight - layout.windowHeight)) * 100);
 
             // Track milestone percentages
             const milestones = [25, 50, 75, 90];
@@ -489,6 +2040,344 @@
                 // Trigger any necessary recalculations
                 $component.trigger('spb:recalculate');
             });
+
+            // Registered components outside .spb-component wrappers are triggered directly
+            this.registeredComponents.forEach(component => {
+                component.elements.forEach(element => {
+                    if (!$(element).closest('.spb-component').length) {
+                        $(element).trigger('spb:recalculate');
+                    }
+                });
+            });
+        }
+
+        /**
+         * Collect Core Web Vitals and long tasks for generated pages
+         *
+         * Observers start immediately with buffered entries; the metrics are
+         * reported once, when the page is first hidden.
+         */
+        initPerformanceTelemetry() {
+            if (!('PerformanceObserver' in window) || !PerformanceObserver.supportedEntryTypes) {
+                return;
+            }
+
+            const vitals = this.vitals = {
+                lcp: null,
+                cls: 0,
+                interactions: new Map(),
+                long_tasks: 0,
+                blocking_time: 0
+            };
+
+            this.observePerformance('largest-contentful-paint', (entry) => {
+                vitals.lcp = entry.startTime;
+            });
+
+            // CLS is the largest session window: shifts under 1s apart, at most 5s long
+            let sessionValue = 0;
+            let sessionStart = 0;
+            let lastShift = 0;
+            this.observePerformance('layout-shift', (entry) => {
+                if (entry.hadRecentInput) {
+                    return;
+                }
+
+                if (sessionValue && entry.startTime - lastShift < 1000 && entry.startTime - sessionStart < 5000) {
+                    sessionValue += entry.value;
+                } else {
+                    sessionValue = entry.value;
+                    sessionStart = entry.startTime;
+                }
+
+                lastShift = entry.startTime;
+                vitals.cls = Math.max(vitals.cls, sessionValue);
+            });
+
+            this.observePerformance('event', (entry) => {
+                if (entry.interactionId) {
+                    const longest = vitals.interactions.get(entry.interactionId) || 0;
+                    vitals.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+                }
+            }, { durationThreshold: 40 });
+
+            this.observePerformance('longtask', (entry) => {
+                vitals.long_tasks++;
+                vitals.blocking_time += Math.max(0, entry.duration - 50);
+            });
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.reportPerformance();
+                }
+            });
+            window.addEventListener('pagehide', () => this.reportPerformance());
+        }
+
+        /**
+         * Observe a performance entry type if the browser supports it
+         */
+        observePerformance(type, callback, options = {}) {
+            if (!PerformanceObserver.supportedEntryTypes.includes(type)) {
+                return;
+            }
+
+            const observer = new PerformanceObserver((list) => {
+                list.getEntries().forEach(callback);
+            });
+            observer.observe(Object.assign({ type: type, buffered: true }, options));
+        }
+
+        /**
+         * Describe the generated page for telemetry
+         *
+         * The server provides the context for generated search pages; published
+         * pages are recognized by their generated components.
+         */
+        getPageContext() {
+            if (spb_public.page_context) {
+                return spb_public.page_context;
+            }
+
+            const components = ['hero', 'article', 'cta'].filter(component => {
+                return document.querySelector(`.spb-generated-${component}`);
+            });
+            if (components.length === 0) {
+                return null;
+            }
+
+            const pageId = (document.body.className.match(/\b(?:page-id|postid)-(\d+)\b/) || [])[1];
+
+            return {
+                page_id: parseInt(pageId, 10) || 0,
+                source: 'post',
+                template: 'published',
+                components: components
+            };
+        }
+
+        /**
+         * Report the collected vitals once per page view
+         */
+        reportPerformance() {
+            const vitals = this.vitals;
+            const context = this.getPageContext();
+
+            if (!vitals || vitals.reported || !context) {
+                return;
+            }
+
+            vitals.reported = true;
+
+            const navigation = performance.getEntriesByType('navigation')[0];
+            const ttfb = navigation ? navigation.responseStart - (navigation.activationStart || 0) : null;
+
+            // INP ignores one outlier per 50 interactions
+            const durations = Array.from(vitals.interactions.values()).sort((a, b) => b - a);
+            const inp = durations.length ? durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))] : null;
+
+            this.trackInteraction('web_vitals', {
+                page_id: context.page_id,
+                template: context.template,
+                components: context.components,
+                lcp: vitals.lcp === null ? null : Math.round(vitals.lcp),
+                cls: Math.round(vitals.cls * 10000) / 10000,
+                inp: inp === null ? null : Math.round(inp),
+                ttfb: ttfb === null ? null : Math.round(Math.max(0, ttfb)),
+                long_tasks: vitals.long_tasks,
+                blocking_time: Math.round(vitals.blocking_time)
+            });
+
+            // The shared queue may already have flushed for this pagehide
+            if (window.SPBEventQueue) {
+                window.SPBEventQueue.flush(true);
+            }
+        }
+
+        /**
+         * Add the visitor feedback widget below the generated content
+         */
+        initFeedbackWidget() {
+            const context = this.getPageContext();
+            const generated = document.querySelectorAll(GENERATED_SELECTOR);
+
+            if (!spb_public.feedback_enabled || !context || !context.page_id || generated.length === 0 || $('.spb-feedback').length) {
+                return;
+            }
+
+            this.feedbackKey = `spb_feedback_${context.source}_${context.page_id}`;
+
+            const $widget = this.buildFeedbackWidget();
+            $widget.insertAfter(generated[generated.length - 1]);
+
+            // Remember text selected in the generated content; clicking a button may clear it
+            document.addEventListener('selectionchange', () => {
+                const selection = window.getSelection();
+                if (!selection || selection.isCollapsed || !selection.anchorNode) {
+                    return;
+                }
+
+                const anchor = selection.anchorNode.nodeType === Node.ELEMENT_NODE ? selection.anchorNode : selection.anchorNode.parentElement;
+                if (anchor && anchor.closest(GENERATED_SELECTOR)) {
+                    this.feedbackSelection = selection.toString().trim().slice(0, 1000);
+                }
+            });
+
+            $widget.on('click', '.spb-feedback-vote', (event) => {
+                this.submitFeedback($(event.currentTarget).data('feedback'));
+            });
+
+            $widget.on('click', '.spb-feedback-report', (event) => {
+                this.openFeedbackForm($(event.currentTarget).data('feedback'));
+            });
+
+            $widget.on('click', '.spb-feedback-cancel', () => this.closeFeedbackForm());
+
+            $widget.on('submit', '.spb-feedback-form', (event) => {
+                event.preventDefault();
+                const $form = $(event.currentTarget);
+                this.submitFeedback($form.data('feedback'), {
+                    selected_text: $form.find('[name="selected_text"]').val().trim(),
+                    comment: $form.find('[name="comment"]').val().trim()
+                });
+            });
+
+            const vote = this.readFeedbackVote();
+            if (vote) {
+                this.markFeedbackVote(vote);
+            }
+        }
+
+        /**
+         * Build the feedback widget markup
+         */
+        buildFeedbackWidget() {
+            const $widget = $('<aside class="spb-feedback" aria-labelledby="spb-feedback-title">');
+
+            $('<p id="spb-feedback-title" class="spb-feedback-question">').text(__('Was this page helpful?', 'smart-page-builder')).appendTo($widget);
+
+            const $votes = $('<div class="spb-feedback-votes">').appendTo($widget);
+            $('<button type="button" class="spb-feedback-vote" data-feedback="helpful" aria-pressed="false">').text(__('Yes', 'smart-page-builder')).appendTo($votes);
+            $('<button type="button" class="spb-feedback-vote" data-feedback="not_helpful" aria-pressed="false">').text(__('No', 'smart-page-builder')).appendTo($votes);
+
+            const $reports = $('<div class="spb-feedback-reports">').appendTo($widget);
+            $('<button type="button" class="spb-feedback-report" data-feedback="inaccuracy">').text(__('Report an inaccuracy', 'smart-page-builder')).appendTo($reports);
+            $('<button type="button" class="spb-feedback-report" data-feedback="unsafe">').text(__('Flag unsafe content', 'smart-page-builder')).appendTo($reports);
+
+            const $form = $('<form class="spb-feedback-form" hidden>').appendTo($widget);
+            $('<p class="spb-feedback-form-title">').appendTo($form);
+            $('<label for="spb-feedback-selection">').text(__('Text on the page', 'smart-page-builder')).appendTo($form);
+            $('<textarea id="spb-feedback-selection" name="selected_text" rows="2" maxlength="1000">').appendTo($form);
+            $('<label for="spb-feedback-comment">').text(__('What is wrong with it?', 'smart-page-builder')).appendTo($form);
+            $('<textarea id="spb-feedback-comment" name="comment" rows="3" maxlength="1000">').appendTo($form);
+
+            const $actions = $('<div class="spb-feedback-actions">').appendTo($form);
+            $('<button type="submit" class="spb-feedback-send">').text(__('Send report', 'smart-page-builder')).appendTo($actions);
+            $('<button type="button" class="spb-feedback-cancel">').text(__('Cancel', 'smart-page-builder')).appendTo($actions);
+
+            $('<p class="spb-feedback-status" role="status" aria-live="polite">').appendTo($widget);
+
+            return $widget;
+        }
+
+        /**
+         * Open the report form, quoting the visitor's selection
+         */
+        openFeedbackForm(type) {
+            const $form = $('.spb-feedback-form');
+
+            $form.data('feedback', type).prop('hidden', false);
+            $form.find('.spb-feedback-form-title').text(type === 'unsafe' ? __('Flag unsafe content', 'smart-page-builder') : __('Report an inaccuracy', 'smart-page-builder'));
+            $form.find('[name="selected_text"]').val(this.feedbackSelection);
+            $form.find('[name="comment"]').val('').trigger('focus');
+            $('.spb-feedback-status').text('');
+        }
+
+        /**
+         * Close the report form and return focus to the widget
+         */
+        closeFeedbackForm() {
+            $('.spb-feedback-form').prop('hidden', true);
+            $('.spb-feedback-report').first().trigger('focus');
+        }
+
+        /**
+         * Send feedback for the current page
+         */
+        submitFeedback(type, fields = {}) {
+            const context = this.getPageContext();
+            const $widget = $('.spb-feedback');
+            const $status = $widget.find('.spb-feedback-status');
+
+            if (type === 'inaccuracy' && !fields.selected_text && !fields.comment) {
+                $status.text(__('Select the inaccurate text or describe the problem.', 'smart-page-builder'));
+                return;
+            }
+
+            $widget.find('button').prop('disabled', true);
+
+            window.SPBClient.then(client => client.feedback.submit($.extend({
+                page_id: context.page_id,
+                source: context.source,
+                feedback_type: type
+            }, fields))).then(() => {
+                if (type === 'helpful' || type === 'not_helpful') {
+                    this.storeFeedbackVote(type);
+                } else {
+                    $widget.find('.spb-feedback-form').prop('hidden', true);
+                    this.feedbackSelection = '';
+                }
+
+                $status.text(__('Thank you for your feedback.', 'smart-page-builder'));
+                this.trackInteraction('page_feedback', { page_id: context.page_id, feedback_type: type });
+            }, (error) => {
+                // The server already has this visitor's vote
+                if (error.status === 429 && (type === 'helpful' || type === 'not_helpful')) {
+                    this.storeFeedbackVote(type);
+                    return;
+                }
+
+                $status.text(__('Your feedback could not be sent. Please try again later.', 'smart-page-builder'));
+            }).finally(() => {
+                $widget.find('button').prop('disabled', false);
+
+                const vote = this.readFeedbackVote();
+                if (vote) {
+                    this.markFeedbackVote(vote);
+                }
+            });
+        }
+
+        /**
+         * Show a vote as cast and prevent voting again
+         */
+        markFeedbackVote(vote) {
+            $('.spb-feedback-vote').each(function() {
+                const pressed = $(this).data('feedback') === vote;
+                $(this).attr('aria-pressed', pressed ? 'true' : 'false').prop('disabled', true);
+            });
+        }
+
+        /**
+         * Read the vote cast on this page in an earlier visit
+         */
+        readFeedbackVote() {
+            try {
+                return localStorage.getItem(this.feedbackKey);
+            } catch (e) {
+                return null;
+            }
+        }
+
+        /**
+         * Remember the vote cast on this page
+         */
+        storeFeedbackVote(vote) {
+            try {
+                localStorage.setItem(this.feedbackKey, vote);
+            } catch (e) {
+                // Storage unavailable; the server still rejects a second vote
+            }
         }
 
         /**
@@ -511,30 +2400,35 @@
                 return;
             }
 
-            $.ajax({
-                url: spb_public.ajax_url,
-                type: 'POST',
-                data: {
-                    action: 'spb_track_interaction',
-                    interaction_type: action,
-                    interaction_data: data,
-                    nonce: spb_public.nonce
-                },
-                timeout: 5000
-            });
+            // Extensions may enrich or drop the event
+            const tracked = { action: action, data: data };
+            if (!this.runHooks('before', 'track', tracked)) {
+                return;
+            }
+
+            // Batched and delivered by the shared event queue
+            if (window.SPBEventQueue) {
+                window.SPBEventQueue.push('public', tracked.action, tracked.data);
+            }
+
+            this.runHooks('after', 'track', tracked);
         }
 
         /**
          * Monitor search queries for analytics
          */
         monitorSearchQueries() {
-            // Track search input focus and typing
-            $('input[type="search"], input[name="s"]').on('focus', () => {
-                this.trackInteraction('search_focus');
-            }).on('input', this.debounce((event) => {
+            // Track search input focus and typing, including search boxes added later
+            $(document).on('focusin', TEXT_FIELD_SELECTOR, (event) => {
+                const source = this.matchSearchField(event.target);
+                if (source) {
+                    this.trackInteraction('search_focus', { source: source.id });
+                }
+            }).on('input', TEXT_FIELD_SELECTOR, this.debounce((event) => {
+                const source = this.matchSearchField(event.target);
                 const query = $(event.target).val().trim();
-                if (query.length >= 3) {
-                    this.trackInteraction('search_typing', { query_length: query.length });
+                if (source && query.length >= 3) {
+                    this.trackInteraction('search_typing', { query_length: query.length, source: source.id });
                 }
             }, 1000));
         }
@@ -558,23 +2452,28 @@
     // Initialize scroll milestones tracking
     SmartPageBuilderPublic.prototype.scrollMilestones = {};
 
-    // Initialize when script loads
-    new SmartPageBuilderPublic();
+    // Initialize when script loads and expose the extension API
+    const smartPageBuilder = new SmartPageBuilderPublic();
+    window.SPB = smartPageBuilder.createPublicAPI();
 
     // Add CSS for enhanced functionality
     const enhancedCSS = `
         <style>
-        .spb-js-enabled .spb-component {
+        .spb-animations-enabled .spb-component {
             opacity: 0;
             transform: translateY(20px);
             transition: all 0.6s ease;
         }
         
-        .spb-js-enabled .spb-component.spb-animate-in {
+        .spb-animations-enabled .spb-component.spb-animate-in {
             opacity: 1;
             transform: translateY(0);
         }
         
+        .spb-experiments-pending .spb-experiment {
+            visibility: hidden;
+        }
+        
         .spb-clicked {
             transform: scale(0.95);
             transition: transform 0.1s ease;
@@ -600,7 +2499,7 @@
         
         .spb-loading-steps {
             margin-top: 20px;
-            text-align: left;
+            text-align: start;
         }
         
         .spb-loading-step {
@@ -626,6 +2525,104 @@
             color: #28a745;
             font-weight: bold;
         }
+        
+        .spb-loading-eta {
+            margin-top: 8px;
+            font-size: 0.9em;
+            color: #666;
+        }
+        
+        .spb-loading-warnings {
+            margin: 15px 0 0;
+            padding: 0;
+            list-style: none;
+            font-size: 0.9em;
+            color: #8a6d3b;
+        }
+        
+        .spb-loading-warnings li::before {
+            content: "⚠ ";
+        }
+        
+        .spb-loading-actions {
+            margin-top: 20px;
+            display: flex;
+            gap: 15px;
+            align-items: center;
+            justify-content: center;
+        }
+        
+        .spb-loading-cancel {
+            padding: 8px 18px;
+            border: 1px solid #0073aa;
+            border-radius: 4px;
+            background: transparent;
+            color: #0073aa;
+            cursor: pointer;
+        }
+        
+        .spb-loading-cancel:hover,
+        .spb-loading-cancel:focus {
+            background: #0073aa;
+            color: #ffffff;
+        }
+        
+        .spb-stream-header {
+            max-width: 1200px;
+            margin: 0 auto;
+            padding: 1.5rem 2rem 0;
+            text-align: center;
+        }
+        
+        .spb-stream-title {
+            margin: 0;
+            font-weight: 600;
+        }
+        
+        .spb-stream-progress {
+            margin: 8px 0 0;
+            font-size: 0.9em;
+            color: #666;
+        }
+        
+        .spb-skeleton {
+            max-width: 1200px;
+            margin: 1.5rem auto;
+            border-radius: 8px;
+            background: linear-gradient(90deg, #eeeeee 25%, #f6f6f6 50%, #eeeeee 75%);
+            background-size: 200% 100%;
+            animation: spb-skeleton-shimmer 1.5s ease-in-out infinite;
+        }
+        
+        .spb-skeleton-hero {
+            height: 320px;
+        }
+        
+        .spb-skeleton-article {
+            height: 480px;
+        }
+        
+        .spb-skeleton-cta {
+            height: 200px;
+        }
+        
+        @keyframes spb-skeleton-shimmer {
+            from { background-position: 200% 0; }
+            to { background-position: -200% 0; }
+        }
+        
+        @media (prefers-reduced-motion: reduce) {
+            .spb-animations-enabled .spb-component,
+            .spb-clicked,
+            .spb-loading-step {
+                transform: none;
+                transition: none;
+            }
+            
+            .spb-skeleton {
+                animation: none;
+            }
+        }
         </style>
     `;
     
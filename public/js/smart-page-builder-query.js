@@ -0,0 +1,263 @@
+/**
+ * Smart Page Builder Query Normalization
+ *
+ * Client counterpart of SPB_Query_Normalizer: spelling is corrected against
+ * the site vocabulary, words are lemmatized, stop words and intent modifiers
+ * are dropped and the query is labelled navigational, informational or
+ * commercial. Word lists come from the server (spb_query), and the lexicon
+ * with setLexicon() once the visitor starts searching, so both sides agree on
+ * which searches are equivalent and which ones generate a page.
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+(function(window) {
+    'use strict';
+
+    const config = Object.assign({
+        stop_words: [],
+        intent_terms: { navigational: [], commercial: [] },
+        irregular_lemmas: {},
+        vocabulary: [],
+        destinations: [],
+        generation_intents: ['informational', 'commercial']
+    }, window.spb_query || {});
+
+    const stopWords = new Set(config.stop_words);
+    const modifiers = new Set(config.stop_words.concat(config.intent_terms.commercial || []));
+    let destinations = new Set(config.destinations);
+    let knownWords = null;
+    let lexiconLoaded = config.vocabulary.length > 0 || config.destinations.length > 0;
+
+    /**
+     * Split a query into lowercase words without accents or punctuation
+     *
+     * @param {string} text Text
+     * @return {string[]} Words
+     */
+    function tokenize(text) {
+        return String(text || '').toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .split(' ')
+            .filter(Boolean);
+    }
+
+    /**
+     * Reduce a word to its dictionary form; only plural nouns are folded
+     *
+     * @param {string} word Lowercase word
+     * @return {string} Lemma
+     */
+    function lemmatize(word) {
+        if (Object.prototype.hasOwnProperty.call(config.irregular_lemmas, word)) {
+            return config.irregular_lemmas[word];
+        }
+
+        if (!/^[a-z]+$/.test(word)) {
+            return word;
+        }
+
+        if (word.length > 4 && word.endsWith('ies')) {
+            return word.slice(0, -3) + 'y';
+        }
+
+        if (word.length > 4 && /(ss|x|z|ch|sh)es$/.test(word)) {
+            return word.slice(0, -2);
+        }
+
+        if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+            return word.slice(0, -1);
+        }
+
+        return word;
+    }
+
+    /**
+     * Check whether a word or its lemma is in the vocabulary
+     */
+    function isKnown(word) {
+        if (!knownWords) {
+            knownWords = new Set();
+            config.vocabulary.forEach(vocabularyWord => {
+                knownWords.add(vocabularyWord);
+                knownWords.add(lemmatize(vocabularyWord));
+            });
+        }
+
+        return knownWords.has(word) || knownWords.has(lemmatize(word));
+    }
+
+    /**
+     * Count the edits, including swaps of adjacent letters, turning one word into another
+     *
+     * @return {number} Distance, or max + 1 when it exceeds max
+     */
+    function editDistance(a, b, max) {
+        const rows = [Array.from({ length: b.length + 1 }, (value, index) => index)];
+
+        for (let i = 1; i <= a.length; i++) {
+            rows[i] = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+
+                rowMin = Math.min(rowMin, rows[i][j]);
+            }
+
+            if (rowMin > max) {
+                return max + 1;
+            }
+        }
+
+        return Math.min(rows[a.length][b.length], max + 1);
+    }
+
+    /**
+     * Correct a word against the site vocabulary
+     *
+     * @return {string[]} The word, its correction, or the two words it splits into
+     */
+    function correctToken(token) {
+        if (token.length < 4 || !/^[a-z]+$/.test(token) || isKnown(token)) {
+            return [token];
+        }
+
+        for (let split = 3; token.length >= 6 && split <= token.length - 3; split++) {
+            const left = token.slice(0, split);
+            const right = token.slice(split);
+
+            if (isKnown(left) && isKnown(right)) {
+                return [left, right];
+            }
+        }
+
+        let best = null;
+        let bestDistance = (token.length >= 8 ? 2 : 1) + 1;
+
+        // The vocabulary is ordered by frequency, so the first closest word wins
+        config.vocabulary.forEach(word => {
+            if (Math.abs(word.length - token.length) >= bestDistance) {
+                return;
+            }
+
+            const distance = editDistance(token, word, bestDistance - 1);
+            if (distance < bestDistance) {
+                best = word;
+                bestDistance = distance;
+            }
+        });
+
+        return [best !== null ? best : token];
+    }
+
+    /**
+     * Label a query navigational, commercial or informational
+     */
+    function detectIntent(lemmas) {
+        const phrase = ` ${lemmas.join(' ')} `;
+        const significant = lemmas.filter(lemma => !stopWords.has(lemma)).join(' ');
+
+        if (significant && destinations.has(significant)) {
+            return 'navigational';
+        }
+
+        for (const intent of ['navigational', 'commercial']) {
+            if ((config.intent_terms[intent] || []).some(term => phrase.includes(` ${term} `))) {
+                return intent;
+            }
+        }
+
+        return 'informational';
+    }
+
+    /**
+     * Join the lemmas that tell queries apart
+     *
+     * @param {string[]} lemmas Lemmas
+     * @return {string} Lemmas without stop words and intent modifiers
+     */
+    function joinSignificant(lemmas) {
+        const significant = lemmas.filter(lemma => !modifiers.has(lemma));
+
+        // A query made only of stop words and modifiers is still a query
+        return (significant.length ? significant : lemmas).join(' ');
+    }
+
+    /**
+     * Analyze a search query
+     *
+     * @param {string} query Raw search query
+     * @return {Object} query, corrected, lemmas, canonical, key, intent and corrections,
+     *                  as returned by SPB_Query_Normalizer::analyze()
+     */
+    function analyze(query) {
+        const corrections = [];
+        const words = [];
+
+        tokenize(query).forEach(token => {
+            const corrected = correctToken(token);
+
+            if (corrected.length !== 1 || corrected[0] !== token) {
+                corrections.push({ from: token, to: corrected.join(' ') });
+            }
+
+            words.push(...corrected);
+        });
+
+        const lemmas = words.map(lemmatize);
+
+        return {
+            query: String(query || ''),
+            corrected: words.join(' '),
+            lemmas: lemmas,
+            canonical: joinSignificant(lemmas),
+            // Independent of the vocabulary, so a query keeps its page as the site changes
+            key: joinSignificant(tokenize(query).map(lemmatize)),
+            intent: detectIntent(lemmas),
+            corrections: corrections
+        };
+    }
+
+    /**
+     * Check whether a query's intent warrants generating a page
+     *
+     * @param {Object} analysis Result of analyze()
+     * @return {boolean}
+     */
+    function shouldGenerate(analysis) {
+        return config.generation_intents.indexOf(analysis.intent) !== -1;
+    }
+
+    /**
+     * Use the site vocabulary and page titles from the server
+     *
+     * @param {Object} lexicon vocabulary and destinations, see SPB_Query_Normalizer::get_client_lexicon()
+     */
+    function setLexicon(lexicon) {
+        config.vocabulary = (lexicon && lexicon.vocabulary) || [];
+        destinations = new Set((lexicon && lexicon.destinations) || []);
+        knownWords = null;
+        lexiconLoaded = true;
+    }
+
+    window.SPBQuery = {
+        analyze: analyze,
+        canonical: query => analyze(query).canonical,
+        key: query => analyze(query).key,
+        shouldGenerate: shouldGenerate,
+        setLexicon: setLexicon,
+        hasLexicon: () => lexiconLoaded,
+        tokenize: tokenize,
+        lemmatize: lemmatize
+    };
+
+})(window);
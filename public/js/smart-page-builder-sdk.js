@@ -0,0 +1,1227 @@
+/**
+ * Smart Page Builder SDK
+ *
+ * Framework-agnostic ES module for the plugin's public endpoints: search page
+ * generation, event tracking, page feedback, the visitor profile and personal
+ * data, recommendations and consent. Every call returns a promise. Requests
+ * go through a transport - admin-ajax or the spb/v1 REST API - so the same
+ * client serves the WordPress front end and decoupled front ends; it uses
+ * neither jQuery, the DOM nor the globals WordPress injects.
+ *
+ *     import { createClient, createRestTransport } from './smart-page-builder-sdk.js';
+ *
+ *     const spb = createClient({
+ *         transport: createRestTransport({ root: 'https://example.com/wp-json/' }),
+ *         sessionId: visitorId
+ *     });
+ *     const page = await spb.search.waitForPage('smart home hub', { onProgress: render });
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+/**
+ * Endpoints by operation: the admin-ajax action and the nonce it checks, and
+ * the REST method and route under spb/v1
+ */
+export const OPERATIONS = {
+    generateSearchPage: { action: 'spb_generate_search_page', nonce: 'generation', method: 'POST', route: 'search-pages' },
+    getGenerationStatus: { action: 'spb_check_generation_status', nonce: 'status', method: 'GET', route: 'search-pages/status' },
+    getQueryLexicon: { action: 'spb_get_query_lexicon', nonce: 'status', method: 'GET', route: 'search-pages/lexicon' },
+    trackEvents: { action: 'spb_track_events', nonce: 'public', method: 'POST', route: 'events' },
+    submitFeedback: { action: 'spb_submit_page_feedback', nonce: 'public', method: 'POST', route: 'feedback' },
+    getProfile: { action: 'spb_get_user_profile', nonce: 'personalization', method: 'GET', route: 'profile' },
+    resetProfile: { action: 'spb_reset_user_profile', nonce: 'personalization', method: 'DELETE', route: 'profile' },
+    updateInterestPreference: { action: 'spb_update_interest_preference', nonce: 'personalization', method: 'POST', route: 'profile/interests' },
+    mergeProfile: { action: 'spb_merge_session_profile', nonce: 'personalization', method: 'POST', route: 'profile/merge' },
+    keepSession: { action: 'spb_keep_session', nonce: 'personalization', method: 'POST', route: 'session' },
+    forgetSession: { action: 'spb_forget_session', nonce: 'personalization', method: 'DELETE', route: 'session' },
+    exportPersonalData: { action: 'spb_export_personal_data', nonce: 'personalization', method: 'GET', route: 'personal-data' },
+    requestDataErasure: { action: 'spb_request_data_erasure', nonce: 'personalization', method: 'POST', route: 'personal-data/erasure' },
+    confirmDataErasure: { action: 'spb_confirm_data_erasure', nonce: 'personalization', method: 'DELETE', route: 'personal-data' },
+    getRecommendations: { action: 'spb_get_recommendations', nonce: 'personalization', method: 'GET', route: 'recommendations' },
+    getSegmentRecommendations: { action: 'spb_get_segment_recommendations', nonce: 'personalization', method: 'GET', route: 'recommendations/segments' }
+};
+
+/**
+ * Storage key of the visitor's consent decision
+ */
+const CONSENT_KEY = 'spb_privacy_consent';
+
+/**
+ * Storage key earlier releases kept Disable Tracking under
+ */
+const LEGACY_DISABLED_KEY = 'spb_tracking_disabled';
+
+/**
+ * Storage key earlier releases kept the anonymous session id under
+ */
+const LEGACY_SESSION_KEY = 'spb_session_id';
+
+/**
+ * Consent states
+ *
+ * Visitors start out unknown; granted and denied follow their answer to the
+ * privacy notice, and withdrawn a later change of mind.
+ */
+export const CONSENT_STATES = Object.freeze({
+    UNKNOWN: 'unknown',
+    GRANTED: 'granted',
+    DENIED: 'denied',
+    WITHDRAWN: 'withdrawn'
+});
+
+/**
+ * State the visitor's decision moves each consent state to
+ */
+const CONSENT_TRANSITIONS = {
+    unknown: { grant: 'granted', decline: 'denied' },
+    granted: { decline: 'withdrawn' },
+    denied: { grant: 'granted' },
+    withdrawn: { grant: 'granted' }
+};
+
+/**
+ * Storage key of the on-device interest model
+ */
+const INTEREST_MODEL_KEY = 'spb_interest_model';
+
+const DAY_IN_MS = 86400000;
+
+/**
+ * Error rejected by SDK calls
+ *
+ * code is 'network' when the server could not be reached or did not answer in
+ * time, 'invalid_response' when the answer was not JSON, and otherwise the
+ * reason the server rejected the request. status is the HTTP status, if any.
+ */
+export class SPBError extends Error {
+    constructor(message, { code = 'rejected', status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'SPBError';
+        this.code = code;
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/**
+ * Look up an operation
+ */
+function getOperation(operation) {
+    if (!Object.prototype.hasOwnProperty.call(OPERATIONS, operation)) {
+        throw new SPBError(`Unknown operation: ${operation}`, { code: 'unknown_operation' });
+    }
+
+    return OPERATIONS[operation];
+}
+
+/**
+ * Run fetch with a timeout, still honoring the caller's abort signal
+ *
+ * A caller abort rejects with the usual AbortError; a timeout rejects with an
+ * SPBError whose code is 'network'.
+ */
+function fetchWithTimeout(fetchImpl, url, init, { signal, timeout = 10000 } = {}) {
+    if (signal && signal.aborted) {
+        return Promise.reject(signal.reason || Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    let timedOut = false;
+
+    const timer = timeout > 0 ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout) : null;
+
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    return fetchImpl(url, Object.assign({}, init, { signal: controller.signal }))
+        .catch(error => {
+            if (error && error.name === 'AbortError' && !timedOut) {
+                throw error;
+            }
+
+            throw new SPBError(timedOut ? 'Request timed out' : 'Network error', { code: 'network' });
+        })
+        .finally(() => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        });
+}
+
+/**
+ * Read a JSON response body
+ */
+function readJson(response) {
+    return response.json().catch(() => {
+        throw new SPBError('Invalid response', { code: 'invalid_response', status: response.status });
+    });
+}
+
+/**
+ * Encode flat parameters, skipping undefined and null values
+ */
+function toSearchParams(params) {
+    const search = new URLSearchParams();
+
+    Object.keys(params).forEach(key => {
+        if (params[key] !== undefined && params[key] !== null) {
+            search.append(key, params[key]);
+        }
+    });
+
+    return search;
+}
+
+/**
+ * Get navigator.sendBeacon where the runtime has it
+ */
+function getBeacon() {
+    return typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function'
+        ? navigator.sendBeacon.bind(navigator)
+        : null;
+}
+
+/**
+ * Create a transport posting to admin-ajax.php
+ *
+ * @param {Object}   options
+ * @param {string}   options.url    admin-ajax.php URL
+ * @param {Object}   options.nonces Nonces by name: public, generation, status, personalization
+ * @param {Function} options.fetch  fetch implementation, defaults to the global one
+ * @return {Object} Transport with request() and beacon()
+ */
+export function createAjaxTransport({ url, nonces = {}, fetch: fetchImpl = globalThis.fetch } = {}) {
+    const buildBody = (operation, params) => {
+        const endpoint = getOperation(operation);
+
+        return toSearchParams(Object.assign({
+            action: endpoint.action,
+            nonce: nonces[endpoint.nonce] || ''
+        }, params));
+    };
+
+    return {
+        name: 'ajax',
+
+        /**
+         * Send a request and resolve with the response data
+         */
+        request(operation, params = {}, options = {}) {
+            const init = {
+                method: 'POST',
+                body: buildBody(operation, params),
+                credentials: 'same-origin'
+            };
+
+            return fetchWithTimeout(fetchImpl, url, init, options)
+                .then(response => readJson(response).then(json => {
+                    if (!json || !json.success) {
+                        const data = json ? json.data : null;
+                        const message = (data && (data.message || data.error)) || (typeof data === 'string' ? data : 'Request failed');
+                        throw new SPBError(message, { status: response.status, data: data });
+                    }
+
+                    return json.data;
+                }));
+        },
+
+        /**
+         * Hand a request to navigator.sendBeacon, for pages being unloaded
+         *
+         * @return {boolean} Whether the runtime accepted the request
+         */
+        beacon(operation, params = {}) {
+            const beacon = getBeacon();
+            return beacon ? beacon(url, buildBody(operation, params)) : false;
+        }
+    };
+}
+
+/**
+ * Create a transport calling the spb/v1 REST API
+ *
+ * @param {Object}   options
+ * @param {string}   options.root        REST API root, such as https://example.com/wp-json/
+ * @param {string}   options.nonce       wp_rest nonce, for cookie-authenticated visitors
+ * @param {string}   options.credentials fetch credentials mode
+ * @param {Function} options.fetch       fetch implementation, defaults to the global one
+ * @return {Object} Transport with request() and beacon()
+ */
+export function createRestTransport({ root, nonce = '', credentials = 'same-origin', fetch: fetchImpl = globalThis.fetch } = {}) {
+    const buildUrl = (route, query) => {
+        // Sites without pretty permalinks use ?rest_route=/
+        let url = String(root).replace(/\/?$/, '/') + 'spb/v1/' + route;
+        const search = query ? toSearchParams(query).toString() : '';
+
+        if (search) {
+            url += (url.indexOf('?') === -1 ? '?' : '&') + search;
+        }
+
+        return url;
+    };
+
+    return {
+        name: 'rest',
+
+        /**
+         * Send a request and resolve with the response data
+         */
+        request(operation, params = {}, options = {}) {
+            const endpoint = getOperation(operation);
+            const hasBody = endpoint.method === 'POST';
+            const headers = { Accept: 'application/json' };
+
+            if (hasBody) {
+                headers['Content-Type'] = 'application/json';
+            }
+            if (nonce) {
+                headers['X-WP-Nonce'] = nonce;
+            }
+
+            const init = {
+                method: endpoint.method,
+                headers: headers,
+                credentials: credentials,
+                body: hasBody ? JSON.stringify(params) : undefined
+            };
+
+            return fetchWithTimeout(fetchImpl, buildUrl(endpoint.route, hasBody ? null : params), init, options)
+                .then(response => readJson(response).then(json => {
+                    if (!response.ok) {
+                        throw new SPBError((json && json.message) || 'Request failed', {
+                            code: (json && json.code) || 'rejected',
+                            status: response.status,
+                            data: json ? json.data : null
+                        });
+                    }
+
+                    return json;
+                }));
+        },
+
+        /**
+         * Hand a request to navigator.sendBeacon, for pages being unloaded
+         *
+         * @return {boolean} Whether the runtime accepted the request
+         */
+        beacon(operation, params = {}) {
+            const endpoint = getOperation(operation);
+            const beacon = getBeacon();
+
+            if (!beacon || endpoint.method !== 'POST') {
+                return false;
+            }
+
+            return beacon(buildUrl(endpoint.route), new Blob([JSON.stringify(params)], { type: 'application/json' }));
+        }
+    };
+}
+
+/**
+ * Create storage kept in memory, for runtimes without localStorage
+ */
+export function createMemoryStorage() {
+    const items = new Map();
+
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+/**
+ * Get localStorage where the runtime has it and allows it
+ */
+function getDefaultStorage() {
+    try {
+        if (typeof localStorage !== 'undefined') {
+            localStorage.getItem(CONSENT_KEY);
+            return localStorage;
+        }
+    } catch (error) {
+        // Disabled by the browser's privacy settings
+    }
+
+    return createMemoryStorage();
+}
+
+/**
+ * Wait for a delay, rejecting when the signal aborts
+ */
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, delay);
+
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(signal.reason || Object.assign(new Error('Aborted'), { name: 'AbortError' }));
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Create an SDK client
+ *
+ * @param {Object} options
+ * @param {Object} options.transport Transport from createAjaxTransport() or createRestTransport(),
+ *                                   or any object with the same request(operation, params, options)
+ * @param {string} options.sessionId Visitor session id the profile is kept under
+ * @param {string} options.sessionToken Token the server issued sessionId with, so the browser
+ *                                      may keep an anonymous session in its session cookie and
+ *                                      export or erase its data
+ * @param {boolean} options.sessionKept Whether the session cookie already keeps sessionId
+ * @param {boolean} options.signedIn Whether the visitor is signed in, so sessionId is their user's
+ * @param {boolean} options.mergeSession Whether the session cookie keeps an anonymous session
+ *                                       to merge into the signed-in visitor's profile
+ * @param {Object} options.storage   Storage with getItem, setItem and removeItem, sync or async;
+ *                                   localStorage by default
+ * @param {boolean} options.requireConsent  Only track once the visitor granted consent (default);
+ *                                          otherwise until they decline
+ * @param {Object[]} options.consentSignals Sources of consent decisions made outside the client, see
+ *                                          browserPrivacySignal(); the browser's by default
+ * @param {Object} options.interestModel    Options for createInterestModel() to keep the visitor's
+ *                                          interests on the device, exposed as client.interests
+ * @return {Object} Client
+ */
+export function createClient({
+    transport,
+    sessionId = '',
+    sessionToken = '',
+    sessionKept = false,
+    signedIn = false,
+    mergeSession = false,
+    storage = getDefaultStorage(),
+    requireConsent = true,
+    consentSignals = [browserPrivacySignal()],
+    interestModel = null
+} = {}) {
+    if (!transport || typeof transport.request !== 'function') {
+        throw new SPBError('A transport is required', { code: 'missing_transport' });
+    }
+
+    const consent = createConsent(storage, consentSignals, requireConsent);
+    const sessionListeners = new Set();
+
+    const session = {
+        /**
+         * Get the session id profiles are read and written under
+         *
+         * @return {string} Session id
+         */
+        id() {
+            return sessionId;
+        },
+
+        /**
+         * Switch to another session id in place; calls from now on use it
+         *
+         * @param {string} next Session id
+         * @return {string} The session id
+         */
+        swap(next) {
+            if (next && next !== sessionId) {
+                const previous = sessionId;
+                sessionId = next;
+                sessionListeners.forEach(listener => listener(next, previous));
+            }
+
+            return sessionId;
+        },
+
+        /**
+         * Listen for the session changing, or another merged into it
+         *
+         * @param {Function} listener Called with the new and the previous session id; the previous
+         *                            is empty when a session was merged into the one in use
+         * @return {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            sessionListeners.add(listener);
+            return () => sessionListeners.delete(listener);
+        },
+
+        /**
+         * Resolves with the session id once the browser's anonymous session was merged
+         *
+         * @type {Promise<string>}
+         */
+        ready: null
+    };
+
+    // After a merge the client goes on with the user's session; a page already on it tells listeners it grew
+    const adoptMergedProfile = profile => {
+        signedIn = true;
+
+        if (profile && profile.session_id && profile.session_id !== sessionId) {
+            return session.swap(profile.session_id);
+        }
+
+        sessionListeners.forEach(listener => listener(sessionId, ''));
+        return sessionId;
+    };
+
+    // The server keeps the anonymous session in an HttpOnly cookie; signed-in visitors have it merged into theirs
+    session.ready = Promise.resolve(storage.removeItem(LEGACY_SESSION_KEY)).then(() => {
+        if (!signedIn || !mergeSession) {
+            return sessionId;
+        }
+
+        return transport.request('mergeProfile', {}).then(adoptMergedProfile);
+    }).catch(() => sessionId);
+
+    // The anonymous session is only kept, and so only outlives the page, while tracking is allowed
+    session.ready.then(() => {
+        const keepSession = state => {
+            if (signedIn) {
+                return;
+            }
+
+            if (consent.allows(state) && !sessionKept) {
+                sessionKept = true;
+                return transport.request('keepSession', { session_id: sessionId, session_token: sessionToken })
+                    .catch(() => { sessionKept = false; });
+            }
+
+            if (!consent.allows(state) && sessionKept) {
+                sessionKept = false;
+                return transport.request('forgetSession', {}).catch(() => { sessionKept = true; });
+            }
+        };
+
+        consent.subscribe(keepSession);
+        return consent.get().then(keepSession);
+    }).catch(() => {});
+
+    const search = {
+        /**
+         * Generate a page for a search, or queue its generation
+         *
+         * The page is recorded against the visitor's session, for their data
+         * export, only while tracking is allowed.
+         *
+         * @param {string} query Search query
+         * @param {Object} options source: where the query came from; async: queue and
+         *                         poll status() (default), or wait for the page; signal
+         * @return {Promise<Object>} Job data with status 'queued' or 'completed', or the page
+         */
+        generate(query, { source = '', async = true, signal, timeout } = {}) {
+            const params = {
+                query: query,
+                source: source,
+                async: async ? 1 : 0
+            };
+
+            if (consent.allows(consent.current())) {
+                params.session_id = sessionId;
+            }
+
+            return transport.request('generateSearchPage', params, { signal: signal, timeout: timeout });
+        },
+
+        /**
+         * Get the status of a page generation
+         *
+         * @param {string} query Search query
+         * @param {Object} options stream: include rendered components; received:
+         *                         component types already shown; queryHash; signal
+         * @return {Promise<Object>} Status: 'generating', 'completed', 'pending_approval' or 'error'
+         */
+        status(query, { stream = false, received = [], queryHash = '', signal, timeout } = {}) {
+            return transport.request('getGenerationStatus', {
+                search_query: query,
+                query_hash: queryHash,
+                stream: stream ? 1 : 0,
+                received: received.join(',')
+            }, { signal: signal, timeout: timeout });
+        },
+
+        /**
+         * Get the site vocabulary and page titles searches are normalized with
+         *
+         * @return {Promise<Object>} vocabulary and destinations, for SPBQuery.setLexicon()
+         */
+        lexicon({ signal, timeout } = {}) {
+            return transport.request('getQueryLexicon', {}, { signal: signal, timeout: timeout });
+        },
+
+        /**
+         * Generate a page and poll until it is ready
+         *
+         * Network failures while polling are retried with backoff until the deadline.
+         *
+         * @param {string} query Search query
+         * @param {Object} options source; stream; onProgress, called with every status;
+         *                         signal; deadline in milliseconds (default 60000)
+         * @return {Promise<Object>} The 'completed' status with page_id and page_url
+         */
+        waitForPage(query, { source = '', stream = false, onProgress, signal, deadline = 60000 } = {}) {
+            const startedAt = Date.now();
+            const received = [];
+
+            const report = status => {
+                if (stream && status.components) {
+                    received.push(...Object.keys(status.components).filter(type => received.indexOf(type) === -1));
+                }
+                if (onProgress) {
+                    onProgress(status);
+                }
+                return status;
+            };
+
+            const settle = status => {
+                if (status.status === 'completed') {
+                    return status;
+                }
+                if (status.status === 'pending_approval' || status.status === 'error') {
+                    throw new SPBError(status.error || status.message || 'Generation failed', { code: status.status, data: status });
+                }
+                return poll(status.poll_interval || 1500);
+            };
+
+            const poll = interval => {
+                if (Date.now() - startedAt > deadline) {
+                    return Promise.reject(new SPBError('Generation timed out', { code: 'timeout' }));
+                }
+
+                return wait(interval, signal)
+                    .then(() => search.status(query, { stream: stream, received: received, signal: signal }))
+                    .then(status => settle(report(status)), error => {
+                        if (error && error.code === 'network') {
+                            return poll(interval * 2);
+                        }
+                        throw error;
+                    });
+            };
+
+            return search.generate(query, { source: source, signal: signal })
+                .then(job => settle(report(job)));
+        }
+    };
+
+    const tracking = {
+        /**
+         * Send a batch of events
+         *
+         * Rejects with code 'consent_required' unless consent allows tracking.
+         *
+         * @param {Object[]} events Events with id, channel, type, data, session_id, url and timestamp
+         * @param {Object} options batchId, so retried batches are stored once; signal
+         * @return {Promise<Object>} accepted and rejected counts
+         */
+        send(events, { batchId = getBatchId(events), signal, timeout } = {}) {
+            return consent.get().then(state => {
+                if (!consent.allows(state)) {
+                    throw new SPBError('Tracking requires consent', { code: 'consent_required' });
+                }
+
+                return transport.request('trackEvents', {
+                    batch_id: batchId,
+                    events: JSON.stringify(events)
+                }, { signal: signal, timeout: timeout });
+            });
+        },
+
+        /**
+         * Hand a batch of events to navigator.sendBeacon, for pages being unloaded
+         *
+         * @return {boolean} Whether the runtime accepted the batch; false without consent
+         */
+        beacon(events, { batchId = getBatchId(events) } = {}) {
+            return consent.allows(consent.current()) && typeof transport.beacon === 'function' && transport.beacon('trackEvents', {
+                batch_id: batchId,
+                events: JSON.stringify(events)
+            });
+        },
+
+        /**
+         * Send a single event right away
+         *
+         * @param {string} type Event type
+         * @param {Object} data Event data
+         * @param {Object} options channel: 'public' (default) or 'personalization'; url
+         * @return {Promise<Object>} accepted and rejected counts
+         */
+        track(type, data = {}, { channel = 'public', url = '' } = {}) {
+            return tracking.send([createEvent(channel, type, data, sessionId, url)]);
+        }
+    };
+
+    return {
+        transport: transport,
+        session: session,
+
+        /**
+         * The current session id, as session.id()
+         */
+        get sessionId() {
+            return sessionId;
+        },
+
+        search: search,
+        tracking: tracking,
+        consent: consent,
+        interests: interestModel ? createInterestModel(Object.assign({ storage: storage }, interestModel)) : null,
+
+        feedback: {
+            /**
+             * Send feedback on a generated page
+             *
+             * @param {Object} feedback page_id, source, feedback_type and optional selected_text and comment
+             * @return {Promise<Object>} feedback_id
+             */
+            submit(feedback, { signal, timeout } = {}) {
+                return transport.request('submitFeedback', feedback, { signal: signal, timeout: timeout });
+            }
+        },
+
+        profile: {
+            /**
+             * Get the visitor's interest profile
+             *
+             * @return {Promise<Object>} session_id; interests, scores from 0 to 1 keyed by interest with
+             *                           the visitor's preferences applied; inferred scores; preferences
+             */
+            get({ signal, timeout } = {}) {
+                return transport.request('getProfile', { session_id: sessionId }, { signal: signal, timeout: timeout });
+            },
+
+            /**
+             * Clear the visitor's interests and the signals behind them
+             *
+             * @return {Promise<Object>} reset
+             */
+            reset({ signal, timeout } = {}) {
+                return transport.request('resetProfile', { session_id: sessionId }, { signal: signal, timeout: timeout });
+            },
+
+            /**
+             * Mute, pin, weigh or add one of the visitor's interests
+             *
+             * @param {string} interest Interest, inferred or a topic to add
+             * @param {Object} changes  Any of muted, pinned, added (booleans) and weight (0 to 1,
+             *                          or null to go back to the inferred score)
+             * @return {Promise<Object>} The updated profile
+             */
+            updateInterest(interest, changes = {}, { signal, timeout } = {}) {
+                const params = { session_id: sessionId, interest: interest };
+
+                ['muted', 'pinned', 'added'].forEach(flag => {
+                    if (flag in changes) {
+                        params[flag] = changes[flag] ? 1 : 0;
+                    }
+                });
+
+                if ('weight' in changes) {
+                    params.weight = changes.weight === null ? '' : changes.weight;
+                }
+
+                return transport.request('updateInterestPreference', params, { signal: signal, timeout: timeout });
+            },
+
+            /**
+             * Merge the browser's anonymous session into the signed-in visitor's profile
+             *
+             * Only the session the server kept in the browser's session cookie
+             * is merged, and the client switches to the user's session id. Done
+             * on its own for pages loaded signed in; see session.ready.
+             *
+             * @return {Promise<Object>} The merged profile, see get()
+             */
+            merge({ signal, timeout } = {}) {
+                return transport.request('mergeProfile', {}, { signal: signal, timeout: timeout }).then(profile => {
+                    adoptMergedProfile(profile);
+                    return profile;
+                });
+            },
+
+            /**
+             * Export everything recorded about the visitor
+             *
+             * @return {Promise<Object>} session_id, exported_at, interests, inferred, preferences,
+             *                           interactions and generated_pages
+             */
+            export({ signal, timeout } = {}) {
+                return transport.request('exportPersonalData', { session_id: sessionId, session_token: sessionToken }, { signal: signal, timeout: timeout });
+            },
+
+            /**
+             * Ask to erase everything recorded about the visitor
+             *
+             * Logged-in visitors confirm by email; anonymous visitors confirm
+             * with confirmErasure() from the same browser, which keeps the
+             * token in an HttpOnly cookie.
+             *
+             * @return {Promise<Object>} status 'confirmation_sent', or 'confirm' with expires_in
+             */
+            requestErasure({ signal, timeout } = {}) {
+                return transport.request('requestDataErasure', { session_id: sessionId, session_token: sessionToken }, { signal: signal, timeout: timeout });
+            },
+
+            /**
+             * Erase everything recorded about the visitor after requestErasure()
+             *
+             * @return {Promise<Object>} erased and items_removed
+             */
+            confirmErasure({ signal, timeout } = {}) {
+                return transport.request('confirmDataErasure', { session_id: sessionId }, { signal: signal, timeout: timeout });
+            },
+
+            /**
+             * Apply preferences to inferred interests without a request, for
+             * scripts that can't import the module; see applyInterestPreferences()
+             */
+            applyPreferences: applyInterestPreferences
+        },
+
+        recommendations: {
+            /**
+             * Get content recommended for the visitor
+             *
+             * Given segments, recommendations are drawn from them alone and the
+             * request carries no session id.
+             *
+             * @param {Object} options pageUrl: page the visitor is on, never recommended;
+             *                         segments: segment ids from an interest model, strongest first
+             * @return {Promise<Object[]>} Recommendations with id, title, excerpt, url and score
+             */
+            get({ pageUrl = '', segments = null, signal, timeout } = {}) {
+                const request = segments
+                    ? transport.request('getSegmentRecommendations', {
+                        segments: segments.join(','),
+                        page_url: pageUrl
+                    }, { signal: signal, timeout: timeout })
+                    : transport.request('getRecommendations', {
+                        session_id: sessionId,
+                        page_url: pageUrl
+                    }, { signal: signal, timeout: timeout });
+
+                return request.then(data => (data && data.recommendations) || []);
+            }
+        }
+    };
+}
+
+/**
+ * Create the consent state machine
+ *
+ * The visitor's decision is kept in storage. Signals report decisions made
+ * elsewhere - the browser's privacy settings, a consent management platform -
+ * and the most restrictive one wins: a denial from any source denies
+ * tracking, and consent from a signal counts until the visitor declines.
+ */
+function createConsent(storage, signals, required) {
+    const listeners = new Set();
+    let state = CONSENT_STATES.UNKNOWN;
+
+    const readStored = () => Promise.all([storage.getItem(CONSENT_KEY), storage.getItem(LEGACY_DISABLED_KEY)]).then(([value, disabled]) => {
+        // Tracking disabled with an earlier release stays disabled until the visitor grants consent again
+        if (disabled === 'true' && value !== CONSENT_STATES.DENIED) {
+            return CONSENT_STATES.WITHDRAWN;
+        }
+
+        // Earlier releases stored a boolean
+        if (value === 'true') {
+            return CONSENT_STATES.GRANTED;
+        }
+        if (value === 'false') {
+            return CONSENT_STATES.DENIED;
+        }
+
+        return Object.values(CONSENT_STATES).includes(value) ? value : CONSENT_STATES.UNKNOWN;
+    });
+
+    const resolve = stored => {
+        const decisions = signals.map(signal => signal.read());
+
+        if (stored === CONSENT_STATES.DENIED || stored === CONSENT_STATES.WITHDRAWN) {
+            return stored;
+        }
+        if (decisions.includes(CONSENT_STATES.DENIED)) {
+            return CONSENT_STATES.DENIED;
+        }
+        if (stored === CONSENT_STATES.GRANTED || decisions.includes(CONSENT_STATES.GRANTED)) {
+            return CONSENT_STATES.GRANTED;
+        }
+
+        return CONSENT_STATES.UNKNOWN;
+    };
+
+    const update = next => {
+        const previous = state;
+        state = next;
+
+        if (next !== previous) {
+            listeners.forEach(listener => listener(next, previous));
+        }
+
+        return next;
+    };
+
+    const consent = {
+        /**
+         * Get the visitor's consent state
+         *
+         * @return {Promise<string>} One of CONSENT_STATES
+         */
+        get() {
+            return readStored().then(stored => update(resolve(stored)));
+        },
+
+        /**
+         * The state last read, for callers that cannot wait
+         *
+         * @return {string} One of CONSENT_STATES
+         */
+        current() {
+            return state;
+        },
+
+        /**
+         * Record that the visitor granted consent
+         *
+         * @return {Promise<string>} The new state
+         */
+        grant() {
+            return consent.transition('grant');
+        },
+
+        /**
+         * Record that the visitor declined, or withdrew the consent they gave
+         *
+         * @return {Promise<string>} The new state
+         */
+        decline() {
+            return consent.transition('decline');
+        },
+
+        /**
+         * Apply a decision to the stored state; decisions a state has no
+         * transition for leave it unchanged
+         *
+         * @param {string} decision 'grant' or 'decline'
+         * @return {Promise<string>} The new state
+         */
+        transition(decision) {
+            return readStored().then(stored => {
+                const next = CONSENT_TRANSITIONS[stored][decision];
+                if (!next) {
+                    return stored;
+                }
+
+                return Promise.all([storage.setItem(CONSENT_KEY, next), storage.removeItem(LEGACY_DISABLED_KEY)]).then(() => next);
+            }).then(stored => update(resolve(stored)));
+        },
+
+        /**
+         * Whether a state allows tracking
+         *
+         * @param {string} consentState One of CONSENT_STATES
+         * @return {boolean}
+         */
+        allows(consentState) {
+            return consentState === CONSENT_STATES.GRANTED || (!required && consentState === CONSENT_STATES.UNKNOWN);
+        },
+
+        /**
+         * Listen for consent changes, whether the visitor or a signal made them
+         *
+         * @param {Function} listener Called with the new and the previous state
+         * @return {Function} Unsubscribe
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+
+    signals.forEach(signal => {
+        if (typeof signal.subscribe === 'function') {
+            signal.subscribe(() => consent.get());
+        }
+    });
+
+    consent.get();
+
+    return consent;
+}
+
+/**
+ * Apply a visitor's preferences to their inferred interests
+ *
+ * Muted interests are dropped, set weights replace inferred scores and added
+ * topics count at their weight. Pinned interests come first, then the
+ * strongest. SPB_Visitor_Profile::apply_preferences() does the same on the
+ * server.
+ *
+ * @param {Object} inferred    Inferred scores keyed by interest
+ * @param {Object} preferences Preferences with muted, pinned, added and weight, keyed by interest
+ * @return {Object} Scores keyed by interest, in order
+ */
+export function applyInterestPreferences(inferred = {}, preferences = {}) {
+    const scores = {};
+
+    new Set(Object.keys(inferred).concat(Object.keys(preferences))).forEach(interest => {
+        const preference = preferences[interest] || {};
+        if (preference.muted) {
+            return;
+        }
+
+        const score = typeof preference.weight === 'number' ? preference.weight : inferred[interest];
+        if (typeof score === 'number') {
+            scores[interest] = score;
+        }
+    });
+
+    const pinned = interest => (preferences[interest] && preferences[interest].pinned ? 1 : 0);
+
+    return Object.keys(scores)
+        .sort((a, b) => (pinned(b) - pinned(a)) || (scores[b] - scores[a]))
+        .reduce((result, interest) => Object.assign(result, { [interest]: scores[interest] }), {});
+}
+
+/**
+ * Weigh a term by TF-IDF
+ *
+ * @param {number} occurrences       Times the term occurs in the document
+ * @param {number} totalTerms        Terms in the document
+ * @param {number} documents         Documents in the collection
+ * @param {number} documentsWithTerm Documents the term occurs in
+ * @return {number} Weight; 0 for terms every document has
+ */
+export function tfIdf(occurrences, totalTerms, documents, documentsWithTerm) {
+    if (!totalTerms || !documentsWithTerm || documents < documentsWithTerm) {
+        return 0;
+    }
+
+    return (occurrences / totalTerms) * Math.log(documents / documentsWithTerm);
+}
+
+/**
+ * Decay a score exponentially with its age
+ *
+ * At the default rate of 0.1 a day, half a day keeps 95% of a score and
+ * eight days 45%.
+ *
+ * @param {number} score   Score
+ * @param {number} ageDays Age in days
+ * @param {number} rate    Decay rate per day
+ * @return {number} Decayed score
+ */
+export function decayScore(score, ageDays, rate) {
+    return score * Math.exp(-rate * Math.max(0, ageDays));
+}
+
+/**
+ * Create an interest model kept on the device
+ *
+ * The visitor's interests are built from the taxonomy terms of the pages
+ * they read, each weighed by TF-IDF and by how engaged they were, and
+ * decay over time. The model stays in storage; only the ids of its strongest
+ * coarse segments are meant to leave the device.
+ *
+ * @param {Object} options
+ * @param {Object} options.storage      Storage with getItem, setItem and removeItem; localStorage by default
+ * @param {number} options.decayRate    Decay rate per day
+ * @param {number} options.maxInterests Terms kept; the weakest are dropped
+ * @param {Function} options.now        Clock, for tests
+ * @return {Object} Model
+ */
+export function createInterestModel({
+    storage = getDefaultStorage(),
+    decayRate = 0.1,
+    maxInterests = 50,
+    now = Date.now
+} = {}) {
+    const load = () => Promise.resolve(storage.getItem(INTEREST_MODEL_KEY)).then(value => {
+        try {
+            return (value && JSON.parse(value).terms) || {};
+        } catch (error) {
+            return {};
+        }
+    });
+
+    const save = terms => Promise.resolve(storage.setItem(INTEREST_MODEL_KEY, JSON.stringify({ terms: terms })));
+
+    // Scores as of now; terms store the score at their last update
+    const decayed = terms => {
+        const time = now();
+
+        return Object.keys(terms).map(slug => ({
+            slug: slug,
+            segment: terms[slug].segment || null,
+            score: decayScore(terms[slug].score, (time - terms[slug].updated) / DAY_IN_MS, decayRate)
+        }));
+    };
+
+    const model = {
+        /**
+         * Record a page the visitor engaged with
+         *
+         * @param {Object[]} pageTerms  Terms of the page with slug, idf and segment
+         * @param {number}   engagement Weight of the visit, 1 for a plain view
+         * @return {Promise<Object>} Interests after the visit
+         */
+        observe(pageTerms, engagement = 1) {
+            if (!pageTerms || pageTerms.length === 0 || engagement <= 0) {
+                return model.interests();
+            }
+
+            return load().then(terms => {
+                const time = now();
+
+                decayed(terms).forEach(term => {
+                    terms[term.slug].score = term.score;
+                    terms[term.slug].updated = time;
+                });
+
+                pageTerms.forEach(term => {
+                    // Each term occurs once among the page's terms
+                    const weight = (term.idf || 0) / pageTerms.length * engagement;
+                    const current = terms[term.slug] || { score: 0, segment: term.segment || null };
+
+                    terms[term.slug] = {
+                        score: current.score + weight,
+                        segment: term.segment || current.segment,
+                        updated: time
+                    };
+                });
+
+                const kept = Object.keys(terms)
+                    .sort((a, b) => terms[b].score - terms[a].score)
+                    .slice(0, maxInterests)
+                    .reduce((result, slug) => Object.assign(result, { [slug]: terms[slug] }), {});
+
+                return save(kept);
+            }).then(() => model.interests());
+        },
+
+        /**
+         * Get the visitor's interests
+         *
+         * @return {Promise<Object>} Scores from 0 to 1 keyed by term slug, relative to the strongest
+         */
+        interests() {
+            return load().then(terms => {
+                const scores = decayed(terms).filter(term => term.score > 0);
+                const strongest = Math.max(0, ...scores.map(term => term.score));
+
+                return scores
+                    .sort((a, b) => b.score - a.score)
+                    .reduce((result, term) => Object.assign(result, { [term.slug]: term.score / strongest }), {});
+            });
+        },
+
+        /**
+         * Get the visitor's strongest segments
+         *
+         * With preferences, muted terms are left out, set weights replace the
+         * relative score of a term and topics the visitor added count as
+         * their own segment; pinned segments come first.
+         *
+         * @param {number} limit       Number of segments
+         * @param {Object} preferences Preferences keyed by term, see applyInterestPreferences()
+         * @return {Promise<string[]>} Segment ids, strongest first
+         */
+        segments(limit = 3, preferences = {}) {
+            return model.interests().then(interests => load().then(terms => {
+                const scores = {};
+                const pinned = new Set();
+
+                Object.entries(applyInterestPreferences(interests, preferences)).forEach(([slug, score]) => {
+                    const segment = terms[slug] ? terms[slug].segment : (preferences[slug] && preferences[slug].added ? slug : null);
+                    if (!segment || score <= 0) {
+                        return;
+                    }
+
+                    scores[segment] = (scores[segment] || 0) + score;
+                    if (preferences[slug] && preferences[slug].pinned) {
+                        pinned.add(segment);
+                    }
+                });
+
+                return Object.keys(scores)
+                    .sort((a, b) => (pinned.has(b) - pinned.has(a)) || (scores[b] - scores[a]))
+                    .slice(0, limit);
+            }));
+        },
+
+        /**
+         * Forget everything the model learned
+         *
+         * @return {Promise}
+         */
+        clear() {
+            return Promise.resolve(storage.removeItem(INTEREST_MODEL_KEY));
+        }
+    };
+
+    return model;
+}
+
+/**
+ * Consent signal for the browser's privacy settings
+ *
+ * Global Privacy Control and Do Not Track deny tracking; browsers sending
+ * neither leave the decision to the visitor.
+ *
+ * @param {Object} browser Object with globalPrivacyControl and doNotTrack; navigator by default
+ * @return {Object} Signal with read() returning 'denied' or null
+ */
+export function browserPrivacySignal(browser = globalThis.navigator) {
+    return {
+        read() {
+            if (!browser) {
+                return null;
+            }
+
+            const doNotTrack = browser.doNotTrack || globalThis.doNotTrack;
+            const optedOut = browser.globalPrivacyControl === true || doNotTrack === '1' || doNotTrack === 'yes';
+
+            return optedOut ? CONSENT_STATES.DENIED : null;
+        }
+    };
+}
+
+/**
+ * Create a tracking event
+ */
+function createEvent(channel, type, data, sessionId, url) {
+    return {
+        id: generateId(),
+        channel: channel,
+        type: type,
+        data: data,
+        session_id: sessionId,
+        url: url,
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Derive a batch id from the ids of its first and last events
+ */
+function getBatchId(events) {
+    return events.length ? events[0].id + events[events.length - 1].id : '';
+}
+
+/**
+ * Generate a unique event id
+ */
+export function generateId() {
+    if (globalThis.crypto && globalThis.crypto.randomUUID) {
+        return globalThis.crypto.randomUUID().replace(/-/g, '');
+    }
+
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 12);
+}
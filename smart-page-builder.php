@@ -72,7 +72,7 @@ define('SPB_V3_CONTENT_APPROVAL', true);
 /**
  * Database version for migrations
  */
-define('SPB_DB_VERSION', '3.0.11');
+define('SPB_DB_VERSION', '3.0.13');
 
 /**
  * Minimum WordPress version required
@@ -254,8 +254,10 @@ add_filter('admin_body_class', 'spb_admin_body_class');
  */
 function spb_upgrade_check() {
     $installed_version = get_option('spb_version', '0.0.0');
+    $installed_db_version = get_option('spb_db_version', '0.0.0');
     
-    if (version_compare($installed_version, SPB_VERSION, '<')) {
+    // Schema changes bump SPB_DB_VERSION without a plugin release, so either one runs the upgrade
+    if (version_compare($installed_version, SPB_VERSION, '<') || version_compare($installed_db_version, SPB_DB_VERSION, '<')) {
         // Run upgrade routine
         require_once SPB_PLUGIN_DIR . 'includes/class-activator.php';
         Smart_Page_Builder_Activator::upgrade($installed_version, SPB_VERSION);
@@ -0,0 +1,54 @@
+<?php
+/**
+ * Commercial Template: Article
+ *
+ * Key points and the main article content.
+ *
+ * Expects $content, $attribution (SPB_Conversion_Attribution) and
+ * $experiments (SPB_Experiments). Also rendered on its own while a page
+ * streams into the search results shell.
+ *
+ * @package Smart_Page_Builder
+ * @subpackage Templates
+ * @since 3.7.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<!-- Features/Benefits Section -->
+<section class="spb-features-section">
+    <div class="spb-container">
+        <h2 class="spb-section-title">Why Choose Our Solution?</h2>
+        <div class="spb-features-grid">
+            <?php if (!empty($content['article']['key_points'])): ?>
+                <?php foreach ($content['article']['key_points'] as $index => $point): ?>
+                    <div class="spb-feature-item">
+                        <div class="spb-feature-icon">
+                            <span class="spb-icon-placeholder">🚀</span>
+                        </div>
+                        <h3 class="spb-feature-title">Feature <?php echo $index + 1; ?></h3>
+                        <p class="spb-feature-description"><?php echo esc_html($point); ?></p>
+                    </div>
+                <?php endforeach; ?>
+            <?php endif; ?>
+        </div>
+    </div>
+</section>
+
+<!-- Main Content -->
+<section class="spb-content-section">
+    <div class="spb-container">
+        <?php if (!empty($content['article']['image']) && class_exists('SPB_Responsive_Image')): ?>
+            <figure class="spb-article-image">
+                <?php echo (new SPB_Responsive_Image())->render($content['article']['image'], array('template' => 'commercial')); ?>
+            </figure>
+        <?php endif; ?>
+        <?php if (!empty($content['article']['content'])): ?>
+            <div class="spb-content-wrapper">
+                <?php echo wp_kses_post($content['article']['content']); ?>
+            </div>
+        <?php endif; ?>
+    </div>
+</section>
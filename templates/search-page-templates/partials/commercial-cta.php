@@ -0,0 +1,59 @@
+<?php
+/**
+ * Commercial Template: CTA
+ *
+ * Closing call to action, once per experiment variant.
+ *
+ * Expects $content, $attribution (SPB_Conversion_Attribution) and
+ * $experiments (SPB_Experiments). Also rendered on its own while a page
+ * streams into the search results shell.
+ *
+ * @package Smart_Page_Builder
+ * @subpackage Templates
+ * @since 3.7.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<!-- Final CTA Section, once per experiment variant -->
+<?php $cta_variants = $experiments->get_variant_contents($content['cta'] ?? [], 'cta'); ?>
+<?php echo $experiments->open_variants($cta_variants); ?>
+<?php foreach ($cta_variants as $cta): ?>
+<section class="spb-final-cta"<?php echo $attribution->get_component_attributes($cta, 'cta') . $experiments->get_hidden_attribute($cta); ?>>
+    <div class="spb-container">
+        <div class="spb-cta-content">
+            <h2 class="spb-cta-headline"><?php echo esc_html($cta['headline'] ?? 'Ready to Get Started?'); ?></h2>
+            <p class="spb-cta-description"><?php echo esc_html($cta['description'] ?? 'Join thousands of satisfied customers today'); ?></p>
+            
+            <div class="spb-cta-actions">
+                <?php if (!empty($cta['primary_button'])): ?>
+                    <a href="<?php echo esc_url($cta['primary_button']['url'] ?? '#'); ?>" class="spb-btn spb-btn-cta-primary spb-btn-large"<?php echo $attribution->get_button_attributes($cta['primary_button']); ?>>
+                        <?php echo esc_html($cta['primary_button']['text'] ?? 'Get Started'); ?>
+                    </a>
+                <?php endif; ?>
+                
+                <?php if (!empty($cta['secondary_button'])): ?>
+                    <a href="<?php echo esc_url($cta['secondary_button']['url'] ?? '#'); ?>" class="spb-btn spb-btn-cta-secondary"<?php echo $attribution->get_button_attributes($cta['secondary_button']); ?>>
+                        <?php echo esc_html($cta['secondary_button']['text'] ?? 'Contact Sales'); ?>
+                    </a>
+                <?php endif; ?>
+            </div>
+            
+            <!-- Value propositions -->
+            <?php if (!empty($cta['value_propositions'])): ?>
+                <div class="spb-value-props">
+                    <?php foreach ($cta['value_propositions'] as $prop): ?>
+                        <div class="spb-value-prop">
+                            <span class="spb-value-prop-icon">✓</span>
+                            <span class="spb-value-prop-text"><?php echo esc_html($prop); ?></span>
+                        </div>
+                    <?php endforeach; ?>
+                </div>
+            <?php endif; ?>
+        </div>
+    </div>
+</section>
+<?php endforeach; ?>
+<?php echo $experiments->close_variants($cta_variants); ?>
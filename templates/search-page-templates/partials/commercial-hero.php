@@ -0,0 +1,59 @@
+<?php
+/**
+ * Commercial Template: Hero
+ *
+ * Hero section with a strong CTA, once per experiment variant.
+ *
+ * Expects $content, $attribution (SPB_Conversion_Attribution) and
+ * $experiments (SPB_Experiments). Also rendered on its own while a page
+ * streams into the search results shell.
+ *
+ * @package Smart_Page_Builder
+ * @subpackage Templates
+ * @since 3.7.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<!-- Hero Section with Strong CTA, once per experiment variant -->
+<?php $hero_variants = $experiments->get_variant_contents($content['hero'] ?? [], 'hero'); ?>
+<?php echo $experiments->open_variants($hero_variants); ?>
+<?php foreach ($hero_variants as $hero): ?>
+<section class="spb-hero-commercial"<?php echo $attribution->get_component_attributes($hero, 'hero') . $experiments->get_hidden_attribute($hero); ?>>
+    <div class="spb-hero-container">
+        <div class="spb-hero-content">
+            <h1 class="spb-hero-headline"><?php echo esc_html($hero['headline'] ?? 'Transform Your Business Today'); ?></h1>
+            <p class="spb-hero-subheadline"><?php echo esc_html($hero['subheadline'] ?? 'Discover the solution that drives results'); ?></p>
+            
+            <div class="spb-hero-actions">
+                <a href="<?php echo esc_url($hero['cta_primary']['url'] ?? '#contact'); ?>" class="spb-btn spb-btn-primary spb-btn-large"<?php echo $attribution->get_button_attributes($hero['cta_primary'] ?? []); ?>>
+                    <?php echo esc_html($hero['cta_primary']['text'] ?? 'Get Started Now'); ?>
+                </a>
+                <a href="<?php echo esc_url($hero['cta_secondary']['url'] ?? '#learn-more'); ?>" class="spb-btn spb-btn-secondary"<?php echo $attribution->get_button_attributes($hero['cta_secondary'] ?? []); ?>>
+                    <?php echo esc_html($hero['cta_secondary']['text'] ?? 'Learn More'); ?>
+                </a>
+            </div>
+            
+            <!-- Trust indicators -->
+            <div class="spb-trust-indicators">
+                <span class="spb-trust-item">✓ Trusted by 10,000+ businesses</span>
+                <span class="spb-trust-item">✓ 30-day money-back guarantee</span>
+                <span class="spb-trust-item">✓ 24/7 support</span>
+            </div>
+        </div>
+        
+        <div class="spb-hero-visual">
+            <?php if (!empty($hero['image']) && class_exists('SPB_Responsive_Image')): ?>
+                <?php echo (new SPB_Responsive_Image())->render($hero['image'], array('class' => 'spb-hero-image', 'template' => 'commercial', 'eager' => true)); ?>
+            <?php else: ?>
+                <div class="spb-hero-image-placeholder">
+                    <span class="spb-visual-hint"><?php echo esc_html($hero['visual_suggestion'] ?? 'Product showcase image'); ?></span>
+                </div>
+            <?php endif; ?>
+        </div>
+    </div>
+</section>
+<?php endforeach; ?>
+<?php echo $experiments->close_variants($hero_variants); ?>
@@ -0,0 +1,244 @@
+<?php
+/**
+ * Commercial Template: Styles
+ *
+ * Styles shared by the commercial template and its streamed components.
+ *
+ * @package Smart_Page_Builder
+ * @subpackage Templates
+ * @since 3.7.0
+ */
+
+if (!defined('ABSPATH')) {
+    exit;
+}
+?>
+<style>
+/* Commercial Template Styles */
+.spb-commercial-template {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+}
+
+.spb-hero-commercial {
+    background: linear-gradient(135deg, #2563eb, #1e40af);
+    color: white;
+    padding: 4rem 2rem;
+    text-align: center;
+}
+
+.spb-hero-container {
+    max-width: 1200px;
+    margin: 0 auto;
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 3rem;
+    align-items: center;
+}
+
+.spb-hero-headline {
+    font-size: 3rem;
+    font-weight: bold;
+    margin-bottom: 1rem;
+    line-height: 1.2;
+}
+
+.spb-hero-subheadline {
+    font-size: 1.25rem;
+    margin-bottom: 2rem;
+    opacity: 0.9;
+}
+
+.spb-hero-actions {
+    display: flex;
+    gap: 1rem;
+    justify-content: center;
+    margin-bottom: 2rem;
+}
+
+.spb-btn {
+    padding: 1rem 2rem;
+    border-radius: 0.5rem;
+    text-decoration: none;
+    font-weight: 600;
+    transition: all 0.3s ease;
+    display: inline-block;
+}
+
+.spb-btn-large {
+    padding: 1.25rem 2.5rem;
+    font-size: 1.125rem;
+}
+
+.spb-btn-primary {
+    background-color: #f59e0b;
+    color: white;
+}
+
+.spb-btn-primary:hover {
+    background-color: #d97706;
+}
+
+.spb-btn-secondary {
+    background-color: transparent;
+    color: white;
+    border: 2px solid white;
+}
+
+.spb-btn-secondary:hover {
+    background-color: white;
+    color: #2563eb;
+}
+
+.spb-trust-indicators {
+    display: flex;
+    justify-content: center;
+    gap: 2rem;
+    flex-wrap: wrap;
+    font-size: 0.875rem;
+    opacity: 0.9;
+}
+
+.spb-hero-image-placeholder {
+    background-color: rgba(255, 255, 255, 0.1);
+    border-radius: 0.5rem;
+    padding: 3rem;
+    text-align: center;
+    border: 2px dashed rgba(255, 255, 255, 0.3);
+}
+
+.spb-features-section {
+    padding: 4rem 2rem;
+    background-color: #f8fafc;
+}
+
+.spb-container {
+    max-width: 1200px;
+    margin: 0 auto;
+}
+
+.spb-section-title {
+    text-align: center;
+    font-size: 2.5rem;
+    margin-bottom: 3rem;
+    color: #1f2937;
+}
+
+.spb-features-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
+    gap: 2rem;
+}
+
+.spb-feature-item {
+    background: white;
+    padding: 2rem;
+    border-radius: 0.5rem;
+    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    text-align: center;
+}
+
+.spb-feature-icon {
+    font-size: 3rem;
+    margin-bottom: 1rem;
+}
+
+.spb-feature-title {
+    font-size: 1.25rem;
+    margin-bottom: 1rem;
+    color: #2563eb;
+}
+
+.spb-content-section {
+    padding: 4rem 2rem;
+}
+
+.spb-content-wrapper {
+    max-width: 800px;
+    margin: 0 auto;
+    font-size: 1.125rem;
+    line-height: 1.7;
+}
+
+.spb-final-cta {
+    background-color: #2563eb;
+    color: white;
+    padding: 4rem 2rem;
+    text-align: center;
+}
+
+.spb-cta-headline {
+    font-size: 2.5rem;
+    margin-bottom: 1rem;
+}
+
+.spb-cta-description {
+    font-size: 1.25rem;
+    margin-bottom: 2rem;
+    opacity: 0.9;
+}
+
+.spb-cta-actions {
+    margin-bottom: 2rem;
+}
+
+.spb-btn-cta-primary {
+    background-color: #f59e0b;
+    color: white;
+}
+
+.spb-btn-cta-secondary {
+    background-color: transparent;
+    color: white;
+    border: 2px solid white;
+    margin-left: 1rem;
+}
+
+.spb-value-props {
+    display: flex;
+    justify-content: center;
+    gap: 2rem;
+    flex-wrap: wrap;
+}
+
+.spb-value-prop {
+    display: flex;
+    align-items: center;
+    gap: 0.5rem;
+}
+
+.spb-value-prop-icon {
+    color: #f59e0b;
+    font-weight: bold;
+}
+
+/* Mobile Responsive */
+@media (max-width: 768px) {
+    .spb-hero-container {
+        grid-template-columns: 1fr;
+        text-align: center;
+    }
+    
+    .spb-hero-headline {
+        font-size: 2rem;
+    }
+    
+    .spb-hero-actions {
+        flex-direction: column;
+        align-items: center;
+    }
+    
+    .spb-trust-indicators {
+        flex-direction: column;
+        gap: 0.5rem;
+    }
+    
+    .spb-features-grid {
+        grid-template-columns: 1fr;
+    }
+    
+    .spb-value-props {
+        flex-direction: column;
+        align-items: center;
+    }
+}
+</style>
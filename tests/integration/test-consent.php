@@ -0,0 +1,70 @@
+<?php
+/**
+ * Tests for consent-gated tracking
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Consent_Test extends WP_UnitTestCase {
+
+    public function tearDown(): void {
+        unset($_SERVER['HTTP_SEC_GPC'], $_SERVER['HTTP_DNT']);
+        remove_all_filters('spb_consent_category');
+
+        parent::tearDown();
+    }
+
+    /**
+     * Test Global Privacy Control and Do Not Track opt a request out
+     */
+    public function test_browser_signals_opt_out() {
+        $consent = new SPB_Consent();
+        $this->assertFalse($consent->request_opted_out());
+
+        $_SERVER['HTTP_SEC_GPC'] = '1';
+        $this->assertTrue($consent->request_opted_out());
+
+        unset($_SERVER['HTTP_SEC_GPC']);
+        $_SERVER['HTTP_DNT'] = '1';
+        $this->assertTrue($consent->request_opted_out());
+
+        $_SERVER['HTTP_DNT'] = '0';
+        $this->assertFalse($consent->request_opted_out());
+    }
+
+    /**
+     * Test event batches from opted-out browsers are refused before anything is stored
+     */
+    public function test_opted_out_batches_are_refused() {
+        global $wpdb;
+
+        $_SERVER['HTTP_SEC_GPC'] = '1';
+        $before = (int) $wpdb->get_var("SELECT COUNT(*) FROM {$wpdb->prefix}spb_user_signals");
+
+        $result = (new SPB_Event_Collector())->receive_batch([
+            ['channel' => 'personalization', 'type' => 'content_interaction', 'session_id' => 'consent-test']
+        ]);
+
+        $this->assertWPError($result);
+        $this->assertEquals('tracking_opted_out', $result->get_error_code());
+        $this->assertEquals(403, $result->get_error_data());
+        $this->assertEquals($before, (int) $wpdb->get_var("SELECT COUNT(*) FROM {$wpdb->prefix}spb_user_signals"));
+    }
+
+    /**
+     * Test the client config carries the consent category
+     */
+    public function test_client_config() {
+        $consent = new SPB_Consent();
+
+        $config = $consent->get_client_config(true);
+        $this->assertTrue($config['required']);
+        $this->assertEquals('marketing', $config['category']);
+
+        add_filter('spb_consent_category', function() {
+            return 'statistics';
+        });
+        $this->assertEquals('statistics', $consent->get_client_config(false)['category']);
+    }
+}
@@ -0,0 +1,72 @@
+<?php
+/**
+ * Tests for CTA conversion attribution and the conversion report
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Conversion_Attribution_Test extends WP_UnitTestCase {
+
+    /**
+     * Test component ids are stable for equivalent queries and buttons get slot ids
+     */
+    public function test_stamp_component() {
+        $attribution = new SPB_Conversion_Attribution();
+
+        $this->assertEquals(
+            $attribution->get_component_id('cta', 'Smart  Home Hubs '),
+            $attribution->get_component_id('cta', 'smart home hubs')
+        );
+        $this->assertNotEquals(
+            $attribution->get_component_id('cta', 'smart home hubs'),
+            $attribution->get_component_id('hero', 'smart home hubs')
+        );
+
+        $cta = $attribution->stamp_component([
+            'headline' => 'Ready?',
+            'primary_button' => ['text' => 'Sign up', 'url' => '/signup']
+        ], 'cta', 'smart home hubs');
+
+        $this->assertStringStartsWith('cta-', $cta['component_id']);
+        $this->assertEquals(SPB_Conversion_Attribution::DEFAULT_VARIANT, $cta['variant']);
+        $this->assertEquals($cta['component_id'] . '-primary', $cta['primary_button']['cta_id']);
+        $this->assertArrayNotHasKey('secondary_button', $cta);
+
+        $stamped = $attribution->stamp_component(['component_id' => 'cta-custom', 'variant' => 'b'], 'cta', 'other query');
+        $this->assertEquals('cta-custom', $stamped['component_id'], 'Existing ids should be kept');
+        $this->assertEquals('b', $stamped['variant']);
+
+        $this->assertStringContainsString('data-spb-component-id="cta-custom"', $attribution->get_component_attributes($stamped, 'cta'));
+        $this->assertEquals('', $attribution->get_button_attributes(['text' => 'No id']));
+    }
+
+    /**
+     * Test exposures, clicks and attributed goals are counted per component variant and page
+     */
+    public function test_build_report() {
+        $click = ['component' => 'cta', 'component_id' => 'cta-1', 'variant' => 'control', 'page_id' => 7, 'query' => 'smart home'];
+
+        $report = (new SPB_Conversion_Report())->build_report([
+            ['type' => 'experiment_exposure', 'data' => $click],
+            ['type' => 'cta_click', 'data' => $click],
+            ['type' => 'cta_click', 'data' => $click],
+            ['type' => 'cta_click', 'data' => array_merge($click, ['variant' => 'b'])],
+            ['type' => 'goal', 'data' => array_merge($click, ['goal' => 'signup'])],
+            ['type' => 'goal', 'data' => ['goal' => 'signup', 'attributed' => false]]
+        ]);
+
+        $this->assertEquals(1, $report['overall']['exposures']);
+        $this->assertEquals(3, $report['overall']['clicks']);
+        $this->assertEquals(1, $report['overall']['conversions'], 'Unattributed goals should not be counted');
+
+        $this->assertCount(2, $report['components']);
+        $this->assertEquals('control', $report['components'][0]['variant']);
+        $this->assertEquals(0.5, $report['components'][0]['conversion_rate']);
+        $this->assertEquals(['signup' => 1], $report['components'][0]['goals']);
+        $this->assertEquals(0, $report['components'][1]['conversion_rate']);
+
+        $this->assertEquals(7, $report['pages'][0]['page_id']);
+        $this->assertEquals('smart home', $report['pages'][0]['query']);
+    }
+}
@@ -0,0 +1,78 @@
+<?php
+/**
+ * Tests for A/B experiments on generated heroes and CTAs
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Experiments_Test extends WP_UnitTestCase {
+
+    /**
+     * Clean up stored experiments
+     */
+    public function tearDown(): void {
+        delete_option(SPB_Experiments::OPTION_NAME);
+        parent::tearDown();
+    }
+
+    /**
+     * Test rows without an id or component are dropped and traffic is clamped
+     */
+    public function test_sanitize_experiments() {
+        $experiments = (new SPB_Experiments())->sanitize_experiments([
+            ['id' => 'CTA Copy', 'component_id' => 'cta-abc', 'headline' => '<b>Start now</b>', 'description' => 'Save files to C:\\Backups', 'traffic' => 250, 'running' => '1'],
+            ['id' => 'cta copy', 'component_id' => 'cta-def'],
+            ['id' => '', 'component_id' => 'hero-abc'],
+            ['id' => 'no-component', 'component_id' => '']
+        ]);
+
+        $this->assertCount(1, $experiments, 'Duplicate and incomplete rows should be dropped');
+        $this->assertEquals('ctacopy', $experiments[0]['id']);
+        $this->assertEquals('Start now', $experiments[0]['headline']);
+        $this->assertEquals('Save files to C:\\Backups', $experiments[0]['description'], 'Backslashes should be kept');
+        $this->assertEquals(100, $experiments[0]['traffic']);
+        $this->assertTrue($experiments[0]['running']);
+    }
+
+    /**
+     * Test running experiments render a control and a test variant
+     */
+    public function test_variant_contents() {
+        $manager = new SPB_Experiments();
+        update_option(SPB_Experiments::OPTION_NAME, $manager->sanitize_experiments([
+            ['id' => 'hero-test', 'component_id' => 'hero-abc', 'headline' => 'Variant headline', 'button_text' => 'Try it', 'traffic' => 30, 'running' => '1'],
+            ['id' => 'paused', 'component_id' => 'cta-abc', 'headline' => 'Paused', 'traffic' => 50]
+        ]));
+
+        $hero = [
+            'component_id' => 'hero-abc',
+            'headline' => 'Original headline',
+            'subheadline' => 'Original subheadline',
+            'cta_primary' => ['text' => 'Shop', 'url' => '/shop', 'cta_id' => 'hero-abc-primary']
+        ];
+
+        $variants = $manager->get_variant_contents($hero, 'hero');
+
+        $this->assertCount(2, $variants);
+        $this->assertEquals('Original headline', $variants[0]['headline']);
+        $this->assertEquals('', $manager->get_hidden_attribute($variants[0]));
+        $this->assertEquals('Variant headline', $variants[1]['headline']);
+        $this->assertEquals('Original subheadline', $variants[1]['subheadline'], 'Empty fields should keep the generated content');
+        $this->assertEquals('Try it', $variants[1]['cta_primary']['text']);
+        $this->assertEquals('/shop', $variants[1]['cta_primary']['url']);
+        $this->assertEquals(' hidden', $manager->get_hidden_attribute($variants[1]));
+        $this->assertStringContainsString('data-spb-experiment="hero-test"', $manager->open_variants($variants));
+
+        $cta = ['component_id' => 'cta-abc', 'headline' => 'Ready?'];
+        $this->assertEquals([$cta], $manager->get_variant_contents($cta, 'cta'), 'Paused experiments should not render variants');
+        $this->assertEquals('', $manager->open_variants([$cta]));
+
+        $client = $manager->get_client_experiments();
+        $this->assertCount(1, $client);
+        $this->assertEquals([
+            ['id' => 'control', 'weight' => 70],
+            ['id' => 'b', 'weight' => 30]
+        ], $client[0]['variants']);
+    }
+}
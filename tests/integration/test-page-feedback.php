@@ -0,0 +1,79 @@
+<?php
+/**
+ * Tests for visitor feedback on generated pages
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Page_Feedback_Test extends WP_UnitTestCase {
+
+    /**
+     * Test votes alone only flag a page once enough visitors found it unhelpful
+     */
+    public function test_summary_vote_threshold() {
+        $feedback = new SPB_Page_Feedback();
+
+        $few_votes = $feedback->build_summary(['helpful' => 0, 'not_helpful' => 3]);
+        $this->assertFalse($few_votes['needs_review'], 'A handful of votes should not flag a page');
+        $this->assertEquals(0, $few_votes['helpful_ratio']);
+
+        $mostly_unhelpful = $feedback->build_summary(['helpful' => '2', 'not_helpful' => '3']);
+        $this->assertTrue($mostly_unhelpful['needs_review']);
+        $this->assertEquals(5, $mostly_unhelpful['votes']);
+
+        $mostly_helpful = $feedback->build_summary(['helpful' => 8, 'not_helpful' => 2]);
+        $this->assertFalse($mostly_helpful['needs_review']);
+        $this->assertEquals(0.8, $mostly_helpful['helpful_ratio']);
+    }
+
+    /**
+     * Test reports and unsafe flags always flag a page for re-review
+     */
+    public function test_summary_reports_need_review() {
+        $feedback = new SPB_Page_Feedback();
+
+        $this->assertTrue($feedback->build_summary(['helpful' => 20, 'unsafe' => 1])['needs_review']);
+        $this->assertTrue($feedback->build_summary(['inaccuracies' => 1])['needs_review']);
+        $this->assertNull($feedback->build_summary([])['helpful_ratio']);
+    }
+
+    /**
+     * Test invalid submissions are rejected before anything is stored
+     */
+    public function test_submit_feedback_validation() {
+        $feedback = new SPB_Page_Feedback();
+
+        $result = $feedback->submit_feedback(['feedback_type' => 'spam', 'page_id' => 1, 'source' => 'post'], 'test');
+        $this->assertWPError($result);
+        $this->assertEquals('invalid_feedback_type', $result->get_error_code());
+
+        $result = $feedback->submit_feedback(['feedback_type' => 'helpful', 'page_id' => 0, 'source' => 'post'], 'test');
+        $this->assertEquals('invalid_page', $result->get_error_code());
+
+        $draft_id = self::factory()->post->create(['post_status' => 'draft']);
+        $result = $feedback->submit_feedback(['feedback_type' => 'helpful', 'page_id' => $draft_id, 'source' => 'post'], 'test');
+        $this->assertEquals('invalid_page', $result->get_error_code(), 'Unpublished posts should not accept feedback');
+
+        $post_id = self::factory()->post->create(['post_title' => 'Smart home hubs']);
+        $result = $feedback->submit_feedback(['feedback_type' => 'inaccuracy', 'page_id' => $post_id, 'source' => 'post'], 'test');
+        $this->assertEquals('empty_report', $result->get_error_code());
+    }
+
+    /**
+     * Test sites on an older schema are upgraded without a plugin release
+     */
+    public function test_schema_upgrade() {
+        global $wpdb;
+
+        update_option('spb_version', SPB_VERSION);
+        update_option('spb_db_version', '3.0.11');
+
+        spb_upgrade_check();
+
+        $this->assertEquals(SPB_DB_VERSION, get_option('spb_db_version'));
+
+        $wpdb->get_var("SELECT COUNT(*) FROM {$wpdb->prefix}spb_page_feedback");
+        $this->assertEmpty($wpdb->last_error);
+    }
+}
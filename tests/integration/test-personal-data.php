@@ -0,0 +1,161 @@
+<?php
+/**
+ * Tests for visitors' personal data export and erasure
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Personal_Data_Test extends WP_UnitTestCase {
+
+    /**
+     * Personal data
+     *
+     * @var SPB_Personal_Data
+     */
+    private $personal_data;
+
+    /**
+     * Token the test session was issued with
+     *
+     * @var string
+     */
+    private $session_token;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wpdb;
+
+        $this->personal_data = new SPB_Personal_Data(new SPB_Visitor_Profile());
+        $this->session_token = SPB_Visitor_Profile::get_session_token('data-test-session');
+
+        $wpdb->insert($wpdb->prefix . 'spb_user_interest_vectors', [
+            'session_id' => 'data-test-session',
+            'interest_category' => 'smart-home',
+            'interest_score' => 0.8
+        ]);
+        $wpdb->insert($wpdb->prefix . 'spb_user_signals', [
+            'session_id' => 'data-test-session',
+            'signal_type' => 'content_interaction',
+            'signal_data' => wp_json_encode(['url' => 'https://example.org/hubs/']),
+            'created_at' => '2026-01-01 10:00:00'
+        ]);
+        $wpdb->insert($wpdb->prefix . 'spb_analytics', [
+            'session_id' => 'data-test-session',
+            'event_type' => 'page_view',
+            'event_data' => wp_json_encode(['title' => 'Hubs']),
+            'created_at' => '2026-01-01 10:01:00'
+        ]);
+    }
+
+    public function tearDown(): void {
+        unset($_SERVER['HTTP_SEC_GPC'], $_COOKIE[SPB_Personal_Data::ERASURE_COOKIE]);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Test the export holds the profile, the interaction log and the triggered pages
+     */
+    public function test_export() {
+        $this->personal_data->record_triggered_page('smart home hub', 'abc123', 'data-test-session');
+
+        $data = $this->personal_data->export('data-test-session', $this->session_token);
+
+        $this->assertEquals(0.8, $data['interests']['smart-home']);
+        $this->assertEquals(['content_interaction', 'page_view', SPB_Personal_Data::TRIGGERED_PAGE_SIGNAL], wp_list_pluck($data['interactions'], 'type'));
+        $this->assertEquals('Hubs', $data['interactions'][1]['data']['title']);
+        $this->assertCount(1, $data['generated_pages']);
+        $this->assertEquals('smart home hub', $data['generated_pages'][0]['query']);
+        $this->assertNull($data['generated_pages'][0]['url'], 'Pages never generated have no URL');
+        $this->assertWPError($this->personal_data->export('', ''));
+    }
+
+    /**
+     * Test an anonymous session's data is only open with the token it was issued with
+     */
+    public function test_session_token_required() {
+        foreach (['', 'forged', SPB_Visitor_Profile::get_session_token('other-session')] as $token) {
+            $result = $this->personal_data->export('data-test-session', $token);
+            $this->assertEquals('invalid_session_token', $result->get_error_code());
+
+            $result = $this->personal_data->request_erasure('data-test-session', $token);
+            $this->assertEquals('invalid_session_token', $result->get_error_code());
+            $this->assertArrayNotHasKey(SPB_Personal_Data::ERASURE_COOKIE, $_COOKIE);
+        }
+    }
+
+    /**
+     * Test triggered pages are not recorded for browsers that opted out
+     */
+    public function test_triggered_pages_follow_opt_out() {
+        $_SERVER['HTTP_SEC_GPC'] = '1';
+        $this->personal_data->record_triggered_page('smart home hub', 'abc123', 'data-test-session');
+
+        $this->assertEmpty($this->personal_data->export('data-test-session', $this->session_token)['generated_pages']);
+    }
+
+    /**
+     * Test anonymous erasure needs the token its request set in the cookie, once
+     */
+    public function test_erasure_needs_token() {
+        $request = $this->personal_data->request_erasure('data-test-session', $this->session_token);
+        $this->assertEquals('confirm', $request['status']);
+        $this->assertArrayNotHasKey('token', $request, 'The token only travels in the HttpOnly cookie');
+
+        $token = $_COOKIE[SPB_Personal_Data::ERASURE_COOKIE];
+
+        $_COOKIE[SPB_Personal_Data::ERASURE_COOKIE] = 'wrong-token';
+        $result = $this->personal_data->confirm_erasure('data-test-session');
+        $this->assertWPError($result);
+        $this->assertEquals(403, $result->get_error_data());
+
+        unset($_COOKIE[SPB_Personal_Data::ERASURE_COOKIE]);
+        $this->assertWPError($this->personal_data->confirm_erasure('data-test-session'), 'Browsers without the cookie cannot confirm');
+
+        $_COOKIE[SPB_Personal_Data::ERASURE_COOKIE] = $token;
+        $result = $this->personal_data->confirm_erasure('other-session');
+        $this->assertWPError($result, 'Tokens only erase the session that asked');
+
+        $result = $this->personal_data->confirm_erasure('data-test-session');
+        $this->assertTrue($result['erased']);
+        $this->assertEquals(3, $result['items_removed']);
+
+        $data = $this->personal_data->export('data-test-session', $this->session_token);
+        $this->assertEmpty($data['interests']);
+        $this->assertEmpty($data['interactions']);
+
+        $_COOKIE[SPB_Personal_Data::ERASURE_COOKIE] = $token;
+        $this->assertWPError($this->personal_data->confirm_erasure('data-test-session'), 'Tokens work once');
+    }
+
+    /**
+     * Test the WordPress privacy tools export and erase a user's data
+     */
+    public function test_privacy_tools() {
+        global $wpdb;
+
+        $user_id = self::factory()->user->create(['user_email' => 'visitor@example.org']);
+        $wpdb->update($wpdb->prefix . 'spb_user_signals', ['user_id' => $user_id], ['session_id' => 'data-test-session']);
+        $wpdb->insert($wpdb->prefix . 'spb_page_feedback', [
+            'search_query' => 'smart home hub',
+            'feedback_type' => 'inaccuracy',
+            'comment' => 'The hub does not support Zigbee',
+            'user_id' => $user_id
+        ]);
+
+        $this->personal_data->init_hooks();
+        $this->assertArrayHasKey('smart-page-builder', apply_filters('wp_privacy_personal_data_exporters', []));
+        $this->assertArrayHasKey('smart-page-builder', apply_filters('wp_privacy_personal_data_erasers', []));
+
+        $export = $this->personal_data->export_user_data('visitor@example.org');
+        $this->assertTrue($export['done']);
+        $this->assertEquals(['spb-feedback', 'spb-interactions'], wp_list_pluck($export['data'], 'group_id'));
+        $this->assertEquals('The hub does not support Zigbee', $export['data'][0]['data'][3]['value']);
+
+        $erased = $this->personal_data->erase_user_data('visitor@example.org');
+        $this->assertEquals(2, $erased['items_removed'], 'Feedback is erased with the interaction log');
+        $this->assertEmpty($this->personal_data->export_user_data('visitor@example.org')['data']);
+    }
+}
@@ -0,0 +1,127 @@
+<?php
+/**
+ * Tests for query normalization and intent classification
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Query_Normalizer_Test extends WP_UnitTestCase {
+
+    /**
+     * Normalizer under test
+     */
+    private $normalizer;
+
+    /**
+     * Use a fixed lexicon instead of the site's content
+     */
+    public function setUp(): void {
+        parent::setUp();
+
+        add_filter('spb_query_lexicon', [$this, 'get_test_lexicon']);
+        $this->normalizer = new SPB_Query_Normalizer();
+    }
+
+    /**
+     * Remove the test lexicon
+     */
+    public function tearDown(): void {
+        remove_filter('spb_query_lexicon', [$this, 'get_test_lexicon']);
+        parent::tearDown();
+    }
+
+    /**
+     * Lexicon used by the tests
+     */
+    public function get_test_lexicon() {
+        return [
+            'vocabulary' => ['smart', 'home', 'hubs', 'thermostat', 'lighting', 'security'],
+            'destinations' => ['shipping policy']
+        ];
+    }
+
+    /**
+     * Test typos, run-together words, plurals and modifiers share a canonical query
+     */
+    public function test_equivalent_queries() {
+        $canonical = $this->normalizer->get_canonical_query('smart home hub');
+
+        $this->assertEquals('smart home hub', $canonical);
+        $this->assertEquals($canonical, $this->normalizer->get_canonical_query('smarthome hubs'));
+        $this->assertEquals($canonical, $this->normalizer->get_canonical_query('Best smart home hub'));
+        $this->assertEquals($canonical, $this->normalizer->get_canonical_query('smart hoem hubs'));
+
+        $analysis = $this->normalizer->analyze('Thermostatt reviews');
+        $this->assertEquals('thermostat reviews', $analysis['corrected']);
+        $this->assertEquals([['from' => 'thermostatt', 'to' => 'thermostat']], $analysis['corrections']);
+        $this->assertEquals('thermostat', $analysis['canonical']);
+
+        $this->assertEquals('news', $this->normalizer->lemmatize('news'));
+        $this->assertEquals('battery', $this->normalizer->lemmatize('batteries'));
+        $this->assertEquals('box', $this->normalizer->lemmatize('boxes'));
+    }
+
+    /**
+     * Test query keys leave spelling to the vocabulary-independent form
+     */
+    public function test_query_key() {
+        $this->assertEquals('smart home hub', $this->normalizer->get_query_key('Best smart home hubs'));
+        $this->assertEquals('smart hoem hub', $this->normalizer->get_query_key('smart hoem hubs'));
+
+        // A vocabulary rebuilt from changed content corrects differently, but the key stays
+        remove_filter('spb_query_lexicon', [$this, 'get_test_lexicon']);
+        $normalizer = new SPB_Query_Normalizer();
+        add_filter('spb_query_lexicon', function() {
+            return ['vocabulary' => ['smart', 'hose', 'hubs'], 'destinations' => []];
+        });
+
+        $this->assertEquals('smart hoem hub', $normalizer->get_query_key('smart hoem hubs'));
+    }
+
+    /**
+     * Test the lexicon is loaded on demand and only holds what visitors can browse
+     */
+    public function test_client_lexicon() {
+        $this->assertArrayNotHasKey('vocabulary', $this->normalizer->get_client_config(), 'The lexicon is not sent with every page');
+
+        remove_filter('spb_query_lexicon', [$this, 'get_test_lexicon']);
+        $this->normalizer->flush_lexicon();
+
+        register_post_type('spb_internal', ['public' => false]);
+        self::factory()->post->create(['post_title' => 'Gadget reviews']);
+        self::factory()->post->create(['post_title' => 'Secretword settings', 'post_type' => 'spb_internal']);
+        $menu = wp_create_nav_menu('Zzinternal menu');
+        wp_update_nav_menu_item($menu, 0, ['menu-item-title' => 'Home', 'menu-item-status' => 'publish']);
+
+        $vocabulary = $this->normalizer->get_client_lexicon()['vocabulary'];
+        $this->assertContains('gadget', $vocabulary);
+        $this->assertNotContains('secretword', $vocabulary);
+        $this->assertNotContains('zzinternal', $vocabulary);
+
+        unregister_post_type('spb_internal');
+    }
+
+    /**
+     * Test intents and whether they generate a page
+     */
+    public function test_intent() {
+        $cases = [
+            'how does a smart thermostat work' => 'informational',
+            'best smart home hub' => 'commercial',
+            'thermostat price' => 'commercial',
+            'contact us' => 'navigational',
+            'log in' => 'navigational',
+            'the shipping policies' => 'navigational'
+        ];
+
+        foreach ($cases as $query => $intent) {
+            $this->assertEquals($intent, $this->normalizer->analyze($query)['intent'], "Intent of: $query");
+        }
+
+        $this->assertFalse($this->normalizer->should_generate($this->normalizer->analyze('contact us')));
+        $this->assertTrue($this->normalizer->should_generate($this->normalizer->analyze('best smart home hub')));
+        $this->assertEquals('commercial', $this->normalizer->get_template_for_intent('commercial'));
+        $this->assertEquals('informational', $this->normalizer->get_template_for_intent('unknown'));
+    }
+}
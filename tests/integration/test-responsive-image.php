@@ -0,0 +1,79 @@
+<?php
+/**
+ * Tests for responsive component images
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Responsive_Image_Test extends WP_UnitTestCase {
+
+    /**
+     * Image data used by the tests
+     */
+    private function get_image() {
+        return [
+            'src' => 'https://example.com/hero-1024.jpg',
+            'srcset' => 'https://example.com/hero-640.jpg 640w, https://example.com/hero-1024.jpg 1024w',
+            'sizes' => '(max-width: 1024px) 100vw, 1024px',
+            'width' => 1024,
+            'height' => 576,
+            'alt' => 'Smart home hub',
+            'placeholder' => 'data:image/jpeg;base64,AAAA',
+            'sources' => [
+                ['type' => 'image/webp', 'srcset' => 'https://example.com/hero-1024.webp 1024w']
+            ]
+        ];
+    }
+
+    /**
+     * Test lazy images keep their sources in data attributes behind a placeholder
+     */
+    public function test_render_lazy() {
+        $html = (new SPB_Responsive_Image())->render($this->get_image(), ['template' => 'commercial']);
+
+        $this->assertStringContainsString('<picture class="spb-responsive-image" style="aspect-ratio: 1024 / 576;">', $html);
+        $this->assertStringContainsString('<source type="image/webp" data-srcset="https://example.com/hero-1024.webp 1024w">', $html);
+        $this->assertStringContainsString('src="data:image/jpeg;base64,AAAA"', $html);
+        $this->assertStringContainsString('data-src="https://example.com/hero-1024.jpg"', $html);
+        $this->assertStringContainsString('class="spb-lazy-image spb-image-placeholder"', $html);
+        $this->assertStringContainsString('width="1024" height="576"', $html);
+        $this->assertStringContainsString('data-fallback=', $html);
+    }
+
+    /**
+     * Test eager images load their sources immediately
+     */
+    public function test_render_eager() {
+        $html = (new SPB_Responsive_Image())->render($this->get_image(), ['eager' => true]);
+
+        $this->assertStringContainsString(' srcset="https://example.com/hero-640.jpg 640w', $html);
+        $this->assertStringContainsString('src="https://example.com/hero-1024.jpg"', $html);
+        $this->assertStringContainsString('fetchpriority="high"', $html);
+        $this->assertStringNotContainsString('data-src=', $html);
+        $this->assertStringNotContainsString('base64', $html);
+    }
+
+    /**
+     * Test the fallback image can be replaced per template
+     */
+    public function test_fallback_filter() {
+        $filter = function($url, $template_type) {
+            return 'https://example.com/fallback-' . $template_type . '.jpg';
+        };
+        add_filter('spb_template_fallback_image', $filter, 10, 2);
+
+        $html = (new SPB_Responsive_Image())->render($this->get_image(), ['template' => 'educational']);
+
+        remove_filter('spb_template_fallback_image', $filter, 10);
+
+        $this->assertStringContainsString('data-fallback="https://example.com/fallback-educational.jpg"', $html);
+    }
+
+    /**
+     * Test images without a source render nothing
+     */
+    public function test_render_without_source() {
+        $this->assertSame('', (new SPB_Responsive_Image())->render([]));
+    }
+}
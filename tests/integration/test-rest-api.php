@@ -0,0 +1,382 @@
+<?php
+/**
+ * Tests for the spb/v1 REST routes and the visitor profile behind them
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Rest_API_Test extends WP_UnitTestCase {
+
+    /**
+     * Visitor profile
+     *
+     * @var SPB_Visitor_Profile
+     */
+    private $visitor_profile;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        global $wp_rest_server;
+        $wp_rest_server = new WP_REST_Server();
+
+        $this->visitor_profile = new SPB_Visitor_Profile();
+        $api = new SPB_Rest_API(null, new SPB_Event_Collector(), null, $this->visitor_profile);
+        $api->init_hooks();
+
+        do_action('rest_api_init', $wp_rest_server);
+    }
+
+    public function tearDown(): void {
+        global $wp_rest_server;
+        $wp_rest_server = null;
+
+        unset($_COOKIE[SPB_Visitor_Profile::SESSION_COOKIE]);
+        remove_filter('query', [$this, 'nest_transaction']);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Test routes are only registered for the services passed in
+     */
+    public function test_routes_follow_services() {
+        $routes = rest_get_server()->get_routes();
+
+        $this->assertArrayHasKey('/spb/v1/events', $routes);
+        $this->assertArrayHasKey('/spb/v1/profile', $routes);
+        $this->assertArrayHasKey('/spb/v1/recommendations', $routes);
+        $this->assertArrayNotHasKey('/spb/v1/search-pages', $routes, 'Search routes need the search manager');
+        $this->assertArrayNotHasKey('/spb/v1/feedback', $routes);
+        $this->assertArrayNotHasKey('/spb/v1/personal-data', $routes, 'Personal data routes need the personal data service');
+    }
+
+    /**
+     * Test service errors keep their HTTP status
+     */
+    public function test_errors_keep_status() {
+        $request = new WP_REST_Request('POST', '/spb/v1/events');
+        $request->set_param('events', 'not json');
+
+        $response = rest_get_server()->dispatch($request);
+        $this->assertEquals(400, $response->get_status());
+        $this->assertEquals('invalid_batch', $response->get_data()['code']);
+    }
+
+    /**
+     * Test profiles are read and reset per session
+     */
+    public function test_profile_read_and_reset() {
+        global $wpdb;
+
+        $wpdb->insert($wpdb->prefix . 'spb_user_interest_vectors', [
+            'session_id' => 'rest-test-session',
+            'interest_category' => 'smart-home',
+            'interest_score' => 0.8
+        ]);
+
+        $request = new WP_REST_Request('GET', '/spb/v1/profile');
+        $request->set_param('session_id', 'rest-test-session');
+        $data = rest_get_server()->dispatch($request)->get_data();
+        $this->assertEquals(0.8, $data['interests']['smart-home']);
+
+        $request = new WP_REST_Request('DELETE', '/spb/v1/profile');
+        $request->set_param('session_id', 'rest-test-session');
+        $this->assertTrue(rest_get_server()->dispatch($request)->get_data()['reset']);
+
+        $this->assertEmpty($this->visitor_profile->get_profile('rest-test-session')['interests']);
+        $this->assertWPError($this->visitor_profile->get_profile(''));
+    }
+
+    /**
+     * Test recommendations come from the strongest interests, best match first
+     */
+    public function test_recommendations_follow_interests() {
+        global $wpdb;
+
+        $strong = self::factory()->category->create(['slug' => 'smart-home']);
+        $weak = self::factory()->category->create(['slug' => 'gardening']);
+        $strong_post = self::factory()->post->create(['post_category' => [$strong]]);
+        $weak_post = self::factory()->post->create(['post_category' => [$weak]]);
+        self::factory()->post->create();
+
+        foreach (['smart-home' => 0.9, 'gardening' => 0.4, 'cooking' => 0.1] as $interest => $score) {
+            $wpdb->insert($wpdb->prefix . 'spb_user_interest_vectors', [
+                'session_id' => 'rest-test-session',
+                'interest_category' => $interest,
+                'interest_score' => $score
+            ]);
+        }
+
+        $recommendations = $this->visitor_profile->get_recommendations('rest-test-session');
+        $this->assertEquals([$strong_post, $weak_post], wp_list_pluck($recommendations, 'id'));
+
+        $recommendations = $this->visitor_profile->get_recommendations('rest-test-session', get_permalink($strong_post));
+        $this->assertEquals([$weak_post], wp_list_pluck($recommendations, 'id'), 'The current page should not be recommended');
+    }
+
+    /**
+     * Test on-device segments only match top-level categories, in the order given
+     */
+    public function test_segment_recommendations() {
+        $technology = self::factory()->category->create(['slug' => 'technology']);
+        $smart_home = self::factory()->category->create(['slug' => 'smart-home', 'parent' => $technology]);
+        $food = self::factory()->category->create(['slug' => 'food']);
+        $gadget_post = self::factory()->post->create(['post_category' => [$smart_home]]);
+        $recipe_post = self::factory()->post->create(['post_category' => [$food]]);
+
+        $recommendations = $this->visitor_profile->get_segment_recommendations(['food', 'technology']);
+        $this->assertEquals([$recipe_post, $gadget_post], wp_list_pluck($recommendations, 'id'));
+        $this->assertEquals(1, $recommendations[0]['score']);
+
+        $this->assertEmpty(
+            $this->visitor_profile->get_segment_recommendations(['smart-home']),
+            'Subcategories are too fine-grained to be segments'
+        );
+    }
+
+    /**
+     * Test page terms carry their inverse document frequency and top-level segment
+     */
+    public function test_page_terms() {
+        $technology = self::factory()->category->create(['slug' => 'technology']);
+        $smart_home = self::factory()->category->create(['slug' => 'smart-home', 'parent' => $technology]);
+        $post_id = self::factory()->post->create(['post_category' => [$smart_home]]);
+        self::factory()->post->create_many(2, ['post_category' => [$technology]]);
+        wp_set_post_tags($post_id, 'hubs');
+
+        $terms = [];
+        foreach ($this->visitor_profile->get_page_terms($post_id) as $term) {
+            $terms[$term['slug']] = $term;
+        }
+
+        $this->assertEquals('technology', $terms['smart-home']['segment']);
+        $this->assertNull($terms['hubs']['segment']);
+        $this->assertEquals(round(log(3), 4), $terms['smart-home']['idf']);
+    }
+
+    /**
+     * Test preferences mute, reweigh and reorder inferred interests
+     */
+    public function test_apply_preferences() {
+        $interests = $this->visitor_profile->apply_preferences(
+            ['smart-home' => 0.9, 'gardening' => 0.4, 'cooking' => 0.2],
+            [
+                'smart-home' => ['muted' => true, 'pinned' => false, 'added' => false, 'weight' => null],
+                'cooking' => ['muted' => false, 'pinned' => true, 'added' => false, 'weight' => null],
+                'gardening' => ['muted' => false, 'pinned' => false, 'added' => false, 'weight' => 0.7],
+                'birding' => ['muted' => false, 'pinned' => false, 'added' => true, 'weight' => 0.5]
+            ]
+        );
+
+        $this->assertSame(['cooking' => 0.2, 'gardening' => 0.7, 'birding' => 0.5], $interests);
+    }
+
+    /**
+     * Test interest preferences are stored per session and change the profile right away
+     */
+    public function test_update_interest_preference() {
+        global $wpdb;
+
+        $wpdb->insert($wpdb->prefix . 'spb_user_interest_vectors', [
+            'session_id' => 'rest-test-session',
+            'interest_category' => 'smart-home',
+            'interest_score' => 0.8
+        ]);
+
+        $request = new WP_REST_Request('POST', '/spb/v1/profile/interests');
+        $request->set_param('session_id', 'rest-test-session');
+        $request->set_param('interest', 'smart-home');
+        $request->set_param('muted', '1');
+        $profile = rest_get_server()->dispatch($request)->get_data();
+
+        $this->assertArrayNotHasKey('smart-home', $profile['interests']);
+        $this->assertEquals(0.8, $profile['inferred']['smart-home']);
+        $this->assertTrue($profile['preferences']['smart-home']['muted']);
+
+        $profile = $this->visitor_profile->update_interest_preference('rest-test-session', 'Bird Watching', ['added' => true]);
+        $this->assertEquals(SPB_Visitor_Profile::DEFAULT_ADDED_WEIGHT, $profile['interests']['bird-watching']);
+
+        $profile = $this->visitor_profile->update_interest_preference('rest-test-session', 'smart-home', ['muted' => false]);
+        $this->assertEquals(0.8, $profile['interests']['smart-home']);
+        $this->assertArrayNotHasKey('smart-home', $profile['preferences'], 'Preferences back at their defaults are removed');
+
+        $result = $this->visitor_profile->update_interest_preference('rest-test-session', 'smart-home', ['weight' => 2]);
+        $this->assertWPError($result);
+        $this->assertEquals('invalid_weight', $result->get_error_code());
+
+        $this->visitor_profile->reset_profile('rest-test-session');
+        $this->assertEmpty($this->visitor_profile->get_preferences('rest-test-session'));
+    }
+
+    /**
+     * Test sites upgraded from before interest preferences get their table
+     */
+    public function test_preferences_schema_upgrade() {
+        global $wpdb;
+
+        update_option('spb_version', SPB_VERSION);
+        update_option('spb_db_version', '3.0.12');
+
+        spb_upgrade_check();
+
+        $this->assertEquals(SPB_DB_VERSION, get_option('spb_db_version'));
+
+        $wpdb->get_var("SELECT COUNT(*) FROM {$wpdb->prefix}spb_interest_preferences");
+        $this->assertEmpty($wpdb->last_error);
+    }
+
+    /**
+     * Test pinned interests are recommended from however weak, and muted ones not at all
+     */
+    public function test_recommendations_follow_preferences() {
+        global $wpdb;
+
+        $strong = self::factory()->category->create(['slug' => 'smart-home']);
+        $weak = self::factory()->category->create(['slug' => 'cooking']);
+        $strong_post = self::factory()->post->create(['post_category' => [$strong]]);
+        $weak_post = self::factory()->post->create(['post_category' => [$weak]]);
+
+        foreach (['smart-home' => 0.9, 'cooking' => 0.05] as $interest => $score) {
+            $wpdb->insert($wpdb->prefix . 'spb_user_interest_vectors', [
+                'session_id' => 'rest-test-session',
+                'interest_category' => $interest,
+                'interest_score' => $score
+            ]);
+        }
+
+        $this->assertEquals([$strong_post], wp_list_pluck($this->visitor_profile->get_recommendations('rest-test-session'), 'id'));
+
+        $this->visitor_profile->update_interest_preference('rest-test-session', 'cooking', ['pinned' => true]);
+        $this->visitor_profile->update_interest_preference('rest-test-session', 'smart-home', ['muted' => true]);
+        $this->assertEquals([$weak_post], wp_list_pluck($this->visitor_profile->get_recommendations('rest-test-session'), 'id'));
+    }
+
+    /**
+     * Test interests scored by both profiles lean towards the fresher score
+     */
+    public function test_merge_interests() {
+        $now = time();
+
+        $merged = $this->visitor_profile->merge_interests(
+            ['smart-home' => ['score' => 0.8, 'updated' => $now], 'cooking' => ['score' => 0.3, 'updated' => $now]],
+            ['smart-home' => ['score' => 0.4, 'updated' => $now], 'birding' => ['score' => 0.5, 'updated' => $now - DAY_IN_SECONDS]],
+            $now
+        );
+
+        $this->assertEquals(0.6, $merged['smart-home']['score']);
+        $this->assertEquals(0.3, $merged['cooking']['score']);
+        $this->assertEquals(0.5, $merged['birding']['score'], 'Interests scored once keep their score');
+
+        $merged = $this->visitor_profile->merge_interests(
+            ['smart-home' => ['score' => 0.8, 'updated' => $now]],
+            ['smart-home' => ['score' => 0.2, 'updated' => $now - 30 * DAY_IN_SECONDS]],
+            $now
+        );
+
+        $this->assertGreaterThan(0.5, $merged['smart-home']['score']);
+        $this->assertEquals($now, $merged['smart-home']['updated']);
+    }
+
+    /**
+     * Test an anonymous session is kept in the browser only with the token it was issued with
+     */
+    public function test_keep_session() {
+        $result = $this->visitor_profile->keep_session('rest-test-session', 'forged');
+        $this->assertEquals('invalid_session_token', $result->get_error_code());
+        $this->assertEquals('', SPB_Visitor_Profile::get_issued_session_id());
+
+        $result = $this->visitor_profile->keep_session('rest-test-session', SPB_Visitor_Profile::get_session_token('rest-test-session'));
+        $this->assertTrue($result['kept']);
+        $this->assertEquals('rest-test-session', SPB_Visitor_Profile::get_issued_session_id());
+
+        $_COOKIE[SPB_Visitor_Profile::SESSION_COOKIE] = 'other-session|' . SPB_Visitor_Profile::get_session_token('rest-test-session');
+        $this->assertEquals('', SPB_Visitor_Profile::get_issued_session_id());
+
+        $this->visitor_profile->forget_session();
+        $this->assertArrayNotHasKey(SPB_Visitor_Profile::SESSION_COOKIE, $_COOKIE);
+    }
+
+    /**
+     * Test the browser's anonymous session is merged into the signed-in visitor's profile and emptied
+     */
+    public function test_merge_session_profile() {
+        global $wpdb;
+
+        // The test case runs in a transaction of its own
+        add_filter('query', [$this, 'nest_transaction']);
+
+        $this->assertEquals('not_logged_in', $this->visitor_profile->merge_session_profile()->get_error_code());
+
+        $user_id = self::factory()->user->create();
+        wp_set_current_user($user_id);
+        $user_session_id = SPB_Visitor_Profile::get_user_session_id($user_id);
+
+        $updated = gmdate('Y-m-d H:i:s');
+        foreach (['rest-test-session' => ['smart-home' => 0.8], $user_session_id => ['smart-home' => 0.4, 'cooking' => 0.3]] as $session_id => $scores) {
+            foreach ($scores as $interest => $score) {
+                $wpdb->insert($wpdb->prefix . 'spb_user_interest_vectors', [
+                    'session_id' => $session_id,
+                    'interest_category' => $interest,
+                    'interest_score' => $score,
+                    'last_updated' => $updated
+                ]);
+            }
+        }
+        $this->visitor_profile->update_interest_preference('rest-test-session', 'cooking', ['pinned' => true]);
+
+        // Only the session the browser was issued is merged, not one it names
+        $_COOKIE[SPB_Visitor_Profile::SESSION_COOKIE] = 'rest-test-session|forged';
+        $request = new WP_REST_Request('POST', '/spb/v1/profile/merge');
+        $request->set_param('session_id', 'rest-test-session');
+        $this->assertEquals(400, rest_get_server()->dispatch($request)->get_status());
+        $this->assertNotEmpty($this->visitor_profile->get_profile('rest-test-session')['inferred']);
+
+        $_COOKIE[SPB_Visitor_Profile::SESSION_COOKIE] = 'rest-test-session|' . SPB_Visitor_Profile::get_session_token('rest-test-session');
+        $profile = rest_get_server()->dispatch(new WP_REST_Request('POST', '/spb/v1/profile/merge'))->get_data();
+
+        $this->assertEquals($user_session_id, $profile['session_id']);
+        $this->assertEqualsWithDelta(0.6, $profile['inferred']['smart-home'], 0.0001);
+        $this->assertEquals(0.3, $profile['inferred']['cooking']);
+        $this->assertTrue($profile['preferences']['cooking']['pinned']);
+        $this->assertEmpty($this->visitor_profile->get_profile('rest-test-session')['inferred']);
+        $this->assertArrayNotHasKey(SPB_Visitor_Profile::SESSION_COOKIE, $_COOKIE);
+
+        $this->assertEquals('no_session', $this->visitor_profile->merge_session_profile()->get_error_code());
+    }
+
+    /**
+     * Run transactions as savepoints of the test case's transaction
+     *
+     * @param string $query Query
+     * @return string
+     */
+    public function nest_transaction($query) {
+        $savepoints = [
+            'START TRANSACTION' => 'SAVEPOINT spb_test',
+            'COMMIT' => 'RELEASE SAVEPOINT spb_test',
+            'ROLLBACK' => 'ROLLBACK TO SAVEPOINT spb_test'
+        ];
+
+        return $savepoints[$query] ?? $query;
+    }
+
+    /**
+     * Test a user's profile is only open to that user
+     */
+    public function test_user_sessions_are_private() {
+        $user_id = self::factory()->user->create();
+        $user_session_id = SPB_Visitor_Profile::get_user_session_id($user_id);
+
+        $this->assertTrue(SPB_Visitor_Profile::can_access_session('rest-test-session'));
+        $this->assertFalse(SPB_Visitor_Profile::can_access_session($user_session_id));
+
+        wp_set_current_user(self::factory()->user->create());
+        $this->assertFalse(SPB_Visitor_Profile::can_access_session($user_session_id));
+        $this->assertWPError($this->visitor_profile->get_profile($user_session_id));
+
+        wp_set_current_user($user_id);
+        $this->assertTrue(SPB_Visitor_Profile::can_access_session($user_session_id));
+    }
+}
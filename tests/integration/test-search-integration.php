@@ -394,6 +394,89 @@ class SPB_Search_Integration_Test extends WP_UnitTestCase {
         $this->assertEquals($result1['intent'], $result2['intent']);
     }
     
+    /**
+     * Test failed background generations are retried, then reported to the poller
+     */
+    public function test_background_generation_failure() {
+        $query = 'unreachable smart home hub';
+        $generation_data = ['query' => $query, 'user_context' => []];
+        
+        add_filter('pre_http_request', function() {
+            return new WP_Error('http_request_failed', 'Unreachable');
+        });
+        
+        $this->search_manager->background_generate_search_page($generation_data);
+        
+        $this->assertNotFalse(wp_next_scheduled('spb_generate_search_page_background', [$generation_data]), 'A failed attempt should be retried');
+        $this->assertFalse(get_transient('spb_generation_failed_' . md5($query)));
+        
+        wp_clear_scheduled_hook('spb_generate_search_page_background', [$generation_data]);
+        set_transient('spb_generation_attempt_' . md5($query), 2, 300);
+        $this->search_manager->background_generate_search_page($generation_data);
+        
+        $this->assertFalse(wp_next_scheduled('spb_generate_search_page_background', [$generation_data]));
+        $this->assertEquals('error', $this->search_manager->get_generation_status($query)['status']);
+    }
+    
+    /**
+     * Test pages held for review are not streamed before they are approved
+     */
+    public function test_streaming_waits_for_approval() {
+        $query = 'smart home hub';
+        $key = 'spb_generation_progress_' . md5($query);
+        $hero = ['headline' => 'Smart home hubs', 'subheadline' => 'Compare the hubs'];
+        
+        set_transient($key, ['stage' => 'generating', 'started_at' => microtime(true), 'warnings' => [], 'approval_status' => 'pending'], 300);
+        $this->search_manager->record_generated_component('hero', $hero, $query);
+        
+        $status = $this->search_manager->get_generation_status($query, '', true);
+        $this->assertEquals('generating', $status['status']);
+        $this->assertFalse($status['stream']);
+        $this->assertArrayNotHasKey('components', $status);
+        
+        set_transient($key, ['stage' => 'generating', 'started_at' => microtime(true), 'warnings' => [], 'approval_status' => 'approved'], 300);
+        $this->search_manager->record_generated_component('hero', $hero, $query);
+        
+        $status = $this->search_manager->get_generation_status($query, '', true);
+        $this->assertArrayNotHasKey('stream', $status);
+        $this->assertArrayHasKey('hero', $status['components']);
+    }
+    
+    /**
+     * Test a search outside the rollout sample gets the regular results
+     */
+    public function test_search_outside_sample_not_intercepted() {
+        $query = 'smart home hub';
+        
+        $reflection = new ReflectionClass($this->search_manager);
+        $method = $reflection->getMethod('store_search_page_data');
+        $method->setAccessible(true);
+        
+        $page_id = $method->invoke($this->search_manager, $query, 'smarthomehub0001', home_url('/smart-page/smarthomehub0001/'), [
+            'merged_results' => [['title' => 'Smart home hubs', 'content' => 'Compare the hubs']],
+            'total_results' => 1,
+            'processing_time' => 100
+        ], []);
+        $this->db_manager->update_approval_status($page_id, 'approved', 1);
+        
+        $wp_query = new WP_Query();
+        $wp_query->parse_query(['s' => $query]);
+        $GLOBALS['wp_the_query'] = $wp_query;
+        $GLOBALS['wp_query'] = $wp_query;
+        $posts = [self::factory()->post->create_and_get()];
+        
+        update_option(SPB_Search_Interception_Rules::OPTION_NAME, ['sample_rate' => 20]);
+        
+        $_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE] = '10';
+        $this->assertEquals([], $this->search_manager->handle_search_interception($posts, $wp_query));
+        
+        $_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE] = '50';
+        $this->assertEquals($posts, $this->search_manager->handle_search_interception($posts, $wp_query));
+        
+        unset($_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE]);
+        delete_option(SPB_Search_Interception_Rules::OPTION_NAME);
+    }
+    
     /**
      * Helper method to mock successful content discovery
      */
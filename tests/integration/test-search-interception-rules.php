@@ -0,0 +1,186 @@
+<?php
+/**
+ * Tests for admin-managed search interception rules
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Search_Interception_Rules_Test extends WP_UnitTestCase {
+
+    /**
+     * Clean up after tests
+     */
+    public function tearDown(): void {
+        delete_option(SPB_Search_Interception_Rules::OPTION_NAME);
+        unset($_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE]);
+
+        parent::tearDown();
+    }
+
+    /**
+     * Test default rules keep the original exclusions
+     */
+    public function test_default_rules() {
+        $rules = new SPB_Search_Interception_Rules();
+
+        $this->assertTrue($rules->matches_query('smart home hub'));
+        $this->assertFalse($rules->matches_query('12345'), 'Numeric queries should be excluded');
+        $this->assertFalse($rules->matches_query('wp-admin'), 'WordPress paths should be excluded');
+        $this->assertFalse($rules->matches_query('Login help'), 'Deny patterns should be case-insensitive');
+        $this->assertEquals(100, $rules->get_rules()['sample_rate']);
+    }
+
+    /**
+     * Test allow patterns restrict interception to matching queries
+     */
+    public function test_allow_patterns() {
+        update_option(SPB_Search_Interception_Rules::OPTION_NAME, [
+            'allow_patterns' => ['^best ', 'review']
+        ]);
+
+        $rules = new SPB_Search_Interception_Rules();
+
+        $this->assertTrue($rules->matches_query('best smart home hub'));
+        $this->assertTrue($rules->matches_query('smart hub Review'));
+        $this->assertFalse($rules->matches_query('smart home hub'));
+    }
+
+    /**
+     * Test minimum word count
+     */
+    public function test_min_words() {
+        update_option(SPB_Search_Interception_Rules::OPTION_NAME, ['min_words' => 3]);
+
+        $rules = new SPB_Search_Interception_Rules();
+
+        $this->assertFalse($rules->matches_query('smart   home'));
+        $this->assertTrue($rules->matches_query('smart home hub'));
+    }
+
+    /**
+     * Test post types and the sampling bucket are checked on the server too
+     */
+    public function test_scope() {
+        update_option(SPB_Search_Interception_Rules::OPTION_NAME, [
+            'post_types' => ['product'],
+            'sample_rate' => 30
+        ]);
+
+        $rules = new SPB_Search_Interception_Rules();
+
+        $_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE] = '10';
+        $this->assertTrue($rules->matches_scope('product'));
+        $this->assertFalse($rules->matches_scope(''), 'Searches of any post type should be left alone');
+        $this->assertFalse($rules->matches_scope(['product', 'post']));
+
+        $_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE] = '50';
+        $this->assertFalse($rules->matches_scope('product'), 'Visitors outside the sample should be left alone');
+
+        unset($_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE]);
+        $rules->matches_scope('product');
+        $this->assertMatchesRegularExpression('/^\d{1,2}$/', $_COOKIE[SPB_Search_Interception_Rules::BUCKET_COOKIE], 'Visitors without a bucket should be given one');
+    }
+
+    /**
+     * Test sanitizing settings input from the admin form
+     */
+    public function test_sanitize_rules() {
+        $rules = new SPB_Search_Interception_Rules();
+
+        $sanitized = $rules->sanitize_rules([
+            'allow_patterns' => "^how to\n\n[unclosed\nguide",
+            'deny_patterns' => "acme\r\n^(contact|cart)$",
+            'min_words' => '0',
+            'post_types' => 'post, Product ,any',
+            'form_selectors' => ".site-header .search-form\n#searchform",
+            'languages' => 'en_US, de',
+            'sample_rate' => '250'
+        ]);
+
+        $this->assertEquals(['^how to', 'guide'], $sanitized['allow_patterns'], 'Invalid patterns should be dropped');
+        $this->assertEquals(['acme', '^(contact|cart)$'], $sanitized['deny_patterns']);
+        $this->assertEquals(1, $sanitized['min_words']);
+        $this->assertEquals(['post', 'product', 'any'], $sanitized['post_types']);
+        $this->assertEquals(['.site-header .search-form', '#searchform'], $sanitized['form_selectors']);
+        $this->assertEquals(['en', 'de'], $sanitized['languages']);
+        $this->assertEquals(100, $sanitized['sample_rate']);
+    }
+
+    /**
+     * Test patterns containing slashes are matched literally
+     */
+    public function test_patterns_with_slashes() {
+        update_option(SPB_Search_Interception_Rules::OPTION_NAME, [
+            'deny_patterns' => ['https?://']
+        ]);
+
+        $rules = new SPB_Search_Interception_Rules();
+
+        $this->assertFalse($rules->matches_query('https://example.com'));
+        $this->assertTrue($rules->matches_query('example domains'));
+    }
+
+    /**
+     * Test backslash escapes survive the settings screen
+     */
+    public function test_patterns_with_backslashes() {
+        $rules = new SPB_Search_Interception_Rules();
+
+        $sanitized = $rules->sanitize_rules([
+            'deny_patterns' => "^\\d+ items$\n\\bacme\\b"
+        ]);
+
+        $this->assertEquals(['^\\d+ items$', '\\bacme\\b'], $sanitized['deny_patterns']);
+
+        update_option(SPB_Search_Interception_Rules::OPTION_NAME, $sanitized);
+        $rules = new SPB_Search_Interception_Rules();
+
+        $this->assertFalse($rules->matches_query('12 items'));
+        $this->assertTrue($rules->matches_query('dd items'));
+        $this->assertFalse($rules->matches_query('acme smart hub'));
+        $this->assertTrue($rules->matches_query('acmeco smart hub'));
+    }
+
+    /**
+     * Test client rules include the query length limits
+     */
+    public function test_client_rules() {
+        update_option('spb_min_query_length', 4);
+        update_option('spb_max_query_length', 120);
+
+        $rules = new SPB_Search_Interception_Rules();
+        $client_rules = $rules->get_client_rules();
+
+        $this->assertEquals(4, $client_rules['min_length']);
+        $this->assertEquals(120, $client_rules['max_length']);
+        $this->assertArrayHasKey('deny_patterns', $client_rules);
+
+        delete_option('spb_min_query_length');
+        delete_option('spb_max_query_length');
+    }
+
+    /**
+     * Test admin-configured search sources are sanitized and checked before the default forms
+     */
+    public function test_search_sources() {
+        $rules = new SPB_Search_Interception_Rules();
+        $sanitized = $rules->sanitize_rules([
+            'source_selectors' => ".header-search input\n",
+            'source_events' => 'instant-search:submit, bad event<>',
+            'source_url_params' => 'q, Query'
+        ]);
+
+        $this->assertEquals(['.header-search input'], $sanitized['source_selectors']);
+        $this->assertEquals(['instant-search:submit', 'badevent'], $sanitized['source_events']);
+        $this->assertEquals(['q', 'query'], $sanitized['source_url_params']);
+
+        update_option(SPB_Search_Interception_Rules::OPTION_NAME, $sanitized);
+
+        $sources = (new SPB_Search_Interception_Rules())->get_search_sources();
+        $ids = wp_list_pluck($sources, 'id');
+
+        $this->assertEquals(['custom', 'woocommerce', 'wordpress', 'event:instant-search:submit', 'event:badevent', 'url:q', 'url:query'], $ids);
+        $this->assertEquals('q', $sources[5]['param']);
+    }
+}
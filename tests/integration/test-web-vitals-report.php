@@ -0,0 +1,50 @@
+<?php
+/**
+ * Tests for the Core Web Vitals report
+ *
+ * @package Smart_Page_Builder
+ * @since   3.7.0
+ */
+
+class SPB_Web_Vitals_Report_Test extends WP_UnitTestCase {
+
+    /**
+     * Test percentiles use the nearest-rank method and skip missing values
+     */
+    public function test_summarize() {
+        $report = new SPB_Web_Vitals_Report();
+
+        $summary = $report->summarize([
+            ['lcp' => 1000, 'cls' => 0.01, 'inp' => 80, 'long_tasks' => 1],
+            ['lcp' => 2000, 'cls' => 0.2, 'inp' => '', 'long_tasks' => 0],
+            ['lcp' => 3000, 'cls' => 0.05, 'long_tasks' => 4],
+            ['lcp' => 4000, 'cls' => 0.02]
+        ]);
+
+        $this->assertEquals(4, $summary['samples']);
+        $this->assertEquals(3000, $summary['lcp']);
+        $this->assertEquals(0.05, $summary['cls']);
+        $this->assertEquals(80, $summary['inp'], 'Interactions without a value should be ignored');
+        $this->assertNull($summary['ttfb']);
+        $this->assertEquals(1, $summary['long_tasks']);
+    }
+
+    /**
+     * Test samples are grouped by template and by component
+     */
+    public function test_build_report_groups() {
+        $report = (new SPB_Web_Vitals_Report())->build_report([
+            ['template' => 'commercial', 'components' => ['hero', 'cta'], 'lcp' => 1200],
+            ['template' => 'commercial', 'components' => ['hero'], 'lcp' => 1800],
+            ['template' => 'informational', 'components' => ['article'], 'lcp' => 3500],
+            ['components' => ['hero'], 'lcp' => 900]
+        ]);
+
+        $this->assertEquals(4, $report['overall']['samples']);
+        $this->assertEquals(['commercial', 'informational', 'unknown'], array_keys($report['templates']));
+        $this->assertEquals(1800, $report['templates']['commercial']['lcp']);
+        $this->assertEquals(3, $report['components']['hero']['samples']);
+        $this->assertEquals(1, $report['components']['cta']['samples']);
+        $this->assertArrayHasKey('lcp', $report['thresholds']);
+    }
+}